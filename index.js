@@ -1,4 +1,5 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
@@ -117,6 +118,10 @@ app.set('trust proxy', 1);
 app.use('/api/users', require('./routes/userRoutes'));       // 🔹 User Routes
 app.use('/api/products', require('./routes/productRoutes')); // 🔹 Product Routes
 app.use('/api/dashboard', require('./seller-backend/routes/dashboardRoutes')); 
+app.use('/api/coupons', require('./seller-backend/routes/couponRoutes')); // 🔹 Seller Coupon Management
+app.use('/api/inventory', require('./seller-backend/routes/inventoryRoutes')); // 🔹 Seller Stock Management
+app.use('/api/shipments', require('./seller-backend/routes/shipmentRoutes')); // 🔹 Shipments, Courier Partners & Tracking Webhooks
+app.use('/api/shipping-rules', require('./seller-backend/routes/shippingRoutes')); // 🔹 Seller Shipping Rates
 app.use('/api/categories', categoryRoutes);
 app.use('/uploads', express.static('uploads'));
 app.use('/api/orders', orderRoutes);
@@ -200,9 +205,14 @@ app.use(errorHandler);
 // ✅ Initialize Auto-Cancel Service
 const autoCancelService = require('./services/autoCancelService');
 
+// ✅ Realtime dashboard events (Socket.IO shares the HTTP server and CORS rules)
+const realtimeService = require('./services/realtimeService');
+const server = http.createServer(app);
+realtimeService.initialize(server, corsOptions);
+
 // ✅ Start the server
 const port = process.env.PORT || 5000;
-app.listen(port, () => {
+server.listen(port, () => {
   console.log(`Server running on port ${port}`);
   
   // Start auto-cancel service after server starts
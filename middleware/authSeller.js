@@ -17,8 +17,25 @@ const authSeller = async (req, res, next) => {
     if (!seller) {
       return res.status(401).json({ message: "Invalid seller token" });
     }
+    // Accounts must prove their email with the OTP (POST /api/sellers/verify-otp) first
+    if (!seller.isVerified) {
+      return res.status(403).json({ message: "Verify your email with the OTP sent to it before using the dashboard" });
+    }
 
-    req.seller = seller; // Attach seller to request
+    // Staff work on their owner's store: req.seller is the store, req.staff is who signed in
+    if (seller.ownerId) {
+      const owner = await Seller.findById(seller.ownerId).select("-password");
+      if (!owner) {
+        return res.status(401).json({ message: "Store owner account no longer exists" });
+      }
+      if (!owner.isVerified) {
+        return res.status(403).json({ message: "The store owner has not verified their email yet" });
+      }
+      req.seller = owner;
+    } else {
+      req.seller = seller; // Attach seller to request
+    }
+    req.staff = seller;
     next();
   } catch (err) {
     console.error("❌ Seller Auth Error:", err.message);
@@ -0,0 +1,68 @@
+// Seller staff roles and what each one may do
+// Use after authSeller: router.post('/x', authSeller, requirePermission('refunds:process'), ...)
+
+const ROLES = ['owner', 'manager', 'fulfilment', 'support'];
+
+// Permission -> roles allowed to use it (owners can do everything)
+const PERMISSIONS = {
+    'dashboard:view': ['owner', 'manager', 'fulfilment', 'support'],
+    'orders:view': ['owner', 'manager', 'fulfilment', 'support'],
+    'orders:update': ['owner', 'manager', 'fulfilment'],
+    'payments:update': ['owner', 'manager'],
+    'refunds:view': ['owner', 'manager', 'support'],
+    'refunds:request': ['owner', 'manager', 'support'],
+    'refunds:approve': ['owner', 'manager'],
+    'refunds:process': ['owner', 'manager'],
+    'invoices:view': ['owner', 'manager', 'fulfilment', 'support'],
+    'emails:bulk': ['owner', 'manager'],
+    'customers:view': ['owner', 'manager', 'support'],
+    'catalog:manage': ['owner', 'manager'],
+    'reviews:moderate': ['owner', 'manager', 'support'],
+    'inventory:manage': ['owner', 'manager', 'fulfilment'],
+    'shipping:manage': ['owner', 'manager'],
+    'coupons:manage': ['owner', 'manager'],
+    'store:manage': ['owner'],
+    'staff:manage': ['owner']
+};
+
+// Permissions over the whole marketplace (e.g. every customer account), not one store -
+// only accounts flagged isPlatformAdmin have them, whatever their store role
+const PLATFORM_PERMISSIONS = ['customers:manage', 'customers:delete'];
+
+// Whether a role has a permission
+const can = (role, permission, { isPlatformAdmin = false } = {}) => {
+    if (PLATFORM_PERMISSIONS.includes(permission)) return isPlatformAdmin;
+    if (role === 'owner') return true;
+    return (PERMISSIONS[permission] || []).includes(role);
+};
+
+// Middleware: reject signed-in staff whose role lacks the permission
+const requirePermission = (permission) => (req, res, next) => {
+    const account = req.staff || req.seller;
+    if (!account) {
+        return res.status(401).json({ message: "Seller token missing" });
+    }
+
+    const role = account.role || 'owner';
+    if (!can(role, permission, account)) {
+        return res.status(403).json({
+            success: false,
+            message: `Your role (${role}) is not allowed to do this`,
+            permission
+        });
+    }
+    next();
+};
+
+// Permissions a role (and account) has, for the dashboard to hide what staff can't use
+const permissionsFor = (role, account = {}) => [...Object.keys(PERMISSIONS), ...PLATFORM_PERMISSIONS]
+    .filter(permission => can(role, permission, account));
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    PLATFORM_PERMISSIONS,
+    can,
+    requirePermission,
+    permissionsFor
+};
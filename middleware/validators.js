@@ -167,6 +167,11 @@ const validateCartItem = [
         .isMongoId()
         .withMessage('Invalid product ID format!'),
     
+    body('variantId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid variant ID format!'),
+    
     body('quantity')
         .isInt({ min: 1, max: 99 })
         .withMessage('Quantity must be between 1 and 99!')
@@ -177,7 +182,24 @@ const validateSearchQuery = [
     query('query')
         .trim()
         .isLength({ min: 1, max: 100 })
-        .withMessage('Search query must be between 1 and 100 characters!')
+        .withMessage('Search query must be between 1 and 100 characters!'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50!')
+        .toInt()
+];
+
+const validateSearchSuggest = [
+    query('query')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Search query must be between 1 and 50 characters!'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 20 })
+        .withMessage('Limit must be between 1 and 20!')
+        .toInt()
 ];
 
 // Order validation
@@ -190,6 +212,11 @@ const validateOrderCreation = [
         .isMongoId()
         .withMessage('Invalid product ID format!'),
     
+    body('cartItems.*.variantId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid variant ID format!'),
+    
     body('cartItems.*.quantity')
         .isInt({ min: 1, max: 99 })
         .withMessage('Quantity must be between 1 and 99!'),
@@ -264,7 +291,12 @@ const validateOrderCreation = [
     body('userInfo.phone')
         .optional()
         .isMobilePhone()
-        .withMessage('Invalid guest phone number format!')
+        .withMessage('Invalid guest phone number format!'),
+    
+    body('codOtp')
+        .optional()
+        .matches(/^[0-9]{6}$/)
+        .withMessage('OTP must be 6 digits!')
 ];
 
 // Track order validation
@@ -285,6 +317,67 @@ const validateTrackOrder = [
         .withMessage('Order ID must be between 1 and 50 characters!')
 ];
 
+// Product variant fields (multipart: variants may arrive as a JSON string)
+const productVariantFields = [
+    body('variants')
+        .optional()
+        .customSanitizer(value => {
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        })
+        .isArray({ max: 20 })
+        .withMessage('Variants must be a list of { label, price, mrp }!'),
+    
+    body('variants.*._id')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid variant ID!'),
+    
+    body('variants.*.label')
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage('Variant label must be between 1 and 30 characters!'),
+    
+    body('variants.*.price')
+        .isFloat({ min: 0.01 })
+        .withMessage('Variant price must be a positive number greater than 0!')
+        .toFloat(),
+    
+    body('variants.*.mrp')
+        .isFloat({ min: 0.01 })
+        .withMessage('Variant MRP must be a positive number greater than 0!')
+        .toFloat()
+        .custom((value, { req, path }) => {
+            const index = parseInt(path.match(/\[(\d+)\]/)[1], 10);
+            if (value < parseFloat(req.body.variants[index].price)) {
+                throw new Error('Variant MRP cannot be less than its price!');
+            }
+            return true;
+        }),
+    
+    body('variants.*.weightKg')
+        .optional({ nullable: true, checkFalsy: true })
+        .isFloat({ gt: 0, max: 1000 })
+        .withMessage('Variant weight must be a positive number of kg!')
+        .toFloat(),
+    
+    body('variants.*.stock')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Variant stock must be a non-negative integer!')
+        .toInt(),
+    
+    body('variants.*.isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('Variant isActive must be true or false!')
+        .toBoolean()
+];
+
 // Product validation
 const validateProductCreation = [
     body('name')
@@ -294,11 +387,14 @@ const validateProductCreation = [
         .matches(/^[a-zA-Z0-9\s\-\.()]+$/)
         .withMessage('Product name can only contain letters, numbers, spaces, hyphens, and dots!'),
     
+    // Products with variants take price and MRP from their cheapest variant
     body('price')
+        .if((value, { req }) => !req.body.variants)
         .isFloat({ min: 0.01 })
         .withMessage('Price must be a positive number greater than 0!'),
     
     body('mrp')
+        .if((value, { req }) => !req.body.variants)
         .isFloat({ min: 0.01 })
         .withMessage('MRP must be a positive number greater than 0!')
         .custom((value, { req }) => {
@@ -328,15 +424,33 @@ const validateProductCreation = [
         .isBoolean()
         .withMessage('Sale must be true or false!'),
     
-    body('outOfStock')
+    body('stock')
         .optional()
-        .isBoolean()
-        .withMessage('Out of stock must be true or false!'),
+        .isInt({ min: 0 })
+        .withMessage('Stock must be a non-negative integer!'),
     
-    body('stock')
+    body('lowStockThreshold')
         .optional()
         .isInt({ min: 0 })
-        .withMessage('Stock must be a non-negative integer!')
+        .withMessage('Low stock threshold must be a non-negative integer!'),
+    
+    body('weightKg')
+        .optional({ checkFalsy: true })
+        .isFloat({ gt: 0, max: 1000 })
+        .withMessage('Weight must be a positive number of kg!'),
+    
+    body('hsnCode')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^\d{4}(\d{2})?(\d{2})?$/)
+        .withMessage('HSN code must be 4, 6 or 8 digits!'),
+    
+    body('gstRate')
+        .optional({ checkFalsy: true })
+        .isIn(['0', '0.25', '3', '5', '12', '18', '28'])
+        .withMessage('GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28!'),
+    
+    ...productVariantFields
 ];
 
 // Product update validation
@@ -386,15 +500,33 @@ const validateProductUpdate = [
         .isBoolean()
         .withMessage('Sale must be true or false!'),
     
-    body('outOfStock')
+    body('stock')
         .optional()
-        .isBoolean()
-        .withMessage('Out of stock must be true or false!'),
+        .isInt({ min: 0 })
+        .withMessage('Stock must be a non-negative integer!'),
     
-    body('stock')
+    body('lowStockThreshold')
         .optional()
         .isInt({ min: 0 })
-        .withMessage('Stock must be a non-negative integer!')
+        .withMessage('Low stock threshold must be a non-negative integer!'),
+    
+    body('weightKg')
+        .optional({ checkFalsy: true })
+        .isFloat({ gt: 0, max: 1000 })
+        .withMessage('Weight must be a positive number of kg!'),
+    
+    body('hsnCode')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^\d{4}(\d{2})?(\d{2})?$/)
+        .withMessage('HSN code must be 4, 6 or 8 digits!'),
+    
+    body('gstRate')
+        .optional({ checkFalsy: true })
+        .isIn(['0', '0.25', '3', '5', '12', '18', '28'])
+        .withMessage('GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28!'),
+    
+    ...productVariantFields
 ];
 
 // Category ID validation
@@ -510,6 +642,9 @@ const validateCategoryUpdate = [
         .withMessage('Featured must be true or false!')
 ];
 
+// 15-character GSTIN: state code, PAN, entity number, Z, checksum
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
 // Seller validation
 const validateSellerRegistration = [
     body('name')
@@ -544,7 +679,47 @@ const validateSellerRegistration = [
     body('address')
         .trim()
         .isLength({ min: 10, max: 200 })
-        .withMessage('Address must be between 10 and 200 characters!')
+        .withMessage('Address must be between 10 and 200 characters!'),
+    
+    body('gstin')
+        .optional({ checkFalsy: true })
+        .trim()
+        .toUpperCase()
+        .matches(GSTIN_PATTERN)
+        .withMessage('Invalid GSTIN!')
+];
+
+// Seller GST registration and place of business
+const validateSellerTaxProfile = [
+    body('gstin')
+        .optional({ nullable: true, checkFalsy: true })
+        .trim()
+        .toUpperCase()
+        .matches(GSTIN_PATTERN)
+        .withMessage('Invalid GSTIN!'),
+    
+    body('address.street')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Street cannot exceed 200 characters!'),
+    
+    body('address.city')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('City cannot exceed 100 characters!'),
+    
+    body('address.state')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('State is required - it decides between CGST/SGST and IGST!'),
+    
+    body('address.zipcode')
+        .optional()
+        .trim()
+        .matches(/^\d{6}$/)
+        .withMessage('Pincode must be 6 digits!')
 ];
 
 // Seller login validation
@@ -584,6 +759,896 @@ const validateSellerPasswordReset = [
         .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number!')
 ];
 
+// Coupon creation validation
+const validateCouponCreation = [
+    body('code')
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Coupon code must be between 3 and 30 characters!')
+        .matches(/^[a-zA-Z0-9\-_]+$/)
+        .withMessage('Coupon code can only contain letters, numbers, hyphens, and underscores!'),
+    
+    body('discountType')
+        .isIn(['percent', 'flat'])
+        .withMessage('Discount type must be either percent or flat!'),
+    
+    body('discountValue')
+        .isFloat({ min: 0.01 })
+        .withMessage('Discount value must be a positive number!')
+        .custom((value, { req }) => {
+            if (req.body.discountType === 'percent' && parseFloat(value) > 100) {
+                throw new Error('Percent discount cannot exceed 100!');
+            }
+            return true;
+        }),
+    
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters!'),
+    
+    body('maxDiscount')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Max discount must be a non-negative number!'),
+    
+    body('minOrderValue')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Minimum order value must be a non-negative number!'),
+    
+    body('validFrom')
+        .optional()
+        .isISO8601()
+        .withMessage('validFrom must be a valid date!'),
+    
+    body('validUntil')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('validUntil must be a valid date!'),
+    
+    body('usageLimit')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Usage limit must be a positive integer!'),
+    
+    body('perUserLimit')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Per-user limit must be a positive integer!'),
+    
+    body('firstOrderOnly')
+        .optional()
+        .isBoolean()
+        .withMessage('firstOrderOnly must be true or false!'),
+    
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false!')
+];
+
+// Coupon update validation
+const validateCouponUpdate = [
+    body('code')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Coupon code must be between 3 and 30 characters!')
+        .matches(/^[a-zA-Z0-9\-_]+$/)
+        .withMessage('Coupon code can only contain letters, numbers, hyphens, and underscores!'),
+    
+    body('discountType')
+        .optional()
+        .isIn(['percent', 'flat'])
+        .withMessage('Discount type must be either percent or flat!'),
+    
+    body('discountValue')
+        .optional()
+        .isFloat({ min: 0.01 })
+        .withMessage('Discount value must be a positive number!')
+        .custom((value, { req }) => {
+            if (req.body.discountType === 'percent' && parseFloat(value) > 100) {
+                throw new Error('Percent discount cannot exceed 100!');
+            }
+            return true;
+        }),
+    
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters!'),
+    
+    body('maxDiscount')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Max discount must be a non-negative number!'),
+    
+    body('minOrderValue')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Minimum order value must be a non-negative number!'),
+    
+    body('validFrom')
+        .optional()
+        .isISO8601()
+        .withMessage('validFrom must be a valid date!'),
+    
+    body('validUntil')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('validUntil must be a valid date!'),
+    
+    body('usageLimit')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Usage limit must be a positive integer!'),
+    
+    body('perUserLimit')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('Per-user limit must be a positive integer!'),
+    
+    body('firstOrderOnly')
+        .optional()
+        .isBoolean()
+        .withMessage('firstOrderOnly must be true or false!'),
+    
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false!')
+];
+
+// Stock adjustment validation
+const validateStockAdjustment = [
+    param('productId')
+        .isMongoId()
+        .withMessage('Invalid product ID format!'),
+    
+    body('variantId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid variant ID format!'),
+    
+    body()
+        .custom(body => {
+            if (body.quantity === undefined && body.stock === undefined) {
+                throw new Error('Either quantity (change) or stock (new level) is required!');
+            }
+            return true;
+        }),
+    
+    body('quantity')
+        .optional()
+        .isInt()
+        .withMessage('Quantity must be an integer!')
+        .custom(value => {
+            if (parseInt(value, 10) === 0) {
+                throw new Error('Quantity cannot be zero!');
+            }
+            return true;
+        }),
+    
+    body('stock')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Stock must be a non-negative integer!'),
+    
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('Reason must be between 3 and 200 characters!')
+];
+
+// Low stock threshold validation
+const validateLowStockThreshold = [
+    param('productId')
+        .isMongoId()
+        .withMessage('Invalid product ID format!'),
+    
+    body('threshold')
+        .isInt({ min: 0 })
+        .withMessage('Threshold must be a non-negative integer!')
+];
+
+// Push subscription validation
+const validatePushSubscription = [
+    body('subscription.endpoint')
+        .isURL({ protocols: ['https'], require_tld: false })
+        .withMessage('Subscription endpoint must be a valid HTTPS URL!'),
+    
+    body('subscription.keys.p256dh')
+        .isString()
+        .notEmpty()
+        .withMessage('Subscription p256dh key is required!'),
+    
+    body('subscription.keys.auth')
+        .isString()
+        .notEmpty()
+        .withMessage('Subscription auth key is required!')
+];
+
+// Notification settings validation
+const validateNotificationSettings = [
+    body(['email', 'push', 'realtime'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Channel settings must be true or false!'),
+    
+    body('types')
+        .optional()
+        .isObject()
+        .withMessage('Types must be an object!'),
+    
+    body(['types.orders', 'types.payments', 'types.lowStock', 'types.reviews'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Notification type settings must be true or false!')
+];
+
+// Staff invitation validation
+const validateStaffInvite = [
+    body('email')
+        .isEmail()
+        .withMessage('Invalid email format!')
+        .normalizeEmail(),
+    
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Name must be between 2 and 50 characters!'),
+    
+    body('role')
+        .isIn(['manager', 'fulfilment', 'support'])
+        .withMessage('Role must be manager, fulfilment or support!')
+];
+
+// Staff invitation acceptance validation
+const validateStaffAcceptance = [
+    body('email')
+        .isEmail()
+        .withMessage('Invalid email format!')
+        .normalizeEmail(),
+    
+    body('otp')
+        .isLength({ min: 6, max: 6 })
+        .withMessage('OTP must be exactly 6 digits!')
+        .isNumeric()
+        .withMessage('OTP must contain only numbers!'),
+    
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Name must be between 2 and 50 characters!')
+        .matches(/^[a-zA-Z\s]+$/)
+        .withMessage('Name can only contain letters and spaces!'),
+    
+    body('phone')
+        .isMobilePhone()
+        .withMessage('Invalid phone number format!'),
+    
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('Password must be at least 8 characters!')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number!')
+];
+
+// Staff role change validation
+const validateStaffRole = [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid staff ID format!'),
+    
+    body('role')
+        .isIn(['manager', 'fulfilment', 'support'])
+        .withMessage('Role must be manager, fulfilment or support!')
+];
+
+// Refund request validation
+const validateRefundRequest = [
+    body('orderId')
+        .trim()
+        .notEmpty()
+        .withMessage('Order ID is required!')
+        .isLength({ max: 100 })
+        .withMessage('Order ID is too long!'),
+    
+    body('type')
+        .optional()
+        .isIn(['full', 'partial'])
+        .withMessage('Refund type must be full or partial!'),
+    
+    body('amount')
+        .if((value, { req }) => req.body.type === 'partial' || req.path.endsWith('/partial'))
+        .isFloat({ gt: 0 })
+        .withMessage('Refund amount must be greater than 0!'),
+    
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('Reason must be between 3 and 500 characters!')
+];
+
+// Refund request ID validation
+const validateRefundRequestId = [
+    param('requestId')
+        .matches(/^RFR-[A-Za-z0-9\-]+$/)
+        .withMessage('Invalid refund request ID format!')
+];
+
+// Refund approval/rejection validation
+const validateRefundDecision = [
+    ...validateRefundRequestId,
+    
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters!')
+];
+
+// COD availability check validation
+const validateCodAvailability = [
+    query('pincode')
+        .matches(/^[0-9]{6}$/)
+        .withMessage('Pincode must be 6 digits!'),
+    
+    query('amount')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Amount must be a positive number!')
+];
+
+// COD phone confirmation OTP validation
+const validateCodOtpRequest = [
+    body('phone')
+        .matches(/^[0-9]{10}$/)
+        .withMessage('Phone number must be 10 digits!')
+];
+
+// Customer identification for order actions (guests give the email and phone they ordered with)
+const customerContactFields = (location) => [
+    location('email')
+        .optional()
+        .isEmail()
+        .withMessage('Invalid email format!')
+        .normalizeEmail(),
+    
+    location('phone')
+        .optional()
+        .isMobilePhone()
+        .withMessage('Invalid phone number format!')
+];
+
+// Customer cancellation validation
+const validateCustomerCancellation = [
+    ...validateOrderIdString,
+    ...customerContactFields(body),
+    
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('Reason must be between 3 and 500 characters!')
+];
+
+// Customer return request validation (multipart: items may arrive as a JSON string)
+const validateReturnRequest = [
+    ...validateOrderIdString,
+    ...customerContactFields(body),
+    
+    body('reason')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('Reason must be between 3 and 500 characters!'),
+    
+    body('items')
+        .optional()
+        .customSanitizer(value => {
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        })
+        .isArray({ max: 50 })
+        .withMessage('Items must be a list of { productId, quantity }!'),
+    
+    body('items.*.productId')
+        .isMongoId()
+        .withMessage('Invalid product ID!'),
+    
+    body('items.*.variantId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid variant ID!'),
+    
+    body('items.*.quantity')
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('Quantity must be at least 1!')
+        .toInt()
+];
+
+// Customer returns lookup validation
+const validateCustomerReturnsQuery = [
+    ...validateOrderIdString,
+    ...customerContactFields(query)
+];
+
+// Return request ID validation
+const validateReturnId = [
+    param('returnId')
+        .matches(/^RET-[A-Za-z0-9\-]+$/)
+        .withMessage('Invalid return request ID format!')
+];
+
+// Return approval/rejection validation
+const validateReturnDecision = [
+    ...validateReturnId,
+    
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters!')
+];
+
+// Refund paid back outside the gateway for a return (e.g. COD)
+const validateReturnSettlement = [
+    ...validateReturnId,
+    
+    body('method')
+        .isIn(['cash', 'bank_transfer', 'upi'])
+        .withMessage('Refund method must be cash, bank_transfer or upi!'),
+    
+    body('reference')
+        .optional()
+        .trim()
+        .matches(/^[A-Za-z0-9\-\/]{1,60}$/)
+        .withMessage('Reference can only have letters, numbers, "-" and "/" (up to 60)!'),
+    
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters!')
+];
+
+// Courier partner validation (update: every field optional)
+const courierPartnerFields = (isUpdate) => [
+    body('name')
+        .if((value) => !isUpdate || value !== undefined)
+        .trim()
+        .isLength({ min: 2, max: 60 })
+        .withMessage('Courier name must be between 2 and 60 characters!'),
+    
+    body('code')
+        .if(() => !isUpdate)
+        .trim()
+        .matches(/^[a-zA-Z0-9\-_]{2,30}$/)
+        .withMessage('Courier code must be 2-30 letters, numbers, hyphens or underscores!'),
+    
+    body('trackingUrlTemplate')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isURL({ require_protocol: true, protocols: ['http', 'https'] })
+        .withMessage('Tracking URL must be an http(s) URL!')
+        .contains('{awb}')
+        .withMessage('Tracking URL must contain {awb}!'),
+    
+    body('adapter')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage('Invalid courier adapter!'),
+    
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false!')
+        .toBoolean()
+];
+
+const validateCourierPartnerCreation = courierPartnerFields(false);
+
+const validateCourierPartnerUpdate = [
+    ...validateId,
+    ...courierPartnerFields(true)
+];
+
+// Shipment creation validation
+const validateShipmentCreation = [
+    ...validateOrderIdString,
+    
+    body('courierPartnerId')
+        .isMongoId()
+        .withMessage('Invalid courier partner ID!'),
+    
+    body('awb')
+        .trim()
+        .matches(/^[a-zA-Z0-9\-]{4,40}$/)
+        .withMessage('AWB number must be 4-40 letters, numbers or hyphens!'),
+    
+    body('packages')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Packages must be a list!'),
+    
+    body('packages.*.items')
+        .isArray({ min: 1 })
+        .withMessage('Each package needs at least one item!'),
+    
+    body('packages.*.items.*.productId')
+        .isMongoId()
+        .withMessage('Invalid product ID!'),
+    
+    body('packages.*.items.*.variantId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid variant ID!'),
+    
+    body('packages.*.items.*.quantity')
+        .isInt({ min: 1 })
+        .withMessage('Quantity must be at least 1!')
+        .toInt(),
+    
+    body('packages.*.weightKg')
+        .optional({ nullable: true })
+        .isFloat({ gt: 0 })
+        .withMessage('Weight must be greater than 0!')
+        .toFloat(),
+    
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters!')
+];
+
+// Shipment ID validation
+const validateShipmentId = [
+    param('shipmentId')
+        .matches(/^SHP-[A-Za-z0-9\-]+$/)
+        .withMessage('Invalid shipment ID format!')
+];
+
+// Tracking event added by a seller
+const validateShipmentEvent = [
+    ...validateShipmentId,
+    
+    body('status')
+        .isIn(['picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned', 'cancelled'])
+        .withMessage('Invalid shipment status!'),
+    
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Description cannot exceed 300 characters!'),
+    
+    body('location')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Location cannot exceed 100 characters!'),
+    
+    body('at')
+        .optional()
+        .isISO8601()
+        .withMessage('Event time must be an ISO 8601 date!')
+];
+
+// Shipping quote validation (cart page)
+const validateShippingQuote = [
+    body('cartItems')
+        .isArray({ min: 1 })
+        .withMessage('Cart must contain at least one item!'),
+    
+    body('cartItems.*.productId')
+        .isMongoId()
+        .withMessage('Invalid product ID format!'),
+    
+    body('cartItems.*.variantId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid variant ID format!'),
+    
+    body('cartItems.*.quantity')
+        .isInt({ min: 1, max: 99 })
+        .withMessage('Quantity must be between 1 and 99!'),
+    
+    body('shippingAddress.zipcode')
+        .trim()
+        .matches(/^[0-9]{6}$/)
+        .withMessage('Pincode must be 6 digits!'),
+    
+    body('shippingAddress.state')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('State must be between 2 and 50 characters!')
+];
+
+// Shipping rule validation (update: every field optional)
+const shippingRuleFields = (isUpdate) => [
+    body('name')
+        .if((value) => !isUpdate || value !== undefined)
+        .trim()
+        .isLength({ min: 2, max: 60 })
+        .withMessage('Rule name must be between 2 and 60 characters!'),
+    
+    body('zone.states')
+        .optional()
+        .isArray({ max: 40 })
+        .withMessage('Zone states must be a list!'),
+    
+    body('zone.states.*')
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Each state must be between 2 and 50 characters!'),
+    
+    body('zone.pincodePrefixes')
+        .optional()
+        .isArray({ max: 500 })
+        .withMessage('Zone pincode prefixes must be a list!'),
+    
+    body('zone.pincodePrefixes.*')
+        .trim()
+        .matches(/^[0-9]{1,6}$/)
+        .withMessage('Pincode prefixes must be 1-6 digits!'),
+    
+    body('basis')
+        .optional()
+        .isIn(['flat', 'weight', 'items'])
+        .withMessage('Basis must be flat, weight or items!'),
+    
+    body('flatCharge')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Flat charge must be 0 or more!')
+        .toFloat(),
+    
+    body('slabs')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Slabs must be a list!'),
+    
+    body('slabs.*.upTo')
+        .optional({ nullable: true })
+        .isFloat({ gt: 0 })
+        .withMessage('Slab limit must be greater than 0!')
+        .toFloat(),
+    
+    body('slabs.*.charge')
+        .isFloat({ min: 0 })
+        .withMessage('Slab charge must be 0 or more!')
+        .toFloat(),
+    
+    body('freeShippingThreshold')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Free shipping threshold must be 0 or more!')
+        .toFloat(),
+    
+    body('priority')
+        .optional()
+        .isInt({ min: -100, max: 100 })
+        .withMessage('Priority must be between -100 and 100!')
+        .toInt(),
+    
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false!')
+        .toBoolean()
+];
+
+const validateShippingRuleCreation = shippingRuleFields(false);
+
+const validateShippingRuleUpdate = [
+    ...validateId,
+    ...shippingRuleFields(true)
+];
+
+// Product gallery validation
+const validateProductImageUpload = [
+    ...validateId,
+    
+    // One alt text per uploaded file (multipart: a JSON list, or a single string for one file)
+    body('alt')
+        .optional()
+        .customSanitizer(value => {
+            if (typeof value !== 'string') return value;
+            try {
+                const parsed = JSON.parse(value);
+                return Array.isArray(parsed) ? parsed : [value];
+            } catch (error) {
+                return [value];
+            }
+        })
+        .isArray({ max: 20 })
+        .withMessage('Alt text must be a list!'),
+    
+    body('alt.*')
+        .trim()
+        .isLength({ max: 150 })
+        .withMessage('Alt text cannot exceed 150 characters!')
+];
+
+const validateProductImageOrder = [
+    ...validateId,
+    
+    body('imageIds')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('imageIds must list the product\'s images!'),
+    
+    body('imageIds.*')
+        .isMongoId()
+        .withMessage('Invalid image ID!')
+];
+
+const validateProductImageId = [
+    ...validateId,
+    
+    param('imageId')
+        .isMongoId()
+        .withMessage('Invalid image ID!')
+];
+
+const validateProductImageAlt = [
+    ...validateProductImageId,
+    
+    body('alt')
+        .isString()
+        .trim()
+        .isLength({ max: 150 })
+        .withMessage('Alt text cannot exceed 150 characters!')
+];
+
+// Catalog listing validation
+const validateCatalogQuery = [
+    query('page')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('Page must be a positive number!')
+        .toInt(),
+    
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100!')
+        .toInt(),
+    
+    query('sort')
+        .optional()
+        .isIn(['newest', 'price_asc', 'price_desc', 'rating', 'popularity'])
+        .withMessage('Sort must be newest, price_asc, price_desc, rating or popularity!'),
+    
+    // One category ID, or several separated by commas
+    query('categoryId')
+        .optional()
+        .customSanitizer(value => String(value).split(',').map(id => id.trim()).filter(Boolean))
+        .isArray({ min: 1, max: 20 })
+        .withMessage('Invalid category filter!'),
+    
+    query('categoryId.*')
+        .isMongoId()
+        .withMessage('Invalid category ID format!'),
+    
+    query('minPrice')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Minimum price must be 0 or more!')
+        .toFloat(),
+    
+    query('maxPrice')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Maximum price must be 0 or more!')
+        .toFloat()
+        .custom((value, { req }) => {
+            if (req.query.minPrice !== undefined && value < req.query.minPrice) {
+                throw new Error('Maximum price cannot be less than minimum price!');
+            }
+            return true;
+        }),
+    
+    query(['sale', 'featured', 'inStock'])
+        .optional()
+        .isBoolean()
+        .withMessage('Sale, featured and inStock filters must be true or false!')
+        .toBoolean(),
+    
+    query('minRating')
+        .optional()
+        .isFloat({ min: 1, max: 5 })
+        .withMessage('Minimum rating must be between 1 and 5!')
+        .toFloat()
+];
+
+// Product review validation (edits: every field optional)
+const reviewFields = (isEdit) => [
+    body('rating')
+        .if((value) => !isEdit || value !== undefined)
+        .isInt({ min: 1, max: 5 })
+        .withMessage('Rating must be a whole number between 1 and 5!')
+        .toInt(),
+    
+    body('title')
+        .if((value) => !isEdit || value !== undefined)
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 120 })
+        .withMessage('Title must be between 1 and 120 characters!'),
+    
+    body('content')
+        .if((value) => !isEdit || value !== undefined)
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Review must be between 1 and 2000 characters!')
+];
+
+const validateReviewCreation = [...validateId, ...reviewFields(false)];
+const validateReviewUpdate = [...validateId, ...reviewFields(true)];
+
+const validateReviewQueue = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'approved', 'rejected'])
+        .withMessage('Status must be pending, approved or rejected!'),
+    
+    query('productId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid product ID!'),
+    
+    query('page')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('Page must be a positive number!')
+        .toInt(),
+    
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100!')
+        .toInt()
+];
+
+const validateReviewId = [
+    ...validateId,
+    
+    param('reviewId')
+        .isMongoId()
+        .withMessage('Invalid review ID!')
+];
+
+const validateReviewRejection = [
+    ...validateReviewId,
+    
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters!')
+];
+
+const validateReviewReply = [
+    ...validateReviewId,
+    
+    body('text')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Reply must be between 1 and 1000 characters!')
+];
+
 module.exports = {
     validateUserRegistration,
     validateUserLogin,
@@ -609,5 +1674,46 @@ module.exports = {
     validateSellerLogin,
     validateSellerPasswordReset,
     validateId,
-    validateCategoryParamId
+    validateCategoryParamId,
+    validateCouponCreation,
+    validateCouponUpdate,
+    validateStockAdjustment,
+    validateLowStockThreshold,
+    validatePushSubscription,
+    validateNotificationSettings,
+    validateStaffInvite,
+    validateStaffAcceptance,
+    validateStaffRole,
+    validateRefundRequest,
+    validateRefundRequestId,
+    validateRefundDecision,
+    validateCodAvailability,
+    validateCodOtpRequest,
+    validateCustomerCancellation,
+    validateReturnRequest,
+    validateCustomerReturnsQuery,
+    validateReturnId,
+    validateReturnDecision,
+    validateReturnSettlement,
+    validateCourierPartnerCreation,
+    validateCourierPartnerUpdate,
+    validateShipmentCreation,
+    validateShipmentId,
+    validateShipmentEvent,
+    validateShippingQuote,
+    validateShippingRuleCreation,
+    validateShippingRuleUpdate,
+    validateSellerTaxProfile,
+    validateProductImageUpload,
+    validateProductImageOrder,
+    validateProductImageId,
+    validateProductImageAlt,
+    validateCatalogQuery,
+    validateSearchSuggest,
+    validateReviewCreation,
+    validateReviewUpdate,
+    validateReviewQueue,
+    validateReviewId,
+    validateReviewRejection,
+    validateReviewReply
 };
@@ -0,0 +1,11 @@
+const mongoose = require("mongoose");
+
+// ✅ Running number of a sequence (see services/sequenceService.js), incremented atomically with $inc
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true }, // Sequence name plus the financial year ("invoice:2026-27") or parent ID ("return:ORD-...")
+  name: { type: String }, // Sequence name - order, invoice, creditNote, refundRequest, return, shipment
+  seq: { type: Number, default: 0 } // Last number issued
+}, { timestamps: true });
+
+const Counter = mongoose.model("Counter", counterSchema);
+module.exports = Counter;
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: "" },
+
+  // ✅ Discount rules
+  discountType: { type: String, enum: ["percent", "flat"], required: true },
+  discountValue: { type: Number, required: true, min: 0 }, // Percent (0-100) or flat ₹ amount
+  maxDiscount: { type: Number, default: null }, // Cap for percent coupons (null = no cap)
+  minOrderValue: { type: Number, default: 0 },
+
+  // ✅ Validity window
+  validFrom: { type: Date, default: Date.now },
+  validUntil: { type: Date, default: null }, // null = never expires
+
+  // ✅ Usage limits (counted against orders that are paid or still awaiting payment, e.g. COD; cancelled ones don't count)
+  usageLimit: { type: Number, default: null }, // Total redemptions across all customers (null = unlimited)
+  perUserLimit: { type: Number, default: 1 }, // Redemptions per customer (null = unlimited)
+  firstOrderOnly: { type: Boolean, default: false },
+
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller" }
+}, { timestamps: true });
+
+couponSchema.pre("validate", function(next) {
+  if (this.discountType === "percent" && this.discountValue > 100) {
+    this.invalidate("discountValue", "Percent discount cannot exceed 100");
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate("validUntil", "validUntil must be after validFrom");
+  }
+  next();
+});
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+module.exports = Coupon;
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// ✅ Courier a seller ships with, and how its tracking events reach us
+const courierPartnerSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true, index: true },
+  name: { type: String, required: true, trim: true }, // Shown to customers, e.g. "Delhivery"
+  code: { type: String, required: true, lowercase: true, trim: true }, // e.g. "delhivery"
+
+  // Customer-facing tracking page; "{awb}" is replaced with the shipment's AWB number
+  trackingUrlTemplate: { type: String, default: "" },
+
+  // Courier adapter that reads its webhooks (services/couriers); "manual" = seller adds events by hand
+  adapter: { type: String, default: "manual" },
+  webhookSecret: { type: String, select: false }, // Shared with the courier to sign webhooks
+
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+courierPartnerSchema.index({ sellerId: 1, code: 1 }, { unique: true });
+
+const CourierPartner = mongoose.model("CourierPartner", courierPartnerSchema);
+module.exports = CourierPartner;
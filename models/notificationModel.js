@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// ✅ Seller inbox entry - one per notification built from the notificationService templates
+const notificationSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true },
+  category: { type: String, enum: ["orders", "payments", "lowStock", "reviews"], required: true },
+  type: { type: String, default: "info" }, // success | warning | error | info (display style)
+  title: { type: String, required: true },
+  message: { type: String, default: "" },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  url: { type: String, default: null },
+  channels: [{ type: String }], // Channels it was delivered on (Email, Push)
+  readAt: { type: Date, default: null } // null = unread
+}, { timestamps: true });
+
+notificationSchema.index({ sellerId: 1, createdAt: -1 });
+notificationSchema.index({ sellerId: 1, readAt: 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+module.exports = Notification;
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// ✅ Per-seller notification switches (one document per seller)
+const notificationPreferenceSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true, unique: true },
+
+  // ✅ Channels
+  email: { type: Boolean, default: true },
+  push: { type: Boolean, default: true },
+  realtime: { type: Boolean, default: true },
+
+  // ✅ Notification types (match the `category` of notificationService templates)
+  types: {
+    orders: { type: Boolean, default: true },
+    payments: { type: Boolean, default: true },
+    lowStock: { type: Boolean, default: true },
+    reviews: { type: Boolean, default: true }
+  }
+}, { timestamps: true });
+
+const NotificationPreference = mongoose.model("NotificationPreference", notificationPreferenceSchema);
+module.exports = NotificationPreference;
@@ -1,5 +1,73 @@
 const mongoose = require("mongoose");
 
+const orderItemSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product variant ordered (null = the product itself)
+  variantLabel: { type: String, default: null }, // e.g. "1kg", as it was when the order was placed
+  sku: { type: String, default: null },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null }, // Product owner at time of order
+  name: { type: String, required: true },
+  price: { type: Number, required: true },
+  quantity: { type: Number, required: true },
+  subtotal: { type: Number, required: true },
+  discount: { type: Number }, // Share of the order discount (a seller's coupon only discounts that seller's lines; unset on older orders)
+
+  // ✅ GST at order time (see services/taxService.js) - taxableValue + taxes = subtotal less its share of the discount
+  hsnCode: { type: String, default: null },
+  gstRate: { type: Number, default: 0 },
+  taxableValue: { type: Number },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 }
+});
+
+// ✅ Seller details printed on tax invoices, as they were when the order was placed
+const supplierSchema = new mongoose.Schema({
+  name: { type: String },
+  address: { type: String },
+  state: { type: String, default: null },
+  gstin: { type: String, default: null }
+}, { _id: false });
+
+// ✅ One seller's share of an order - fulfilled and tracked separately
+const subOrderSchema = new mongoose.Schema({
+  subOrderId: { type: String, required: true }, // ORD-...-1, ORD-...-2
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null },
+  orderItems: [orderItemSchema],
+  itemsTotal: { type: Number, required: true }, // Sum of item subtotals (before order-level discount and shipping)
+  supplier: { type: supplierSchema, default: null },
+  orderStatus: {
+    type: String,
+    enum: ["Pending", "Processing", "Shipped", "Delivered", "Canceled", null],
+    default: null // null = follows the order status until the seller moves it on
+  },
+  trackingId: { type: String, default: null },
+  courierPartner: { type: String, default: null },
+  codCollectedAt: { type: Date, default: null }, // COD orders: when this seller collected the cash
+  codCollectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null }
+});
+
+// ✅ Order line (or part of one) a partial refund pays back - listed on its credit note
+const refundedItemSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  name: { type: String },
+  quantity: { type: Number, required: true }
+}, { _id: false });
+
+// ✅ One status change on the order timeline (see services/orderStateService.js)
+const statusChangeSchema = new mongoose.Schema({
+  field: { type: String, enum: ["orderStatus", "paymentStatus", "subOrderStatus"], required: true },
+  subOrderId: { type: String, default: null }, // subOrderStatus changes only
+  from: { type: String, default: null }, // Previous value (null when the order was placed)
+  to: { type: String, required: true },
+  actorType: { type: String, enum: ["customer", "seller", "system"], default: "system" },
+  actorId: { type: mongoose.Schema.Types.ObjectId, default: null }, // User or seller account
+  source: { type: String, default: null }, // e.g. create-order, razorpay-webhook, dashboard, auto-cancel
+  note: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -75,15 +143,10 @@ const orderSchema = new mongoose.Schema({
   },
 
   // ✅ Order Items
-  orderItems: [
-    {
-      productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
-      name: { type: String, required: true },
-      price: { type: Number, required: true },
-      quantity: { type: Number, required: true },
-      subtotal: { type: Number, required: true }
-    }
-  ],
+  orderItems: [orderItemSchema],
+
+  // ✅ Per-seller split of orderItems
+  subOrders: { type: [subOrderSchema], default: [] },
 
   // ✅ Shipping Address
   shippingAddress: {
@@ -98,7 +161,7 @@ const orderSchema = new mongoose.Schema({
 
   paymentMethod: {
     type: String,
-    enum: ["razorpay", "phonepe"],
+    enum: ["razorpay", "phonepe", "cod"],
     required: true
   },
   paymentStatus: {
@@ -108,7 +171,9 @@ const orderSchema = new mongoose.Schema({
   },
   transactionId: { type: String },
   merchantTransactionId: { type: String }, // For PhonePe status checks
+  razorpayOrderId: { type: String }, // Razorpay order created at checkout, checked in verify-payment
   phonePePaymentData: { type: mongoose.Schema.Types.Mixed }, // PhonePe payment response data
+  codPhoneVerifiedAt: { type: Date }, // COD orders: when the customer's phone was confirmed by OTP
   orderStatus: {
     type: String,
     enum: ["Pending", "Processing", "Shipped", "Delivered", "Canceled"],
@@ -130,6 +195,21 @@ discountAmount: {
 ,
 finalTotal: { type: Number, required: true },
 shippingCharges:{type: Number, required: true},
+paymentCharges: { type: Number, default: 0 }, // Payment method fee (e.g. COD), included in finalTotal
+
+  // ✅ GST included in the items (sums of the orderItems tax fields)
+  taxSummary: {
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    nonTaxableValue: { type: Number, default: 0 } // Shipping and payment fees (charged without GST)
+  },
+
+  // ✅ Tax invoice - numbered in sequence when first issued (see services/invoiceService.js)
+  invoiceNumber: { type: String, unique: true, sparse: true },
+  invoiceDate: { type: Date, default: null },
   
   // ✅ Refund Information
   refundDetails: {
@@ -139,7 +219,8 @@ shippingCharges:{type: Number, required: true},
     refundStatus: { type: String },
     refundDate: { type: Date },
     refundReason: { type: String },
-    processedBy: { type: String }
+    processedBy: { type: String },
+    creditNoteNumber: { type: String } // From the creditNote sequence once the refund is booked
   },
   
   partialRefunds: [{
@@ -149,17 +230,30 @@ shippingCharges:{type: Number, required: true},
     refundStatus: { type: String },
     refundDate: { type: Date },
     refundReason: { type: String },
-    processedBy: { type: String }
+    processedBy: { type: String },
+    creditNoteNumber: { type: String }, // From the creditNote sequence once the refund is booked
+    items: { type: [refundedItemSchema], default: [] } // Lines refunded (e.g. a return); empty = an amount only
   }],
   
   totalRefunded: {
     type: Number,
     default: 0
   },
+
+  // ✅ Every orderStatus / paymentStatus / sub-order status change, oldest first
+  statusHistory: { type: [statusChangeSchema], default: [] },
   
   orderDate: { type: Date, default: Date.now }
 
 }, { timestamps: true });
 
+orderSchema.index({ "subOrders.sellerId": 1, createdAt: -1 });
+orderSchema.index({ "refundDetails.creditNoteNumber": 1 }, { sparse: true });
+orderSchema.index({ "partialRefunds.creditNoteNumber": 1 }, { sparse: true });
+
 const Order = mongoose.model("Order", orderSchema);
+
+// ✅ Identifies an order line across returns, shipments and refunds - a product can be on an order once per variant
+Order.lineKey = (item) => (item.variantId ? `${item.productId}:${item.variantId}` : String(item.productId));
+
 module.exports = Order;
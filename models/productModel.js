@@ -1,12 +1,56 @@
 const mongoose = require("mongoose");
+const { buildSearchFields } = require("../utils/searchText");
+
+// ✅ GST slabs (%) a product can be taxed at
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// ✅ Review statuses - only approved reviews are shown and counted in the rating
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// ✅ Seller's public answer to a review
+const reviewReplySchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller" }, // Staff account that replied
+  repliedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 // ✅ Review Schema for Google Rich Snippets
+// One per customer per product; edits send it back to the seller's moderation queue (see services/reviewService.js)
 const reviewSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = posted before reviews needed an account
   rating: { type: Number, min: 1, max: 5, required: true },
   title: { type: String, required: true },
   content: { type: String, required: true },
   authorName: { type: String, default: "Anonymous" },
-  createdAt: { type: Date, default: Date.now }
+  verifiedPurchase: { type: Boolean, default: false }, // Customer has a Paid, Delivered order containing the product
+  status: { type: String, enum: REVIEW_STATUSES, default: "pending" },
+  rejectionReason: { type: String, default: null },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null }, // Staff account that approved or rejected it
+  moderatedAt: { type: Date, default: null },
+  reply: { type: reviewReplySchema, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: null } // Last edit by the customer
+}, { _id: true });
+
+// ✅ Gallery image - the first one in a product's list is its primary image
+const imageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  publicId: { type: String, default: null }, // Cloudinary public ID, to delete the asset with the image
+  alt: { type: String, default: "", trim: true }
+}, { _id: true });
+
+// ✅ Pack size of a product (500g, 1kg, box) - sold, priced and stocked on its own
+// Stock fields change only through inventoryService, like the product's own
+const variantSchema = new mongoose.Schema({
+  label: { type: String, required: true, trim: true }, // e.g. "500g", "1kg", "Box of 12"
+  sku: { type: String }, // Generated from the product SKU and label
+  price: { type: Number, required: true, min: 0 },
+  mrp: { type: Number, required: true, min: 0 },
+  weightKg: { type: Number, default: null, min: 0 }, // Shipping weight per unit (null = the product's)
+  stock: { type: Number, default: 0, min: 0 },
+  reservedStock: { type: Number, default: 0, min: 0 },
+  lowStockAlertedAt: { type: Date, default: null }, // Like the product's, against the product's lowStockThreshold
+  isActive: { type: Boolean, default: true }
 }, { _id: true });
 
 const productSchema = new mongoose.Schema({
@@ -14,10 +58,17 @@ const productSchema = new mongoose.Schema({
   price: { type: Number, required: true }, // Sale price
   mrp: { type: Number, required: true }, // MRP (Maximum Retail Price)
   sale: { type: Boolean, default: false }, // Flag to indicate if the product is on sale
-  image: { type: String, required: true },
+  image: { type: String, required: true }, // Primary image - mirrors images[0] once the product has a gallery
+  images: { type: [imageSchema], default: [] }, // Ordered gallery (see services/productImageService.js)
   categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
   description: { type: String, required: false },
   featured: { type: Boolean, default: false },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', index: true }, // Seller who lists and fulfils this product
+  weightKg: { type: Number, default: null, min: 0 }, // Shipping weight per unit (null = SHIPPING_DEFAULT_ITEM_WEIGHT_KG)
+
+  // ✅ GST - prices above include tax at gstRate (see services/taxService.js)
+  hsnCode: { type: String, default: null, trim: true }, // HSN code printed on tax invoices, e.g. 0808 for apples
+  gstRate: { type: Number, enum: GST_RATES, default: 0 },
   
   // ✅ SEO Enhancement: SKU for structured data
   sku: { type: String, unique: true, required: true },
@@ -27,19 +78,108 @@ const productSchema = new mongoose.Schema({
   avgRating: { type: Number, default: 0 },
   reviewCount: { type: Number, default: 0 },
 
-  // ✅ Added manual out-of-stock toggle
-  outOfStock: { type: Boolean, default: false }
+  // ✅ Inventory (changed only through inventoryService so every change lands in the StockMovement ledger)
+  // Quantity on hand = stock + reservedStock
+  stock: { type: Number, default: 0, min: 0 }, // Available to sell
+  reservedStock: { type: Number, default: 0, min: 0 }, // Held for checkouts awaiting payment
+  lowStockThreshold: { type: Number, default: 5, min: 0 }, // Reorder point - alert when available stock falls to this
+  lowStockAlertedAt: { type: Date, default: null }, // Set when an alert is sent, cleared once restocked above the threshold
+  soldCount: { type: Number, default: 0, min: 0 }, // Units sold less units restored (ledger deductions - restorations), for popularity sorting
+
+  // ✅ Variants - when a product has any, carts and orders pick one. The product's price and mrp are
+  // the cheapest active variant's; its stock and reservedStock are the variants' totals (inventoryService)
+  variants: { type: [variantSchema], default: [] },
+
+  // ✅ Derived from stock - kept in sync by the pre-save hook and inventoryService
+  outOfStock: { type: Boolean, default: true },
+
+  // ✅ Search index (see services/searchService.js) - rebuilt by the pre-save hook, hidden from queries
+  searchTerms: { type: [String], default: [], select: false }, // Words of name, category, description, variant labels and SKUs
+  searchPrefixes: { type: [String], default: [], select: false }, // Word starts of name and category, for autocomplete
+  searchGrams: { type: [String], default: [], select: false } // Trigrams of name and category words, for typo tolerance
 }, { timestamps: true });
 
+// ✅ Catalog listing filters and sorts (see services/catalogService.js)
+productSchema.index({ categoryId: 1, price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ soldCount: -1 });
+productSchema.index({ avgRating: -1 });
+// ✅ Review lookups: a customer's own review, and a seller's moderation queue
+productSchema.index({ "reviews.userId": 1 });
+productSchema.index({ sellerId: 1, "reviews.status": 1 });
+productSchema.index({ searchTerms: 1 });
+productSchema.index({ searchPrefixes: 1 });
+productSchema.index({ searchGrams: 1 });
+
+// ✅ Products with a gallery show its first image, and products with variants the price of their cheapest active variant
+productSchema.pre('validate', function(next) {
+  if (this.images.length > 0) {
+    this.image = this.images[0].url;
+  }
+  if (this.variants.length > 0) {
+    const active = this.variants.filter(v => v.isActive);
+    const priced = active.length > 0 ? active : this.variants;
+    const cheapest = priced.reduce((min, v) => (v.price < min.price ? v : min), priced[0]);
+    this.price = cheapest.price;
+    this.mrp = cheapest.mrp;
+  }
+  next();
+});
+
+// ✅ Keep the search index in step with the text it covers
+productSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('name description categoryId sku variants')) return next();
+
+  try {
+    let categoryName = '';
+    if (this.populated('categoryId')) {
+      categoryName = this.categoryId.name || '';
+    } else if (this.categoryId) {
+      const cat = await mongoose.model('Category').findById(this.categoryId).select('name').lean();
+      categoryName = cat ? cat.name : '';
+    }
+    this.set(buildSearchFields(this, categoryName));
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ✅ Keep outOfStock derived from stock
+productSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('stock')) {
+    this.outOfStock = (this.stock || 0) <= 0;
+  }
+  next();
+});
+
 // ✅ Helper function to create category/product codes for SKU
 function codeFor(str, len) {
   if (!str) return 'XXX';
   return str.replace(/[^a-zA-Z0-9]/g, '').substring(0, len).toUpperCase().padEnd(len, 'X');
 }
 
+// ✅ Variant SKUs: product SKU + label code (APP-SHI-123-1KG), numbered on a clash
+function assignVariantSkus(product) {
+  const taken = new Set(product.variants.map(v => v.sku).filter(Boolean));
+  product.variants.forEach(variant => {
+    if (variant.sku) return;
+    const base = `${product.sku}-${codeFor(variant.label, 4).replace(/X+$/, '') || 'VAR'}`;
+    let candidate = base;
+    for (let i = 2; taken.has(candidate); i++) {
+      candidate = `${base}${i}`;
+    }
+    variant.sku = candidate;
+    taken.add(candidate);
+  });
+}
+
 // ✅ Auto-generate SKU before validation
 productSchema.pre('validate', async function(next) {
-  if (this.sku) return next();
+  if (this.sku) {
+    assignVariantSkus(this);
+    return next();
+  }
   
   try {
     // Get category name for SKU generation
@@ -72,6 +212,7 @@ productSchema.pre('validate', async function(next) {
     if (!this.sku) {
       this.sku = `RNR-${this._id.toString().slice(-6).toUpperCase()}`;
     }
+    assignVariantSkus(this);
     
     next();
   } catch (error) {
@@ -79,17 +220,26 @@ productSchema.pre('validate', async function(next) {
   }
 });
 
-// ✅ Utility method to recalculate aggregate rating
+// ✅ Utility method to recalculate aggregate rating (approved reviews only)
 productSchema.methods.recalculateRating = function() {
-  if (!this.reviews || this.reviews.length === 0) {
+  const approved = (this.reviews || []).filter(r => r.status === "approved");
+  if (approved.length === 0) {
     this.avgRating = 0;
     this.reviewCount = 0;
     return;
   }
-  const sum = this.reviews.reduce((acc, r) => acc + (r.rating || 0), 0);
-  this.reviewCount = this.reviews.length;
+  const sum = approved.reduce((acc, r) => acc + (r.rating || 0), 0);
+  this.reviewCount = approved.length;
   this.avgRating = Math.round((sum / this.reviewCount) * 10) / 10; // one decimal place
 };
 
+// ✅ A variant of this product, or null (no variantId, or one that isn't there)
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId || !this.variants) return null;
+  return this.variants.find(v => v._id.toString() === variantId.toString()) || null;
+};
+
 const Product = mongoose.model("Product", productSchema);
+Product.GST_RATES = GST_RATES;
+Product.REVIEW_STATUSES = REVIEW_STATUSES;
 module.exports = Product;
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// ✅ Web push subscription for one seller device/browser (a seller can have several)
+const pushSubscriptionSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true, index: true },
+  endpoint: { type: String, required: true, unique: true }, // Push service URL identifies the device
+  expirationTime: { type: Number, default: null },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: { type: String, default: "" },
+  lastUsedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+const PushSubscription = mongoose.model("PushSubscription", pushSubscriptionSchema);
+module.exports = PushSubscription;
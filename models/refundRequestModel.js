@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// ✅ One step of a refund request's life (who moved it, when and why)
+const refundHistorySchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null },
+  note: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// ✅ Refund that has to be requested and approved before it is sent to the payment provider
+const refundRequestSchema = new mongoose.Schema({
+  requestId: { type: String, required: true, unique: true }, // RFR-<orderId>-<n>
+  orderId: { type: String, required: true, index: true }, // User-friendly order ID (ORD-...)
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true, index: true }, // Store that raised it
+  provider: { type: String, enum: ["razorpay", "phonepe"], required: true },
+  type: { type: String, enum: ["full", "partial"], required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  reason: { type: String, required: true, trim: true },
+
+  status: {
+    type: String,
+    enum: ["requested", "approved", "executing", "executed", "rejected", "failed"],
+    default: "requested"
+  },
+  requiredApprovals: { type: Number, default: 1, min: 1 },
+  approvals: [{
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true },
+    role: { type: String },
+    note: { type: String, default: "" },
+    at: { type: Date, default: Date.now }
+  }],
+
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true },
+  rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null },
+  executedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null },
+  executedAt: { type: Date, default: null },
+
+  // ✅ Provider result once executed
+  refundId: { type: String, default: null },
+  providerRefundId: { type: String, default: null },
+  providerStatus: { type: String, default: null },
+  failureReason: { type: String, default: null },
+
+  history: [refundHistorySchema]
+}, { timestamps: true });
+
+refundRequestSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+
+const RefundRequest = mongoose.model("RefundRequest", refundRequestSchema);
+module.exports = RefundRequest;
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// ✅ One step of a return's life (who moved it, when and why)
+const returnHistorySchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  actorType: { type: String, enum: ["customer", "seller", "system"], default: "system" },
+  by: { type: mongoose.Schema.Types.ObjectId, default: null }, // User or seller account
+  note: { type: String, default: "" },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// ✅ Customer request to send back delivered items; one per seller whose items are returned
+const returnRequestSchema = new mongoose.Schema({
+  returnId: { type: String, required: true, unique: true }, // RET-<orderId>-<n>
+  orderId: { type: String, required: true, index: true }, // User-friendly order ID (ORD-...)
+  subOrderId: { type: String, required: true },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null for guest orders
+
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    name: { type: String, required: true },
+    price: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    subtotal: { type: Number, required: true }
+  }],
+  reason: { type: String, required: true, trim: true },
+  photos: { type: [String], default: [] }, // Cloudinary URLs
+
+  // Items' share of what the customer paid (order discount applied, shipping not included)
+  refundAmount: { type: Number, required: true, min: 0 },
+
+  status: {
+    type: String,
+    // approved = goods accepted, nothing was paid to refund (e.g. COD cash not collected yet)
+    // refund_pending = goods accepted, refund owed outside the gateway (e.g. COD) until the seller settles it
+    enum: ["requested", "approved", "refund_pending", "refunded", "refund_failed", "rejected"],
+    default: "requested"
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null },
+  reviewedAt: { type: Date, default: null },
+  restockedAt: { type: Date, default: null },
+
+  // ✅ Provider result once refunded (manual refunds: how it was paid and the seller's reference)
+  refundMethod: { type: String, enum: ["gateway", "cash", "bank_transfer", "upi", null], default: null },
+  refundId: { type: String, default: null },
+  providerRefundId: { type: String, default: null },
+  failureReason: { type: String, default: null },
+
+  history: [returnHistorySchema]
+}, { timestamps: true });
+
+returnRequestSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model("ReturnRequest", returnRequestSchema);
+module.exports = ReturnRequest;
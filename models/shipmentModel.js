@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const SHIPMENT_STATUSES = [
+  "created", "picked_up", "in_transit", "out_for_delivery",
+  "delivered", "failed_delivery", "returned", "cancelled"
+];
+
+// ✅ One tracking scan (from the courier's webhook or added by the seller)
+const trackingEventSchema = new mongoose.Schema({
+  status: { type: String, enum: SHIPMENT_STATUSES, required: true },
+  code: { type: String, default: null }, // Courier's own status code
+  description: { type: String, default: "" },
+  location: { type: String, default: "" },
+  at: { type: Date, required: true },
+  source: { type: String, default: "seller" } // seller, or courier:<adapter>
+}, { _id: false });
+
+// ✅ One box in a shipment and the items packed in it
+const packageSchema = new mongoose.Schema({
+  packageNo: { type: Number, required: true },
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  weightKg: { type: Number, default: null },
+  dimensionsCm: {
+    length: { type: Number, default: null },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null }
+  }
+}, { _id: false });
+
+// ✅ Packages handed to a courier under one AWB (air waybill) number
+const shipmentSchema = new mongoose.Schema({
+  shipmentId: { type: String, required: true, unique: true }, // SHP-<subOrderId>-<n>
+  orderId: { type: String, required: true, index: true }, // User-friendly order ID (ORD-...)
+  subOrderId: { type: String, required: true },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true },
+
+  courierPartnerId: { type: mongoose.Schema.Types.ObjectId, ref: "CourierPartner", required: true },
+  courierName: { type: String, required: true }, // Copied so old shipments keep their courier's name
+  awb: { type: String, required: true, trim: true },
+  trackingUrl: { type: String, default: null },
+
+  packages: { type: [packageSchema], default: [] },
+
+  status: { type: String, enum: SHIPMENT_STATUSES, default: "created" },
+  events: { type: [trackingEventSchema], default: [] }, // Oldest first
+  deliveredAt: { type: Date, default: null },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null }
+}, { timestamps: true });
+
+shipmentSchema.index({ courierPartnerId: 1, awb: 1 }, { unique: true });
+shipmentSchema.index({ sellerId: 1, createdAt: -1 });
+
+const Shipment = mongoose.model("Shipment", shipmentSchema);
+Shipment.STATUSES = SHIPMENT_STATUSES;
+module.exports = Shipment;
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// ✅ Charge for shipments up to a weight (kg) or item count; upTo null = no upper limit
+const slabSchema = new mongoose.Schema({
+  upTo: { type: Number, default: null, min: 0 },
+  charge: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// ✅ How a seller charges for shipping to a zone (see services/shippingService.js)
+const shippingRuleSchema = new mongoose.Schema({
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", required: true, index: true },
+  name: { type: String, required: true, trim: true }, // e.g. "Karnataka", "Metro pincodes", "Rest of India"
+
+  // ✅ Zone - pincode prefixes win over states; a rule with neither covers everywhere else
+  zone: {
+    states: { type: [String], default: [] }, // Stored lowercase
+    pincodePrefixes: { type: [String], default: [] }
+  },
+
+  // ✅ Charge - flat, or from the slab the seller's items fall in
+  basis: { type: String, enum: ["flat", "weight", "items"], default: "flat" },
+  flatCharge: { type: Number, default: 0, min: 0 },
+  slabs: { type: [slabSchema], default: [] }, // Ascending by upTo
+  freeShippingThreshold: { type: Number, default: null, min: 0 }, // Items' value (after discount) that ships free; null = never
+
+  priority: { type: Number, default: 0 }, // Breaks ties between equally specific rules (higher wins)
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+shippingRuleSchema.pre("validate", function(next) {
+  this.zone.states = (this.zone.states || []).map(state => state.trim().toLowerCase()).filter(Boolean);
+  this.zone.pincodePrefixes = (this.zone.pincodePrefixes || []).map(prefix => String(prefix).trim()).filter(Boolean);
+  this.slabs.sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+  if (this.basis !== "flat" && this.slabs.length === 0) {
+    this.invalidate("slabs", "Weight and item-count rules need at least one slab");
+  }
+  next();
+});
+
+const ShippingRule = mongoose.model("ShippingRule", shippingRuleSchema);
+module.exports = ShippingRule;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// ✅ Inventory ledger: one entry per stock change on a product
+const stockMovementSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true, index: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Variant whose stock changed (null = the product's own)
+  type: {
+    type: String,
+    enum: ["reservation", "release", "deduction", "restoration", "adjustment"],
+    required: true
+  },
+  // reservation: available -> held, release: held -> available, deduction: sold (from held or available)
+  bucket: { type: String, enum: ["available", "reserved"], default: "available" }, // Which figure `quantity` applies to
+  quantity: { type: Number, required: true }, // Signed units (negative = units leaving the bucket)
+  balanceAfter: { type: Number, required: true }, // Product (or variant) stock (available) after this movement
+  reservedAfter: { type: Number, default: 0 }, // Product (or variant) reservedStock after this movement
+  orderId: { type: String, default: null, index: true }, // User-friendly order ID (ORD-...)
+  reason: { type: String, default: "" },
+  source: { type: String, default: "system" }, // e.g. create-order, auto-cancel, refund, seller
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Seller", default: null }
+}, { timestamps: true });
+
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
+module.exports = StockMovement;
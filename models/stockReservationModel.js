@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// ✅ Time-boxed hold on stock for one order line while its payment is pending
+const stockReservationSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, index: true }, // User-friendly order ID (ORD-...)
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  name: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  paymentMethod: { type: String },
+  status: {
+    type: String,
+    enum: ["active", "committed", "released"],
+    default: "active"
+  },
+  expiresAt: { type: Date, required: true },
+  committedAt: { type: Date, default: null },
+  releasedAt: { type: Date, default: null },
+  releaseReason: { type: String, default: null }
+}, { timestamps: true });
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation = mongoose.model("StockReservation", stockReservationSchema);
+module.exports = StockReservation;
@@ -24,6 +24,7 @@ address: [{
    , cart: [
         {
             productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+            variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Pack size, for products with variants
             quantity: { type: Number, default: 1 }
         }
     ], 
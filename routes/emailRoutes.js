@@ -7,6 +7,7 @@ const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const authSeller = require('../middleware/authSeller');
+const { requirePermission } = require('../middleware/permissions');
 
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
@@ -209,7 +210,7 @@ router.post('/test', [
 // =============== SEMI-AUTOMATED MAIL SERVICE ===============
 
 // Get all registered users for email selection - FIXED: Include _id or use email as identifier
-router.get('/users', authSeller, async (req, res) => {
+router.get('/users', authSeller, requirePermission('emails:bulk'), async (req, res) => {
   try {
     const users = await User.find(
       { status: 'active' }, 
@@ -235,7 +236,7 @@ router.get('/users', authSeller, async (req, res) => {
 });
 
 // Send custom template email to provided email addresses - FIXED: Better error handling and response format
-router.post('/send-custom', authSeller, upload.single('template'), async (req, res) => {
+router.post('/send-custom', authSeller, requirePermission('emails:bulk'), upload.single('template'), async (req, res) => {
   try {
     console.log("📥 Incoming request body:", req.body);
 
@@ -347,7 +348,7 @@ router.post('/send-custom', authSeller, upload.single('template'), async (req, r
 });
 
 // Validate template file structure
-router.post('/validate-template', authSeller, upload.single('template'), (req, res) => {
+router.post('/validate-template', authSeller, requirePermission('emails:bulk'), upload.single('template'), (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -2,18 +2,20 @@ const express = require('express');
 const router = express.Router();
 const invoiceService = require('../services/invoiceService');
 const Order = require('../models/orderModel');
+const sellerOrderService = require('../services/sellerOrderService');
 const authSeller = require('../middleware/authSeller');
+const { requirePermission } = require('../middleware/permissions');
 const { auditLogger } = require('../middleware/auditLogger');
 /**
  * Generate single invoice for an order
  * GET /api/invoices/generate/:orderId
  */
-router.get('/generate/:orderId', authSeller, async (req, res) => {
+router.get('/generate/:orderId', authSeller, requirePermission('invoices:view'), async (req, res) => {
     try {
         const { orderId } = req.params;
         
-        // Find the order
-        const order = await Order.findById(orderId).populate('userId');
+        // Find the order (sellers only see orders with their items)
+        const order = await Order.findOne({ _id: orderId, ...sellerOrderService.sellerFilter(req.seller._id) }).populate('userId');
         if (!order) {
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
@@ -66,14 +68,14 @@ router.get('/generate/:orderId', authSeller, async (req, res) => {
  * POST /api/invoices/bulk-generate
  */
 
-router.post('/bulk-generate', authSeller, async (req, res) => {
+router.post('/bulk-generate', authSeller, requirePermission('invoices:view'), async (req, res) => {
   try {
     const { orderIds } = req.body;
     if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
       return res.status(400).json({ success: false, message: 'Please select orders to generate invoices' });
     }
 
-    const orders = await Order.find({ _id: { $in: orderIds } }).populate('userId');
+    const orders = await Order.find({ _id: { $in: orderIds }, ...sellerOrderService.sellerFilter(req.seller._id) }).populate('userId');
     if (orders.length === 0) return res.status(404).json({ success: false, message: 'No orders found' });
 
     // Generate bulk invoices using the new method
@@ -116,16 +118,104 @@ router.post('/bulk-generate', authSeller, async (req, res) => {
   }
 });
 
+/**
+ * List the credit notes issued for an order's refunds
+ * GET /api/invoices/credit-notes/order/:orderId
+ */
+router.get('/credit-notes/order/:orderId', authSeller, requirePermission('invoices:view'), async (req, res) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.orderId, ...sellerOrderService.sellerFilter(req.seller._id) })
+            .select('orderId invoiceNumber refundDetails partialRefunds');
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+
+        const creditNotes = invoiceService.refundEntries(order)
+            .filter(refund => refund.creditNoteNumber)
+            .map(refund => ({
+                creditNoteNumber: refund.creditNoteNumber,
+                refundId: refund.refundId,
+                amount: refund.refundAmount,
+                date: refund.refundDate,
+                reason: refund.refundReason,
+                full: refund.full
+            }));
+
+        res.json({ success: true, data: { orderId: order.orderId, invoiceNumber: order.invoiceNumber || null, creditNotes } });
+
+    } catch (error) {
+        console.error('Credit note list error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get credit notes' });
+    }
+});
+
+/**
+ * Download a credit note (URL-encode numbers that contain "/")
+ * GET /api/invoices/credit-notes/:creditNoteNumber
+ */
+router.get('/credit-notes/:creditNoteNumber', authSeller, requirePermission('invoices:view'), async (req, res) => {
+    try {
+        const { creditNoteNumber } = req.params;
+
+        const order = await Order.findOne({
+            $or: [
+                { 'refundDetails.creditNoteNumber': creditNoteNumber },
+                { 'partialRefunds.creditNoteNumber': creditNoteNumber }
+            ],
+            ...sellerOrderService.sellerFilter(req.seller._id)
+        });
+        const refund = order && invoiceService.findRefund(order, creditNoteNumber);
+        if (!refund) {
+            return res.status(404).json({ success: false, message: 'Credit note not found' });
+        }
+
+        const creditNoteBuffer = await invoiceService.generateCreditNote(order, refund);
+        const filename = invoiceService.generateCreditNoteFilename(creditNoteNumber);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', creditNoteBuffer.length);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('X-Download-Options', 'noopen');
+        res.setHeader('X-Permitted-Cross-Domain-Policies', 'none');
+        res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+
+        auditLogger.info('CREDIT_NOTE_GENERATED', {
+            ip: req.ip,
+            sellerId: req.seller._id,
+            orderId: order.orderId,
+            creditNoteNumber,
+            filename: filename,
+            timestamp: new Date().toISOString()
+        });
+
+        res.send(creditNoteBuffer);
+
+    } catch (error) {
+        console.error('Credit note generation error:', error);
+        auditLogger.error('CREDIT_NOTE_GENERATION_FAILED', {
+            ip: req.ip,
+            sellerId: req.seller?._id || 'unknown',
+            creditNoteNumber: req.params.creditNoteNumber,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+
+        res.status(500).json({ success: false, message: 'Failed to generate credit note' });
+    }
+});
+
 /**
  * Get invoice preview data for an order
  * GET /api/invoices/preview/:orderId
  */
-router.get('/preview/:orderId', authSeller, async (req, res) => {
+router.get('/preview/:orderId', authSeller, requirePermission('invoices:view'), async (req, res) => {
     try {
         const { orderId } = req.params;
         
-        // Find the order
-        const order = await Order.findById(orderId).populate('userId');
+        // Find the order (sellers only see orders with their items)
+        const order = await Order.findOne({ _id: orderId, ...sellerOrderService.sellerFilter(req.seller._id) }).populate('userId');
         if (!order) {
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
@@ -133,10 +223,12 @@ router.get('/preview/:orderId', authSeller, async (req, res) => {
         // Return invoice preview data
         const previewData = {
             orderId: order.orderId,
+            invoiceNumber: order.invoiceNumber || null,
             orderDate: order.createdAt,
             customerName: order.isRegisteredUser ? (order.userName || 'Registered User') : (order.guestName || 'Guest User'),
             customerEmail: order.isRegisteredUser ? (order.userEmail || 'N/A') : (order.guestEmail || 'N/A'),
             totalAmount: order.totalPrice - (order.discountAmount || 0) + (order.shippingCharges || 0),
+            tax: order.taxSummary || null,
             itemCount: order.orderItems?.length || 0,
             paymentMethod: order.paymentMethod,
             orderStatus: order.orderStatus
@@ -1,7 +1,10 @@
 const express = require('express');
+const { validationResult } = require('express-validator');
 const router = express.Router();
 const notificationService = require('../services/notificationService');
 const authSeller = require('../middleware/authSeller');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { validatePushSubscription, validateNotificationSettings, validateId } = require('../middleware/validators');
 
 // Get VAPID public key for web push notifications
 router.get('/vapid-public-key', (req, res) => {
@@ -13,17 +16,17 @@ router.get('/vapid-public-key', (req, res) => {
   }
 });
 
-// Subscribe to push notifications
-router.post('/subscribe-push', authSeller, (req, res) => {
+// Subscribe to push notifications (one subscription per device)
+router.post('/subscribe-push', authSeller, validatePushSubscription, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
   try {
     const { subscription } = req.body;
     const sellerId = req.seller.id || req.seller._id;
 
-    if (!subscription) {
-      return res.status(400).json({ error: 'Subscription data required' });
-    }
-
-    notificationService.subscribeToPush(sellerId, subscription);
+    await notificationService.subscribeToPush(sellerId, subscription, req.get('User-Agent') || '');
     res.json({ success: true, message: 'Push subscription registered' });
   } catch (error) {
     console.error('Push subscription error:', error);
@@ -31,6 +34,28 @@ router.post('/subscribe-push', authSeller, (req, res) => {
   }
 });
 
+// Unsubscribe a device from push notifications
+router.delete('/subscribe-push', authSeller, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    const sellerId = req.seller.id || req.seller._id;
+
+    if (!endpoint) {
+      return res.status(400).json({ error: 'Subscription endpoint required' });
+    }
+
+    const removed = await notificationService.unsubscribeFromPush(sellerId, endpoint);
+    if (!removed) {
+      return res.status(404).json({ error: 'Push subscription not found' });
+    }
+
+    res.json({ success: true, message: 'Push subscription removed' });
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
 // Test notification endpoint (for development)
 router.post('/test', authSeller, async (req, res) => {
   try {
@@ -151,28 +176,93 @@ router.post('/review', authSeller, async (req, res) => {
   }
 });
 
-// Get notification settings for seller
-router.get('/settings', authSeller, (req, res) => {
-  // This would typically come from a database
-  // For now, return default settings
-  res.json({
-    email: true,
-    push: true,
-    realtime: true,
-    types: {
-      orders: true,
-      payments: true,
-      lowStock: true,
-      reviews: true
+// Get the seller's notification inbox (paginated, newest first)
+router.get('/', authSeller, async (req, res) => {
+  try {
+    const sellerId = req.seller.id || req.seller._id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const unreadOnly = req.query.unread === 'true';
+
+    const inbox = await notificationService.getNotifications(sellerId, { page, limit, unreadOnly });
+    res.json({ success: true, data: inbox });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+// Get the number of unread notifications
+router.get('/unread-count', authSeller, async (req, res) => {
+  try {
+    const sellerId = req.seller.id || req.seller._id;
+    const unreadCount = await notificationService.getUnreadCount(sellerId);
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('Unread count error:', error);
+    res.status(500).json({ error: 'Failed to get unread count' });
+  }
+});
+
+// Mark all notifications as read
+router.patch('/read-all', authSeller, async (req, res) => {
+  try {
+    const sellerId = req.seller.id || req.seller._id;
+    const updated = await notificationService.markAllAsRead(sellerId);
+    res.json({ success: true, message: 'All notifications marked as read', updated });
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark a single notification as read
+router.patch('/:id/read', authSeller, validateId, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+  try {
+    const sellerId = req.seller.id || req.seller._id;
+    const notification = await notificationService.markAsRead(sellerId, req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
     }
-  });
+
+    res.json({ success: true, message: 'Notification marked as read', notification });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+// Get notification settings for seller
+router.get('/settings', authSeller, async (req, res) => {
+  try {
+    const sellerId = req.seller.id || req.seller._id;
+    const settings = await notificationService.getPreferences(sellerId);
+    res.json(settings);
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(500).json({ error: 'Failed to load notification settings' });
+  }
 });
 
 // Update notification settings
-router.put('/settings', authSeller, (req, res) => {
-  // This would typically save to a database
-  // For now, just return success
-  res.json({ success: true, message: 'Notification settings updated' });
+router.put('/settings', authSeller, validateNotificationSettings, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+  try {
+    const sellerId = req.seller.id || req.seller._id;
+    const settings = await notificationService.updatePreferences(sellerId, req.body);
+    res.json({ success: true, message: 'Notification settings updated', settings });
+  } catch (error) {
+    console.error('Update notification settings error:', error);
+    res.status(500).json({ error: 'Failed to update notification settings' });
+  }
 });
 
 module.exports = router;
@@ -9,10 +9,29 @@ const {
     validateProductUpdate,
     validateCategoryId,
     validateSearchQuery,
-    validateCategoryParamId
+    validateCategoryParamId,
+    validateProductImageUpload,
+    validateProductImageOrder,
+    validateProductImageId,
+    validateProductImageAlt,
+    validateCatalogQuery,
+    validateSearchSuggest,
+    validateReviewCreation,
+    validateReviewUpdate,
+    validateReviewQueue,
+    validateReviewId,
+    validateReviewRejection,
+    validateReviewReply
 } = require('../middleware/validators');
 const Product = require("../models/productModel");
+const inventoryService = require("../services/inventoryService");
+const productImageService = require("../services/productImageService");
+const catalogService = require("../services/catalogService");
+const searchService = require("../services/searchService");
+const reviewService = require("../services/reviewService");
 const authMiddleware = require("../middleware/authMiddleware");
+const authSeller = require("../middleware/authSeller");
+const { requirePermission } = require("../middleware/permissions");
 const router = express.Router();
 const mongoose = require("mongoose");
 
@@ -38,23 +57,84 @@ const upload = multer({
 
 console.log("✅ productRoutes.js is running!");
 
+// ✅ Fields a seller sets on a variant (stock goes through the inventory ledger, SKUs are generated)
+const variantFields = ({ label, price, mrp, weightKg, isActive }) => ({
+  label,
+  price,
+  mrp,
+  weightKg: weightKg || null,
+  isActive: isActive !== undefined ? isActive : true
+});
+
+const routeError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// ✅ Bring a product's variants in line with the seller's list: edit the listed ones, add new ones
+// and remove the rest. Each step is its own update so concurrent stock movements aren't overwritten.
+// @returns {Array} [{ variantId, stock, isNew }] stock levels for the caller to record through the ledger
+async function saveVariants(product, variants) {
+  const listed = variants.filter(v => v._id).map(v => v._id.toString());
+  const unknown = listed.find(id => !product.findVariant(id));
+  if (unknown) {
+    throw routeError(`Variant ${unknown} not found`, 404);
+  }
+  if (product.variants.length === 0 && variants.length > 0 && (product.stock > 0 || product.reservedStock > 0)) {
+    throw routeError("Set this product's stock to 0 before splitting it into variants", 409);
+  }
+
+  // Removed variants must have no units on hand or held - guarded in the update itself
+  const removed = product.variants.filter(v => !listed.includes(v._id.toString())).map(v => v._id);
+  if (removed.length > 0) {
+    await Product.updateOne(
+      { _id: product._id },
+      { $pull: { variants: { _id: { $in: removed }, stock: 0, reservedStock: 0 } } }
+    );
+    const left = await Product.findById(product._id).select("variants._id variants.label").lean();
+    const blocked = left.variants.filter(v => removed.some(id => id.equals(v._id)));
+    if (blocked.length > 0) {
+      throw routeError(`Set the stock of ${blocked.map(v => v.label).join(", ")} to 0 before removing`, 409);
+    }
+    product = await Product.findById(product._id);
+  }
+
+  const stockLevels = [];
+  variants.filter(v => v._id).forEach(input => {
+    product.findVariant(input._id).set(variantFields(input));
+    if (input.stock !== undefined) stockLevels.push({ variantId: input._id, stock: input.stock, isNew: false });
+  });
+  await product.save();
+
+  const added = variants.filter(v => !v._id);
+  if (added.length > 0) {
+    added.forEach(input => {
+      product.variants.push(variantFields(input));
+      const variant = product.variants[product.variants.length - 1];
+      if (input.stock > 0) stockLevels.push({ variantId: variant._id, stock: input.stock, isNew: true });
+    });
+    await product.save(); // pre-validate hook gives the new variants their SKUs
+  }
+
+  return stockLevels;
+}
+
 // 🔹 POST - Add New Product
-router.post("/", authLimiter, upload.single("image"), validateProductCreation, asyncHandler(async (req, res) => {
+router.post("/", authSeller, requirePermission('catalog:manage'), authLimiter, upload.single("image"), validateProductCreation, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+        await productImageService.discardUploads(req.file);
         return res.status(400).json(handleValidationErrors(errors));
     }
-  let { name, price, description, categoryId, featured, sale, mrp, outOfStock } = req.body;
+  let { name, price, description, categoryId, featured, sale, mrp, stock, lowStockThreshold, weightKg, hsnCode, gstRate } = req.body;
   const image = req.file ? req.file.path : "";
+  const variants = Array.isArray(req.body.variants) ? req.body.variants : [];
 
-  if (!name || !price || !categoryId || !mrp) {
+  if (!name || !categoryId || (variants.length === 0 && (!price || !mrp))) {
+    await productImageService.discardUploads(req.file);
     return res.status(400).json({ success: false, message: "Please fill in all required fields." });
   }
 
   // 🔧 Convert string "true"/"false" to actual booleans
   featured = featured === "true" || featured === true;
   sale = sale === "true" || sale === true;
-  outOfStock = outOfStock === "true" || outOfStock === true;
 
   try {
     const newProduct = new Product({
@@ -62,14 +142,42 @@ router.post("/", authLimiter, upload.single("image"), validateProductCreation, a
       price,
       description,
       image,
+      images: req.file ? [productImageService.fromUpload(req.file, name)] : [],
       categoryId,
       featured,
       sale,
-      outOfStock,
-      mrp
+      mrp,
+      weightKg: weightKg ? parseFloat(weightKg) : null,
+      hsnCode: hsnCode || null,
+      gstRate: gstRate ? parseFloat(gstRate) : 0,
+      variants: variants.map(variantFields),
+      sellerId: req.seller._id
     });
 
-    const savedProduct = await newProduct.save();
+    if (lowStockThreshold !== undefined && lowStockThreshold !== "") {
+      newProduct.lowStockThreshold = parseInt(lowStockThreshold, 10);
+    }
+
+    let savedProduct = await newProduct.save();
+
+    // ✅ Opening stock goes through the ledger like any other change
+    if (variants.length > 0) {
+      for (const [index, variant] of savedProduct.variants.entries()) {
+        if (!(variants[index].stock > 0)) continue;
+        savedProduct = await inventoryService.adjustStock(savedProduct._id, {
+          variantId: variant._id,
+          quantity: variants[index].stock,
+          reason: "Opening stock",
+          sellerId: req.seller._id
+        });
+      }
+    } else if (parseInt(stock, 10) > 0) {
+      savedProduct = await inventoryService.adjustStock(savedProduct._id, {
+        quantity: parseInt(stock, 10),
+        reason: "Opening stock",
+        sellerId: req.seller._id
+      });
+    }
     res.json({ success: true, message: "Product added successfully!", product: savedProduct });
   } catch (error) {
     throw error;
@@ -80,7 +188,17 @@ router.post("/", authLimiter, upload.single("image"), validateProductCreation, a
 // 🔹 GET - All Products
 router.get("/", apiLimiter, asyncHandler(async (req, res) => {
   try {
-    const products = await Product.find();
+    const products = await Product.find().select("-reviews"); // Approved reviews come from /:id/reviews
+    res.json(products);
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 GET - Products listed by the logged-in seller
+router.get("/mine", authSeller, requirePermission('catalog:manage'), apiLimiter, asyncHandler(async (req, res) => {
+  try {
+    const products = await Product.find({ sellerId: req.seller._id }).sort({ createdAt: -1 });
     res.json(products);
   } catch (error) {
     throw error;
@@ -91,7 +209,7 @@ router.get("/", apiLimiter, asyncHandler(async (req, res) => {
 router.get("/featured", apiLimiter, asyncHandler(async (req, res) => {
   console.log("✅ /api/products/featured was called!");
   try {
-    const products = await Product.find({ featured: true });
+    const products = await Product.find({ featured: true }).select("-reviews");
     res.json(products);
   } catch (error) {
     throw error;
@@ -100,16 +218,33 @@ router.get("/featured", apiLimiter, asyncHandler(async (req, res) => {
 // Route to fetch sale products
 router.get("/sale-products", apiLimiter, asyncHandler(async (req, res) => {
   try {
-    const saleProducts = await Product.find({ sale: true }); // Fetch products where the 'sale' flag is true
+    const saleProducts = await Product.find({ sale: true }).select("-reviews"); // Fetch products where the 'sale' flag is true
     res.status(200).json(saleProducts);
   } catch (error) {
     throw error;
   }
 }));
+// 🔹 GET - Catalog listing: filters, sorting, pagination and facet counts
+// e.g. /catalog?categoryId=<id>,<id>&minPrice=100&maxPrice=500&inStock=true&minRating=4&sort=popularity&page=2&limit=24
+router.get("/catalog", apiLimiter, validateCatalogQuery, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const { page, limit, sort, categoryId, minPrice, maxPrice, sale, featured, inStock, minRating } = req.query;
+    const result = await catalogService.list({ page, limit, sort, categoryId, minPrice, maxPrice, sale, featured, inStock, minRating });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    throw error;
+  }
+}));
+
 // 🔹 PUT - Update Product
-router.put("/:id", authLimiter,  validateId, upload.single("image"), validateProductUpdate, asyncHandler(async (req, res) => {
+router.put("/:id", authSeller, requirePermission('catalog:manage'), authLimiter,  validateId, upload.single("image"), validateProductUpdate, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+        await productImageService.discardUploads(req.file);
         return res.status(400).json(handleValidationErrors(errors));
     }
   try {
@@ -118,9 +253,7 @@ router.put("/:id", authLimiter,  validateId, upload.single("image"), validatePro
       return res.status(400).json({ message: "Invalid product ID" });
     }
 
-    const { name, price, description, categoryId, featured, sale, mrp, outOfStock } = req.body;
-    const image = req.file ? req.file.path : "";
-
+    const { name, price, description, categoryId, featured, sale, mrp, stock, lowStockThreshold, weightKg, hsnCode, gstRate } = req.body;
     const updateData = {
       name,
       price,
@@ -128,18 +261,65 @@ router.put("/:id", authLimiter,  validateId, upload.single("image"), validatePro
       categoryId,
       featured,
       sale,
-      outOfStock: outOfStock === "true" || outOfStock === true,
       mrp
     };
 
-    if (image) updateData.image = image;
 
-    const updatedProduct = await Product.findByIdAndUpdate(id, updateData, { new: true });
+    // ✅ Price and MRP of products with variants come from the variants
+    const variants = Array.isArray(req.body.variants) ? req.body.variants : null;
+    const hasVariants = variants
+      ? variants.length > 0
+      : !!(await Product.exists({ _id: id, "variants.0": { $exists: true } }));
+    if (hasVariants) {
+      delete updateData.price;
+      delete updateData.mrp;
+    }
+    if (weightKg !== undefined) updateData.weightKg = weightKg === "" ? null : parseFloat(weightKg);
+    if (hsnCode !== undefined) updateData.hsnCode = hsnCode || null;
+    if (gstRate !== undefined && gstRate !== "") updateData.gstRate = parseFloat(gstRate);
+
+    // ✅ Sellers can only edit their own products
+    let updatedProduct = await Product.findOneAndUpdate({ _id: id, sellerId: req.seller._id }, updateData, { new: true });
 
     if (!updatedProduct) {
+      await productImageService.discardUploads(req.file);
       return res.status(404).json({ message: "Product not found" });
     }
 
+    // ✅ A new image replaces the primary one, which is deleted from Cloudinary
+    if (req.file) {
+      updatedProduct = await productImageService.replacePrimary(updatedProduct, req.file);
+    }
+
+    if (variants) {
+      const stockLevels = await saveVariants(updatedProduct, variants);
+      for (const level of stockLevels) {
+        await inventoryService.adjustStock(id, {
+          variantId: level.variantId,
+          stock: level.stock,
+          reason: level.isNew ? "Opening stock" : "Stock set from product edit",
+          sellerId: req.seller._id
+        });
+      }
+      updatedProduct = await Product.findById(id);
+    }
+
+    // ✅ Stock edits are recorded as adjustments (outOfStock is derived from stock)
+    if (stock !== undefined && stock !== "") {
+      updatedProduct = await inventoryService.adjustStock(id, {
+        stock: parseInt(stock, 10),
+        reason: "Stock set from product edit",
+        sellerId: req.seller._id
+      });
+    }
+
+    if (lowStockThreshold !== undefined && lowStockThreshold !== "") {
+      updatedProduct = await inventoryService.setLowStockThreshold(id, parseInt(lowStockThreshold, 10));
+    }
+
+    // ✅ findOneAndUpdate and the variant removals skip the save hook that keeps search fields current
+    await searchService.reindexProduct(id);
+
     res.json({ message: "Product updated successfully!", product: updatedProduct });
   } catch (error) {
     throw error;
@@ -148,7 +328,7 @@ router.put("/:id", authLimiter,  validateId, upload.single("image"), validatePro
 
 
 // 🔹 DELETE - Remove Product
-router.delete("/:id", authLimiter, validateId, asyncHandler(async (req, res) => {
+router.delete("/:id", authSeller, requirePermission('catalog:manage'), authLimiter, validateId, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
@@ -159,10 +339,11 @@ router.delete("/:id", authLimiter, validateId, asyncHandler(async (req, res) =>
       return res.status(400).json({ message: "Invalid product ID" });
     }
 
-    const deletedProduct = await Product.findByIdAndDelete(id);
+    const deletedProduct = await Product.findOneAndDelete({ _id: id, sellerId: req.seller._id });
     if (!deletedProduct) {
       return res.status(404).json({ message: "Product not found" });
     }
+    await productImageService.destroyAll(deletedProduct);
 
     res.json({ message: "Product deleted successfully!" });
   } catch (error) {
@@ -170,6 +351,77 @@ router.delete("/:id", authLimiter, validateId, asyncHandler(async (req, res) =>
   }
 }));
 
+// 🔹 POST - Upload images to a product's gallery (added after the existing ones)
+router.post("/:id/images", authSeller, requirePermission('catalog:manage'), authLimiter, upload.array("images", productImageService.maxImages), validateProductImageUpload, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        await productImageService.discardUploads(req.files);
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const images = await productImageService.addImages(req.params.id, req.seller._id, req.files, req.body.alt || []);
+    res.status(201).json({ success: true, message: "Images uploaded", data: images });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Reorder a product's gallery (first image is the primary one)
+router.put("/:id/images/order", authSeller, requirePermission('catalog:manage'), authLimiter, validateProductImageOrder, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const images = await productImageService.reorder(req.params.id, req.seller._id, req.body.imageIds);
+    res.json({ success: true, message: "Images reordered", data: images });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Make an image the primary one
+router.put("/:id/images/:imageId/primary", authSeller, requirePermission('catalog:manage'), authLimiter, validateProductImageId, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const images = await productImageService.setPrimary(req.params.id, req.seller._id, req.params.imageId);
+    res.json({ success: true, message: "Primary image updated", data: images });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Change an image's alt text
+router.put("/:id/images/:imageId", authSeller, requirePermission('catalog:manage'), authLimiter, validateProductImageAlt, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const image = await productImageService.updateAlt(req.params.id, req.seller._id, req.params.imageId, req.body.alt);
+    res.json({ success: true, message: "Alt text updated", data: image });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 DELETE - Remove an image from a product (and from Cloudinary)
+router.delete("/:id/images/:imageId", authSeller, requirePermission('catalog:manage'), authLimiter, validateProductImageId, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const images = await productImageService.removeImage(req.params.id, req.seller._id, req.params.imageId);
+    res.json({ success: true, message: "Image removed", data: images });
+  } catch (error) {
+    throw error;
+  }
+}));
+
 // 🔹 GET - Products by Category ID
 router.get("/category/:categoryId", apiLimiter, validateCategoryParamId, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -181,39 +433,68 @@ router.get("/category/:categoryId", apiLimiter, validateCategoryParamId, asyncHa
     console.log("🟢 Received categoryId:", categoryId); // Debugging
 
     // Convert categoryId to MongoDB ObjectId format
-    const products = await Product.find({ categoryId: new mongoose.Types.ObjectId(categoryId) });
-
-    if (!products.length) {
-      console.warn("⚠️ No products found for categoryId:", categoryId);
-      return res.status(404).json({ message: "No products found in this category" });
-    }
+    const products = await Product.find({ categoryId: new mongoose.Types.ObjectId(categoryId) }).select("-reviews");
 
+    // An empty category is still a category - the storefront shows its own empty state
     res.json(products);
   } catch (error) {
     throw error;
   }
 }));
 
-//search feature
+// 🔹 GET - Search products by name, description, category or SKU
+// Typos and Hindi/English names are tolerated; results are ranked and carry <mark>-highlighted matches
 router.get('/search', apiLimiter, validateSearchQuery, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
     }
   try {
-      const { query } = req.query;
-      if (!query) return res.status(400).json({ error: 'Search query missing' });
+    const { query, limit } = req.query;
+    const products = await searchService.search(query, { limit: limit || 20 });
+    res.json(products);
+  } catch (error) {
+    throw error;
+  }
+}));
 
-      const products = await Product.find({ name: { $regex: query, $options: 'i' } })
-          .populate('categoryId'); // Ensure 'categoryId' correctly references Category
+// 🔹 GET - Autocomplete suggestions (categories and products) for the search box
+router.get('/search/suggest', apiLimiter, validateSearchSuggest, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const { query, limit } = req.query;
+    const suggestions = await searchService.suggest(query, { limit: limit || 8 });
+    res.json({ success: true, suggestions });
+  } catch (error) {
+    throw error;
+  }
+}));
 
-      res.json(products);
+// 🔹 GET - Seller's review moderation queue (?status=pending|approved|rejected&productId=&page=&limit=)
+router.get("/reviews/queue", authSeller, requirePermission('reviews:moderate'), apiLimiter, validateReviewQueue, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const { status, productId, page, limit } = req.query;
+    const result = await reviewService.listForSeller(req.seller._id, {
+      status: status || "pending",
+      productId: productId ? new mongoose.Types.ObjectId(productId) : null,
+      page: page || 1,
+      limit: limit || 20
+    });
+
+    res.json({ success: true, data: result });
   } catch (error) {
     throw error;
   }
 }));
 
-// ✅ Get product by ID (includes reviews, avgRating, reviewCount)
+// ✅ Get product by ID (includes approved reviews, avgRating, reviewCount)
 router.get("/:id", apiLimiter, validateId, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -221,79 +502,116 @@ router.get("/:id", apiLimiter, validateId, asyncHandler(async (req, res) => {
   }
 
   const { id } = req.params;
-  const product = await Product.findById(id);
+  const product = await Product.findById(id).lean();
   if (!product) {
     return res.status(404).json({ message: "Product not found" });
   }
 
+  product.reviews = reviewService.approvedReviews(product);
   res.json(product);
 }));
 
-// ✅ Get reviews for a product
+// ✅ Get approved reviews for a product
 router.get('/:id/reviews', apiLimiter, validateId, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json(handleValidationErrors(errors));
   }
 
-  const { id } = req.params;
-  const product = await Product.findById(id).select('reviews avgRating reviewCount');
-  if (!product) {
-    return res.status(404).json({ message: 'Product not found' });
+  const result = await reviewService.listApproved(req.params.id);
+  res.json(result);
+}));
+
+// ✅ Get the signed-in customer's own review of a product (with its moderation status)
+router.get('/:id/reviews/mine', authMiddleware, apiLimiter, validateId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
   }
 
-  res.json({ 
-    reviews: product.reviews || [], 
-    avgRating: product.avgRating || 0, 
-    reviewCount: product.reviewCount || 0 
-  });
+  const review = await reviewService.getOwnReview(req.params.id, req.user._id);
+  res.json({ success: true, review });
 }));
 
-// ✅ Add a review to a product
-router.post('/:id/reviews', authLimiter, validateId, asyncHandler(async (req, res) => {
+// ✅ Add a review to a product - one per customer, shown once the seller approves it
+router.post('/:id/reviews', authMiddleware, authLimiter, validateReviewCreation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json(handleValidationErrors(errors));
   }
 
-  const { id } = req.params;
-  const { rating, title, content, authorName } = req.body || {};
+  const { rating, title, content } = req.body;
+  const review = await reviewService.submit(req.params.id, req.user, { rating, title, content });
 
-  // Basic validation
-  if (typeof rating !== 'number' || rating < 1 || rating > 5) {
-    return res.status(400).json({ message: 'Rating must be a number between 1 and 5' });
-  }
-  if (!title || typeof title !== 'string' || title.trim().length === 0) {
-    return res.status(400).json({ message: 'Title is required' });
-  }
-  if (!content || typeof content !== 'string' || content.trim().length === 0) {
-    return res.status(400).json({ message: 'Content is required' });
-  }
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for your review! It will appear once the seller has checked it.',
+    review
+  });
+}));
 
-  const product = await Product.findById(id);
-  if (!product) {
-    return res.status(404).json({ message: 'Product not found' });
+// ✅ Edit the signed-in customer's review - it is checked by the seller again
+router.put('/:id/reviews/mine', authMiddleware, authLimiter, validateReviewUpdate, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
   }
 
-  // Add review
-  product.reviews.push({ 
-    rating, 
-    title: title.trim(), 
-    content: content.trim(), 
-    authorName: authorName ? authorName.trim() : 'Anonymous' 
-  });
-  
-  // Recalculate aggregate rating
-  product.recalculateRating();
-  await product.save();
+  const { rating, title, content } = req.body;
+  const review = await reviewService.edit(req.params.id, req.user, { rating, title, content });
 
-  res.status(201).json({ 
-    message: 'Review added successfully', 
-    avgRating: product.avgRating, 
-    reviewCount: product.reviewCount 
+  res.json({
+    success: true,
+    message: 'Review updated. It will appear again once the seller has checked it.',
+    review
   });
 }));
 
+// Who is moderating a review: the store, the signed-in account and where they are
+function moderator(req) {
+  return { seller: req.seller, staff: req.staff, ip: req.ip };
+}
+
+// 🔹 PUT - Approve a review (publishes it and counts it in the rating)
+router.put('/:id/reviews/:reviewId/approve', authSeller, requirePermission('reviews:moderate'), authLimiter, validateReviewId, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const result = await reviewService.approve(req.params.id, req.params.reviewId, moderator(req));
+    res.json({ success: true, message: 'Review approved', data: result });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Reject a review (also takes down an approved one)
+router.put('/:id/reviews/:reviewId/reject', authSeller, requirePermission('reviews:moderate'), authLimiter, validateReviewRejection, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const result = await reviewService.reject(req.params.id, req.params.reviewId, moderator(req), req.body.reason);
+    res.json({ success: true, message: 'Review rejected', data: result });
+  } catch (error) {
+    throw error;
+  }
+}));
 
+// 🔹 PUT - Reply to a review publicly
+router.put('/:id/reviews/:reviewId/reply', authSeller, requirePermission('reviews:moderate'), authLimiter, validateReviewReply, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const review = await reviewService.reply(req.params.id, req.params.reviewId, moderator(req), req.body.text);
+    res.json({ success: true, message: 'Reply saved', review });
+  } catch (error) {
+    throw error;
+  }
+}));
 
 module.exports = router;
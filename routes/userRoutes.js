@@ -26,6 +26,12 @@ const UnregUser = require("../models/unregModel");
 const UnregModel=require("../models/unregModel");
 const Order = require("../models/orderModel");
 const authSeller = require("../middleware/authSeller");
+const couponService = require("../services/couponService");
+const pricingService = require("../services/pricingService");
+
+// ✅ A cart has one line per product and variant
+const isCartLine = (item, productId, variantId) =>
+    item.productId.toString() === String(productId) && String(item.variantId || '') === String(variantId || '');
 
 
 // 🔹 1️⃣ Send OTP via Email
@@ -189,11 +195,11 @@ router.post("/login", authLimiter, validateUserLogin, asyncHandler(async (req, r
         const guestCart = JSON.parse(req.body.guestCart || "[]");
         if (guestCart.length > 0) {
             for (const guestItem of guestCart) {
-                const existingItem = user.cart.find(item => item.productId.toString() === guestItem.productId);
+                const existingItem = user.cart.find(item => isCartLine(item, guestItem.productId, guestItem.variantId));
                 if (existingItem) {
                     existingItem.quantity += guestItem.quantity;
                 } else {
-                    user.cart.push({ productId: guestItem.productId, quantity: guestItem.quantity });
+                    user.cart.push({ productId: guestItem.productId, variantId: guestItem.variantId || null, quantity: guestItem.quantity });
                 }
             }
             await user.save();
@@ -448,7 +454,7 @@ router.post('/send-otp-update', authMiddleware, async (req, res) => {
 // 🔹 GET Wishlist
 router.get("/wishlist", authMiddleware, async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId).populate("wishlist");
+        const user = await User.findById(req.user.userId).populate({ path: "wishlist", select: "-reviews -searchTerms -searchPrefixes -searchGrams" });
         res.json(user.wishlist);
     } catch (error) {
         res.status(500).json({ message: "Error fetching wishlist" });
@@ -506,9 +512,14 @@ router.get("/cart", authMiddleware, async (req, res) => {
             user.cart.map(async (item) => {
                 const product = await Product.findById(item.productId).lean();
 
-                if (!product) {
+                const variant = item.variantId
+                    ? (product?.variants || []).find(v => v._id.toString() === item.variantId.toString() && v.isActive)
+                    : null;
+
+                if (!product || (item.variantId && !variant)) {
                     return {
                         productId: item.productId,
+                        variantId: item.variantId || null,
                         name: "This product is no longer available",
                         price: 0,
                         image: null,
@@ -519,11 +530,14 @@ router.get("/cart", authMiddleware, async (req, res) => {
 
                 return {
                     productId: product._id,
+                    variantId: variant ? variant._id : null,
+                    variantLabel: variant ? variant.label : null,
                     name: product.name,
-                    price: product.price,
+                    price: variant ? variant.price : product.price,
+                    mrp: variant ? variant.mrp : product.mrp,
                     image: product.image,
                     quantity: item.quantity,
-                    outOfStock: false
+                    outOfStock: variant ? variant.stock <= 0 : false
                 };
             })
         );
@@ -535,6 +549,7 @@ router.get("/cart", authMiddleware, async (req, res) => {
 });
 
 
+// Variant lines are removed with ?variantId=
 router.delete("/cart/:productId", authMiddleware, async (req, res) => {
     try {
         const { productId } = req.params;
@@ -544,8 +559,8 @@ router.delete("/cart/:productId", authMiddleware, async (req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
-        // Remove the item with matching productId (string compare)
-        const existingItemIndex = user.cart.findIndex(item => item.productId.toString() === productId);
+        // Remove the item with matching productId and variant (string compare)
+        const existingItemIndex = user.cart.findIndex(item => isCartLine(item, productId, req.query.variantId));
 
         if (existingItemIndex === -1) {
             return res.status(404).json({ message: "Product not found in cart" });
@@ -570,6 +585,7 @@ router.post("/cart", authMiddleware, validateCartItem, asyncHandler(async (req,
     }
     try {
         const { productId, quantity } = req.body;
+        const variantId = req.body.variantId || null;
         const user = await User.findById(req.user.userId);
 
         // Check if product still exists
@@ -578,12 +594,22 @@ router.post("/cart", authMiddleware, validateCartItem, asyncHandler(async (req,
             return res.status(404).json({ message: "This product no longer exists." });
         }
 
+        // Products with variants are added by variant
+        if (product.variants.length > 0) {
+            const variant = product.findVariant(variantId);
+            if (!variant || !variant.isActive) {
+                return res.status(400).json({ message: variantId ? "This size is no longer available." : "Please choose a size." });
+            }
+        } else if (variantId) {
+            return res.status(400).json({ message: "This product has no sizes to choose from." });
+        }
+
         // Check if already in cart
-        const cartItem = user.cart.find(item => item.productId.toString() === productId);
+        const cartItem = user.cart.find(item => isCartLine(item, productId, variantId));
         if (cartItem) {
             cartItem.quantity += quantity;
         } else {
-            user.cart.push({ productId, quantity });
+            user.cart.push({ productId, variantId, quantity });
         }
 
         await user.save();
@@ -603,7 +629,7 @@ router.put("/cart/:productId",validateCartItem, authMiddleware, async (req, res)
 
         const user = await User.findById(req.user.userId);
 
-        const cartItem = user.cart.find(item => item.productId.toString() === productId);
+        const cartItem = user.cart.find(item => isCartLine(item, productId, req.body.variantId));
         if (!cartItem) {
             return res.status(404).json({ message: "Product not found in cart" });
         }
@@ -951,63 +977,14 @@ router.delete("/deleteAddress/:addressId", authMiddleware, async (req, res) => {
 // 🧾 Apply Coupon Route
 router.post("/apply-coupon", authMiddleware, async (req, res) => {
   try {
-    const { code, cartTotal } = req.body;
+    const { code, cartItems } = req.body;
 
     if (!code || code.trim() === "") {
       return res.status(400).json({ message: "Coupon code is required." });
     }
 
-    if (!cartTotal || cartTotal <= 0) {
-      return res.status(400).json({ message: "Valid cart total is required." });
-    }
-
-    // ✅ Enhanced coupon system with expiration dates and minimum order values
-    const validCoupons = {
-      RIPE20: { 
-        discountPercent: 20, 
-        minOrderValue: 0, 
-        maxDiscount: 200,
-        expiryDate: new Date('2025-12-31'),
-        isActive: true
-      },
-      WELCOME10: { 
-        discountPercent: 10, 
-        minOrderValue: 200, 
-        maxDiscount: 100,
-        expiryDate: new Date('2025-12-31'),
-        isActive: true
-      },
-      FIRST50: { 
-        discountPercent: 15, 
-        minOrderValue: 300, 
-        maxDiscount: 150,
-        expiryDate: new Date('2025-12-31'),
-        isActive: true,
-        firstTimeOnly: true
-      }
-    };
-
-    // 🔒 Check if coupon exists
-    const couponData = validCoupons[code];
-    if (!couponData) {
-      return res.status(400).json({ message: "Invalid coupon code." });
-    }
-
-    // 🔒 Check if coupon is active
-    if (!couponData.isActive) {
-      return res.status(400).json({ message: "This coupon is no longer active." });
-    }
-
-    // 🔒 Check if coupon has expired
-    if (couponData.expiryDate && new Date() > couponData.expiryDate) {
-      return res.status(400).json({ message: "This coupon has expired." });
-    }
-
-    // 🔒 Check minimum order value
-    if (cartTotal < couponData.minOrderValue) {
-      return res.status(400).json({ 
-        message: `Minimum order value of ₹${couponData.minOrderValue} required for this coupon.` 
-      });
+    if (!Array.isArray(cartItems) || cartItems.length === 0) {
+      return res.status(400).json({ message: "Cart items are required." });
     }
 
     // ✅ Confirm user exists
@@ -1016,31 +993,21 @@ router.post("/apply-coupon", authMiddleware, async (req, res) => {
       return res.status(404).json({ message: "User not found." });
     }
 
-    // 🔁 Check if user has already used this coupon in any successfully paid order
-    const existingOrder = await Order.findOne({
-      userId: user._id,
-      appliedCoupons: code,
-      paymentStatus: 'Paid'  // Only check for successfully paid orders
-    });
-
-    if (existingOrder) {
-      return res.status(409).json({ message: "You have already used this coupon." });
-    }
-
-    // 🔒 Check if this is a first-time-only coupon and user has previous orders
-    if (couponData.firstTimeOnly) {
-      const userOrderCount = await Order.countDocuments({
-        userId: user._id,
-        paymentStatus: 'Paid'
-      });
-      
-      if (userOrderCount > 0) {
-        return res.status(400).json({ message: "This coupon is only valid for first-time customers." });
+    // 🔒 Validate coupon rules against server prices (seller, validity window, minimum order, usage caps, first-order-only)
+    let evaluation;
+    try {
+      const { orderItems } = await pricingService.buildOrderItems(cartItems);
+      evaluation = await couponService.evaluateCoupon(code, { orderItems, userId: user._id });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
       }
+      throw error;
     }
+    const { coupon, discountAmount, finalTotal } = evaluation;
 
     // 🔒 Prevent multiple simultaneous applications by checking session
-    const sessionKey = `coupon_${user._id}_${code}`;
+    const sessionKey = `coupon_${user._id}_${coupon.code}`;
     if (!global.activeCoupons) {
       global.activeCoupons = new Map();
     }
@@ -1065,21 +1032,17 @@ router.post("/apply-coupon", authMiddleware, async (req, res) => {
       }
     }
 
-    // 🎯 Calculate discount amount
-    const discountAmount = Math.min(
-      (cartTotal * couponData.discountPercent) / 100,
-      couponData.maxDiscount || Infinity
-    );
-
     // 🎯 Coupon is valid and unused
     return res.status(200).json({
       message: "Coupon applied successfully!",
-      discountPercent: couponData.discountPercent,
-      discountAmount: Math.round(discountAmount * 100) / 100, // Round to 2 decimal places
-      maxDiscount: couponData.maxDiscount,
-      minOrderValue: couponData.minOrderValue,
-      code: code,
-      finalTotal: Math.round((cartTotal - discountAmount) * 100) / 100
+      discountType: coupon.discountType,
+      discountPercent: coupon.discountType === "percent" ? coupon.discountValue : null,
+      discountValue: coupon.discountValue,
+      discountAmount,
+      maxDiscount: coupon.maxDiscount,
+      minOrderValue: coupon.minOrderValue,
+      code: coupon.code,
+      finalTotal
     });
 
   } catch (error) {
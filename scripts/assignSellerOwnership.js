@@ -0,0 +1,63 @@
+/**
+ * One-off migration for stores created before multi-seller support
+ * Assigns every product and category without a seller to one seller, then splits
+ * existing orders into sub-orders so they show up on that seller's dashboard.
+ *
+ * Usage: node scripts/assignSellerOwnership.js seller@example.com
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Seller = require('../seller-backend/models/sellerModel');
+const Category = require('../seller-backend/models/categoryModel');
+const Product = require('../models/productModel');
+const Order = require('../models/orderModel');
+const sellerOrderService = require('../services/sellerOrderService');
+
+const run = async () => {
+    const email = process.argv[2];
+    if (!email) {
+        console.error('Usage: node scripts/assignSellerOwnership.js <seller-email>');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    const seller = await Seller.findOne({ email: email.toLowerCase() });
+    if (!seller) {
+        console.error(`❌ No seller found with email ${email}`);
+        process.exit(1);
+    }
+
+    const unowned = { $or: [{ sellerId: null }, { sellerId: { $exists: false } }] };
+    const products = await Product.updateMany(unowned, { $set: { sellerId: seller._id } });
+    const categories = await Category.updateMany(unowned, { $set: { sellerId: seller._id } });
+    console.log(`✅ Assigned ${products.modifiedCount} products and ${categories.modifiedCount} categories to ${seller.email}`);
+
+    // Orders placed before sub-orders existed: tag items with their product's seller and split them
+    const productSellers = new Map(
+        (await Product.find().select('_id sellerId').lean()).map(p => [p._id.toString(), p.sellerId])
+    );
+
+    let splitCount = 0;
+    const cursor = Order.find({ $or: [{ subOrders: { $size: 0 } }, { subOrders: { $exists: false } }] }).cursor();
+    for await (const order of cursor) {
+        order.orderItems.forEach(item => {
+            // Items whose product was deleted stay with the seller running the migration
+            item.sellerId = productSellers.get(item.productId.toString()) || seller._id;
+        });
+        order.subOrders = sellerOrderService.buildSubOrders(order.orderId, order.orderItems.map(item => item.toObject()));
+        await order.save({ validateBeforeSave: false });
+        splitCount++;
+    }
+    console.log(`✅ Split ${splitCount} existing orders into sub-orders`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
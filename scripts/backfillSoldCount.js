@@ -0,0 +1,39 @@
+/**
+ * One-off migration for products that were selling before soldCount was kept
+ * Recounts each product's soldCount from the StockMovement ledger (units deducted less units
+ * restored), the same figure inventoryService keeps up to date from now on.
+ *
+ * Usage: node scripts/backfillSoldCount.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Product = require('../models/productModel');
+const StockMovement = require('../models/stockMovementModel');
+
+const run = async () => {
+    await connectDB();
+
+    // Deductions are booked as negative quantities, restorations as positive ones
+    const totals = await StockMovement.aggregate([
+        { $match: { type: { $in: ['deduction', 'restoration'] } } },
+        { $group: { _id: '$productId', net: { $sum: '$quantity' } } }
+    ]);
+
+    let updated = 0;
+    for (const { _id, net } of totals) {
+        const result = await Product.updateOne({ _id }, { $set: { soldCount: Math.max(0, -net) } });
+        updated += result.modifiedCount;
+    }
+
+    console.log(`✅ soldCount recounted for ${totals.length} products (${updated} changed)`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
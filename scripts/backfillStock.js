@@ -0,0 +1,51 @@
+/**
+ * One-off migration for products created before stock was tracked
+ * Without it they read as 0 in stock and can't be bought. Gives each of them an opening stock,
+ * booked in the StockMovement ledger like any other adjustment. Products that were switched
+ * to out of stock by hand start at 0.
+ *
+ * Usage: node scripts/backfillStock.js <opening-stock>
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Product = require('../models/productModel');
+const inventoryService = require('../services/inventoryService');
+
+const run = async () => {
+    const openingStock = parseInt(process.argv[2], 10);
+    if (!Number.isInteger(openingStock) || openingStock < 0) {
+        console.error('Usage: node scripts/backfillStock.js <opening-stock>');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    const untracked = await Product.find({ stock: { $exists: false }, 'variants.0': { $exists: false } }).select('_id outOfStock').lean();
+
+    let stocked = 0;
+    for (const product of untracked) {
+        await Product.updateOne({ _id: product._id }, { $set: { stock: 0, reservedStock: 0, outOfStock: true } });
+        if (product.outOfStock || openingStock === 0) continue;
+
+        await inventoryService.applyMovement({
+            productId: product._id,
+            quantity: openingStock,
+            type: 'adjustment',
+            reason: 'Opening stock',
+            source: 'migration'
+        });
+        stocked++;
+    }
+
+    console.log(`✅ Stock set for ${untracked.length} products (${stocked} with ${openingStock} units, the rest out of stock)`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
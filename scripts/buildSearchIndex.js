@@ -0,0 +1,40 @@
+/**
+ * One-off migration for products listed before search index fields were kept
+ * Fills searchTerms, searchPrefixes and searchGrams of every product from its name, description,
+ * category, variant labels and SKUs - the fields the product model keeps up to date on save.
+ * Safe to run again, e.g. after changing the synonym list in utils/searchText.js.
+ *
+ * Usage: node scripts/buildSearchIndex.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Product = require('../models/productModel');
+const Category = require('../seller-backend/models/categoryModel');
+const { buildSearchFields } = require('../utils/searchText');
+
+const run = async () => {
+    await connectDB();
+
+    const categories = await Category.find().select('name').lean();
+    const categoryNames = new Map(categories.map(category => [String(category._id), category.name]));
+
+    const products = await Product.find().select('name description categoryId sku variants.label variants.sku').lean();
+    for (const product of products) {
+        await Product.updateOne(
+            { _id: product._id },
+            { $set: buildSearchFields(product, categoryNames.get(String(product.categoryId)) || '') }
+        );
+    }
+
+    console.log(`✅ Search fields built for ${products.length} products`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,97 @@
+/**
+ * Check that checkout keeps working after a payment gateway timeout
+ * Places a PhonePe order whose gateway call times out, then a normal one, against a throwaway
+ * product, and checks that both orders are saved with their own numbers: the timed-out one
+ * cancelled with its stock released, the next one pending. Everything it creates is deleted again.
+ * Run it against a development database (MONGO_URI, a replica set - checkout uses transactions).
+ *
+ * Usage: node scripts/checkCheckoutAfterTimeout.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Product = require('../models/productModel');
+const Order = require('../models/orderModel');
+const StockMovement = require('../models/stockMovementModel');
+const StockReservation = require('../models/stockReservationModel');
+const payments = require('../services/payments');
+const checkoutService = require('../services/checkoutService');
+
+const check = (condition, message) => {
+    if (!condition) throw new Error(message);
+    console.log(`✅ ${message}`);
+};
+
+const run = async () => {
+    await connectDB();
+
+    const runId = Date.now().toString(36);
+    const product = await Product.create({
+        name: `Checkout check ${runId}`,
+        price: 100,
+        mrp: 100,
+        image: 'https://example.com/check.png',
+        categoryId: new mongoose.Types.ObjectId(),
+        sku: `CHECK-${runId}`,
+        stock: 5
+    });
+
+    // Stand in for PhonePe: time out once, then answer like the real gateway
+    const phonePe = payments.getProvider('phonepe');
+    const realCreatePayment = phonePe.createPayment;
+    let calls = 0;
+    phonePe.createPayment = async (order) => {
+        calls++;
+        if (calls === 1) {
+            const timeoutError = phonePe.createError('PhonePe payment timed out. Order has been cancelled.', 504);
+            timeoutError.timeout = true;
+            timeoutError.clientResponse = { success: false, phonepeTimeout: true, orderId: order.orderId };
+            throw timeoutError;
+        }
+        return {
+            orderFields: { transactionId: `CHECK-${order.orderId}`, merchantTransactionId: `CHECK-${order.orderId}` },
+            clientResponse: { paymentUrl: 'https://example.com/pay' }
+        };
+    };
+
+    const checkout = (attempt) => checkoutService.placeOrder({
+        cartItems: [{ productId: product._id, quantity: 1 }],
+        shippingAddress: { street: '1 Check Street', city: 'Shimla', state: 'Himachal Pradesh', zipcode: '171001' },
+        paymentMethod: 'phonepe',
+        userInfo: { name: 'Checkout Check', email: 'check@example.com', phone: '9999999999' }
+    }, { baseIdempotencyKey: `check-${runId}-${attempt}`, ip: '127.0.0.1' });
+
+    const orderIds = [];
+    try {
+        const timedOut = await checkout(1);
+        check(timedOut.body.phonepeTimeout === true, 'timed-out checkout answers with the gateway timeout');
+        orderIds.push(timedOut.body.orderId);
+
+        const cancelled = await Order.findOne({ orderId: timedOut.body.orderId });
+        check(cancelled && cancelled.orderStatus === 'Canceled' && cancelled.paymentStatus === 'Failed',
+            `timed-out order ${timedOut.body.orderId} is saved as cancelled`);
+
+        const next = await checkout(2);
+        check(next.body.success === true, 'the next checkout succeeds');
+        orderIds.push(next.body.orderId);
+        check(next.body.orderId !== timedOut.body.orderId, `the next order gets a new number (${next.body.orderId})`);
+
+        const restocked = await Product.findById(product._id);
+        check(restocked.stock === 4 && restocked.reservedStock === 1, 'only the pending order holds stock');
+    } finally {
+        phonePe.createPayment = realCreatePayment;
+        await Order.deleteMany({ orderId: { $in: orderIds } });
+        await StockReservation.deleteMany({ orderId: { $in: orderIds } });
+        await StockMovement.deleteMany({ productId: product._id });
+        await Product.deleteOne({ _id: product._id });
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Check failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,36 @@
+/**
+ * Make a seller account a platform admin (or take it away with --revoke)
+ * Platform admins can block and delete customer accounts, which every store shares, so this
+ * is only done by the marketplace operator - store owners can't grant it from the dashboard.
+ *
+ * Usage: node scripts/grantPlatformAdmin.js <email> [--revoke]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Seller = require('../seller-backend/models/sellerModel');
+
+const run = async () => {
+    const email = (process.argv[2] || '').toLowerCase();
+    const revoke = process.argv.includes('--revoke');
+    if (!email || email.startsWith('--')) {
+        throw new Error('Usage: node scripts/grantPlatformAdmin.js <email> [--revoke]');
+    }
+
+    await connectDB();
+
+    const seller = await Seller.findOneAndUpdate({ email }, { $set: { isPlatformAdmin: !revoke } }, { new: true });
+    if (!seller) {
+        throw new Error(`No seller account with email ${email}`);
+    }
+    console.log(`✅ ${seller.email} is ${revoke ? 'no longer' : 'now'} a platform admin`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,39 @@
+/**
+ * One-off migration for reviews posted before moderation
+ * Those reviews were already live, so they are marked approved (sellers can still reject them from
+ * the queue); they have no account behind them, so they never get the verified-purchase badge.
+ * Ratings are then recounted from approved reviews only.
+ *
+ * Usage: node scripts/migrateReviewModeration.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Product = require('../models/productModel');
+
+const run = async () => {
+    await connectDB();
+
+    const result = await Product.updateMany(
+        { 'reviews.status': { $exists: false } },
+        { $set: { 'reviews.$[legacy].status': 'approved', 'reviews.$[legacy].verifiedPurchase': false } },
+        { arrayFilters: [{ 'legacy.status': { $exists: false } }] }
+    );
+    console.log(`✅ Legacy reviews approved on ${result.modifiedCount} products`);
+
+    const products = await Product.find({ 'reviews.0': { $exists: true } });
+    for (const product of products) {
+        product.recalculateRating();
+        await product.save();
+    }
+    console.log(`✅ Ratings recounted for ${products.length} products`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * One-off migration for the coupons that used to be hard-coded in the apply-coupon route
+ * Creates RIPE20, WELCOME10 and FIRST50 with their old rules, owned by one seller, so they keep
+ * working at checkout (on that seller's items) and show up on that seller's coupon page. Codes that already exist are left alone.
+ * They keep their old expiry date (end of 2025); sellers can extend it from the coupon page.
+ *
+ * Usage: node scripts/seedLegacyCoupons.js seller@example.com
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Seller = require('../seller-backend/models/sellerModel');
+const Coupon = require('../models/couponModel');
+
+// Same rules as before: one use per customer
+const LEGACY_COUPONS = [
+    { code: 'RIPE20', discountValue: 20, maxDiscount: 200, minOrderValue: 0 },
+    { code: 'WELCOME10', discountValue: 10, maxDiscount: 100, minOrderValue: 200 },
+    { code: 'FIRST50', discountValue: 15, maxDiscount: 150, minOrderValue: 300, firstOrderOnly: true }
+].map(coupon => ({
+    discountType: 'percent',
+    perUserLimit: 1,
+    firstOrderOnly: false,
+    validUntil: new Date('2025-12-31'),
+    ...coupon
+}));
+
+const run = async () => {
+    const email = process.argv[2];
+    if (!email) {
+        console.error('Usage: node scripts/seedLegacyCoupons.js <seller-email>');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    const seller = await Seller.findOne({ email: email.toLowerCase() });
+    if (!seller) {
+        console.error(`❌ No seller found with email ${email}`);
+        process.exit(1);
+    }
+
+    let created = 0;
+    for (const coupon of LEGACY_COUPONS) {
+        if (await Coupon.exists({ code: coupon.code })) {
+            console.log(`⏭️  ${coupon.code} already exists`);
+            continue;
+        }
+        await Coupon.create({ ...coupon, createdBy: seller._id });
+        created++;
+    }
+    console.log(`✅ Created ${created} coupons for ${seller.email}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
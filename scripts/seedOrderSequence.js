@@ -0,0 +1,34 @@
+/**
+ * One-off migration for stores that numbered orders before the order sequence existed
+ * Old IDs (ORD-<date>-<n>) counted up across all days, so the sequence for the current
+ * financial year is started above the highest <n> in use - new IDs can't repeat an old one.
+ *
+ * Usage: node scripts/seedOrderSequence.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../database');
+const Order = require('../models/orderModel');
+const sequenceService = require('../services/sequenceService');
+
+const run = async () => {
+    await connectDB();
+
+    let highest = 0;
+    const cursor = Order.find({ orderId: /^ORD-\d{8}-\d+$/ }).select('orderId').lean().cursor();
+    for await (const order of cursor) {
+        highest = Math.max(highest, parseInt(order.orderId.split('-').pop(), 10));
+    }
+
+    const counter = await sequenceService.seed('order', highest);
+    console.log(`✅ Order sequence ${counter._id} now at ${counter.seq} (highest existing number: ${highest})`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+run().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
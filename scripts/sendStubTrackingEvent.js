@@ -0,0 +1,46 @@
+/**
+ * Send a signed tracking event to a courier partner that uses the "stub" adapter,
+ * as a real courier's webhook would
+ *
+ * Usage: node scripts/sendStubTrackingEvent.js <partnerId> <webhookSecret> <awb> <status> [location]
+ *   status: picked_up, in_transit, out_for_delivery, delivered, failed_delivery, returned
+ *   (or courier codes PICKED_UP, IN_TRANSIT, OUT_FOR_DELIVERY, DELIVERED, UNDELIVERED, RTO)
+ * Posts to API_URL (default http://localhost:$PORT, PORT defaulting to 5000).
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const stubCourierAdapter = require('../services/couriers/stubCourierAdapter');
+
+const run = async () => {
+    const [partnerId, secret, awb, status, location = ''] = process.argv.slice(2);
+    if (!partnerId || !secret || !awb || !status) {
+        console.error('Usage: node scripts/sendStubTrackingEvent.js <partnerId> <webhookSecret> <awb> <status> [location]');
+        process.exit(1);
+    }
+
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    const body = JSON.stringify({
+        awb,
+        status,
+        location,
+        description: `Stub event: ${status}`,
+        timestamp: new Date().toISOString()
+    });
+
+    const response = await axios.post(`${baseUrl}/api/shipments/webhooks/${partnerId}`, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Stub-Signature': stubCourierAdapter.sign(body, secret)
+        },
+        validateStatus: () => true
+    });
+
+    console.log(`${response.status >= 400 ? '❌' : '✅'} ${response.status}`, response.data);
+    process.exit(response.status >= 400 ? 1 : 0);
+};
+
+run().catch(error => {
+    console.error('❌ Failed to send tracking event:', error.message);
+    process.exit(1);
+});
@@ -12,7 +12,8 @@ image: {
   description: { type: String },
 
   slug: { type: String, unique: true },
-  featured: { type: Boolean, default: false }
+  featured: { type: Boolean, default: false },
+  sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', index: true } // Seller who created the category
 });
 
 module.exports = mongoose.model('Category', categorySchema);
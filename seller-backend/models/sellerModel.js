@@ -36,10 +36,36 @@ const sellerSchema = new mongoose.Schema(
       zipcode: { type: String },
       country: { type: String, default: "India" },
     },
+    // ✅ GST registration - printed on tax invoices; address.state is the place of supply origin
+    gstin: {
+      type: String,
+      default: null,
+      uppercase: true,
+      trim: true,
+    },
     isVerified: {
       type: Boolean,
       default: false,
     },
+    // ✅ Marketplace operators - may block and delete customer accounts across every store
+    // (set with scripts/grantPlatformAdmin.js, never from the API)
+    isPlatformAdmin: {
+      type: Boolean,
+      default: false,
+    },
+    // ✅ Staff accounts: role decides what they can do (see middleware/permissions.js)
+    role: {
+      type: String,
+      enum: ["owner", "manager", "fulfilment", "support"],
+      default: "owner",
+    },
+    // ✅ Store owner a staff account works for (null for owners)
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+      index: true,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// ✅ Pending invitation for a staff member to join a seller's store
+const staffInviteSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["manager", "fulfilment", "support"],
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+    },
+    // ✅ Unaccepted invitations expire after 7 days
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 7 * 24 * 60 * 60,
+    },
+  }
+);
+
+const StaffInvite = mongoose.model("StaffInvite", staffInviteSchema);
+
+module.exports = StaffInvite;
@@ -8,6 +8,9 @@ const {
     validateCategoryId
 } = require('../../middleware/validators');
 const Category = require("../models/categoryModel");
+const searchService = require("../../services/searchService");
+const authSeller = require("../../middleware/authSeller");
+const { requirePermission } = require("../../middleware/permissions");
 const router = express.Router();
 const mongoose = require("mongoose");
 
@@ -40,7 +43,7 @@ const upload = multer({
 console.log("✅ categoryRoutes.js is running!");
 
 // 🔹 POST - Add New Category
-router.post("/", authLimiter, upload.single("image"), validateCategoryCreation, asyncHandler(async (req, res) => {
+router.post("/", authSeller, requirePermission('catalog:manage'), authLimiter, upload.single("image"), validateCategoryCreation, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
@@ -59,6 +62,7 @@ router.post("/", authLimiter, upload.single("image"), validateCategoryCreation,
       slug,
       featured,
       image,
+      sellerId: req.seller._id
     });
 
     const savedCategory = await newCategory.save();
@@ -102,7 +106,7 @@ router.get("/:id", apiLimiter, validateCategoryId, asyncHandler(async (req, res)
 }));
 
 // 🔹 PUT - Update Category
-router.put("/:id", authLimiter, validateCategoryId, upload.single("image"), validateCategoryUpdate, asyncHandler(async (req, res) => {
+router.put("/:id", authSeller, requirePermission('catalog:manage'), authLimiter, validateCategoryId, upload.single("image"), validateCategoryUpdate, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
@@ -119,12 +123,18 @@ router.put("/:id", authLimiter, validateCategoryId, upload.single("image"), vali
     const updateData = { name, description, slug, featured };
     if (image) updateData.image = image;
 
-    const updatedCategory = await Category.findByIdAndUpdate(id, updateData, { new: true });
+    // ✅ Sellers can only edit their own categories
+    const updatedCategory = await Category.findOneAndUpdate({ _id: id, sellerId: req.seller._id }, updateData, { new: true });
 
     if (!updatedCategory) {
       return res.status(404).json({ message: "Category not found" });
     }
 
+    // ✅ Products are found by their category's name - keep their search fields in step with it
+    if (name !== undefined) {
+      await searchService.reindexCategory(updatedCategory._id);
+    }
+
     res.json({ message: "Category updated successfully!", category: updatedCategory });
   } catch (error) {
     throw error;
@@ -132,7 +142,7 @@ router.put("/:id", authLimiter, validateCategoryId, upload.single("image"), vali
 }));
 
 // 🔹 DELETE - Remove Category
-router.delete("/:id", authLimiter, validateCategoryId, asyncHandler(async (req, res) => {
+router.delete("/:id", authSeller, requirePermission('catalog:manage'), authLimiter, validateCategoryId, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
@@ -143,7 +153,7 @@ router.delete("/:id", authLimiter, validateCategoryId, asyncHandler(async (req,
       return res.status(400).json({ message: "Invalid category ID" });
     }
 
-    const deletedCategory = await Category.findByIdAndDelete(id);
+    const deletedCategory = await Category.findOneAndDelete({ _id: id, sellerId: req.seller._id });
     if (!deletedCategory) {
       return res.status(404).json({ message: "Category not found" });
     }
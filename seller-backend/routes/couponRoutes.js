@@ -0,0 +1,124 @@
+const express = require("express");
+const { validationResult } = require('express-validator');
+const { authLimiter, apiLimiter } = require('../../middleware/rateLimiter');
+const { asyncHandler, handleValidationErrors } = require('../../middleware/errorHandler');
+const {
+    validateCouponCreation,
+    validateCouponUpdate,
+    validateId
+} = require('../../middleware/validators');
+const authSeller = require("../../middleware/authSeller");
+const { requirePermission } = require("../../middleware/permissions");
+const Coupon = require("../../models/couponModel");
+const Order = require("../../models/orderModel");
+const couponService = require("../../services/couponService");
+const router = express.Router();
+
+// Fields a seller may set on a coupon
+const COUPON_FIELDS = [
+  "code", "description", "discountType", "discountValue", "maxDiscount", "minOrderValue",
+  "validFrom", "validUntil", "usageLimit", "perUserLimit", "firstOrderOnly", "isActive"
+];
+
+const pickCouponFields = (body) => {
+  const data = {};
+  COUPON_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// 🔹 POST - Create Coupon
+router.post("/", authSeller, requirePermission('coupons:manage'), authLimiter, validateCouponCreation, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const coupon = new Coupon({ ...pickCouponFields(req.body), createdBy: req.seller._id });
+    const savedCoupon = await coupon.save();
+
+    res.status(201).json({ message: "Coupon created successfully!", coupon: savedCoupon });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 GET - All of the store's Coupons (with redemption counts)
+router.get("/", authSeller, requirePermission('coupons:manage'), apiLimiter, asyncHandler(async (req, res) => {
+  try {
+    const coupons = await Coupon.find({ createdBy: req.seller._id }).sort({ createdAt: -1 }).lean();
+
+    const usage = await Order.aggregate([
+      { $match: { ...couponService.activeOrderFilter(), appliedCoupons: { $in: coupons.map(c => c.code) } } },
+      { $unwind: "$appliedCoupons" },
+      { $group: { _id: "$appliedCoupons", count: { $sum: 1 } } }
+    ]);
+    const usageByCode = new Map(usage.map(u => [u._id, u.count]));
+
+    res.json(coupons.map(c => ({ ...c, usedCount: usageByCode.get(c.code) || 0 })));
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 GET - Single Coupon
+router.get("/:id", authSeller, requirePermission('coupons:manage'), apiLimiter, validateId, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, createdBy: req.seller._id }).lean();
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    const usedCount = await Order.countDocuments({ appliedCoupons: coupon.code, ...couponService.activeOrderFilter() });
+    res.json({ ...coupon, usedCount });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Update Coupon
+router.put("/:id", authSeller, requirePermission('coupons:manage'), authLimiter, validateId, validateCouponUpdate, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, createdBy: req.seller._id });
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    // Save (rather than findByIdAndUpdate) so the schema's cross-field checks run
+    coupon.set(pickCouponFields(req.body));
+    const updatedCoupon = await coupon.save();
+
+    res.json({ message: "Coupon updated successfully!", coupon: updatedCoupon });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 DELETE - Remove Coupon
+router.delete("/:id", authSeller, requirePermission('coupons:manage'), authLimiter, validateId, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const deletedCoupon = await Coupon.findOneAndDelete({ _id: req.params.id, createdBy: req.seller._id });
+    if (!deletedCoupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+
+    res.json({ message: "Coupon deleted successfully!" });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
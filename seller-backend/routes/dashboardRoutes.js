@@ -12,6 +12,13 @@ const User = require('../../models/userModel');
 const Product = require('../../models/productModel');
 const Order = require('../../models/orderModel');
 const authSeller = require("../../middleware/authSeller");
+const { requirePermission } = require("../../middleware/permissions");
+const formatOrder = require("../../utils/formatOrder");
+const realtimeService = require("../../services/realtimeService");
+const sellerOrderService = require("../../services/sellerOrderService");
+const checkoutService = require("../../services/checkoutService");
+const orderStateService = require("../../services/orderStateService");
+const payments = require("../../services/payments");
 const multer = require("multer");
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
 const cloudinary = require("../../utils/cloudinary");
@@ -33,7 +40,7 @@ const storage = new CloudinaryStorage({
 
 const upload = multer({ storage });
 
-router.post("/image-upload", upload.single("image"), async (req, res) => {
+router.post("/image-upload", authSeller, requirePermission('catalog:manage'), upload.single("image"), async (req, res) => {
   if (!req.file) return res.status(400).json({ success: false, message: "No image uploaded." });
 
   res.status(200).json({ success: true, url: req.file.path });
@@ -41,17 +48,18 @@ router.post("/image-upload", upload.single("image"), async (req, res) => {
 
 module.exports = router;
 
-router.get('/stats', authSeller, apiLimiter, asyncHandler(async (req, res) => {
+router.get('/stats', authSeller, requirePermission('dashboard:view'), apiLimiter, asyncHandler(async (req, res) => {
     try {
+        const sellerId = req.seller._id;
         const totalUsers = await User.countDocuments();
-        const totalProducts = await Product.countDocuments();
-        const totalOrders = await Order.countDocuments();
-        // Calculate total sales (revenue from paid orders)
-        const paidOrders = await Order.find({ paymentStatus: 'Paid' });
-        let totalSales = 0;
-        paidOrders.forEach(order => {
-            totalSales += order.finalTotal || 0;
-        });
+        const totalProducts = await Product.countDocuments({ sellerId });
+        const totalOrders = await Order.countDocuments(sellerOrderService.sellerFilter(sellerId));
+        // Calculate total sales (the seller's share of paid orders)
+        const [sales] = await Order.aggregate([
+            ...sellerOrderService.subOrderPipeline(sellerId, { paymentStatus: 'Paid' }),
+            { $group: { _id: null, total: { $sum: '$subOrders.itemsTotal' } } }
+        ]);
+        const totalSales = sales ? sales.total : 0;
         res.json({
             totalUsers,
             totalProducts,
@@ -65,7 +73,7 @@ router.get('/stats', authSeller, apiLimiter, asyncHandler(async (req, res) => {
 
 // 📌 Fetch Chart Data (Users & Products)
 
-router.get('/chart-data', authSeller, apiLimiter, asyncHandler(async (req, res) => {
+router.get('/chart-data', authSeller, requirePermission('dashboard:view'), apiLimiter, asyncHandler(async (req, res) => {
   try {
     const timeRanges = ["Daily", "Weekly", "Monthly", "Yearly"];
     let chartData = {
@@ -75,7 +83,7 @@ router.get('/chart-data', authSeller, apiLimiter, asyncHandler(async (req, res)
 
     for (let range of timeRanges) {
       chartData.Users[range] = await getUsersData(range);
-      chartData.Products[range] = await getProductsData(range);
+      chartData.Products[range] = await getProductsData(range, req.seller._id);
     }
 
     res.json(chartData);
@@ -94,8 +102,8 @@ async function getUsersData(range) {
     return users.length ? users[0].count : 0;
 }
 
-async function getProductsData(range) {
-    const matchStage = getTimeMatchStage(range, "createdAt");
+async function getProductsData(range, sellerId) {
+    const matchStage = { ...getTimeMatchStage(range, "createdAt"), sellerId };
     const products = await Product.aggregate([
         { $match: matchStage },
         { $group: { _id: null, count: { $sum: 1 } } }  // ✅ FIXED
@@ -129,7 +137,7 @@ function getTimeMatchStage(range, field) {
 }
 // Total Orders API Endpoint for Dashboard
 
-router.get("/orders", authSeller, apiLimiter, validateTimePeriod, asyncHandler(async (req, res) => {
+router.get("/orders", authSeller, requirePermission('orders:view'), apiLimiter, validateTimePeriod, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
@@ -161,7 +169,7 @@ router.get("/orders", authSeller, apiLimiter, validateTimePeriod, asyncHandler(a
       return res.status(400).json({ message: "Invalid time period" });
     }
 
-    const orders = await Order.find({ createdAt: { $gte: startDate } });
+    const orders = await Order.find({ createdAt: { $gte: startDate }, ...sellerOrderService.sellerFilter(req.seller._id) });
 
     const statsMap = {};
 
@@ -194,179 +202,97 @@ router.get("/orders", authSeller, apiLimiter, validateTimePeriod, asyncHandler(a
     throw error;
   }
 }));
-router.get("/all-orders", authSeller, apiLimiter, asyncHandler(async (req, res) => {
+router.get("/all-orders", authSeller, requirePermission('orders:view'), apiLimiter, asyncHandler(async (req, res) => {
   try {
-    const orders = await Order.find()
+    const orders = await Order.find(sellerOrderService.sellerFilter(req.seller._id))
       .sort({ createdAt: -1 })
       .populate("userId", "name email phone");
 
-    const formattedOrders = orders.map(order => {
-      const isRegistered = order.isRegisteredUser;
-      return {
-        _id: order._id,
-        orderId: order.orderId,
-        trackingId: order.trackingId || "N/A",
-        courierPartner: order.courierPartner || "N/A",
-        isRegisteredUser: isRegistered,
-        userName: isRegistered ? order.userId?.name : order.guestName,
-        userEmail: isRegistered ? order.userId?.email : order.guestEmail,
-        userPhone: isRegistered ? order.userId?.phone : order.guestPhone,
-        orderItems: order.orderItems,
-        shippingAddress: order.shippingAddress,
-        paymentMethod: order.paymentMethod,
-        paymentStatus: order.paymentStatus,
-        transactionId: order.transactionId,
-        orderStatus: order.orderStatus,
-        totalPrice: order.totalPrice,
-        discountAmount: order.discountAmount,
-        finalTotal: order.finalTotal,
-        shippingCharges: order.shippingCharges,
-        appliedCoupons: order.appliedCoupons,
-        orderDate: order.orderDate,
-        createdAt: order.createdAt,
-        updatedAt: order.updatedAt
-      };
-    });
+    const formattedOrders = orders.map(order => formatOrder(order, req.seller._id));
 
     res.json(formattedOrders);
   } catch (error) {
     throw error;
   }
 }));
-router.patch("/order/:id/status", authSeller, authLimiter, validateOrderId, asyncHandler(async (req, res) => {
+router.patch("/order/:id/status", authSeller, requirePermission('orders:update'), authLimiter, validateOrderId, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
     }
   try {
-    const { status, trackingId, courierPartner } = req.body;
-
-    const updatedFields = { orderStatus: status };
-    if (trackingId) updatedFields.trackingId = trackingId;
-    if (courierPartner) updatedFields.courierPartner = courierPartner;
+    const { status, trackingId, courierPartner, note } = req.body;
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      updatedFields,
-      { new: true }
-    ).populate("userId", "name email phone");
+    const order = await Order.findOne({ _id: req.params.id, ...sellerOrderService.sellerFilter(req.seller._id) })
+      .populate("userId", "name email phone");
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    const isRegistered = order.isRegisteredUser;
-    const updatedOrder = {
-      _id: order._id,
-      orderId: order.orderId,
-      trackingId: order.trackingId || "N/A",
-      courierPartner: order.courierPartner || "N/A",
-      isRegisteredUser: isRegistered,
-      userName: isRegistered ? order.userId?.name : order.guestName,
-      userEmail: isRegistered ? order.userId?.email : order.guestEmail,
-      userPhone: isRegistered ? order.userId?.phone : order.guestPhone,
-      orderItems: order.orderItems,
-      shippingAddress: order.shippingAddress,
-      paymentMethod: order.paymentMethod,
-      paymentStatus: order.paymentStatus,
-      transactionId: order.transactionId,
-      orderStatus: order.orderStatus,
-      totalPrice: order.totalPrice,
-      discountAmount: order.discountAmount,
-      finalTotal: order.finalTotal,
-      shippingCharges: order.shippingCharges,
-      appliedCoupons: order.appliedCoupons,
-      orderDate: order.orderDate,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt
-    };
+    const subOrder = sellerOrderService.getSubOrder(order, req.seller._id);
+    const wasCanceled = sellerOrderService.effectiveStatus(order, subOrder) === 'Canceled';
+
+    // ✅ Sellers move their own sub-order on (along the allowed transitions); the order status follows from all sub-orders
+    try {
+      orderStateService.updateSubOrder(order, req.seller._id, { status, trackingId, courierPartner }, {
+        actor: { type: 'seller', id: req.staff._id },
+        source: 'dashboard',
+        note
+      });
+    } catch (transitionError) {
+      if (!transitionError.statusCode) throw transitionError;
+      return res.status(transitionError.statusCode).json({ message: transitionError.message });
+    }
+    await order.save();
+
+    // ✅ A cancelled sub-order gives its items back to stock
+    if (status === 'Canceled' && !wasCanceled) {
+      await checkoutService.restoreSubOrderStock(order, subOrder, note || 'Sub-order canceled by seller');
+    }
+
+    const updatedOrder = formatOrder(order, req.seller._id);
+    realtimeService.emitOrderEvent("order:status", order._id);
 
     res.json({ message: "Order updated successfully", order: updatedOrder });
   } catch (error) {
     throw error;
   }
 }));
-router.get("/order/:id", authSeller, apiLimiter, validateOrderId, asyncHandler(async (req, res) => {
+router.get("/order/:id", authSeller, requirePermission('orders:view'), apiLimiter, validateOrderId, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
     }
   try {
-    const order = await Order.findById(req.params.id).populate("userId", "name email phone");
+    const order = await Order.findOne({ _id: req.params.id, ...sellerOrderService.sellerFilter(req.seller._id) })
+      .populate("userId", "name email phone");
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    const isRegistered = order.isRegisteredUser;
-    const detailedOrder = {
-      _id: order._id,
-      orderId: order.orderId,
-      trackingId: order.trackingId || "N/A",
-      courierPartner: order.courierPartner || "N/A",
-      isRegisteredUser: isRegistered,
-      userName: isRegistered ? order.userId?.name : order.guestName,
-      userEmail: isRegistered ? order.userId?.email : order.guestEmail,
-      userPhone: isRegistered ? order.userId?.phone : order.guestPhone,
-      orderItems: order.orderItems,
-      shippingAddress: order.shippingAddress,
-      paymentMethod: order.paymentMethod,
-      paymentStatus: order.paymentStatus,
-      transactionId: order.transactionId,
-      orderStatus: order.orderStatus,
-      totalPrice: order.totalPrice,
-      discountAmount: order.discountAmount,
-      finalTotal: order.finalTotal,
-      shippingCharges: order.shippingCharges,
-      appliedCoupons: order.appliedCoupons,
-      orderDate: order.orderDate,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt
-    };
+    const detailedOrder = formatOrder(order, req.seller._id);
 
     res.json(detailedOrder);
   } catch (error) {
     throw error;
   }
 }));
-router.get("/order-by-orderid/:orderId", authSeller, apiLimiter, validateOrderIdString, asyncHandler(async (req, res) => {
+router.get("/order-by-orderid/:orderId", authSeller, requirePermission('orders:view'), apiLimiter, validateOrderIdString, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
     }
   try {
-    const order = await Order.findOne({ orderId: req.params.orderId }).populate("userId", "name email phone");
+    const order = await Order.findOne({ orderId: req.params.orderId, ...sellerOrderService.sellerFilter(req.seller._id) })
+      .populate("userId", "name email phone");
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    // Construct detailed order as before...
-    const isRegistered = order.isRegisteredUser;
-    const detailedOrder = {
-      _id: order._id,
-      orderId: order.orderId,
-      trackingId: order.trackingId || "N/A",
-      courierPartner: order.courierPartner || "N/A",
-      isRegisteredUser: isRegistered,
-      userName: isRegistered ? order.userId?.name : order.guestName,
-      userEmail: isRegistered ? order.userId?.email : order.guestEmail,
-      userPhone: isRegistered ? order.userId?.phone : order.guestPhone,
-      orderItems: order.orderItems,
-      shippingAddress: order.shippingAddress,
-      paymentMethod: order.paymentMethod,
-      paymentStatus: order.paymentStatus,
-      transactionId: order.transactionId,
-      orderStatus: order.orderStatus,
-      totalPrice: order.totalPrice,
-      discountAmount: order.discountAmount,
-      finalTotal: order.finalTotal,
-      shippingCharges: order.shippingCharges,
-      appliedCoupons: order.appliedCoupons,
-      orderDate: order.orderDate,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt
-    };
+    const detailedOrder = formatOrder(order, req.seller._id);
 
     res.json(detailedOrder);
   } catch (error) {
@@ -376,55 +302,54 @@ router.get("/order-by-orderid/:orderId", authSeller, apiLimiter, validateOrderId
 
 
 // Update payment status route
-router.patch("/order/:id/payment-status", authSeller, authLimiter, validateOrderId, asyncHandler(async (req, res) => {
+router.patch("/order/:id/payment-status", authSeller, requirePermission('payments:update'), authLimiter, validateOrderId, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
     }
   try {
-    const { paymentStatus } = req.body;
+    const { paymentStatus, note } = req.body;
 
-    // Validate payment status
-    const validPaymentStatuses = ["Pending", "Paid", "Failed", "Refunded"];
+    // Validate payment status (Refunded is only set by the refund process, once the money is returned)
+    const validPaymentStatuses = ["Pending", "Paid", "Failed"];
+    if (paymentStatus === "Refunded") {
+      return res.status(400).json({ message: "Refunds must be processed through the refund flow" });
+    }
     if (!validPaymentStatuses.includes(paymentStatus)) {
       return res.status(400).json({ message: "Invalid payment status" });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { paymentStatus },
-      { new: true }
-    ).populate("userId", "name email phone");
+    const order = await Order.findOne({ _id: req.params.id, ...sellerOrderService.sellerFilter(req.seller._id) })
+      .populate("userId", "name email phone");
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    const isRegistered = order.isRegisteredUser;
-    const updatedOrder = {
-      _id: order._id,
-      orderId: order.orderId,
-      trackingId: order.trackingId || "N/A",
-      courierPartner: order.courierPartner || "N/A",
-      isRegisteredUser: isRegistered,
-      userName: isRegistered ? order.userId?.name : order.guestName,
-      userEmail: isRegistered ? order.userId?.email : order.guestEmail,
-      userPhone: isRegistered ? order.userId?.phone : order.guestPhone,
-      orderItems: order.orderItems,
-      shippingAddress: order.shippingAddress,
-      paymentMethod: order.paymentMethod,
-      paymentStatus: order.paymentStatus,
-      transactionId: order.transactionId,
-      orderStatus: order.orderStatus,
-      totalPrice: order.totalPrice,
-      discountAmount: order.discountAmount,
-      finalTotal: order.finalTotal,
-      shippingCharges: order.shippingCharges,
-      appliedCoupons: order.appliedCoupons,
-      orderDate: order.orderDate,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt
-    };
+    // ✅ Payment is shared by every seller in the order, so only a sole seller may change it
+    if (order.subOrders.length > 1) {
+      return res.status(409).json({ message: "Payment status of an order shared with other sellers can't be changed" });
+    }
+
+    // ✅ Online payments are only marked paid once the gateway confirms them (verify-payment, webhooks)
+    if (paymentStatus === "Paid" && payments.getProvider(order.paymentMethod)?.collectsOnline) {
+      return res.status(409).json({ message: "Online payments are confirmed by the payment gateway and can't be marked paid by hand" });
+    }
+
+    try {
+      orderStateService.transition(order, 'paymentStatus', paymentStatus, {
+        actor: { type: 'seller', id: req.staff._id },
+        source: 'dashboard',
+        note
+      });
+    } catch (transitionError) {
+      if (!transitionError.statusCode) throw transitionError;
+      return res.status(transitionError.statusCode).json({ message: transitionError.message });
+    }
+    await order.save();
+
+    const updatedOrder = formatOrder(order, req.seller._id);
+    realtimeService.emitOrderEvent("order:payment", order._id);
 
     res.json({ message: "Payment status updated successfully", order: updatedOrder });
   } catch (error) {
@@ -432,7 +357,34 @@ router.patch("/order/:id/payment-status", authSeller, authLimiter, validateOrder
   }
 }));
 
-router.get('/users-growth', authSeller, apiLimiter, validateTimePeriod, asyncHandler(async (req, res) => {
+// Record the cash collected for a delivered COD order (the order is Paid once every seller has collected)
+router.patch("/order/:id/cod-collected", authSeller, requirePermission('payments:update'), authLimiter, validateOrderId, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const order = await Order.findOne({ _id: req.params.id, ...sellerOrderService.sellerFilter(req.seller._id) })
+      .populate("userId", "name email phone");
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    try {
+      await checkoutService.recordCodCollection(order, req.seller._id, { by: req.staff._id, ip: req.ip });
+    } catch (collectionError) {
+      if (!collectionError.statusCode) throw collectionError;
+      return res.status(collectionError.statusCode).json({ message: collectionError.message });
+    }
+
+    res.json({ message: "Cash collection recorded", order: formatOrder(order, req.seller._id) });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+router.get('/users-growth', authSeller, requirePermission('dashboard:view'), apiLimiter, validateTimePeriod, asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
         return res.status(400).json(handleValidationErrors(errors));
@@ -516,7 +468,7 @@ router.get('/users-growth', authSeller, apiLimiter, validateTimePeriod, asyncHan
   }
 }));
 // Sales Report API
-router.get("/sales-report", authSeller, apiLimiter, asyncHandler(async (req, res) => {
+router.get("/sales-report", authSeller, requirePermission('dashboard:view'), apiLimiter, asyncHandler(async (req, res) => {
   // Optional: timePeriod in query ("month", "year", "all")
   const { timePeriod = "month" } = req.query;
   const now = new Date();
@@ -533,7 +485,7 @@ router.get("/sales-report", authSeller, apiLimiter, asyncHandler(async (req, res
     dateFormat = "%Y-%m-%d";
     groupStage = {
       _id: { $dateToString: { format: dateFormat, date: "$createdAt" } },
-      revenue: { $sum: "$finalTotal" }
+      revenue: { $sum: "$subOrders.itemsTotal" }
     };
   } else if (timePeriod === "year") {
     rangeStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 364, 0, 0, 0, 0);
@@ -541,7 +493,7 @@ router.get("/sales-report", authSeller, apiLimiter, asyncHandler(async (req, res
     dateFormat = "%Y-%U";
     groupStage = {
       _id: { $dateToString: { format: dateFormat, date: "$createdAt" } },
-      revenue: { $sum: "$finalTotal" }
+      revenue: { $sum: "$subOrders.itemsTotal" }
     };
   } else if (timePeriod === "all") {
     rangeStart = new Date("2000-01-01");
@@ -549,7 +501,7 @@ router.get("/sales-report", authSeller, apiLimiter, asyncHandler(async (req, res
     dateFormat = "%Y-%m";
     groupStage = {
       _id: { $dateToString: { format: dateFormat, date: "$createdAt" } },
-      revenue: { $sum: "$finalTotal" }
+      revenue: { $sum: "$subOrders.itemsTotal" }
     };
   } else {
     return res.status(400).json({ message: "Invalid timePeriod" });
@@ -557,29 +509,34 @@ router.get("/sales-report", authSeller, apiLimiter, asyncHandler(async (req, res
 
   paidMatch.createdAt = { $gte: rangeStart, $lte: rangeEnd };
 
-  // Revenue chart (paid orders only)
+  // Revenue chart (the seller's share of paid orders)
   const chartData = await Order.aggregate([
-    { $match: paidMatch },
+    ...sellerOrderService.subOrderPipeline(req.seller._id, paidMatch),
     { $group: groupStage },
     { $sort: { _id: 1 } }
   ]);
 
   // All orders for status counts and totalOrders
-  const allOrders = await Order.find({ createdAt: { $gte: rangeStart, $lte: rangeEnd } });
+  const allOrders = await Order.find({
+    createdAt: { $gte: rangeStart, $lte: rangeEnd },
+    ...sellerOrderService.sellerFilter(req.seller._id)
+  });
   let totalOrders = allOrders.length;
   const orderStatusCounts = {};
   allOrders.forEach(order => {
-    const status = order.orderStatus || 'Unknown';
+    const subOrder = sellerOrderService.getSubOrder(order, req.seller._id);
+    const status = sellerOrderService.effectiveStatus(order, subOrder) || 'Unknown';
     orderStatusCounts[status] = (orderStatusCounts[status] || 0) + 1;
   });
 
-  // Paid orders for revenue and product stats
+  // Paid orders for revenue and product stats (only the seller's items)
   const paidOrders = allOrders.filter(order => order.paymentStatus === 'Paid');
   let totalRevenue = 0, totalProductsSold = 0;
   const productMap = {};
   paidOrders.forEach(order => {
-    totalRevenue += order.finalTotal || 0;
-    (order.orderItems || []).forEach(item => {
+    const subOrder = sellerOrderService.getSubOrder(order, req.seller._id);
+    totalRevenue += subOrder.itemsTotal || 0;
+    (subOrder.orderItems || []).forEach(item => {
       totalProductsSold += item.quantity || 0;
       if (!productMap[item.name]) productMap[item.name] = 0;
       productMap[item.name] += item.quantity || 0;
@@ -604,7 +561,7 @@ router.get("/sales-report", authSeller, apiLimiter, asyncHandler(async (req, res
 }));
 
 // Sales Chart API (products sold over time)
-router.get('/sales-chart', authSeller, apiLimiter, asyncHandler(async (req, res) => {
+router.get('/sales-chart', authSeller, requirePermission('dashboard:view'), apiLimiter, asyncHandler(async (req, res) => {
   const { timePeriod = 'month' } = req.query;
   const now = new Date();
   let rangeStart, rangeEnd, dateFormat, groupStage;
@@ -655,11 +612,11 @@ router.get('/sales-chart', authSeller, apiLimiter, asyncHandler(async (req, res)
   }
   const match = { paymentStatus: 'Paid', createdAt: { $gte: rangeStart, $lte: rangeEnd } };
   const chartData = await Order.aggregate([
-    { $match: match },
-    { $unwind: '$orderItems' },
+    ...sellerOrderService.subOrderPipeline(req.seller._id, match),
+    { $unwind: '$subOrders.orderItems' },
     { $group: {
       _id: groupStage._id,
-      productsSold: { $sum: '$orderItems.quantity' }
+      productsSold: { $sum: '$subOrders.orderItems.quantity' }
     } },
     { $sort: { _id: 1 } }
   ]);
@@ -668,7 +625,7 @@ router.get('/sales-chart', authSeller, apiLimiter, asyncHandler(async (req, res)
   res.json({ labels, data });
 }));
 // Revenue Chart API (revenue over time)
-router.get('/revenue-chart', authSeller, apiLimiter, asyncHandler(async (req, res) => {
+router.get('/revenue-chart', authSeller, requirePermission('dashboard:view'), apiLimiter, asyncHandler(async (req, res) => {
   const { timePeriod = 'month' } = req.query;
   const now = new Date();
   let rangeStart, rangeEnd, dateFormat, groupStage, labelGenerator, totalUnits;
@@ -679,7 +636,7 @@ router.get('/revenue-chart', authSeller, apiLimiter, asyncHandler(async (req, re
     dateFormat = '%Y-%m-%d';
     groupStage = {
       _id: { $dateToString: { format: dateFormat, date: '$createdAt' } },
-      revenue: { $sum: '$finalTotal' }
+      revenue: { $sum: '$subOrders.itemsTotal' }
     };
     totalUnits = 7;
     labelGenerator = () => {
@@ -698,7 +655,7 @@ router.get('/revenue-chart', authSeller, apiLimiter, asyncHandler(async (req, re
     dateFormat = '%Y-%m-%d';
     groupStage = {
       _id: { $dateToString: { format: dateFormat, date: '$createdAt' } },
-      revenue: { $sum: '$finalTotal' }
+      revenue: { $sum: '$subOrders.itemsTotal' }
     };
     totalUnits = 30;
     labelGenerator = () => {
@@ -717,7 +674,7 @@ router.get('/revenue-chart', authSeller, apiLimiter, asyncHandler(async (req, re
     dateFormat = '%Y-%U';
     groupStage = {
       _id: { $dateToString: { format: dateFormat, date: '$createdAt' } },
-      revenue: { $sum: '$finalTotal' }
+      revenue: { $sum: '$subOrders.itemsTotal' }
     };
     totalUnits = 52;
     labelGenerator = () => {
@@ -732,13 +689,13 @@ router.get('/revenue-chart', authSeller, apiLimiter, asyncHandler(async (req, re
     };
   } else if (timePeriod === 'all') {
     // All months since first order
-    const firstOrder = await Order.findOne({ paymentStatus: 'Paid' }).sort({ createdAt: 1 });
+    const firstOrder = await Order.findOne({ paymentStatus: 'Paid', ...sellerOrderService.sellerFilter(req.seller._id) }).sort({ createdAt: 1 });
     rangeStart = firstOrder ? new Date(firstOrder.createdAt.getFullYear(), firstOrder.createdAt.getMonth(), 1) : new Date(now.getFullYear(), now.getMonth(), 1);
     rangeEnd = now;
     dateFormat = '%Y-%m';
     groupStage = {
       _id: { $dateToString: { format: dateFormat, date: '$createdAt' } },
-      revenue: { $sum: '$finalTotal' }
+      revenue: { $sum: '$subOrders.itemsTotal' }
     };
     // Generate all months between rangeStart and rangeEnd
     labelGenerator = () => {
@@ -755,7 +712,7 @@ router.get('/revenue-chart', authSeller, apiLimiter, asyncHandler(async (req, re
   }
   const match = { paymentStatus: 'Paid', createdAt: { $gte: rangeStart, $lte: rangeEnd } };
   const chartData = await Order.aggregate([
-    { $match: match },
+    ...sellerOrderService.subOrderPipeline(req.seller._id, match),
     { $group: groupStage },
     { $sort: { _id: 1 } }
   ]);
@@ -776,20 +733,35 @@ router.get('/revenue-chart', authSeller, apiLimiter, asyncHandler(async (req, re
     return String(weekNo).padStart(2, '0');
   }
 }));
+// 📌 Customers a store may see: those who ordered from it (platform admins see every customer)
+async function getCustomerScope(req) {
+    const account = req.staff || req.seller;
+    if (account.isPlatformAdmin) return {};
+
+    const customerIds = await Order.distinct('userId', {
+        ...sellerOrderService.sellerFilter(req.seller._id),
+        userId: { $ne: null }
+    });
+    return { _id: { $in: customerIds } };
+}
+
 // Get all users (seller only)
-router.get('/users', authSeller, async (req, res) => {
+router.get('/users', authSeller, requirePermission('customers:view'), async (req, res) => {
     try {
-        const users = await User.find({}, 'name email phone status createdAt').sort({ createdAt: -1 });
+        const scope = await getCustomerScope(req);
+        const users = await User.find(scope, 'name email phone status createdAt').sort({ createdAt: -1 });
         res.json(users);
     } catch (error) {
         res.status(500).json({ error: 'Server error fetching users' });
     }
 });
 // Search users (seller only)
-router.get('/users/search', authSeller, async (req, res) => {
+router.get('/users/search', authSeller, requirePermission('customers:view'), async (req, res) => {
     try {
         const { query } = req.query;
+        const scope = await getCustomerScope(req);
         const users = await User.find({
+            ...scope,
             $or: [
                 { name: { $regex: query, $options: 'i' } },
                 { email: { $regex: query, $options: 'i' } },
@@ -803,7 +775,7 @@ router.get('/users/search', authSeller, async (req, res) => {
 });
 
 // Delete user (seller only)
-router.delete('/users/:id', authSeller, async (req, res) => {
+router.delete('/users/:id', authSeller, requirePermission('customers:delete'), async (req, res) => {
     try {
         const user = await User.findByIdAndDelete(req.params.id);
         if (!user) return res.status(404).json({ error: 'User not found' });
@@ -814,7 +786,7 @@ router.delete('/users/:id', authSeller, async (req, res) => {
 });
 
 // Block/Unblock user (seller only)
-router.patch('/users/:id/status', authSeller, async (req, res) => {
+router.patch('/users/:id/status', authSeller, requirePermission('customers:manage'), async (req, res) => {
     try {
         const { status } = req.body;
         if (!['active', 'blocked'].includes(status)) {
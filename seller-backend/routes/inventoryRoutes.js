@@ -0,0 +1,109 @@
+const express = require("express");
+const { validationResult, param } = require('express-validator');
+const { authLimiter, apiLimiter } = require('../../middleware/rateLimiter');
+const { asyncHandler, handleValidationErrors } = require('../../middleware/errorHandler');
+const { validateStockAdjustment, validateLowStockThreshold } = require('../../middleware/validators');
+const authSeller = require("../../middleware/authSeller");
+const { requirePermission } = require("../../middleware/permissions");
+const Product = require("../../models/productModel");
+const inventoryService = require("../../services/inventoryService");
+const router = express.Router();
+
+// ✅ Sellers only manage stock for their own products
+const ownsProduct = (seller, productId) => Product.exists({ _id: productId, sellerId: seller._id });
+
+// 🔹 GET - Stock levels for the seller's products (lowest stock first)
+router.get("/", authSeller, requirePermission('inventory:manage'), apiLimiter, asyncHandler(async (req, res) => {
+  try {
+    const products = await Product.find({ sellerId: req.seller._id })
+      .select("name sku image stock reservedStock outOfStock lowStockThreshold categoryId variants")
+      .sort({ stock: 1, name: 1 })
+      .lean();
+
+    res.json({ success: true, data: products });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 POST - Adjust stock for a product (or one of its variants, with variantId)
+router.post("/:productId/adjust", authSeller, requirePermission('inventory:manage'), authLimiter, validateStockAdjustment, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    if (!(await ownsProduct(req.seller, req.params.productId))) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const { variantId, quantity, stock, reason } = req.body;
+
+    const product = await inventoryService.adjustStock(req.params.productId, {
+      variantId: variantId || null,
+      quantity: quantity !== undefined ? parseInt(quantity, 10) : undefined,
+      stock: stock !== undefined ? parseInt(stock, 10) : undefined,
+      reason,
+      sellerId: req.staff._id
+    });
+
+    res.json({
+      success: true,
+      message: "Stock adjusted successfully!",
+      data: { _id: product._id, name: product.name, stock: product.stock, reservedStock: product.reservedStock, outOfStock: product.outOfStock, lowStockThreshold: product.lowStockThreshold, variants: product.variants }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Set the reorder threshold for low-stock alerts
+router.put("/:productId/threshold", authSeller, requirePermission('inventory:manage'), authLimiter, validateLowStockThreshold, asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    if (!(await ownsProduct(req.seller, req.params.productId))) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const product = await inventoryService.setLowStockThreshold(req.params.productId, parseInt(req.body.threshold, 10));
+
+    res.json({
+      success: true,
+      message: "Low stock threshold updated successfully!",
+      data: { _id: product._id, name: product.name, stock: product.stock, lowStockThreshold: product.lowStockThreshold }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 GET - Stock movement history for a product
+router.get("/:productId/movements", authSeller, requirePermission('inventory:manage'), apiLimiter,
+  param('productId').isMongoId().withMessage('Invalid product ID format!'),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json(handleValidationErrors(errors));
+    }
+  try {
+    const product = await Product.findOne({ _id: req.params.productId, sellerId: req.seller._id })
+      .select("name sku stock reservedStock outOfStock variants")
+      .lean();
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const history = await inventoryService.getMovementHistory(product._id, { page, limit });
+
+    res.json({ success: true, data: { product, ...history } });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
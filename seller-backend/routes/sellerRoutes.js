@@ -1,15 +1,18 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Seller = require("../models/sellerModel");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const authSeller = require("../../middleware/authSeller");
+const StaffInvite = require("../models/staffInviteModel");
 const OTP = require('../../models/otpModel');
 const nodemailer = require('nodemailer');
 const { body, validationResult } = require('express-validator');
 
 // Import middleware
-const { asyncHandler } = require('../../middleware/errorHandler');
+const { asyncHandler, handleValidationErrors } = require('../../middleware/errorHandler');
+const { requirePermission, permissionsFor } = require('../../middleware/permissions');
 const {
   authLimiter,
   emailLimiter,
@@ -19,7 +22,11 @@ const {
    validateSellerRegistration,
    validateSellerLogin,
   validateOTP,
-   validateSellerPasswordReset
+   validateSellerPasswordReset,
+  validateStaffInvite,
+  validateStaffAcceptance,
+  validateStaffRole,
+  validateSellerTaxProfile
 } = require('../../middleware/validators');
 // ✅ Helper: Generate JWT
 const generateToken = (sellerId) => {
@@ -28,6 +35,42 @@ const generateToken = (sellerId) => {
   });
 };
 
+// ✅ Helper: Create a fresh 6-digit OTP for an email (expires in 5 mins)
+const createOtp = async (email) => {
+  await OTP.deleteMany({ email });
+  const otpCode = Math.floor(100000 + Math.random() * 900000).toString();
+  await OTP.create({ email, otp: otpCode });
+  return otpCode;
+};
+
+// ✅ Helper: Send a plain-text email from the store account
+const sendSellerEmail = async ({ to, subject, text }) => {
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+  await transporter.sendMail({
+    from: `"${process.env.STORE_NAME || 'Ripe’n Red'}" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    text,
+  });
+};
+
+// ✅ Helper: Seller fields returned to the dashboard
+const sellerProfile = (seller) => ({
+  id: seller._id,
+  name: seller.name,
+  email: seller.email,
+  phone: seller.phone,
+  vendorName: seller.vendorName,
+  role: seller.role || "owner",
+});
+
 
 
 // 🔹 1️⃣ Send OTP via Email
@@ -49,43 +92,25 @@ router.post('/send-otp-email', emailLimiter, [
 
     const { email } = req.body;
 
-    // Check if seller exists with this email
+    // Check if seller exists with this email (invited staff can also request a fresh OTP)
     const existingSeller = await Seller.findOne({ email });
-    if (!existingSeller) {
+    const pendingInvite = existingSeller ? null : await StaffInvite.findOne({ email });
+    if (!existingSeller && !pendingInvite) {
         return res.status(404).json({
             success: false,
             message: 'No seller found with this email address'
         });
     }
 
-    // Delete any existing OTPs for this email
-    await OTP.deleteMany({ email });
-
-    // Generate a 6-digit OTP
-    const otpCode = Math.floor(100000 + Math.random() * 900000).toString();
-
-    // Store OTP in database (expires in 5 mins)
-    await OTP.create({ email, otp: otpCode });
+    // Replace any existing OTP with a new one (expires in 5 mins)
+    const otpCode = await createOtp(email);
 
-    // Set up Nodemailer transporter
-    const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-            user: process.env.EMAIL_USER,
-            pass: process.env.EMAIL_PASS,
-        },
-    });
-
-    // Email content
-    const mailOptions = {
-         from: `"${process.env.STORE_NAME || 'Ripe’n Red'}" <${process.env.EMAIL_USER}>`,
+    // Send email
+    await sendSellerEmail({
         to: email,
         subject: "Your OTP Code",
         text: `Your OTP for verification is: ${otpCode}. It is valid for 5 minutes.`,
-    };
-
-    // Send email
-    await transporter.sendMail(mailOptions);
+    });
 
     res.status(200).json({ 
         success: true,
@@ -96,7 +121,7 @@ router.post('/send-otp-email', emailLimiter, [
 // ✅ @route   POST /api/sellers/signup
 // ✅ @desc    Register a new seller
 router.post("/signup", authLimiter,  validateSellerRegistration, asyncHandler(async (req, res) => {
-  const { name, email, phone, password, vendorName, address } = req.body;
+  const { name, email, phone, password, vendorName, address, gstin } = req.body;
 
   const newSeller = new Seller({
     name,
@@ -105,6 +130,7 @@ router.post("/signup", authLimiter,  validateSellerRegistration, asyncHandler(as
     vendorName,
     password,
     address,
+    gstin: gstin || null,
   });
 
   await newSeller.save();
@@ -134,35 +160,60 @@ router.post("/login", authLimiter,  validateSellerLogin, asyncHandler(async (req
     $or: [{ email: emailOrPhone }, { phone: emailOrPhone }],
   }).select("+password");
 
-  const isMatch = await seller.comparePassword(password);
+  const isMatch = seller ? await seller.comparePassword(password) : false;
+  if (!seller || !isMatch) {
+    return res.status(401).json({ message: "Invalid email/phone or password" });
+  }
 
   const token = generateToken(seller._id);
 
   res.json({
     token,
-    seller: {
-      id: seller._id,
-      name: seller.name,
-      email: seller.email,
-      phone: seller.phone,
-      vendorName: seller.vendorName,
-    },
+    seller: sellerProfile(seller),
   });
 }));
 
 // ✅ @route   GET /api/sellers/me
 // ✅ @desc    Get seller profile (protected)
 router.get("/me", authLimiter, authSeller, asyncHandler(async (req, res) => {
+  const role = req.staff.role || "owner";
+
   res.json({
-    id: req.seller._id,
-    name: req.seller.name,
-    email: req.seller.email,
-    phone: req.seller.phone,
+    id: req.staff._id,
+    name: req.staff.name,
+    email: req.staff.email,
+    phone: req.staff.phone,
     vendorName: req.seller.vendorName,
     address: req.seller.address,
+    gstin: req.seller.gstin || null,
+    role,
+    storeId: req.seller._id,
+    permissions: permissionsFor(role, req.staff),
   });
 }));
 
+// ✅ @route   PUT /api/sellers/me/tax-profile
+// ✅ @desc    Set the store's GSTIN and place of business (used for GST on new orders)
+router.put("/me/tax-profile", authLimiter, authSeller, requirePermission('store:manage'), validateSellerTaxProfile, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  const { gstin, address = {} } = req.body;
+  const update = { gstin: gstin || null };
+  ["street", "city", "state", "zipcode"].forEach(field => {
+    if (address[field] !== undefined) update[`address.${field}`] = address[field];
+  });
+
+  const seller = await Seller.findByIdAndUpdate(req.seller._id, { $set: update }, { new: true, runValidators: true });
+
+  res.json({
+    success: true,
+    message: "Tax profile updated successfully!",
+    data: { gstin: seller.gstin, address: seller.address }
+  });
+}));
 
 router.post('/forgot-password', emailLimiter, asyncHandler(async (req, res) => {
     const { email } = req.body;
@@ -201,17 +252,17 @@ router.post('/verify-otp', otpLimiter, validateOTP, asyncHandler(async (req, res
   if (!seller) {
     return res.status(404).json({ message: 'Seller not found' });
   }
+  // The OTP proves the email - the dashboard only accepts verified accounts (see authSeller)
+  if (!seller.isVerified) {
+    seller.isVerified = true;
+    await seller.save();
+  }
   // Issue new, verified JWT
   const token = generateToken(seller._id);
   res.status(200).json({
     message: "OTP Verified! Authentication complete.",
     token,             // <- new token sent here
-    seller: {
-      id: seller._id,
-      name: seller.name,
-      email: seller.email,
-      vendorName: seller.vendorName,
-    }
+    seller: sellerProfile(seller)
   });
 }));
 
@@ -226,4 +277,150 @@ await seller.save();           // pre-save hook will hash it
 
   res.json({ message: "Password updated successfully" });
 }));
+// ✅ @route   POST /api/sellers/staff/invite
+// ✅ @desc    Owner invites a staff member; they get an OTP by email to accept
+router.post("/staff/invite", authSeller, requirePermission('staff:manage'), emailLimiter, validateStaffInvite, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  const { email, name, role } = req.body;
+
+  if (await Seller.exists({ email })) {
+    return res.status(409).json({ success: false, message: "A seller account already exists for this email" });
+  }
+
+  const existingInvite = await StaffInvite.findOne({ email });
+  if (existingInvite && !existingInvite.ownerId.equals(req.seller._id)) {
+    return res.status(409).json({ success: false, message: "This email has a pending invitation from another store" });
+  }
+
+  // Re-inviting the same email updates the role and restarts the expiry
+  const invite = await StaffInvite.findOneAndUpdate(
+    { email },
+    { ownerId: req.seller._id, email, name, role, invitedBy: req.staff._id, createdAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const otpCode = await createOtp(email);
+
+  await sendSellerEmail({
+    to: email,
+    subject: `You're invited to join ${req.seller.vendorName}`,
+    text: `${req.staff.name} has invited you to help run ${req.seller.vendorName} as ${role}.\n\n` +
+      `Your OTP to accept the invitation is: ${otpCode}. It is valid for 5 minutes. ` +
+      `If it expires, request a new one from the seller login page with this email address.`,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation sent successfully!",
+    data: { id: invite._id, email: invite.email, name: invite.name, role: invite.role, createdAt: invite.createdAt }
+  });
+}));
+
+// ✅ @route   POST /api/sellers/staff/accept
+// ✅ @desc    Accept a staff invitation with the emailed OTP and create the staff account
+router.post("/staff/accept", otpLimiter, validateStaffAcceptance, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  const { email, otp, name, phone, password } = req.body;
+
+  const otpRecord = await OTP.findOne({ email, otp });
+  if (!otpRecord) {
+    return res.status(400).json({ message: 'Invalid OTP' });
+  }
+
+  const invite = await StaffInvite.findOne({ email });
+  if (!invite) {
+    return res.status(404).json({ message: 'Invitation not found or expired' });
+  }
+
+  const owner = await Seller.findById(invite.ownerId);
+  if (!owner) {
+    await StaffInvite.deleteOne({ _id: invite._id });
+    return res.status(404).json({ message: 'The store that invited you no longer exists' });
+  }
+
+  const staff = new Seller({
+    name,
+    email,
+    phone,
+    password,
+    vendorName: owner.vendorName,
+    role: invite.role,
+    ownerId: owner._id,
+    isVerified: true, // Email proven by the OTP
+  });
+
+  await staff.save();
+  await Promise.all([
+    OTP.deleteMany({ email }),
+    StaffInvite.deleteOne({ _id: invite._id })
+  ]);
+
+  res.status(201).json({
+    message: "Invitation accepted",
+    token: generateToken(staff._id),
+    seller: sellerProfile(staff),
+  });
+}));
+
+// ✅ @route   GET /api/sellers/staff
+// ✅ @desc    Staff accounts and pending invitations for the owner's store
+router.get("/staff", authSeller, requirePermission('staff:manage'), asyncHandler(async (req, res) => {
+  const [staff, invites] = await Promise.all([
+    Seller.find({ ownerId: req.seller._id }).select("name email phone role createdAt").sort({ createdAt: -1 }),
+    StaffInvite.find({ ownerId: req.seller._id }).select("email name role createdAt").sort({ createdAt: -1 })
+  ]);
+
+  res.json({ success: true, data: { staff, invites } });
+}));
+
+// ✅ @route   PATCH /api/sellers/staff/:id/role
+// ✅ @desc    Change a staff member's role
+router.patch("/staff/:id/role", authSeller, requirePermission('staff:manage'), validateStaffRole, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  const staff = await Seller.findOneAndUpdate(
+    { _id: req.params.id, ownerId: req.seller._id },
+    { role: req.body.role },
+    { new: true, runValidators: true }
+  ).select("name email phone role createdAt");
+
+  if (!staff) {
+    return res.status(404).json({ success: false, message: "Staff member not found" });
+  }
+
+  res.json({ success: true, message: "Role updated successfully!", data: staff });
+}));
+
+// ✅ @route   DELETE /api/sellers/staff/:id
+// ✅ @desc    Remove a staff account (or cancel a pending invitation with the same ID)
+router.delete("/staff/:id", authSeller, requirePermission('staff:manage'), asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: "Invalid staff ID format!" });
+  }
+
+  const staff = await Seller.findOneAndDelete({ _id: req.params.id, ownerId: req.seller._id });
+  if (staff) {
+    return res.json({ success: true, message: "Staff member removed successfully!" });
+  }
+
+  const invite = await StaffInvite.findOneAndDelete({ _id: req.params.id, ownerId: req.seller._id });
+  if (invite) {
+    await OTP.deleteMany({ email: invite.email });
+    return res.json({ success: true, message: "Invitation cancelled successfully!" });
+  }
+
+  res.status(404).json({ success: false, message: "Staff member not found" });
+}));
+
 module.exports = router;
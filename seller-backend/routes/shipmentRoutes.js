@@ -0,0 +1,160 @@
+const express = require("express");
+const { validationResult } = require('express-validator');
+const { authLimiter, apiLimiter } = require('../../middleware/rateLimiter');
+const { asyncHandler, handleValidationErrors } = require('../../middleware/errorHandler');
+const {
+    validateId,
+    validateOrderIdString,
+    validateCourierPartnerCreation,
+    validateCourierPartnerUpdate,
+    validateShipmentCreation,
+    validateShipmentEvent
+} = require('../../middleware/validators');
+const authSeller = require("../../middleware/authSeller");
+const { requirePermission } = require("../../middleware/permissions");
+const shipmentService = require("../../services/shipmentService");
+const couriers = require("../../services/couriers");
+const router = express.Router();
+
+// ===== COURIER PARTNERS =====
+
+// 🔹 GET - Courier adapters a partner can use
+router.get("/couriers/adapters", authSeller, requirePermission('orders:view'), apiLimiter, (req, res) => {
+  res.json({ success: true, data: couriers.listAdapters() });
+});
+
+// 🔹 GET - The seller's courier partners (?includeInactive=true for all)
+router.get("/couriers", authSeller, requirePermission('orders:view'), apiLimiter, asyncHandler(async (req, res) => {
+  try {
+    const partners = await shipmentService.listPartners(req.seller._id, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    res.json({ success: true, data: partners });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 POST - Add a courier partner (the webhook secret is shown once)
+router.post("/couriers", authSeller, requirePermission('shipping:manage'), authLimiter, validateCourierPartnerCreation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const result = await shipmentService.createPartner(req.seller._id, req.body);
+    res.status(201).json({ success: true, message: "Courier partner added", data: result });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Update a courier partner
+router.put("/couriers/:id", authSeller, requirePermission('shipping:manage'), authLimiter, validateCourierPartnerUpdate, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const partner = await shipmentService.updatePartner(req.params.id, req.seller._id, req.body);
+    res.json({ success: true, message: "Courier partner updated", data: partner });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 POST - Issue a new webhook secret for a courier partner
+router.post("/couriers/:id/rotate-secret", authSeller, requirePermission('shipping:manage'), authLimiter, validateId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const result = await shipmentService.rotateWebhookSecret(req.params.id, req.seller._id);
+    res.json({ success: true, message: "Webhook secret rotated", data: result });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// ===== SHIPMENTS =====
+
+// 🔹 GET - The seller's shipments for an order
+router.get("/order/:orderId", authSeller, requirePermission('orders:view'), apiLimiter, validateOrderIdString, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const shipments = await shipmentService.listForOrder(req.params.orderId, req.seller._id);
+    res.json({ success: true, data: shipments });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 POST - Ship (part of) the seller's sub-order: AWB, courier and packages
+router.post("/order/:orderId", authSeller, requirePermission('orders:update'), authLimiter, validateShipmentCreation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const { courierPartnerId, awb, packages, note } = req.body;
+    const shipment = await shipmentService.createShipment(req.params.orderId, req.seller, {
+      courierPartnerId,
+      awb,
+      packages
+    }, { staff: req.staff, ip: req.ip, note });
+
+    res.status(201).json({ success: true, message: "Shipment created", data: shipment });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 POST - Add a tracking event by hand (couriers without webhooks)
+router.post("/:shipmentId/events", authSeller, requirePermission('orders:update'), authLimiter, validateShipmentEvent, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const { status, description, location, at } = req.body;
+    const shipment = await shipmentService.addManualEvent(req.params.shipmentId, req.seller, {
+      status,
+      description,
+      location,
+      at
+    }, { staff: req.staff, ip: req.ip });
+
+    res.json({ success: true, message: "Tracking event added", data: shipment });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// ===== COURIER WEBHOOKS =====
+
+// 🔹 POST - Tracking events pushed by a courier (checked by the partner's adapter)
+router.post("/webhooks/:id", validateId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const result = await shipmentService.handleWebhook(req.params.id, req);
+    res.json({ success: true, status: "ok", ...result });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require("express");
+const { validationResult } = require('express-validator');
+const { authLimiter, apiLimiter } = require('../../middleware/rateLimiter');
+const { asyncHandler, handleValidationErrors } = require('../../middleware/errorHandler');
+const {
+    validateId,
+    validateShippingRuleCreation,
+    validateShippingRuleUpdate
+} = require('../../middleware/validators');
+const authSeller = require("../../middleware/authSeller");
+const { requirePermission } = require("../../middleware/permissions");
+const shippingService = require("../../services/shippingService");
+const router = express.Router();
+
+// 🔹 GET - The seller's shipping rules
+router.get("/", authSeller, requirePermission('shipping:manage'), apiLimiter, asyncHandler(async (req, res) => {
+  try {
+    const rules = await shippingService.listRules(req.seller._id);
+    res.json({
+      success: true,
+      data: rules,
+      // Applies to the seller's items while they have no active rules
+      standard: {
+        charge: shippingService.standardCharge,
+        freeShippingThreshold: shippingService.standardFreeShippingThreshold
+      }
+    });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 POST - Add a shipping rule
+router.post("/", authSeller, requirePermission('shipping:manage'), authLimiter, validateShippingRuleCreation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const rule = await shippingService.createRule(req.seller._id, req.body);
+    res.status(201).json({ success: true, message: "Shipping rule added", data: rule });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 PUT - Update a shipping rule
+router.put("/:id", authSeller, requirePermission('shipping:manage'), authLimiter, validateShippingRuleUpdate, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    const rule = await shippingService.updateRule(req.params.id, req.seller._id, req.body);
+    res.json({ success: true, message: "Shipping rule updated", data: rule });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+// 🔹 DELETE - Remove a shipping rule
+router.delete("/:id", authSeller, requirePermission('shipping:manage'), authLimiter, validateId, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(handleValidationErrors(errors));
+  }
+
+  try {
+    await shippingService.deleteRule(req.params.id, req.seller._id);
+    res.json({ success: true, message: "Shipping rule removed" });
+  } catch (error) {
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -4,7 +4,11 @@
  */
 
 const Order = require('../models/orderModel');
-const Product = require('../models/productModel');
+const inventoryService = require('./inventoryService');
+const reservationService = require('./reservationService');
+const realtimeService = require('./realtimeService');
+const payments = require('./payments');
+const orderStateService = require('./orderStateService');
 const { auditLogger } = require('../middleware/auditLogger');
 
 class AutoCancelService {
@@ -57,12 +61,22 @@ class AutoCancelService {
         try {
             const cutoffTime = new Date(Date.now() - (this.timeoutMinutes * 60 * 1000));
             
-            // Find pending orders older than cutoff time
+            // Orders whose stock holds have expired are cancelled even if younger than the cutoff
+            const expiredReservationOrderIds = await reservationService.findExpiredOrderIds();
+            
+            // Find pending orders older than cutoff time (COD orders are paid on delivery, so they never expire)
             const pendingOrders = await Order.find({
+                paymentMethod: { $in: payments.listOnlineProviders() },
                 paymentStatus: "Pending",
                 orderStatus: { $in: ["Pending", "Processing"] },
-                createdAt: { $lt: cutoffTime }
-            }).select('orderId paymentMethod orderItems createdAt userId');
+                $or: [
+                    { createdAt: { $lt: cutoffTime } },
+                    { orderId: { $in: expiredReservationOrderIds } }
+                ]
+            }).select('orderId paymentMethod paymentStatus orderStatus orderItems createdAt userId');
+            
+            // Holds left behind by orders that were already closed some other way
+            await this.releaseOrphanedReservations(expiredReservationOrderIds, pendingOrders);
             
             if (pendingOrders.length === 0) {
                 return;
@@ -110,27 +124,35 @@ class AutoCancelService {
     async cancelOrder(order) {
         const orderAge = Math.round((Date.now() - order.createdAt.getTime()) / (1000 * 60));
         
-        // Restore stock for all items
-        for (const item of order.orderItems) {
-            try {
-                const product = await Product.findById(item.productId);
-                if (product) {
-                    product.stock += item.quantity;
-                    await product.save();
-                } else {
-                    // Product not found, skip stock restoration
+        const reason = `Payment timeout - ${this.timeoutMinutes} minutes expired`;
+        
+        // Claim the order first so a payment confirmed in the meantime isn't cancelled
+        const cancelled = await orderStateService.applyTransitions(order, {
+            orderStatus: "Canceled",
+            paymentStatus: "Failed"
+        }, { source: 'auto-cancel', note: reason });
+        if (!cancelled) return;
+        
+        // Release held stock; orders placed before reservations had their stock deducted up front
+        const released = await reservationService.release(order.orderId, reason, { source: 'auto-cancel' });
+        const hadReservations = released > 0 || await reservationService.hasReservations(order.orderId);
+        
+        if (!hadReservations) {
+            for (const item of order.orderItems) {
+                try {
+                    await inventoryService.restoreForOrder([item], {
+                        orderId: order.orderId,
+                        reason,
+                        source: 'auto-cancel'
+                    });
+                } catch (stockError) {
+                    console.error(`❌ Failed to restore stock for ${item.name}:`, stockError.message);
+                    // Continue with other items even if one fails
                 }
-            } catch (stockError) {
-                console.error(`❌ Failed to restore stock for ${item.name}:`, stockError.message);
-                // Continue with other items even if one fails
             }
         }
         
-        // Update order status
-        await Order.findByIdAndUpdate(order._id, {
-            orderStatus: "Canceled",
-            paymentStatus: "Failed"
-        });
+        realtimeService.emitOrderEvent('order:payment', order._id);
         
         // Log cancellation
         auditLogger.warn('ORDER_AUTO_CANCELLED_BY_SERVICE', {
@@ -142,6 +164,33 @@ class AutoCancelService {
         });
     }
 
+    /**
+     * Settle expired holds whose order is no longer awaiting payment:
+     * paid orders keep their stock, anything else gets it released
+     */
+    async releaseOrphanedReservations(expiredOrderIds, pendingOrders) {
+        const pendingIds = new Set(pendingOrders.map(order => order.orderId));
+        const closedIds = expiredOrderIds.filter(orderId => !pendingIds.has(orderId));
+        if (closedIds.length === 0) return;
+        
+        const paidIds = new Set(
+            (await Order.find({ orderId: { $in: closedIds }, paymentStatus: 'Paid' }).select('orderId'))
+                .map(order => order.orderId)
+        );
+        
+        for (const orderId of closedIds) {
+            try {
+                if (paidIds.has(orderId)) {
+                    await reservationService.commit(orderId, { source: 'auto-cancel' });
+                } else {
+                    await reservationService.release(orderId, 'Reservation expired', { source: 'auto-cancel' });
+                }
+            } catch (error) {
+                console.error(`❌ Failed to settle expired reservation for ${orderId}:`, error.message);
+            }
+        }
+    }
+
     /**
      * Get service status
      */
@@ -0,0 +1,174 @@
+/**
+ * Catalog Service
+ * Storefront product listing: filters (category, price range, sale, featured, in stock, minimum rating),
+ * sorting, page pagination and facet counts for filter sidebars - all from one aggregation.
+ * Each facet is counted with every filter applied except its own, so picking a category still
+ * shows how many products the other categories have.
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+
+// Price facet bucket edges (Rs.) - the last bucket is open-ended
+const PRICE_BUCKETS = [0, 100, 250, 500, 1000, 2500];
+const RATING_STEPS = [4, 3, 2, 1];
+
+const SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: -1 },
+    rating: { avgRating: -1, reviewCount: -1, _id: -1 },
+    popularity: { soldCount: -1, reviewCount: -1, _id: -1 }
+};
+
+// Listing cards don't need reviews, stock bookkeeping or search index fields
+const LISTING_FIELDS = {
+    reviews: 0,
+    reservedStock: 0,
+    lowStockThreshold: 0,
+    lowStockAlertedAt: 0,
+    'variants.reservedStock': 0,
+    'variants.lowStockAlertedAt': 0,
+    searchTerms: 0,
+    searchPrefixes: 0,
+    searchGrams: 0
+};
+
+class CatalogService {
+    constructor() {
+        this.sorts = Object.keys(SORTS);
+        this.defaultLimit = 24;
+        this.maxLimit = 100;
+    }
+
+    /**
+     * One $match clause per filter the request sets
+     * @param {Object} filters - { categoryId, minPrice, maxPrice, sale, featured, inStock, minRating }
+     * @returns {Object} filter name -> clause
+     */
+    buildClauses({ categoryId, minPrice, maxPrice, sale, featured, inStock, minRating } = {}) {
+        const clauses = {};
+
+        if (categoryId) {
+            const ids = [].concat(categoryId).map(id => new mongoose.Types.ObjectId(String(id)));
+            clauses.category = { categoryId: { $in: ids } };
+        }
+        if (minPrice !== undefined || maxPrice !== undefined) {
+            clauses.price = { price: {} };
+            if (minPrice !== undefined) clauses.price.price.$gte = minPrice;
+            if (maxPrice !== undefined) clauses.price.price.$lte = maxPrice;
+        }
+        if (sale !== undefined) clauses.sale = { sale };
+        if (featured !== undefined) clauses.featured = { featured };
+        if (inStock) clauses.inStock = { outOfStock: false };
+        if (minRating !== undefined) clauses.rating = { avgRating: { $gte: minRating } };
+
+        return clauses;
+    }
+
+    /**
+     * All clauses except one, as a $match stage
+     */
+    matchExcept(clauses, excluded = null) {
+        const parts = Object.entries(clauses)
+            .filter(([name]) => name !== excluded)
+            .map(([, clause]) => clause);
+        return { $match: parts.length > 0 ? { $and: parts } : {} };
+    }
+
+    /**
+     * List catalog products
+     * @param {Object} options - filters (see buildClauses), sort, page, limit
+     * @returns {Object} { data, pagination: { page, limit, total, totalPages }, facets }
+     */
+    async list({ sort = 'newest', page = 1, limit = this.defaultLimit, ...filters } = {}) {
+        const clauses = this.buildClauses(filters);
+        const pageSize = Math.min(Math.max(limit, 1), this.maxLimit);
+        const skip = (Math.max(page, 1) - 1) * pageSize;
+
+        const [result] = await Product.aggregate([
+            {
+                $facet: {
+                    data: [
+                        this.matchExcept(clauses),
+                        { $sort: SORTS[sort] || SORTS.newest },
+                        { $skip: skip },
+                        { $limit: pageSize },
+                        { $project: LISTING_FIELDS }
+                    ],
+                    total: [this.matchExcept(clauses), { $count: 'count' }],
+                    categories: [
+                        this.matchExcept(clauses, 'category'),
+                        { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+                        { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+                        { $project: { _id: 0, categoryId: '$_id', name: { $arrayElemAt: ['$category.name', 0] }, count: 1 } },
+                        { $sort: { count: -1, name: 1 } }
+                    ],
+                    priceRanges: [
+                        this.matchExcept(clauses, 'price'),
+                        {
+                            $bucket: {
+                                groupBy: '$price',
+                                boundaries: [...PRICE_BUCKETS, Number.MAX_SAFE_INTEGER],
+                                default: 'other',
+                                output: { count: { $sum: 1 } }
+                            }
+                        }
+                    ],
+                    priceBounds: [
+                        this.matchExcept(clauses, 'price'),
+                        { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+                    ],
+                    sale: [this.matchExcept(clauses, 'sale'), { $match: { sale: true } }, { $count: 'count' }],
+                    featured: [this.matchExcept(clauses, 'featured'), { $match: { featured: true } }, { $count: 'count' }],
+                    inStock: [this.matchExcept(clauses, 'inStock'), { $match: { outOfStock: false } }, { $count: 'count' }],
+                    ratings: [
+                        this.matchExcept(clauses, 'rating'),
+                        {
+                            $group: {
+                                _id: null,
+                                ...Object.fromEntries(RATING_STEPS.map(step => [
+                                    `atLeast${step}`,
+                                    { $sum: { $cond: [{ $gte: ['$avgRating', step] }, 1, 0] } }
+                                ]))
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+
+        const total = result.total[0]?.count || 0;
+        const count = (facet) => facet[0]?.count || 0;
+        const ratings = result.ratings[0] || {};
+
+        return {
+            data: result.data,
+            pagination: {
+                page: Math.max(page, 1),
+                limit: pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            },
+            facets: {
+                categories: result.categories,
+                priceRanges: result.priceRanges
+                    .filter(bucket => bucket._id !== 'other')
+                    .map(bucket => {
+                        const index = PRICE_BUCKETS.indexOf(bucket._id);
+                        return { min: bucket._id, max: PRICE_BUCKETS[index + 1] ?? null, count: bucket.count };
+                    }),
+                price: {
+                    min: result.priceBounds[0]?.min ?? null,
+                    max: result.priceBounds[0]?.max ?? null
+                },
+                sale: count(result.sale),
+                featured: count(result.featured),
+                inStock: count(result.inStock),
+                ratings: RATING_STEPS.map(step => ({ minRating: step, count: ratings[`atLeast${step}`] || 0 }))
+            }
+        };
+    }
+}
+
+module.exports = new CatalogService();
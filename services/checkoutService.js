@@ -0,0 +1,841 @@
+/**
+ * Checkout Service
+ * Provider-agnostic order pipeline: price the cart, hold or take stock, start the payment
+ * with the order's PaymentProvider, then confirm, fail or refund it from verify calls and webhooks.
+ * Gateway specifics live in services/payments/.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const User = require('../models/userModel');
+const payments = require('./payments');
+const pricingService = require('./pricingService');
+const inventoryService = require('./inventoryService');
+const reservationService = require('./reservationService');
+const realtimeService = require('./realtimeService');
+const sellerOrderService = require('./sellerOrderService');
+const taxService = require('./taxService');
+const sequenceService = require('./sequenceService');
+const orderStateService = require('./orderStateService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class CheckoutService {
+    /**
+     * Build an error carrying the HTTP status (and extra response fields) the routes should respond with
+     */
+    createError(message, statusCode = 400, details = null) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        if (details) error.details = details;
+        return error;
+    }
+
+    /**
+     * Provider for a payment method, or a 400 if it isn't supported
+     */
+    getProvider(paymentMethod) {
+        const provider = payments.getProvider(paymentMethod);
+        if (!provider) {
+            throw this.createError(`Unsupported payment method: ${paymentMethod}`);
+        }
+        return provider;
+    }
+
+    // ===== STOCK =====
+
+    async restoreStock(orderItems, orderId, reason, session = null) {
+        await inventoryService.restoreForOrder(orderItems, { orderId, reason, source: 'orders' }, session);
+    }
+
+    /**
+     * Alert sellers about items that fell to their reorder threshold (run after the transaction commits)
+     */
+    checkLowStock(orderItems) {
+        inventoryService.checkLowStock(orderItems.map(item => item.productId)).catch(error => {
+            console.error('❌ Low stock check failed:', error.message);
+        });
+    }
+
+    /**
+     * Give back the stock of an unpaid order: release its holds, or restore stock
+     * for orders placed before reservations existed (stock was deducted up front)
+     */
+    async releaseOrderStock(order, reason, session = null) {
+        const released = await reservationService.release(order.orderId, reason, { source: 'orders' }, session);
+        if (released === 0 && !(await reservationService.hasReservations(order.orderId))) {
+            await this.restoreStock(order.orderItems, order.orderId, reason, session);
+        }
+    }
+
+    /**
+     * Give back the stock of a sub-order a seller cancelled
+     * COD and paid orders took their stock already; unpaid online orders only hold it, and the
+     * holds are released once the whole order is cancelled.
+     */
+    async restoreSubOrderStock(order, subOrder, reason) {
+        const provider = payments.getProvider(order.paymentMethod);
+        if (!provider || !provider.collectsOnline || order.paymentStatus === 'Paid') {
+            await this.restoreStock(subOrder.orderItems, order.orderId, reason);
+        } else if (order.paymentStatus === 'Pending' && order.orderStatus === 'Canceled') {
+            await this.releaseOrderStock(order, reason);
+        }
+    }
+
+    /**
+     * Convert an order's stock holds into a sale once its payment is confirmed
+     */
+    async commitOrderStock(order, source, session = null) {
+        try {
+            await reservationService.commit(order.orderId, { source }, session);
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+            // Payment is already captured, so keep the order and flag it for the seller
+            auditLogger.error('PAID_ORDER_STOCK_UNAVAILABLE', {
+                orderId: order.orderId,
+                paymentMethod: order.paymentMethod,
+                error: error.message
+            });
+        }
+    }
+
+    // ===== PLACING ORDERS =====
+
+    /**
+     * Cancel pending orders from the same checkout attempt made with another online payment method
+     * (COD orders are live as soon as they are placed, so they are never superseded)
+     * @param {string} baseIdempotencyKey - Key the client sent, without the payment method prefix
+     * @returns {Array} Cancelled orders
+     */
+    async supersedePendingOrders(baseIdempotencyKey, reason = 'Superseded by a new checkout attempt') {
+        const pendingOrders = await Order.find({
+            idempotencyKey: { $regex: `^(${payments.listOnlineProviders().join('|')})_${baseIdempotencyKey}$` },
+            paymentStatus: "Pending",
+            orderStatus: "Pending"
+        });
+
+        const cancelled = [];
+        for (const pendingOrder of pendingOrders) {
+            const order = await this.cancelUnpaidOrder(pendingOrder, { reason, source: 'create-order' });
+            if (order) cancelled.push(order);
+        }
+
+        return cancelled;
+    }
+
+    /**
+     * Cancel an order that hasn't been paid (payment Failed) and give back its stock
+     * @param {Object} order - Order as last read
+     * @param {Object} options - { reason, source, actor, set (extra fields to save) }
+     * @returns {Object|null} Cancelled order, or null if it was paid or moved on meanwhile
+     */
+    async cancelUnpaidOrder(order, { reason, source, actor, set = {} }) {
+        if (order.paymentStatus !== 'Pending') return null;
+
+        const changes = { paymentStatus: 'Failed' };
+        if (order.orderStatus !== 'Canceled') {
+            if (!orderStateService.canTransition('orderStatus', order.orderStatus, 'Canceled')) return null;
+            changes.orderStatus = 'Canceled';
+        }
+
+        const cancelled = await orderStateService.applyTransitions(order, changes, { set, source, actor, note: reason });
+        if (!cancelled) return null;
+
+        await this.releaseOrderStock(cancelled, reason);
+        return cancelled;
+    }
+
+    /**
+     * Customer name/email/phone fields for a registered user or a guest
+     */
+    customerFields(userId, userDetails, userInfo) {
+        if (userId && userDetails) {
+            return { userName: userDetails.name, userEmail: userDetails.email, userPhone: userDetails.phone };
+        }
+        if (userInfo) {
+            return { guestName: userInfo.name, guestEmail: userInfo.email, guestPhone: userInfo.phone };
+        }
+        return {};
+    }
+
+    /**
+     * Place an order from the checkout page and start its payment
+     * Online payments hold stock and stay Pending until confirmPayment; others take stock straight away.
+     * @param {Object} body - Checkout request body (cartItems, shippingAddress, paymentMethod, userInfo, userId, appliedCoupons, totals)
+     * @param {Object} context - { baseIdempotencyKey, ip }
+     * @returns {Object} { statusCode, body } to send back to the checkout page
+     */
+    async placeOrder(body, { baseIdempotencyKey, ip }) {
+        const { cartItems, shippingAddress, paymentMethod, userInfo, userId } = body;
+
+        if (!cartItems || cartItems.length === 0) {
+            throw this.createError("Cart is empty.");
+        }
+        if (!shippingAddress || !paymentMethod) {
+            throw this.createError("Shipping address and payment method are required.", 422);
+        }
+
+        const provider = this.getProvider(paymentMethod);
+        const idempotencyKey = `${paymentMethod}_${baseIdempotencyKey}`;
+
+        // A new attempt replaces pending ones made with another payment method
+        try {
+            await this.supersedePendingOrders(baseIdempotencyKey);
+        } catch (cleanupError) {
+            // Don't fail the checkout if cleanup fails
+            console.error('❌ Failed to cancel superseded orders:', cleanupError.message);
+        }
+
+        const existingOrder = await Order.findOne({ idempotencyKey });
+        if (existingOrder) {
+            auditLogger.warn('DUPLICATE_ORDER_ATTEMPT', {
+                ip,
+                userId: userId || 'guest',
+                orderId: existingOrder.orderId,
+                idempotencyKey: idempotencyKey,
+                existingStatus: existingOrder.orderStatus
+            });
+            throw this.createError("Order already exists with this idempotency key.", 409, {
+                orderId: existingOrder.orderId,
+                status: existingOrder.orderStatus
+            });
+        }
+
+        let userDetails = null;
+        if (userId) {
+            const user = await User.findById(userId).select("name email phone");
+            if (user) {
+                userDetails = { name: user.name, email: user.email, phone: user.phone };
+            }
+        }
+
+        // One-time checks that mustn't run again if the transaction retries (e.g. using up a COD OTP)
+        const prepared = await provider.prepareCheckout({ checkout: body, userInfo, userDetails });
+
+        const session = await mongoose.startSession();
+        let order;
+        let orderData;
+        let orderSummary;
+
+        try {
+            // withTransaction retries write conflicts with concurrent checkouts (e.g. on the order counter),
+            // so the callback only touches the database - the gateway is called once the order is saved
+            await session.withTransaction(async () => {
+                // Rebuild totals on the server from product prices, coupon rules and the sellers' shipping rules
+                let pricing;
+                try {
+                    pricing = await pricingService.calculateOrderTotals({
+                        cartItems,
+                        appliedCoupons: body.appliedCoupons,
+                        userId,
+                        email: userInfo?.email,
+                        shippingAddress,
+                        session
+                    });
+                } catch (pricingError) {
+                    if (!pricingError.statusCode) throw pricingError;
+                    throw this.createError(pricingError.message, pricingError.statusCode, {
+                        error: pricingError.errorCode || 'PRICING_ERROR'
+                    });
+                }
+
+                // Payment method fee (e.g. COD) is part of what the customer pays
+                pricing.paymentCharges = provider.paymentCharges(pricing);
+                pricing.finalTotal = round2(pricing.finalTotal + pricing.paymentCharges);
+                pricing.taxSummary.nonTaxableValue = round2(pricing.taxSummary.nonTaxableValue + pricing.paymentCharges);
+
+                // Reject the request if the totals the client displayed disagree with ours
+                const mismatches = pricingService.findMismatches(pricing, body);
+                if (mismatches.length > 0) {
+                    auditLogger.security('ORDER_PRICE_MISMATCH', {
+                        ip,
+                        userId: userId || 'guest',
+                        idempotencyKey: idempotencyKey,
+                        mismatches: mismatches
+                    });
+                    throw this.createError("Order totals have changed. Please review your cart and try again.", 409, {
+                        error: 'PRICE_MISMATCH',
+                        mismatches,
+                        expected: {
+                            totalPrice: pricing.totalPrice,
+                            discountAmount: pricing.discountAmount,
+                            shippingCharges: pricing.shippingCharges,
+                            paymentCharges: pricing.paymentCharges,
+                            finalTotal: pricing.finalTotal
+                        }
+                    });
+                }
+
+                const { orderItems, totalPrice, discountAmount, shippingCharges, paymentCharges, finalTotal, appliedCoupons } = pricing;
+
+                provider.validateOrder({ shippingAddress, finalTotal });
+
+                for (let i = 0; i < orderItems.length; i++) {
+                    const product = pricing.products[i];
+                    const stocked = product.findVariant(orderItems[i].variantId) || product;
+                    if (stocked.stock < orderItems[i].quantity) {
+                        throw this.createError(`Insufficient stock for ${orderItems[i].name}.`);
+                    }
+                }
+
+                // Numbered once the checkout has passed its checks, inside the transaction so a later
+                // stock race gives the number back instead of skipping it
+                const orderId = await sequenceService.next('order', { session });
+
+                // Both paths are guarded so concurrent checkouts can't oversell
+                try {
+                    if (provider.collectsOnline) {
+                        await reservationService.reserve(orderId, orderItems, { paymentMethod }, session);
+                    } else {
+                        await inventoryService.deductForOrder(orderItems, { orderId, source: 'create-order' }, session);
+                    }
+                } catch (stockError) {
+                    if (stockError.statusCode !== 409) throw stockError;
+                    throw this.createError(stockError.message, 409);
+                }
+
+                orderData = {
+                    userId,
+                    orderId,
+                    orderItems,
+                    subOrders: sellerOrderService.buildSubOrders(orderId, orderItems).map(subOrder => ({
+                        ...subOrder,
+                        supplier: taxService.supplierFor(pricing.suppliers, subOrder.sellerId)
+                    })),
+                    shippingAddress,
+                    paymentMethod,
+                    totalPrice,
+                    discountAmount,
+                    shippingCharges,
+                    paymentCharges,
+                    finalTotal,
+                    appliedCoupons,
+                    taxSummary: pricing.taxSummary,
+                    orderStatus: "Pending",
+                    paymentStatus: "Pending",
+                    orderDate: new Date(),
+                    isRegisteredUser: !!userId,
+                    trackingId: null,
+                    courierPartner: null,
+                    idempotencyKey: idempotencyKey,
+                    statusHistory: [orderStateService.entry('orderStatus', null, 'Pending', {
+                        actor: { type: 'customer', id: userId },
+                        source: 'create-order',
+                        note: 'Order placed'
+                    })],
+                    ...this.customerFields(userId, userDetails, userInfo),
+                    ...prepared.orderFields
+                };
+
+                // Order summary for the checkout page
+                orderSummary = {
+                    cartItems,
+                    shippingAddress,
+                    paymentMethod,
+                    userInfo,
+                    userId,
+                    totalPrice,
+                    discountAmount,
+                    shippingCharges,
+                    paymentCharges,
+                    finalTotal,
+                    appliedCoupons,
+                    userDetails,
+                    orderItems,
+                    orderId,
+                    idempotencyKey
+                };
+
+                order = await new Order(orderData).save({ session });
+            });
+        } catch (error) {
+            if (session.inTransaction()) await session.abortTransaction();
+
+            // The order wasn't placed, so give back whatever prepareCheckout used up
+            try {
+                await provider.abandonCheckout(prepared);
+            } catch (abandonError) {
+                console.error('❌ Failed to undo checkout preparation:', abandonError.message);
+            }
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        auditLogger.info('ORDER_CREATION_STARTED', {
+            ip,
+            userId: userId || 'guest',
+            orderId: order.orderId,
+            idempotencyKey: idempotencyKey,
+            paymentMethod: paymentMethod,
+            totalAmount: order.finalTotal,
+            itemCount: cartItems.length
+        });
+
+        // Called once, after the order is committed; if it fails the order is cancelled again
+        let clientResponse = {};
+        try {
+            const payment = await provider.createPayment(orderData, {
+                idempotencyKey,
+                baseIdempotencyKey,
+                userInfo,
+                userDetails,
+                checkout: body
+            });
+            if (Object.keys(payment.orderFields || {}).length > 0) {
+                order.set(payment.orderFields);
+                await order.save();
+            }
+            clientResponse = payment.clientResponse || {};
+        } catch (error) {
+            return this.cancelFailedPayment(order, error, { ip, userId });
+        }
+
+        this.checkLowStock(order.orderItems);
+        realtimeService.emitOrderEvent('order:created', order._id);
+
+        auditLogger.payment('ORDER_CREATED_SUCCESSFULLY', {
+            ip,
+            userId: userId || 'guest',
+            orderId: order.orderId,
+            paymentMethod,
+            totalAmount: order.finalTotal,
+            itemCount: order.orderItems.length,
+            idempotencyKey,
+            ...clientResponse
+        });
+
+        if (!provider.collectsOnline) {
+            // Nothing left to pay online, so sellers can start on it now; online orders notify once paid
+            await this.notifySellers(order);
+            return {
+                statusCode: 201,
+                body: { message: "Order created successfully", orderId: order.orderId }
+            };
+        }
+
+        return {
+            statusCode: 200,
+            body: { success: true, orderId: order.orderId, ...clientResponse, orderData: orderSummary }
+        };
+    }
+
+    /**
+     * The gateway couldn't start the payment: cancel the placed order and give back its stock
+     * (it keeps its number, so it stays on record). A timeout answers the checkout page with
+     * the gateway's clientResponse; other errors are passed on.
+     */
+    async cancelFailedPayment(order, error, { ip, userId }) {
+        auditLogger.error(error.timeout ? 'PAYMENT_CREATION_TIMED_OUT' : 'PAYMENT_CREATION_FAILED', {
+            ip,
+            userId: userId || 'guest',
+            orderId: order.orderId,
+            paymentMethod: order.paymentMethod,
+            error: error.message
+        });
+
+        try {
+            const cancelledOrder = await this.cancelUnpaidOrder(order, {
+                reason: error.timeout ? 'Payment gateway timed out' : 'Payment could not be started',
+                source: 'create-order',
+                // Errors the customer can retry free the idempotency key for the next attempt
+                set: error.timeout ? {} : { idempotencyKey: `${order.idempotencyKey}_failed_${order.orderId}` }
+            });
+            if (cancelledOrder) realtimeService.emitOrderEvent('order:created', cancelledOrder._id);
+        } catch (cancelError) {
+            console.error('❌ Failed to cancel order after payment error:', cancelError);
+        }
+
+        if (!error.timeout) throw error;
+        return { statusCode: 200, body: error.clientResponse };
+    }
+
+    // ===== PAYMENT RESULTS =====
+
+    /**
+     * Check a pending order's payment with its gateway and confirm or fail it
+     * @param {string} paymentMethod - Provider name
+     * @param {string} orderId - User-friendly order ID
+     * @param {Object} payload - Whatever the client got back from the gateway
+     * @param {Object} context - { ip, source }
+     * @returns {Object} { order, status ('paid' | 'pending' | 'failed'), alreadyPaid }
+     */
+    async verifyPayment(paymentMethod, orderId, payload, { ip, source }) {
+        const provider = this.getProvider(paymentMethod);
+
+        const order = await Order.findOne({ orderId, paymentMethod });
+        if (!order) {
+            throw this.createError("Order not found", 404);
+        }
+
+        // Already confirmed (e.g. by the webhook)
+        if (order.paymentStatus === 'Paid') {
+            auditLogger.info('PAYMENT_VERIFICATION_DUPLICATE', {
+                ip,
+                orderId,
+                paymentMethod,
+                existingStatus: order.orderStatus
+            });
+            return { order, status: 'paid', alreadyPaid: true };
+        }
+
+        const result = await provider.verify(order, payload);
+
+        if (result.status === 'failed') {
+            await this.failPayment(order, { reason: 'Payment failed at gateway', orderFields: result.orderFields, source });
+        }
+        if (result.status !== 'paid') {
+            return { order, status: result.status, alreadyPaid: false };
+        }
+
+        this.checkAmount(order, result.amount, { ip, source });
+
+        const confirmed = await this.confirmPayment(order, { orderFields: result.orderFields, source, ip });
+        return { order: confirmed || order, status: 'paid', alreadyPaid: !confirmed };
+    }
+
+    /**
+     * Reject a payment whose charged amount (paise) isn't the order total
+     */
+    checkAmount(order, amount, { ip, source }) {
+        if (amount === undefined || amount === null) return;
+
+        const expected = Math.round(order.finalTotal * 100);
+        if (Number(amount) !== expected) {
+            auditLogger.security('PAYMENT_AMOUNT_MISMATCH', {
+                ip,
+                source,
+                orderId: order.orderId,
+                paymentMethod: order.paymentMethod,
+                paidAmount: amount,
+                expectedAmount: expected
+            });
+            throw this.createError("Paid amount does not match the order total", 409, { error: 'PRICE_MISMATCH' });
+        }
+    }
+
+    /**
+     * Mark an order paid, turn its stock holds into a sale and tell everyone
+     * The order is claimed atomically, so a verify call racing a webhook confirms it once.
+     * An order cancelled before the money arrived stays cancelled and is flagged for a refund.
+     * @param {Object} order - Order document
+     * @param {Object} options - { orderFields (gateway references to save), source, ip }
+     * @returns {Object|null} Updated order, or null if it was already paid
+     */
+    async confirmPayment(order, { orderFields = {}, source, ip = null }) {
+        if (order.paymentStatus === 'Paid' || !orderStateService.canTransition('paymentStatus', order.paymentStatus, 'Paid')) {
+            return null;
+        }
+
+        const changes = { paymentStatus: 'Paid' };
+        const reopens = orderStateService.canTransition('orderStatus', order.orderStatus, 'Processing');
+        if (reopens) changes.orderStatus = 'Processing';
+
+        const session = await mongoose.startSession();
+        let paidOrder;
+
+        try {
+            session.startTransaction();
+
+            paidOrder = await orderStateService.applyTransitions(order, changes, {
+                set: orderFields,
+                session,
+                source,
+                note: 'Payment confirmed'
+            });
+
+            if (!paidOrder) {
+                await session.abortTransaction();
+                return null;
+            }
+
+            if (reopens) {
+                await this.commitOrderStock(paidOrder, source, session);
+            }
+            await session.commitTransaction();
+        } catch (error) {
+            if (session.inTransaction()) await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        realtimeService.emitOrderEvent('order:payment', paidOrder._id);
+
+        if (!reopens) {
+            auditLogger.error('PAYMENT_FOR_CANCELED_ORDER', {
+                ip,
+                source,
+                orderId: paidOrder.orderId,
+                paymentMethod: paidOrder.paymentMethod,
+                orderStatus: paidOrder.orderStatus,
+                amount: paidOrder.finalTotal
+            });
+            return paidOrder;
+        }
+
+        this.checkLowStock(paidOrder.orderItems);
+
+        auditLogger.payment('PAYMENT_CONFIRMED', {
+            ip,
+            source,
+            orderId: paidOrder.orderId,
+            paymentMethod: paidOrder.paymentMethod,
+            transactionId: paidOrder.transactionId,
+            amount: paidOrder.finalTotal,
+            itemCount: paidOrder.orderItems.length,
+            idempotencyKey: paidOrder.idempotencyKey
+        });
+
+        await this.generateInvoice(paidOrder, ip);
+        await this.sendConfirmationEmail(paidOrder);
+        await this.notifySellers(paidOrder);
+
+        return paidOrder;
+    }
+
+    /**
+     * Cancel an unpaid order whose payment failed and release its stock
+     * @param {Object} order - Order document
+     * @param {Object} options - { reason, orderFields, source }
+     * @returns {boolean} Whether the order was still pending and has now failed
+     */
+    async failPayment(order, { reason = 'Payment failed', orderFields = {}, source }) {
+        const failedOrder = await this.cancelUnpaidOrder(order, { reason, source, set: orderFields });
+        if (!failedOrder) return false;
+
+        realtimeService.emitOrderEvent('order:payment', failedOrder._id);
+
+        auditLogger.payment('PAYMENT_FAILED', {
+            source,
+            orderId: failedOrder.orderId,
+            paymentMethod: failedOrder.paymentMethod,
+            reason
+        });
+        return true;
+    }
+
+    /**
+     * Book a refund the gateway reports (e.g. one made from its dashboard)
+     * Refunds made through the refund workflow are already on the order and are skipped
+     * @param {Object} order - Order document
+     * @param {Object} refund - { refundId, amount, status }
+     * @param {string} source - Where the report came from
+     */
+    async recordProviderRefund(order, refund, source) {
+        const known = [order.refundDetails?.refundId, ...(order.partialRefunds || []).map(r => r.refundId)];
+        if (known.includes(refund.refundId)) return false;
+
+        const details = {
+            refundId: refund.refundId,
+            refundAmount: refund.amount,
+            refundStatus: refund.status,
+            refundDate: new Date(),
+            refundReason: `Refund reported by ${source}`
+        };
+
+        const alreadyRefunded = order.totalRefunded || 0;
+        const isFullRefund = alreadyRefunded === 0 && refund.amount >= order.finalTotal;
+        const context = { source, note: `Refund ${refund.refundId}` };
+
+        if (isFullRefund) {
+            order.refundDetails = details;
+        } else {
+            order.partialRefunds.push(details);
+            order.totalRefunded = round2(alreadyRefunded + refund.amount);
+        }
+        if ((isFullRefund || order.totalRefunded >= order.finalTotal) && order.paymentStatus === 'Paid') {
+            orderStateService.markRefunded(order, context);
+        }
+        await order.save();
+
+        const invoiceService = require('./invoiceService');
+        await invoiceService.issueCreditNote(order, refund.refundId);
+
+        if (isFullRefund) {
+            await this.restoreStock(order.orderItems, order.orderId, `Refund processed (${source})`);
+        }
+        realtimeService.emitOrderEvent('order:refund', order._id);
+
+        auditLogger.payment('PROVIDER_REFUND_RECORDED', {
+            source,
+            orderId: order.orderId,
+            refundId: refund.refundId,
+            amount: refund.amount,
+            full: isFullRefund
+        });
+        return true;
+    }
+
+    /**
+     * Check, translate and apply a gateway webhook
+     * @param {string} paymentMethod - Provider name
+     * @param {Object} req - Express request
+     * @returns {Object} Translated event
+     */
+    async handleWebhook(paymentMethod, req) {
+        const provider = this.getProvider(paymentMethod);
+        const event = await provider.handleWebhook(req);
+        const source = `${provider.name}-webhook`;
+
+        auditLogger.payment('PAYMENT_WEBHOOK_RECEIVED', {
+            ip: req.ip,
+            provider: provider.name,
+            event: event.event,
+            ...event.raw
+        });
+
+        if (event.event === 'ignored') return event;
+
+        const order = await Order.findOne(event.orderLookup);
+        if (!order) {
+            console.warn(`⚠️ ${source}: no order found for ${event.event}`, event.raw);
+            return event;
+        }
+
+        if (event.event === 'payment.paid') {
+            this.checkAmount(order, event.amount, { ip: req.ip, source });
+            await this.confirmPayment(order, { orderFields: event.orderFields, source, ip: req.ip });
+        } else if (event.event === 'payment.failed') {
+            await this.failPayment(order, { reason: event.reason || `${provider.name} payment failed`, orderFields: event.orderFields, source });
+        } else if (event.event === 'refund.processed') {
+            await this.recordProviderRefund(order, event.refund, source);
+        }
+
+        return event;
+    }
+
+    /**
+     * A seller collected the cash for their part of a COD order
+     * The order becomes Paid once every part that wasn't cancelled has been collected
+     * @param {Object} order - COD order document
+     * @param {string} sellerId - Store collecting the cash
+     * @param {Object} context - { by (signed-in account ID), ip }
+     * @returns {Object} Updated order
+     */
+    async recordCodCollection(order, sellerId, { by, ip = null }) {
+        const provider = this.getProvider(order.paymentMethod);
+        if (provider.collectsOnline) {
+            throw this.createError('Only cash on delivery orders are collected by sellers');
+        }
+        if (order.paymentStatus !== 'Pending') {
+            throw this.createError(`Payment is already ${order.paymentStatus.toLowerCase()}`, 409);
+        }
+
+        const subOrder = sellerOrderService.getSubOrder(order, sellerId);
+        if (!subOrder) {
+            throw this.createError('Order not found', 404);
+        }
+        if (sellerOrderService.effectiveStatus(order, subOrder) !== 'Delivered') {
+            throw this.createError('Cash can only be collected once your items are delivered');
+        }
+        if (subOrder.codCollectedAt) {
+            throw this.createError('Cash for this order has already been collected', 409);
+        }
+
+        subOrder.codCollectedAt = new Date();
+        subOrder.codCollectedBy = by;
+
+        const outstanding = order.subOrders.filter(sub =>
+            sellerOrderService.effectiveStatus(order, sub) !== 'Canceled' && !sub.codCollectedAt
+        );
+        const fullyPaid = outstanding.length === 0;
+        if (fullyPaid) {
+            orderStateService.transition(order, 'paymentStatus', 'Paid', {
+                actor: { type: 'seller', id: by },
+                source: 'cod-collection',
+                note: 'Cash collected on delivery'
+            });
+        }
+        await order.save();
+
+        realtimeService.emitOrderEvent('order:payment', order._id);
+        auditLogger.payment('COD_CASH_COLLECTED', {
+            ip,
+            orderId: order.orderId,
+            subOrderId: subOrder.subOrderId,
+            collectedBy: by,
+            amount: subOrder.itemsTotal,
+            orderPaid: fullyPaid
+        });
+
+        if (fullyPaid) {
+            await this.generateInvoice(order, ip);
+        }
+        return order;
+    }
+
+    // ===== AFTER PAYMENT =====
+
+    /**
+     * Generate the invoice once an order is paid (failures are logged, not thrown)
+     */
+    async generateInvoice(order, ip = null) {
+        try {
+            const invoiceService = require('./invoiceService');
+            await invoiceService.generateInvoice(order);
+            const filename = invoiceService.generateFilename(order.orderId);
+
+            auditLogger.info('INVOICE_AUTO_GENERATED', {
+                ip,
+                userId: order.userId || 'guest',
+                orderId: order.orderId,
+                filename: filename
+            });
+        } catch (invoiceError) {
+            console.error(`❌ Failed to generate invoice for order ${order.orderId}:`, invoiceError.message);
+            auditLogger.error('INVOICE_AUTO_GENERATION_FAILED', {
+                ip,
+                userId: order.userId || 'guest',
+                orderId: order.orderId,
+                error: invoiceError.message
+            });
+        }
+    }
+
+    /**
+     * Email the customer their order confirmation (failures are logged, not thrown)
+     */
+    async sendConfirmationEmail(order) {
+        try {
+            const emailService = require('./emailService');
+            const customerEmail = order.isRegisteredUser ? order.userEmail : order.guestEmail;
+
+            if (!customerEmail) {
+                console.warn(`⚠️ No customer email found for order ${order.orderId} confirmation`);
+                return;
+            }
+
+            await emailService.sendCheckoutSuccessEmail(customerEmail, {
+                orderId: order.orderId,
+                totalAmount: order.finalTotal,
+                items: order.orderItems.map(item => ({
+                    name: item.name,
+                    quantity: item.quantity,
+                    price: item.price,
+                    image: item.image || '/placeholder.jpg'
+                })),
+                shippingAddress: `${order.shippingAddress.street}, ${order.shippingAddress.city}, ${order.shippingAddress.state}, ${order.shippingAddress.zipcode}`,
+                expectedDelivery: '2-4 business days'
+            });
+            console.log(`📧 Checkout success email sent to ${customerEmail}`);
+        } catch (emailError) {
+            console.error(`❌ Failed to send checkout success email for order ${order.orderId}:`, emailError.message);
+        }
+    }
+
+    /**
+     * Tell each seller in the order about their items (failures are logged, not thrown)
+     */
+    async notifySellers(order) {
+        try {
+            const notified = await sellerOrderService.notifySellers(order);
+            console.log(`🔔 Order notifications sent to ${notified} seller(s) for order ${order.orderId}`);
+        } catch (notificationError) {
+            console.error('❌ Failed to send order notifications:', notificationError.message);
+        }
+    }
+}
+
+module.exports = new CheckoutService();
@@ -0,0 +1,171 @@
+/**
+ * Coupon Service
+ * Evaluates coupon codes against the Coupon collection and a customer's order history
+ */
+
+const Coupon = require('../models/couponModel');
+const Order = require('../models/orderModel');
+
+class CouponService {
+    /**
+     * Normalize a coupon code the same way the Coupon model stores it
+     * @param {string} code - Raw code entered by the customer
+     * @returns {string} Upper-cased, trimmed code
+     */
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Build the order filter identifying a customer's orders
+     * @param {Object} customer - { userId } for registered users or { email } for guests
+     * @returns {Object|null} Mongo filter, or null if the customer can't be identified
+     */
+    customerFilter({ userId, email } = {}) {
+        if (userId) return { userId };
+        if (email) return { guestEmail: email };
+        return null;
+    }
+
+    /**
+     * Order filter for orders that count as using a coupon or as a previous order: paid, or still
+     * awaiting payment (COD is paid on delivery) and not cancelled
+     */
+    activeOrderFilter() {
+        return { paymentStatus: { $in: ['Pending', 'Paid'] }, orderStatus: { $ne: 'Canceled' } };
+    }
+
+    /**
+     * Order lines a coupon discounts - a seller's coupon only covers that seller's items
+     * Coupons without an owner (created by the platform) cover the whole cart.
+     * @param {Object} coupon - Coupon document
+     * @param {Array} orderItems - Priced lines ({ sellerId, subtotal })
+     * @returns {Array} The lines the discount applies to
+     */
+    eligibleItems(coupon, orderItems = []) {
+        if (!coupon.createdBy) return orderItems;
+        return orderItems.filter(item => item.sellerId && item.sellerId.toString() === coupon.createdBy.toString());
+    }
+
+    /**
+     * Calculate the discount a coupon gives on a cart total
+     * @param {Object} coupon - Coupon document
+     * @param {number} cartTotal - Cart subtotal before discount
+     * @returns {number} Discount amount rounded to 2 decimals
+     */
+    calculateDiscount(coupon, cartTotal) {
+        let discount = coupon.discountType === 'percent'
+            ? (cartTotal * coupon.discountValue) / 100
+            : coupon.discountValue;
+
+        if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+            discount = Math.min(discount, coupon.maxDiscount);
+        }
+
+        discount = Math.min(discount, cartTotal);
+        return Math.round(discount * 100) / 100;
+    }
+
+    /**
+     * Validate a coupon code for a cart and customer
+     * Throws an error with statusCode set when the coupon can't be applied
+     * @param {string} code - Coupon code
+     * @param {Object} options
+     * @param {Array} options.orderItems - Priced cart lines (pricingService.buildOrderItems)
+     * @param {string} [options.userId] - Registered customer ID
+     * @param {string} [options.email] - Guest customer email
+     * @returns {Object} { coupon, eligibleItems, discountAmount, finalTotal }
+     *   The discount is taken off eligibleItems only; finalTotal is the whole cart less the discount.
+     */
+    async evaluateCoupon(code, { orderItems = [], userId, email } = {}) {
+        const normalizedCode = this.normalizeCode(code);
+        if (!normalizedCode) {
+            throw this.createError('Coupon code is required.');
+        }
+
+        const coupon = await Coupon.findOne({ code: normalizedCode });
+        if (!coupon) {
+            throw this.createError('Invalid coupon code.');
+        }
+
+        if (!coupon.isActive) {
+            throw this.createError('This coupon is no longer active.');
+        }
+
+        const now = new Date();
+        if (coupon.validFrom && now < coupon.validFrom) {
+            throw this.createError('This coupon is not active yet.');
+        }
+        if (coupon.validUntil && now > coupon.validUntil) {
+            throw this.createError('This coupon has expired.');
+        }
+
+        const eligibleItems = this.eligibleItems(coupon, orderItems);
+        if (eligibleItems.length === 0) {
+            throw this.createError('This coupon is not valid for the items in your cart.');
+        }
+
+        // Minimum order value counts the items the coupon covers
+        const eligibleTotal = Math.round(eligibleItems.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+        if (eligibleTotal < coupon.minOrderValue) {
+            throw this.createError(`Minimum order value of ₹${coupon.minOrderValue} required for this coupon.`);
+        }
+
+        // 🔒 Total usage cap across all customers
+        if (coupon.usageLimit !== null && coupon.usageLimit !== undefined) {
+            const totalUses = await Order.countDocuments({
+                appliedCoupons: coupon.code,
+                ...this.activeOrderFilter()
+            });
+            if (totalUses >= coupon.usageLimit) {
+                throw this.createError('This coupon has reached its usage limit.', 409);
+            }
+        }
+
+        const filter = this.customerFilter({ userId, email });
+
+        // 🔒 Per-customer usage cap
+        if (filter && coupon.perUserLimit !== null && coupon.perUserLimit !== undefined) {
+            const userUses = await Order.countDocuments({
+                ...filter,
+                appliedCoupons: coupon.code,
+                ...this.activeOrderFilter()
+            });
+            if (userUses >= coupon.perUserLimit) {
+                throw this.createError('You have already used this coupon.', 409);
+            }
+        }
+
+        // 🔒 First-order-only coupons
+        if (coupon.firstOrderOnly) {
+            if (!filter) {
+                throw this.createError('This coupon is only valid for first-time customers.');
+            }
+            const previousOrders = await Order.countDocuments({ ...filter, ...this.activeOrderFilter() });
+            if (previousOrders > 0) {
+                throw this.createError('This coupon is only valid for first-time customers.');
+            }
+        }
+
+        const discountAmount = this.calculateDiscount(coupon, eligibleTotal);
+        const cartTotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+
+        return {
+            coupon,
+            eligibleItems,
+            discountAmount,
+            finalTotal: Math.round((cartTotal - discountAmount) * 100) / 100
+        };
+    }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,48 @@
+/**
+ * Courier Adapter
+ * Interface every courier integration implements. services/shipmentService.js only reads
+ * courier webhooks through these methods, so adding a courier means writing an adapter
+ * and registering it in ./index.js. The base adapter is the "manual" courier: no webhooks,
+ * the seller adds tracking events from the dashboard.
+ */
+
+class CourierAdapter {
+    /**
+     * @param {string} name - Value stored in courierPartner.adapter
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Whether the courier pushes tracking events to /api/shipments/webhooks/:partnerId
+     */
+    get supportsWebhooks() {
+        return false;
+    }
+
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    notImplemented(method) {
+        return this.createError(`${this.name} courier does not support ${method}`, 501);
+    }
+
+    /**
+     * Check and translate a tracking webhook
+     * @param {Object} req - Express request (body, headers, rawBody)
+     * @param {Object} partner - CourierPartner the webhook was sent to (with webhookSecret)
+     * @returns {Array} Events [{ awb, status (see Shipment.STATUSES), code, description, location, at }]
+     */
+    async parseWebhook(req, partner) {
+        throw this.notImplemented('webhooks');
+    }
+}
+
+module.exports = CourierAdapter;
@@ -0,0 +1,39 @@
+/**
+ * Courier Adapters
+ * Registry of courier integrations, keyed by courierPartner.adapter
+ */
+
+const CourierAdapter = require('./courierAdapter');
+const stubCourierAdapter = require('./stubCourierAdapter');
+
+const adapters = new Map();
+
+/**
+ * Make a courier adapter available to shipments and tracking webhooks
+ * @param {CourierAdapter} adapter - Adapter instance (see ./courierAdapter.js)
+ */
+const register = (adapter) => {
+    adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Adapter by name, or null if there isn't one
+ */
+const getAdapter = (name) => adapters.get(name) || null;
+
+/**
+ * Registered adapters and whether they take webhooks
+ */
+const listAdapters = () => [...adapters.values()].map(adapter => ({
+    name: adapter.name,
+    supportsWebhooks: adapter.supportsWebhooks
+}));
+
+register(new CourierAdapter('manual'));
+register(stubCourierAdapter);
+
+module.exports = {
+    register,
+    getAdapter,
+    listAdapters
+};
@@ -0,0 +1,77 @@
+/**
+ * Stub Courier Adapter
+ * A courier that doesn't exist, for trying the tracking pipeline locally.
+ * Webhooks are JSON signed with the partner's webhook secret (HMAC-SHA256 hex in
+ * X-Stub-Signature); scripts/sendStubTrackingEvent.js sends one.
+ *
+ * Body: { awb, status, description, location, timestamp } or { events: [ ...same... ] }
+ */
+
+const crypto = require('crypto');
+const CourierAdapter = require('./courierAdapter');
+const Shipment = require('../../models/shipmentModel');
+const { auditLogger } = require('../../middleware/auditLogger');
+
+// Courier-style codes the stub also accepts
+const STATUS_CODES = {
+    PICKED_UP: 'picked_up',
+    IN_TRANSIT: 'in_transit',
+    OUT_FOR_DELIVERY: 'out_for_delivery',
+    DELIVERED: 'delivered',
+    UNDELIVERED: 'failed_delivery',
+    RTO: 'returned'
+};
+
+class StubCourierAdapter extends CourierAdapter {
+    constructor() {
+        super('stub');
+    }
+
+    get supportsWebhooks() {
+        return true;
+    }
+
+    /**
+     * HMAC-SHA256 signature of a webhook body
+     */
+    sign(body, secret) {
+        return crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    async parseWebhook(req, partner) {
+        const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+        const expected = this.sign(body, partner.webhookSecret || '');
+        const received = String(req.headers['x-stub-signature'] || '');
+
+        const valid = received.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+        if (!valid) {
+            auditLogger.security('COURIER_WEBHOOK_SIGNATURE_FAILED', {
+                ip: req.ip,
+                adapter: this.name,
+                partnerId: partner._id.toString()
+            });
+            throw this.createError('Invalid webhook signature.', 401);
+        }
+
+        const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+        return events.map(event => {
+            const code = String(event.status || '').trim();
+            const status = STATUS_CODES[code.toUpperCase()] || code.toLowerCase();
+            if (!event.awb || !Shipment.STATUSES.includes(status)) {
+                throw this.createError(`Invalid tracking event: ${JSON.stringify(event)}`);
+            }
+
+            return {
+                awb: String(event.awb),
+                status,
+                code,
+                description: event.description || '',
+                location: event.location || '',
+                at: event.timestamp ? new Date(event.timestamp) : new Date()
+            };
+        });
+    }
+}
+
+module.exports = new StubCourierAdapter();
@@ -105,6 +105,32 @@ class EmailService {
     }
   }
 
+  // Send a refund's credit note (PDF attached)
+  async sendCreditNoteEmail(userEmail, { orderId, creditNoteNumber, invoiceNumber, amount, pdf, filename }) {
+    if (!this.transporter) {
+      console.error('❌ Email transporter not initialized');
+      return false;
+    }
+
+    try {
+      await this.transporter.sendMail({
+        from: `"${process.env.STORE_NAME || 'Ripe’n Red'}" <${process.env.EMAIL_USER}>`,
+        to: userEmail,
+        subject: `Credit Note ${creditNoteNumber} - Refund for Order #${orderId}`,
+        text: `We've refunded Rs.${amount.toFixed(2)} for your order #${orderId}` +
+          `${invoiceNumber ? ` (invoice ${invoiceNumber})` : ''}. ` +
+          `Your credit note ${creditNoteNumber} is attached. ` +
+          `The money should reach your original payment method within 5-7 business days.`,
+        attachments: [{ filename, content: pdf, contentType: 'application/pdf' }]
+      });
+
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send credit note email:', error.message);
+      return false;
+    }
+  }
+
   // Professional checkout success template
   getCheckoutSuccessTemplate(orderData) {
     const itemsHtml = orderData.items.map(item => `
@@ -0,0 +1,439 @@
+/**
+ * Inventory Service
+ * Single entry point for stock changes - every change is applied atomically
+ * and recorded in the StockMovement ledger
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const StockMovement = require('../models/stockMovementModel');
+const realtimeService = require('./realtimeService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+class InventoryService {
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Apply a signed stock change to one product (or one of its variants) and record it in the ledger
+     * Decrements only succeed if enough units are there, so concurrent orders can't drive stock negative.
+     * A variant's change is also applied to the product's totals, in the same write.
+     * @param {Object} movement
+     * @param {string} movement.productId - Product to change
+     * @param {string} [movement.variantId] - Variant to change (required for products with variants)
+     * @param {number} movement.quantity - Signed change to available stock (negative = stock out)
+     * @param {number} [movement.reservedQuantity] - Signed change to reservedStock
+     * @param {string} movement.type - reservation | release | deduction | restoration | adjustment
+     * @param {string} [movement.orderId] - Order the movement belongs to
+     * @param {string} [movement.reason] - Free-text reason
+     * @param {string} [movement.source] - Code path that caused the movement
+     * @param {string} [movement.performedBy] - Seller ID for manual changes
+     * @param {ClientSession} [session] - Optional Mongo session
+     * @returns {Object} Updated product
+     */
+    async applyMovement({ productId, variantId = null, quantity = 0, reservedQuantity = 0, type, orderId = null, reason = '', source = 'system', performedBy = null }, session = null) {
+        const filter = { _id: productId };
+        const guard = {};
+        if (quantity < 0) {
+            guard.stock = { $gte: -quantity };
+        }
+        if (reservedQuantity < 0) {
+            guard.reservedStock = { $gte: -reservedQuantity };
+        }
+
+        const totals = {
+            stock: { $add: [{ $ifNull: ['$stock', 0] }, quantity] },
+            reservedStock: { $add: [{ $ifNull: ['$reservedStock', 0] }, reservedQuantity] }
+        };
+
+        // Units sold count towards popularity until they are restored (cancellations, returns)
+        const soldChange = type === 'deduction' ? -(quantity + reservedQuantity) : type === 'restoration' ? -quantity : 0;
+        if (soldChange !== 0) {
+            totals.soldCount = { $max: [0, { $add: [{ $ifNull: ['$soldCount', 0] }, soldChange] }] };
+        }
+
+        if (variantId) {
+            variantId = new mongoose.Types.ObjectId(String(variantId));
+            filter.variants = { $elemMatch: { _id: variantId, ...guard } };
+            const variantStock = { $add: [{ $ifNull: ['$$variant.stock', 0] }, quantity] };
+            totals.variants = {
+                $map: {
+                    input: '$variants',
+                    as: 'variant',
+                    in: {
+                        $cond: [
+                            { $eq: ['$$variant._id', variantId] },
+                            {
+                                $mergeObjects: ['$$variant', {
+                                    stock: variantStock,
+                                    reservedStock: { $add: [{ $ifNull: ['$$variant.reservedStock', 0] }, reservedQuantity] },
+                                    lowStockAlertedAt: {
+                                        $cond: [{ $gt: [variantStock, { $ifNull: ['$lowStockThreshold', 0] }] }, null, '$$variant.lowStockAlertedAt']
+                                    }
+                                }]
+                            },
+                            '$$variant'
+                        ]
+                    }
+                }
+            };
+        } else {
+            // A product with variants keeps its stock on them
+            Object.assign(filter, guard, { 'variants.0': { $exists: false } });
+        }
+
+        // Pipeline update keeps stock, reservedStock and outOfStock consistent in one atomic write
+        const product = await Product.findOneAndUpdate(
+            filter,
+            [
+                { $set: totals },
+                {
+                    $set: {
+                        outOfStock: { $lte: ['$stock', 0] },
+                        // Restocked above the reorder point - re-arm the low-stock alert
+                        lowStockAlertedAt: {
+                            $cond: [{ $gt: ['$stock', { $ifNull: ['$lowStockThreshold', 0] }] }, null, '$lowStockAlertedAt']
+                        }
+                    }
+                }
+            ],
+            { new: true, session }
+        );
+
+        if (!product) {
+            const existing = await Product.findById(productId).select('variants._id').session(session).lean();
+            if (!existing) {
+                throw this.createError(`Product with ID ${productId} not found.`, 404);
+            }
+            if (variantId && !existing.variants.some(v => v._id.equals(variantId))) {
+                throw this.createError(`Variant ${variantId} of product ${productId} not found.`, 404);
+            }
+            if (!variantId && existing.variants.length > 0) {
+                throw this.createError(`Product ${productId} has variants - choose one.`, 422);
+            }
+            throw this.createError(`Insufficient stock for product ${productId}.`, 409);
+        }
+
+        const variant = variantId ? product.findVariant(variantId) : null;
+        const balance = variant || product;
+
+        // Held-only changes (e.g. selling reserved units) are booked against the reserved bucket
+        const reservedOnly = quantity === 0 && reservedQuantity !== 0;
+
+        await StockMovement.create([{
+            productId: product._id,
+            variantId,
+            type,
+            bucket: reservedOnly ? 'reserved' : 'available',
+            quantity: reservedOnly ? reservedQuantity : quantity,
+            balanceAfter: balance.stock,
+            reservedAfter: balance.reservedStock,
+            orderId,
+            reason,
+            source,
+            performedBy
+        }], { session });
+
+        // Inside a transaction the caller checks thresholds after commit
+        if (!session && quantity < 0) {
+            this.checkLowStock([product._id]).catch(error => {
+                console.error('❌ Low stock check failed:', error.message);
+            });
+        }
+
+        return product;
+    }
+
+    /**
+     * Send a low-stock alert for products at or below their reorder threshold
+     * A product's stock is the total of its variants, so each active variant is also checked
+     * against the product's threshold. Each product and variant alerts once, then stays quiet
+     * until it is restocked above the threshold.
+     * @param {Array} productIds - Products whose stock just went down
+     */
+    async checkLowStock(productIds) {
+        const products = await Product.find({
+            _id: { $in: productIds },
+            lowStockThreshold: { $ne: null },
+            $or: [
+                { lowStockAlertedAt: null, $expr: { $lte: ['$stock', '$lowStockThreshold'] } },
+                { variants: { $elemMatch: { isActive: { $ne: false }, lowStockAlertedAt: null } } }
+            ]
+        }).select('name stock lowStockThreshold lowStockAlertedAt sellerId variants');
+
+        for (const product of products) {
+            const alert = async (variant = null) => {
+                try {
+                    await this.sendLowStockAlert(product, variant);
+                } catch (error) {
+                    console.error(`❌ Failed to send low stock alert for ${product.name}:`, error.message);
+                }
+            };
+
+            // Claim the alert so concurrent checks don't send it twice
+            if (!product.lowStockAlertedAt && product.stock <= product.lowStockThreshold) {
+                const claimed = await Product.updateOne(
+                    { _id: product._id, lowStockAlertedAt: null },
+                    { $set: { lowStockAlertedAt: new Date() } }
+                );
+                if (claimed.modifiedCount > 0) await alert();
+            }
+
+            for (const variant of product.variants) {
+                if (variant.isActive === false || variant.lowStockAlertedAt || variant.stock > product.lowStockThreshold) continue;
+
+                const claimed = await Product.updateOne(
+                    { _id: product._id, variants: { $elemMatch: { _id: variant._id, lowStockAlertedAt: null } } },
+                    { $set: { 'variants.$.lowStockAlertedAt': new Date() } }
+                );
+                if (claimed.modifiedCount > 0) await alert(variant);
+            }
+        }
+    }
+
+    /**
+     * Notify the product's seller that it (or one of its variants) has reached its reorder threshold
+     * @param {Object} product - Product document (name, stock, lowStockThreshold, sellerId)
+     * @param {Object} [variant] - Variant that ran low, if it was one
+     */
+    async sendLowStockAlert(product, variant = null) {
+        const Seller = require('../seller-backend/models/sellerModel');
+        const notificationService = require('./notificationService');
+
+        const name = variant ? `${product.name} (${variant.label})` : product.name;
+        const stock = variant ? variant.stock : product.stock;
+
+        const seller = product.sellerId ? await Seller.findById(product.sellerId).select('email _id') : null;
+        if (!seller) {
+            console.warn(`⚠️ No seller owns ${name}; low stock alert not sent`);
+            return;
+        }
+
+        await notificationService.sendMultiChannelNotification(
+            seller._id.toString(),
+            notificationService.createLowStockNotification({
+                id: product._id.toString(),
+                name,
+                stock,
+                threshold: product.lowStockThreshold
+            }),
+            seller.email
+        );
+
+        realtimeService.emitToSeller(seller._id.toString(), 'inventory:low-stock', {
+            productId: product._id,
+            variantId: variant ? variant._id : null,
+            name,
+            stock,
+            threshold: product.lowStockThreshold
+        });
+
+        auditLogger.warn('LOW_STOCK_ALERT_SENT', {
+            productId: product._id,
+            variantId: variant ? variant._id : null,
+            productName: name,
+            stock,
+            threshold: product.lowStockThreshold
+        });
+    }
+
+    /**
+     * Take stock out for every item of an order (all or nothing)
+     * @param {Array} orderItems - [{ productId, variantId, name, quantity }]
+     * @param {Object} options - { orderId, type ('deduction' | 'reservation'), reason, source }
+     * @param {ClientSession} [session] - Optional Mongo session; without one, applied items are rolled back on failure
+     */
+    async deductForOrder(orderItems, { orderId, type = 'deduction', reason = '', source = 'order' } = {}, session = null) {
+        const applied = [];
+
+        try {
+            for (const item of orderItems) {
+                await this.applyMovement({
+                    productId: item.productId,
+                    variantId: item.variantId || null,
+                    quantity: -item.quantity,
+                    type,
+                    orderId,
+                    reason,
+                    source
+                }, session);
+                applied.push(item);
+            }
+        } catch (error) {
+            if (error.statusCode === 409) {
+                const failedItem = orderItems[applied.length];
+                error.message = `Insufficient stock for ${failedItem.name || failedItem.productId}.`;
+            }
+
+            // A transaction rolls itself back; without one, put back what we already took
+            if (!session && applied.length > 0) {
+                await this.restoreForOrder(applied, { orderId, reason: 'Rollback of failed stock deduction', source });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Put stock back for every item of an order
+     * Missing products and variants are skipped so one deleted product doesn't block the rest, as are
+     * lines placed without a variant on products that have variants since
+     * @param {Array} orderItems - [{ productId, variantId, name, quantity }]
+     * @param {Object} options - { orderId, reason, source }
+     * @param {ClientSession} [session] - Optional Mongo session
+     */
+    async restoreForOrder(orderItems, { orderId, reason = '', source = 'order' } = {}, session = null) {
+        for (const item of orderItems) {
+            try {
+                const product = await this.applyMovement({
+                    productId: item.productId,
+                    variantId: item.variantId || null,
+                    quantity: item.quantity,
+                    type: 'restoration',
+                    orderId,
+                    reason,
+                    source
+                }, session);
+                console.log(`🔄 Stock restored for ${item.name}: +${item.quantity} units (new stock: ${product.stock})`);
+            } catch (error) {
+                if (error.statusCode !== 404 && error.statusCode !== 422) throw error;
+                console.warn(`⚠️ Skipping stock restoration for ${item.name || item.productId}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Manual stock adjustment by a seller
+     * @param {string} productId - Product to adjust
+     * @param {Object} adjustment
+     * @param {string} [adjustment.variantId] - Variant to adjust (required for products with variants)
+     * @param {number} [adjustment.quantity] - Signed change to apply
+     * @param {number} [adjustment.stock] - Absolute stock level to set (used if quantity isn't given)
+     * @param {string} [adjustment.reason] - Reason for the adjustment
+     * @param {string} [adjustment.sellerId] - Seller making the change
+     * @returns {Object} Updated product
+     */
+    async adjustStock(productId, { variantId = null, quantity, stock, reason = '', sellerId = null } = {}) {
+        let change = quantity;
+
+        if (change === undefined || change === null) {
+            const product = await Product.findById(productId).select('stock variants');
+            if (!product) {
+                throw this.createError('Product not found', 404);
+            }
+            const current = variantId ? product.findVariant(variantId) : product;
+            if (!current) {
+                throw this.createError('Variant not found', 404);
+            }
+            change = stock - (current.stock || 0);
+        }
+
+        if (!change) {
+            return Product.findById(productId);
+        }
+
+        try {
+            const product = await this.applyMovement({
+                productId,
+                variantId,
+                quantity: change,
+                type: 'adjustment',
+                reason,
+                source: 'seller',
+                performedBy: sellerId
+            });
+
+            auditLogger.info('STOCK_ADJUSTED', {
+                sellerId,
+                productId,
+                variantId,
+                change,
+                newStock: variantId ? product.findVariant(variantId).stock : product.stock,
+                reason
+            });
+
+            return product;
+        } catch (error) {
+            if (error.statusCode === 409) {
+                throw this.createError('Adjustment would make stock negative.', 400);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Change a product's reorder threshold and re-evaluate its alert against current stock
+     * @param {string} productId - Product ID
+     * @param {number} threshold - Alert when available stock is at or below this
+     * @returns {Object} Updated product
+     */
+    async setLowStockThreshold(productId, threshold) {
+        const product = await Product.findByIdAndUpdate(productId, [
+            { $set: { lowStockThreshold: threshold } },
+            {
+                $set: {
+                    lowStockAlertedAt: {
+                        $cond: [{ $gt: [{ $ifNull: ['$stock', 0] }, threshold] }, null, '$lowStockAlertedAt']
+                    },
+                    variants: {
+                        $map: {
+                            input: { $ifNull: ['$variants', []] },
+                            as: 'variant',
+                            in: {
+                                $mergeObjects: ['$$variant', {
+                                    lowStockAlertedAt: {
+                                        $cond: [{ $gt: [{ $ifNull: ['$$variant.stock', 0] }, threshold] }, null, '$$variant.lowStockAlertedAt']
+                                    }
+                                }]
+                            }
+                        }
+                    }
+                }
+            }
+        ], { new: true });
+
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+
+        await this.checkLowStock([product._id]);
+        return product;
+    }
+
+    /**
+     * Paginated movement history for a product, newest first
+     * @param {string} productId - Product ID
+     * @param {Object} options - { page, limit }
+     * @returns {Object} { movements, pagination }
+     */
+    async getMovementHistory(productId, { page = 1, limit = 50 } = {}) {
+        const skip = (page - 1) * limit;
+
+        const [movements, total] = await Promise.all([
+            StockMovement.find({ productId })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('performedBy', 'name email')
+                .lean(),
+            StockMovement.countDocuments({ productId })
+        ]);
+
+        return {
+            movements,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+module.exports = new InventoryService();
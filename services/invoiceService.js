@@ -1,6 +1,13 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const Order = require('../models/orderModel');
+const taxService = require('./taxService');
+const sequenceService = require('./sequenceService');
+const emailService = require('./emailService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+const round2 = (value) => Math.round(value * 100) / 100;
 
 class InvoiceService {
     constructor() {
@@ -8,6 +15,8 @@ class InvoiceService {
     }
 
     async generateInvoice(orderData) {
+        if (orderData && orderData.orderId) await this.ensureInvoiceNumber(orderData);
+
         return new Promise((resolve, reject) => {
             try {
                 if (!orderData || !orderData.orderId) throw new Error('Invalid order data: missing orderId');
@@ -51,25 +60,87 @@ class InvoiceService {
             }
 
             doc.fontSize(14).font('Helvetica-Bold').fillColor('#2E7D32')
-                .text('INVOICE', 400, y);
+                .text(this.invoiceTitle(orderData), 400, y);
             doc.fontSize(9).fillColor('#000')
-                .text(`Invoice #: ${orderData.orderId}`, 400, y + 15)
-                .text(`Date: ${new Date(orderData.createdAt).toLocaleDateString('en-IN')}`, 400, y + 28)
-                .text(`Invoice Generated: ${new Date().toLocaleDateString('en-IN')}`, 400, y + 41);
+                .text(`Invoice #: ${orderData.invoiceNumber || 'Not issued'}`, 400, y + 15)
+                .text(`Invoice Date: ${new Date(orderData.invoiceDate || Date.now()).toLocaleDateString('en-IN')}`, 400, y + 28)
+                .text(`Order #: ${orderData.orderId}`, 400, y + 41)
+                .text(`Order Date: ${new Date(orderData.createdAt).toLocaleDateString('en-IN')}`, 400, y + 54);
+
+            return y + 70;
+    }
+
+    // ===== GST =====
 
-            return y + 60;
+    /**
+     * Paid orders get a tax invoice; unpaid ones (e.g. COD before collection) print as a proforma
+     */
+    isTaxInvoice(orderData) {
+        return ['Paid', 'Refunded'].includes(orderData.paymentStatus);
+    }
+
+    invoiceTitle(orderData) {
+        return this.isTaxInvoice(orderData) ? 'TAX INVOICE' : 'PROFORMA INVOICE';
+    }
+
+    /**
+     * Give a paid order the next invoice number the first time its invoice is generated
+     * @param {Object} order - Order document or plain object (updated in place)
+     * @returns {string|null} The order's invoice number
+     */
+    async ensureInvoiceNumber(order) {
+        if (order.invoiceNumber) return order.invoiceNumber;
+        if (!order._id || !this.isTaxInvoice(order)) return null;
+
+        const invoiceDate = new Date();
+        await sequenceService.assign('invoice', Order, { _id: order._id, invoiceNumber: null }, 'invoiceNumber', {
+            date: invoiceDate,
+            extra: { invoiceDate }
+        });
+
+        // Another request may have numbered the order first - either way, use what's stored
+        const numbered = await Order.findById(order._id).select('invoiceNumber invoiceDate').lean();
+
+        order.invoiceNumber = numbered.invoiceNumber;
+        order.invoiceDate = numbered.invoiceDate;
+        return order.invoiceNumber;
+    }
+
+    /**
+     * Sellers on the invoice, as recorded when the order was placed
+     */
+    invoiceSuppliers(orderData) {
+        const suppliers = (orderData.subOrders || [])
+            .map(subOrder => subOrder.supplier)
+            .filter(supplier => supplier && supplier.name);
+        return suppliers.length > 0 ? suppliers : [taxService.storeSupplier];
+    }
+
+    /**
+     * An item's taxable value, GST and tax-inclusive total
+     * Items from before GST was recorded show their subtotal, untaxed.
+     */
+    lineTax(item) {
+        const taxableValue = item.taxableValue ?? ((item.price || 0) * (item.quantity || 1));
+        const cgst = item.cgst || 0;
+        const sgst = item.sgst || 0;
+        const igst = item.igst || 0;
+        return { taxableValue, cgst, sgst, igst, total: taxableValue + cgst + sgst + igst };
     }
 
     addCompanyAndCustomerInfo(doc, orderData, y) {
-        doc.fontSize(9).fillColor('#555')
-            .text('From:', 50, y)
-            .font('Helvetica-Bold').fillColor('#000')
-            .text('Ripe\'n Red', 50, y + 10)
-            .font('Helvetica').fillColor('#333')
-            .text('Village Jabraloo', 50, y + 20)
-            .text('Tehsil Rohru, Distt. Shimla, HP 171207', 50, y + 30)
-            .text('Phone: +91 62399 04315', 50, y + 40)
-            .text('Email: riipenred@gmail.com', 50, y + 50);
+        doc.fontSize(9).font('Helvetica').fillColor('#555')
+            .text('Sold By:', 50, y);
+
+        let fromY = y + 10;
+        this.invoiceSuppliers(orderData).forEach(supplier => {
+            doc.font('Helvetica-Bold').fillColor('#000')
+                .text(supplier.name, 50, fromY, { width: 230 })
+                .font('Helvetica').fillColor('#333')
+                .text(supplier.address || '', 50, doc.y, { width: 230 })
+                .text(`GSTIN: ${supplier.gstin || 'Unregistered'}`, 50, doc.y);
+            fromY = doc.y + 4;
+        });
 
         doc.fontSize(9).fillColor('#555')
             .text('Bill To:', 300, y)
@@ -82,10 +153,11 @@ class InvoiceService {
             const a = orderData.shippingAddress;
             doc.text(`${a.street || ''}`, 300, y + 30)
                 .text(`${a.city || ''}, ${a.state || ''}`, 300, y + 40)
-                .text(`${a.zipcode || ''}`, 300, y + 50);
+                .text(`${a.zipcode || ''}`, 300, y + 50)
+                .text(`Place of Supply: ${a.state || 'N/A'}`, 300, y + 60);
         }
 
-        return y + 65;
+        return Math.max(fromY, y + 75);
     }
 
     addOrderDetails(doc, orderData, y) {
@@ -102,38 +174,46 @@ class InvoiceService {
         return y + 65;
     }
 
-    addProductsTable(doc, orderData, y) {
+    addProductsTable(doc, orderData, y, items = orderData.orderItems) {
         const startX = 50;
-        const colWidths = [200, 60, 60, 60, 60]; // Added GST column
+        const colWidths = [130, 45, 28, 60, 32, 48, 48, 48, 60];
         const tableWidth = colWidths.reduce((a, b) => a + b, 0);
+        // Left edge of each column
+        const colX = colWidths.map((width, i) => startX + colWidths.slice(0, i).reduce((a, b) => a + b, 0));
+        const headers = ['Item', 'HSN', 'Qty', 'Taxable (Rs.)', 'GST', 'CGST', 'SGST', 'IGST', 'Total (Rs.)'];
 
         // Table header
         doc.rect(startX, y, tableWidth, 18).fill('#2E7D32');
-        doc.fillColor('#fff').fontSize(8).font('Helvetica-Bold')
-            .text('Item', startX + 5, y + 4)
-            .text('Quantity', startX + colWidths[0] + 5, y + 4)
-            .text('Price (₹)', startX + colWidths[0] + colWidths[1] + 5, y + 4)
-            .text('GST (%)', startX + colWidths[0] + colWidths[1] + colWidths[2] + 5, y + 4)
-            .text('Total (₹)', startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 5, y + 4);
+        doc.fillColor('#fff').fontSize(8).font('Helvetica-Bold');
+        headers.forEach((header, i) => doc.text(header, colX[i] + 4, y + 4, { width: colWidths[i] - 4 }));
 
         let currentY = y + 18;
 
-        if (!Array.isArray(orderData.orderItems) || orderData.orderItems.length === 0) {
+        if (!Array.isArray(items) || items.length === 0) {
             doc.fillColor('#666').font('Helvetica').text('No items in this order', startX + 5, currentY + 4);
             return currentY + 18;
         }
 
-        orderData.orderItems.forEach((item, idx) => {
+        items.forEach((item, idx) => {
             const rowHeight = 25;
             doc.fillColor(idx % 2 === 0 ? '#f9f9f9' : '#fff')
                 .rect(startX, currentY, tableWidth, rowHeight).fill();
 
-            doc.fillColor('#000').fontSize(8).font('Helvetica')
-                .text(item.name || 'Product', startX + 5, currentY + 4, { width: colWidths[0] - 5 })
-                .text(item.quantity || 1, startX + colWidths[0] + 5, currentY + 4)
-                .text((item.price || 0).toFixed(2), startX + colWidths[0] + colWidths[1] + 5, currentY + 4)
-                .text('0%', startX + colWidths[0] + colWidths[1] + colWidths[2] + 5, currentY + 4)
-                .text(((item.price || 0) * (item.quantity || 1)).toFixed(2), startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 5, currentY + 4);
+            const tax = this.lineTax(item);
+            const cells = [
+                // Variant lines are named "Apples (1kg)"; the SKU tells packs apart at dispatch
+                item.sku ? `${item.name || 'Product'}\nSKU: ${item.sku}` : (item.name || 'Product'),
+                item.hsnCode || '-',
+                item.quantity || 1,
+                tax.taxableValue.toFixed(2),
+                `${item.gstRate || 0}%`,
+                tax.cgst.toFixed(2),
+                tax.sgst.toFixed(2),
+                tax.igst.toFixed(2),
+                tax.total.toFixed(2)
+            ];
+            doc.fillColor('#000').fontSize(8).font('Helvetica');
+            cells.forEach((cell, i) => doc.text(cell, colX[i] + 4, currentY + 4, { width: colWidths[i] - 4 }));
 
             currentY += rowHeight;
         });
@@ -141,7 +221,7 @@ class InvoiceService {
         return currentY;
     }
 
-    addTotals(doc, orderData, y) {
+    addTotals(doc, orderData, y, rows = this.totalRows(orderData)) {
         // Add signature on the left side
         const signaturePath = path.join(__dirname, '../../store/assets/images/sign.png');
         if (fs.existsSync(signaturePath)) {
@@ -155,52 +235,67 @@ class InvoiceService {
             }
         }
 
-        // Adjust the rectangle height to accommodate discount line
-        const hasDiscount = orderData.discountAmount && orderData.discountAmount > 0;
-        const rectHeight = hasDiscount ? 82 : 70;
+        const rectHeight = 20 + rows.length * 12;
         doc.rect(330, y, 200, rectHeight).fill('#f4f4f4');
-        
-        doc.fillColor('#000').font('Helvetica-Bold').fontSize(9)
-            .text('Subtotal:', 340, y + 10);
-        
-        let currentY = y + 10;
-        
-        // Add discount line if discount exists
-        if (hasDiscount) {
-            doc.text('Discount:', 340, currentY + 12);
-            currentY += 12;
+
+        rows.forEach(([label, amount, color], i) => {
+            const rowY = y + 10 + i * 12;
+            const isTotal = i === rows.length - 1;
+            doc.font('Helvetica-Bold').fillColor('#000').fontSize(9)
+                .text(label, 340, rowY);
+            doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fillColor(color || '#000').fontSize(isTotal ? 11 : 9)
+                .text(amount, 430, rowY);
+        });
+
+        return y + Math.max(80, rectHeight + 10);
+    }
+
+    /**
+     * Lines of the totals box: [label, amount, colour]; the last is the total
+     */
+    totalRows(orderData) {
+        const tax = taxService.summarize(orderData.orderItems || []);
+        const rows = [['Subtotal:', `Rs.${(orderData.totalPrice || 0).toFixed(2)}`]];
+
+        if (orderData.discountAmount && orderData.discountAmount > 0) {
+            rows.push(['Discount:', `-Rs.${orderData.discountAmount.toFixed(2)}`, '#d32f2f']);
         }
-        
-        doc.text('Shipping:', 340, currentY + 12)
-            .text('Total:', 340, currentY + 38);
+        rows.push(['Taxable value:', `Rs.${tax.taxableValue.toFixed(2)}`]);
+        if (tax.cgst > 0 || tax.sgst > 0) {
+            rows.push(['CGST:', `Rs.${tax.cgst.toFixed(2)}`]);
+            rows.push(['SGST:', `Rs.${tax.sgst.toFixed(2)}`]);
+        }
+        if (tax.igst > 0) {
+            rows.push(['IGST:', `Rs.${tax.igst.toFixed(2)}`]);
+        }
+        // Non-taxable supplies, charged on top of the taxed lines
+        rows.push(['Shipping:', `Rs.${(orderData.shippingCharges || 0).toFixed(2)}`]);
 
-        doc.font('Helvetica').fillColor('#000')
-            .text(`Rs.${(orderData.totalPrice || 0).toFixed(2)}`, 430, y + 10);
-        
-        currentY = y + 10;
-        
-        // Add discount amount if discount exists
-        if (hasDiscount) {
-            doc.font('Helvetica').fillColor('#d32f2f') // Red color for discount
-                .text(`-Rs.${(orderData.discountAmount || 0).toFixed(2)}`, 430, currentY + 12);
-            currentY += 12;
+        // Payment method fee (e.g. COD)
+        if (orderData.paymentCharges && orderData.paymentCharges > 0) {
+            rows.push([this.paymentChargesLabel(orderData), `Rs.${orderData.paymentCharges.toFixed(2)}`]);
         }
-        
-        doc.font('Helvetica').fillColor('#000')
-            .text(`Rs.${(orderData.shippingCharges || 0).toFixed(2)}`, 430, currentY + 12);
 
-        doc.font('Helvetica-Bold').fillColor('#2E7D32').fontSize(11)
-            .text(`Rs.${(orderData.totalPrice - (orderData.discountAmount || 0) + (orderData.shippingCharges || 0)).toFixed(2)}`, 430, currentY + 38);
+        rows.push(['Total:', `Rs.${this.invoiceTotal(orderData).toFixed(2)}`, '#2E7D32']);
+        return rows;
+    }
+
+    // Amount the customer pays: items less discount, plus shipping and any payment fee
+    invoiceTotal(orderData) {
+        return orderData.totalPrice - (orderData.discountAmount || 0) + (orderData.shippingCharges || 0) + (orderData.paymentCharges || 0);
+    }
 
-        return y + (hasDiscount ? 92 : 80);
+    paymentChargesLabel(orderData) {
+        return orderData.paymentMethod === 'cod' ? 'COD fee:' : 'Payment fee:';
     }
 
-    addFooter(doc, y) {
+    addFooter(doc, y, closingLine = 'This is a computer-generated invoice.') {
         doc.moveTo(50, y).lineTo(550, y).strokeColor('#ccc').stroke();
         doc.fontSize(7).fillColor('#666').font('Helvetica')
             .text('Thank you for choosing Ripe\'n Red!', 50, y + 8, { align: 'center', width: 500 })
             .text('For queries, contact riipenred@gmail.com', 50, y + 16, { align: 'center', width: 500 })
-            .text('This is a computer-generated invoice.', 50, y + 24, { align: 'center', width: 500 });
+            .text('Prices include GST. Shipping and payment fees are non-taxable. Tax is not payable on reverse charge.', 50, y + 24, { align: 'center', width: 500 })
+            .text(closingLine, 50, y + 32, { align: 'center', width: 500 });
     }
 
     generateFilename(orderId) {
@@ -208,7 +303,243 @@ class InvoiceService {
         return `RipeNRed-Invoice-${orderId}-${date}.pdf`;
     }
 
+    // ===== CREDIT NOTES =====
+
+    /**
+     * Give a booked refund the next credit note number (once)
+     * @param {ObjectId} orderObjectId - Order _id
+     * @param {string} refundId - refundId of the order's refundDetails or one of its partialRefunds
+     * @returns {string|null} The number given, or null if the refund already had one
+     */
+    async ensureCreditNoteNumber(orderObjectId, refundId) {
+        const issuedAt = new Date();
+        const full = await sequenceService.assign('creditNote', Order, {
+            _id: orderObjectId,
+            'refundDetails.refundId': refundId,
+            'refundDetails.creditNoteNumber': null
+        }, 'refundDetails.creditNoteNumber', { date: issuedAt });
+        if (full) return full;
+
+        return sequenceService.assign('creditNote', Order, {
+            _id: orderObjectId,
+            partialRefunds: { $elemMatch: { refundId, creditNoteNumber: null } }
+        }, 'partialRefunds.$.creditNoteNumber', { date: issuedAt });
+    }
+
+    /**
+     * Issue the credit note for a refund that has been booked on its order: number it,
+     * render it and email it to the customer
+     * Called after the refund's transaction, so failures are logged, not thrown.
+     * @param {Object} order - Order the refund was booked on
+     * @param {string} refundId - The refund's refundId
+     */
+    async issueCreditNote(order, refundId) {
+        try {
+            const creditNoteNumber = await this.ensureCreditNoteNumber(order._id, refundId);
+            if (!creditNoteNumber) return null; // Issued before
+
+            auditLogger.payment('CREDIT_NOTE_ISSUED', {
+                orderId: order.orderId,
+                refundId,
+                creditNoteNumber
+            });
+
+            const refundedOrder = await Order.findById(order._id);
+            const refund = this.findRefund(refundedOrder, creditNoteNumber);
+            const pdf = await this.generateCreditNote(refundedOrder, refund);
+
+            const customerEmail = refundedOrder.isRegisteredUser ? refundedOrder.userEmail : refundedOrder.guestEmail;
+            if (customerEmail) {
+                const emailed = await emailService.sendCreditNoteEmail(customerEmail, {
+                    orderId: refundedOrder.orderId,
+                    creditNoteNumber,
+                    invoiceNumber: refundedOrder.invoiceNumber,
+                    amount: refund.refundAmount,
+                    pdf,
+                    filename: this.generateCreditNoteFilename(creditNoteNumber)
+                });
+                auditLogger.info(emailed ? 'CREDIT_NOTE_EMAILED' : 'CREDIT_NOTE_EMAIL_FAILED', {
+                    orderId: refundedOrder.orderId,
+                    creditNoteNumber
+                });
+            }
+            return creditNoteNumber;
+        } catch (error) {
+            console.error(`❌ Failed to issue credit note for refund ${refundId} of order ${order.orderId}:`, error.message);
+            auditLogger.error('CREDIT_NOTE_ISSUE_FAILED', {
+                orderId: order.orderId,
+                refundId,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Refunds booked on an order, the full refund first
+     * @returns {Array} Refund entries, each with full (true for refundDetails)
+     */
+    refundEntries(order) {
+        const toObject = (entry) => (entry && entry.toObject ? entry.toObject() : entry);
+        const entries = [];
+        if (order.refundDetails && order.refundDetails.refundId) {
+            entries.push({ ...toObject(order.refundDetails), full: true });
+        }
+        (order.partialRefunds || []).forEach(entry => entries.push({ ...toObject(entry), full: false }));
+        return entries;
+    }
+
+    /**
+     * The refund a credit note was issued for (null if the order has none with that number)
+     */
+    findRefund(order, creditNoteNumber) {
+        return this.refundEntries(order).find(entry => entry.creditNoteNumber === creditNoteNumber) || null;
+    }
+
+    /**
+     * Order lines a refund pays back, in the shape of orderItems
+     * Full refunds cover every line; partial refunds the quantities they list, with
+     * the line's value and GST in proportion.
+     */
+    creditNoteLines(order, refund) {
+        if (refund.full) return order.orderItems;
+
+        return (refund.items || []).map(refunded => {
+            const item = order.orderItems.find(line => Order.lineKey(line) === Order.lineKey(refunded));
+            if (!item) return null;
+
+            const share = refunded.quantity / item.quantity;
+            const tax = this.lineTax(item);
+            return {
+                name: item.name,
+                sku: item.sku,
+                hsnCode: item.hsnCode,
+                gstRate: item.gstRate,
+                quantity: refunded.quantity,
+                taxableValue: round2(tax.taxableValue * share),
+                cgst: round2(tax.cgst * share),
+                sgst: round2(tax.sgst * share),
+                igst: round2(tax.igst * share)
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Lines of a credit note's totals box; whatever the lines don't explain (shipping,
+     * fees, amount-only refunds) is shown separately so the total is what was refunded
+     */
+    creditNoteTotalRows(order, refund, lines) {
+        const tax = taxService.summarize(lines);
+        const rows = [];
+        let other = refund.refundAmount - tax.taxableValue - tax.totalTax;
+
+        if (lines.length > 0) {
+            rows.push(['Taxable value:', `Rs.${tax.taxableValue.toFixed(2)}`]);
+            if (tax.cgst > 0 || tax.sgst > 0) {
+                rows.push(['CGST:', `Rs.${tax.cgst.toFixed(2)}`]);
+                rows.push(['SGST:', `Rs.${tax.sgst.toFixed(2)}`]);
+            }
+            if (tax.igst > 0) {
+                rows.push(['IGST:', `Rs.${tax.igst.toFixed(2)}`]);
+            }
+        }
+        if (refund.full) {
+            rows.push(['Shipping:', `Rs.${(order.shippingCharges || 0).toFixed(2)}`]);
+            other -= order.shippingCharges || 0;
+            if (order.paymentCharges && order.paymentCharges > 0) {
+                rows.push([this.paymentChargesLabel(order), `Rs.${order.paymentCharges.toFixed(2)}`]);
+                other -= order.paymentCharges;
+            }
+        }
+        if (Math.abs(other) >= 0.01) {
+            rows.push([lines.length > 0 ? 'Other refund:' : 'Amount refunded:', `Rs.${round2(other).toFixed(2)}`]);
+        }
+
+        rows.push(['Total refunded:', `Rs.${refund.refundAmount.toFixed(2)}`, '#2E7D32']);
+        return rows;
+    }
+
+    /**
+     * Credit note PDF for one of an order's refunds, against the order's tax invoice
+     * @param {Object} order - Order document
+     * @param {Object} refund - Entry from refundEntries / findRefund
+     * @returns {Buffer} PDF
+     */
+    async generateCreditNote(order, refund) {
+        if (!refund || !refund.creditNoteNumber) throw new Error('Refund has no credit note');
+        await this.ensureInvoiceNumber(order);
+
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = new PDFDocument({ size: 'A4', margin: 40, info: {} });
+
+                const chunks = [];
+                doc.on('data', chunk => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+
+                const lines = this.creditNoteLines(order, refund);
+
+                let currentY = this.addCreditNoteHeader(doc, order, refund, 40);
+                currentY = this.addCompanyAndCustomerInfo(doc, order, currentY + 5);
+                currentY = this.addCreditNoteDetails(doc, order, refund, currentY + 10);
+                if (lines.length > 0) {
+                    currentY = this.addProductsTable(doc, order, currentY + 5, lines);
+                }
+                currentY = this.addTotals(doc, order, currentY + 10, this.creditNoteTotalRows(order, refund, lines));
+                this.addFooter(doc, currentY + 15, 'This is a computer-generated credit note.');
+
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    addCreditNoteHeader(doc, order, refund, y) {
+        try {
+            if (fs.existsSync(this.logoPath)) {
+                doc.image(this.logoPath, 50, y, { width: 140 });
+            }
+        } catch (err) {
+            console.error('Logo error:', err);
+        }
+
+        doc.fontSize(14).font('Helvetica-Bold').fillColor('#d32f2f')
+            .text('CREDIT NOTE', 400, y);
+        doc.fontSize(9).font('Helvetica').fillColor('#000')
+            .text(`Credit Note #: ${refund.creditNoteNumber}`, 400, y + 15)
+            .text(`Date: ${new Date(refund.refundDate || Date.now()).toLocaleDateString('en-IN')}`, 400, y + 28)
+            .text(`Against Invoice #: ${order.invoiceNumber || 'N/A'}`, 400, y + 41)
+            .text(`Invoice Date: ${order.invoiceDate ? new Date(order.invoiceDate).toLocaleDateString('en-IN') : 'N/A'}`, 400, y + 54);
+
+        return y + 70;
+    }
+
+    addCreditNoteDetails(doc, order, refund, y) {
+        doc.moveTo(30, y).lineTo(550, y).strokeColor('#ccc').stroke();
+
+        doc.fontSize(12).font('Helvetica-Bold').fillColor('#000')
+            .text(refund.full ? 'Full Refund' : 'Partial Refund', 30, y + 6);
+
+        doc.fontSize(10).font('Helvetica').fillColor('#333')
+            .text(`Order #: ${order.orderId}`, 30, y + 22)
+            .text(`Refund ID: ${refund.refundId}`, 30, y + 36)
+            .text(`Reason: ${refund.refundReason || 'N/A'}`, 30, y + 50, { width: 500 });
+
+        return doc.y + 10;
+    }
+
+    generateCreditNoteFilename(creditNoteNumber) {
+        return `RipeNRed-CreditNote-${creditNoteNumber.replace(/\//g, '-')}.pdf`;
+    }
+
     async generateBulkInvoices(ordersData) {
+        // One at a time so the numbers follow the order of the list
+        for (const orderData of Array.isArray(ordersData) ? ordersData : []) {
+            await this.ensureInvoiceNumber(orderData);
+        }
+
         return new Promise((resolve, reject) => {
             try {
                 if (!Array.isArray(ordersData) || ordersData.length === 0) {
@@ -300,25 +631,28 @@ class InvoiceService {
         }
 
         doc.fontSize(13).font('Helvetica-Bold').fillColor('#2E7D32')
-            .text('INVOICE', xOffset + 120, y);
+            .text(this.invoiceTitle(orderData), xOffset + 120, y);
         doc.fontSize(10).fillColor('#000')
-            .text(`Invoice #: ${orderData.orderId}`, xOffset + 120, y + 15)
-            .text(`Order Date: ${new Date(orderData.createdAt).toLocaleDateString('en-IN')}`, xOffset + 120, y + 25)
-            .text(`Invoice Generated: ${new Date().toLocaleDateString('en-IN')}`, xOffset + 120, y + 35);
+            .text(`Invoice #: ${orderData.invoiceNumber || 'Not issued'}`, xOffset + 120, y + 15)
+            .text(`Order #: ${orderData.orderId}`, xOffset + 120, y + 25)
+            .text(`Order Date: ${new Date(orderData.createdAt).toLocaleDateString('en-IN')}`, xOffset + 120, y + 35);
 
         return y + 55;
     }
 
     addBulkInvoiceDetails(doc, orderData, y, xOffset = 15) {
+        // Room for one seller; multi-seller orders list the rest by name
+        const [supplier, ...others] = this.invoiceSuppliers(orderData);
         doc.fontSize(9).fillColor('#555')
-            .text('From:', xOffset, y)
+            .text('Sold By:', xOffset, y)
             .font('Helvetica-Bold').fillColor('#000')
-            .text('Ripe\'n Red', xOffset, y + 15)
+            .text(supplier.name, xOffset, y + 15, { width: 110, height: 12, ellipsis: true })
             .font('Helvetica').fillColor('#333')
-            .text('Village Jabraloo', xOffset, y + 30)
-            .text('Tehsil Rohru, Distt. Shimla', xOffset, y + 45)
-            .text('HP 171207', xOffset, y + 60)
-            .text('Email: riipenred@gmail.com', xOffset, y + 75);
+            .text(supplier.address || '', xOffset, y + 30, { width: 110, height: 30, ellipsis: true })
+            .text(`GSTIN: ${supplier.gstin || 'Unregistered'}`, xOffset, y + 60, { width: 115 });
+        if (others.length > 0) {
+            doc.text(`+ ${others.map(other => other.name).join(', ')}`, xOffset, y + 75, { width: 110, height: 12, ellipsis: true });
+        }
 
         doc.fontSize(9).fillColor('#555')
             .text('Bill To:', xOffset + 120, y)
@@ -331,7 +665,7 @@ class InvoiceService {
             const a = orderData.shippingAddress;
             doc.text(`${a.street || ''}`, xOffset + 120, y + 45)
                 .text(`${a.city || ''}, ${a.state || ''}`, xOffset + 120, y + 60)
-                .text(`${a.zipcode || ''}`, xOffset + 120, y + 75);
+                .text(`${a.zipcode || ''} (Place of Supply)`, xOffset + 120, y + 75);
         }
 
         return y + 90;
@@ -375,8 +709,8 @@ class InvoiceService {
                     .text(item.name || 'Product', startX + 3, currentY + 4, { width: colWidths[0] - 3 })
                     .text(item.quantity || 1, startX + colWidths[0] + 3, currentY + 4)
                     .text((item.price || 0).toFixed(2), startX + colWidths[0] + colWidths[1] + 3, currentY + 4)
-                    .text('0%', startX + colWidths[0] + colWidths[1] + colWidths[2] + 3, currentY + 4)
-                    .text(((item.price || 0) * (item.quantity || 1)).toFixed(2), startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 3, currentY + 4);
+                    .text(`${item.gstRate || 0}%`, startX + colWidths[0] + colWidths[1] + colWidths[2] + 3, currentY + 4)
+                    .text(this.lineTax(item).total.toFixed(2), startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 3, currentY + 4);
 
                 currentY += rowHeight;
             });
@@ -391,8 +725,8 @@ class InvoiceService {
                     .text(item.name || 'Product', startX + 3, currentY + 5, { width: colWidths[0] - 3 })
                     .text(item.quantity || 1, startX + colWidths[0] + 3, currentY + 5)
                     .text((item.price || 0).toFixed(2), startX + colWidths[0] + colWidths[1] + 3, currentY + 5)
-                    .text('0%', startX + colWidths[0] + colWidths[1] + colWidths[2] + 3, currentY + 5)
-                    .text(((item.price || 0) * (item.quantity || 1)).toFixed(2), startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 3, currentY + 5);
+                    .text(`${item.gstRate || 0}%`, startX + colWidths[0] + colWidths[1] + colWidths[2] + 3, currentY + 5)
+                    .text(this.lineTax(item).total.toFixed(2), startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 3, currentY + 5);
 
                 currentY += rowHeight + 1; // Reduced gap between rows to fit more items
             });
@@ -402,7 +736,7 @@ class InvoiceService {
         if (orderData.orderItems.length > 6) {
             // Add a summary row showing total items and total value
             const remainingItems = orderData.orderItems.slice(orderData.orderItems.length > 8 ? 4 : 6);
-            const remainingTotal = remainingItems.reduce((sum, item) => sum + ((item.price || 0) * (item.quantity || 1)), 0);
+            const remainingTotal = remainingItems.reduce((sum, item) => sum + this.lineTax(item).total, 0);
             
             doc.fillColor('#f0f0f0').rect(startX, currentY, tableWidth, 18).fill();
             doc.fillColor('#666').fontSize(8).font('Helvetica-Bold')
@@ -431,7 +765,9 @@ class InvoiceService {
 
         // Adjust the rectangle height to accommodate discount line
         const hasDiscount = orderData.discountAmount && orderData.discountAmount > 0;
-        const rectHeight = hasDiscount ? 52 : 40;
+        const hasPaymentCharges = orderData.paymentCharges && orderData.paymentCharges > 0;
+        const extraLines = (hasDiscount ? 1 : 0) + (hasPaymentCharges ? 1 : 0) + 1;
+        const rectHeight = 40 + extraLines * 12;
         doc.rect(xOffset + 120, y, 130, rectHeight).fill('#f4f4f4');
         
         doc.fillColor('#000').font('Helvetica-Bold').fontSize(10)
@@ -445,8 +781,19 @@ class InvoiceService {
             currentY += 12;
         }
         
-        doc.text('Shipping:', xOffset + 130, currentY + 12)
-            .text('Total:', xOffset + 130, currentY + 24);
+        // GST included in the items above
+        doc.text('GST (incl.):', xOffset + 130, currentY + 12);
+        currentY += 12;
+
+        doc.text('Shipping:', xOffset + 130, currentY + 12);
+
+        // Payment method fee (e.g. COD)
+        if (hasPaymentCharges) {
+            doc.text(this.paymentChargesLabel(orderData), xOffset + 130, currentY + 24);
+            currentY += 12;
+        }
+
+        doc.text('Total:', xOffset + 130, currentY + 24);
 
         doc.font('Helvetica').fillColor('#000').fontSize(9)
             .text(`Rs. ${(orderData.totalPrice || 0).toFixed(2)}`, xOffset + 190, y + 6);
@@ -461,12 +808,20 @@ class InvoiceService {
         }
         
         doc.font('Helvetica').fillColor('#000').fontSize(9)
-            .text(`Rs. ${(orderData.shippingCharges || 0).toFixed(2)}`, xOffset + 190, currentY + 12);
+            .text(`Rs. ${taxService.summarize(orderData.orderItems || []).totalTax.toFixed(2)}`, xOffset + 190, currentY + 12);
+        currentY += 12;
+
+        doc.text(`Rs. ${(orderData.shippingCharges || 0).toFixed(2)}`, xOffset + 190, currentY + 12);
+
+        if (hasPaymentCharges) {
+            doc.text(`Rs. ${orderData.paymentCharges.toFixed(2)}`, xOffset + 190, currentY + 24);
+            currentY += 12;
+        }
 
         doc.font('Helvetica-Bold').fillColor('#2E7D32').fontSize(11)
-            .text(`Rs. ${(orderData.totalPrice - (orderData.discountAmount || 0) + (orderData.shippingCharges || 0)).toFixed(2)}`, xOffset + 190, currentY + 24);
+            .text(`Rs. ${this.invoiceTotal(orderData).toFixed(2)}`, xOffset + 190, currentY + 24);
 
-        return y + (hasDiscount ? 67 : 55);
+        return y + 55 + extraLines * 12;
     }
 
     addBulkInvoiceFooter(doc, orderData, y, xOffset = 15) {
@@ -477,7 +832,7 @@ class InvoiceService {
         doc.fontSize(6).fillColor('#666').font('Helvetica')
             .text('Thank you for choosing Ripe\'n Red!', xOffset, y + 4, { align: 'center', width: 245 })
             .text('For queries, contact riipenred@gmail.com', xOffset, y + 10, { align: 'center', width: 245 })
-            .text('Computer-generated invoice.', xOffset, y + 16, { align: 'center', width: 245 });
+            .text('Prices include GST. Computer-generated invoice.', xOffset, y + 16, { align: 'center', width: 245 });
         
         return y + 25;
     }
@@ -1,10 +1,25 @@
 const nodemailer = require('nodemailer');
 const webpush = require('web-push');
+const NotificationPreference = require('../models/notificationPreferenceModel');
+const PushSubscription = require('../models/pushSubscriptionModel');
+const Notification = require('../models/notificationModel');
+
+// Defaults used until a seller saves their own settings
+const DEFAULT_PREFERENCES = {
+  email: true,
+  push: true,
+  realtime: true,
+  types: {
+    orders: true,
+    payments: true,
+    lowStock: true,
+    reviews: true
+  }
+};
 
 class NotificationService {
   constructor() {
     this.emailTransporter = null;
-    this.pushSubscriptions = new Map(); // Store push subscriptions by seller ID
     
     this.initializeEmailService();
     this.initializePushService();
@@ -46,10 +61,68 @@ class NotificationService {
     }
   }
 
-  // Store push subscription for a seller
-  subscribeToPush(sellerId, subscription) {
-    this.pushSubscriptions.set(sellerId, subscription);
-    // Push subscription stored for seller
+  // Store push subscription for a seller device (re-subscribing the same endpoint updates it)
+  async subscribeToPush(sellerId, subscription, userAgent = '') {
+    return PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        sellerId,
+        endpoint: subscription.endpoint,
+        expirationTime: subscription.expirationTime || null,
+        keys: {
+          p256dh: subscription.keys.p256dh,
+          auth: subscription.keys.auth
+        },
+        userAgent
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Remove a seller's push subscription (e.g. on logout or when the browser unsubscribes)
+  async unsubscribeFromPush(sellerId, endpoint) {
+    const result = await PushSubscription.deleteOne({ sellerId, endpoint });
+    return result.deletedCount > 0;
+  }
+
+  // Get a seller's notification settings (defaults if never saved)
+  async getPreferences(sellerId) {
+    const preferences = await NotificationPreference.findOne({ sellerId }).lean();
+    if (!preferences) {
+      return { ...DEFAULT_PREFERENCES, types: { ...DEFAULT_PREFERENCES.types } };
+    }
+
+    return {
+      email: preferences.email,
+      push: preferences.push,
+      realtime: preferences.realtime,
+      types: { ...DEFAULT_PREFERENCES.types, ...preferences.types }
+    };
+  }
+
+  // Save a seller's notification settings (only the switches that were sent are changed)
+  async updatePreferences(sellerId, updates = {}) {
+    const $set = {};
+
+    ['email', 'push', 'realtime'].forEach(channel => {
+      if (typeof updates[channel] === 'boolean') {
+        $set[channel] = updates[channel];
+      }
+    });
+
+    Object.keys(DEFAULT_PREFERENCES.types).forEach(type => {
+      if (updates.types && typeof updates.types[type] === 'boolean') {
+        $set[`types.${type}`] = updates.types[type];
+      }
+    });
+
+    await NotificationPreference.findOneAndUpdate(
+      { sellerId },
+      { $set },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return this.getPreferences(sellerId);
   }
 
 
@@ -76,11 +149,11 @@ class NotificationService {
     }
   }
 
-  // Send push notification
+  // Send push notification to every device the seller has subscribed
   async sendPushNotification(sellerId, notification) {
-    const subscription = this.pushSubscriptions.get(sellerId);
+    const subscriptions = await PushSubscription.find({ sellerId });
     
-    if (!subscription) {
+    if (subscriptions.length === 0) {
       // No push subscription found for seller
       return;
     }
@@ -96,31 +169,140 @@ class NotificationService {
       }
     });
 
-    try {
-      await webpush.sendNotification(subscription, pushPayload);
-      // Push notification sent to seller
-    } catch (error) {
-      console.error('❌ Push notification failed:', error.message);
-      // Remove invalid subscription
-      this.pushSubscriptions.delete(sellerId);
-    }
+    await Promise.all(subscriptions.map(async (subscription) => {
+      try {
+        await webpush.sendNotification({
+          endpoint: subscription.endpoint,
+          expirationTime: subscription.expirationTime,
+          keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth }
+        }, pushPayload);
+        await PushSubscription.updateOne({ _id: subscription._id }, { lastUsedAt: new Date() });
+      } catch (error) {
+        // 410 Gone / 404 Not Found: the browser dropped this subscription, so stop sending to it
+        if (error.statusCode === 410 || error.statusCode === 404) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+          console.log(`🧹 Removed expired push subscription for seller ${sellerId}`);
+          return;
+        }
+        console.error('❌ Push notification failed:', error.message);
+      }
+    }));
   }
 
-  // Send notification via email and push channels only
+  // Send notification via the channels and types the seller has switched on
   async sendMultiChannelNotification(sellerId, notification, sellerEmail = null) {
+    const preferences = await this.getPreferences(sellerId);
     const channels = [];
 
+    // Templates carry a category (orders, payments, lowStock, reviews); ad-hoc notifications always go out.
+    // A switched-off type is still kept in the inbox, it just isn't emailed or pushed.
+    if (notification.category && preferences.types[notification.category] === false) {
+      await this.storeNotification(sellerId, notification, channels);
+      return channels;
+    }
+
     // Email notification
-    if (sellerEmail) {
+    if (sellerEmail && preferences.email) {
       await this.sendEmailNotification(sellerId, notification, sellerEmail);
       channels.push('Email');
     }
 
     // Push notification
-    await this.sendPushNotification(sellerId, notification);
-    channels.push('Push');
+    if (preferences.push) {
+      await this.sendPushNotification(sellerId, notification);
+      channels.push('Push');
+    }
+
+    const stored = await this.storeNotification(sellerId, notification, channels);
+
+    // Realtime: push the new inbox entry to the seller's open dashboards
+    if (stored && preferences.realtime) {
+      const realtimeService = require('./realtimeService');
+      await realtimeService.emitToSeller(sellerId.toString(), 'notification', stored.toObject());
+      channels.push('Realtime');
+    }
 
-    // Multi-channel notification sent
+    return channels;
+  }
+
+  // Keep templated notifications in the seller's inbox, even when no channel delivered them
+  async storeNotification(sellerId, notification, channels = []) {
+    if (!notification.category) {
+      return null;
+    }
+
+    try {
+      return await Notification.create({
+        sellerId,
+        category: notification.category,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data || {},
+        url: notification.url || null,
+        channels
+      });
+    } catch (error) {
+      console.error('❌ Failed to store notification:', error.message);
+      return null;
+    }
+  }
+
+  // Paginated inbox for a seller, newest first
+  async getNotifications(sellerId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const filter = { sellerId };
+    if (unreadOnly) {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter),
+      this.getUnreadCount(sellerId)
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Number of unread inbox notifications for a seller
+  async getUnreadCount(sellerId) {
+    return Notification.countDocuments({ sellerId, readAt: null });
+  }
+
+  // Mark one inbox notification as read (returns null if it isn't the seller's)
+  async markAsRead(sellerId, notificationId) {
+    const notification = await Notification.findOne({ _id: notificationId, sellerId });
+    if (!notification) {
+      return null;
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    return notification;
+  }
+
+  // Mark every unread inbox notification as read
+  async markAllAsRead(sellerId) {
+    const result = await Notification.updateMany(
+      { sellerId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
   }
 
   // Generate HTML email template
@@ -204,6 +386,7 @@ class NotificationService {
   createOrderNotification(orderData) {
     return {
       type: 'success',
+      category: 'orders',
       title: '🛒 New Order Received!',
       message: `Order #${orderData.orderId} has been placed for ₹${orderData.amount}`,
       data: {
@@ -216,9 +399,26 @@ class NotificationService {
     };
   }
 
+  createReturnNotification(returnData) {
+    return {
+      type: 'warning',
+      category: 'orders',
+      title: '↩️ Return Requested',
+      message: `Return ${returnData.returnId} requested for Order #${returnData.orderId}: ${returnData.reason}`,
+      data: {
+        returnId: returnData.returnId,
+        orderId: returnData.orderId,
+        amount: returnData.amount,
+        products: returnData.products
+      },
+      url: `/seller.html?tab=returns&return=${returnData.returnId}`
+    };
+  }
+
   createLowStockNotification(productData) {
     return {
       type: 'warning',
+      category: 'lowStock',
       title: '⚠️ Low Stock Alert!',
       message: `${productData.name} is running low (${productData.stock} items left)`,
       data: {
@@ -234,6 +434,7 @@ class NotificationService {
   createPaymentNotification(paymentData) {
     return {
       type: 'success',
+      category: 'payments',
       title: '💰 Payment Received!',
       message: `Payment of ₹${paymentData.amount} received for Order #${paymentData.orderId}`,
       data: {
@@ -249,6 +450,7 @@ class NotificationService {
   createReviewNotification(reviewData) {
     return {
       type: 'info',
+      category: 'reviews',
       title: '⭐ New Review Received!',
       message: `${reviewData.customerName} left a ${reviewData.rating}-star review for ${reviewData.productName}`,
       data: {
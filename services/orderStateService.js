@@ -0,0 +1,193 @@
+/**
+ * Order State Service
+ * Allowed orderStatus / paymentStatus transitions, and the statusHistory timeline every change is recorded in.
+ * Sub-orders follow the orderStatus graph; the parent status is derived from them (sellerOrderService).
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/orderModel');
+const sellerOrderService = require('./sellerOrderService');
+
+// Status -> statuses it may move to (Delivered, Canceled and Refunded are final)
+const TRANSITIONS = {
+    orderStatus: {
+        Pending: ['Processing', 'Canceled'],
+        Processing: ['Shipped', 'Canceled'],
+        Shipped: ['Delivered', 'Canceled'], // Canceled = returned to the seller undelivered
+        Delivered: [],
+        Canceled: []
+    },
+    paymentStatus: {
+        Pending: ['Paid', 'Failed'],
+        Failed: ['Paid'], // Gateways can capture a payment after reporting it failed
+        Paid: ['Refunded'],
+        Refunded: []
+    }
+};
+
+class OrderStateService {
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Whether a status may move from one value to another
+     * @param {string} field - 'orderStatus' or 'paymentStatus'
+     */
+    canTransition(field, from, to) {
+        const graph = TRANSITIONS[field];
+        if (!graph || !(to in graph)) return false;
+        if (from === to) return true;
+        return (graph[from] || []).includes(to);
+    }
+
+    /**
+     * Throw a 409 unless the transition is allowed (400 for unknown statuses)
+     */
+    assertTransition(field, from, to) {
+        if (!(to in (TRANSITIONS[field] || {}))) {
+            throw this.createError(`Invalid ${field === 'paymentStatus' ? 'payment' : 'order'} status: ${to}`);
+        }
+        if (!this.canTransition(field, from, to)) {
+            const label = field === 'paymentStatus' ? 'payment status' : 'order status';
+            throw this.createError(`Cannot change ${label} from ${from} to ${to}`, 409);
+        }
+    }
+
+    /**
+     * statusHistory entry
+     * @param {string} field - 'orderStatus', 'paymentStatus' or 'subOrderStatus'
+     * @param {string|null} from - Previous value (null when the order is placed)
+     * @param {string} to - New value
+     * @param {Object} context - { actor: { type ('customer' | 'seller' | 'system'), id }, source, note, subOrderId }
+     */
+    entry(field, from, to, { actor = {}, source = null, note = '', subOrderId = null } = {}) {
+        return {
+            field,
+            subOrderId,
+            from: from || null,
+            to,
+            actorType: actor.type || 'system',
+            actorId: actor.id && mongoose.isValidObjectId(actor.id) ? actor.id : null,
+            source,
+            note,
+            at: new Date()
+        };
+    }
+
+    /**
+     * Change a status on an order document and record it (the caller saves)
+     * @returns {boolean} Whether anything changed
+     */
+    transition(order, field, to, context = {}) {
+        const from = order[field];
+        if (from === to) return false;
+
+        this.assertTransition(field, from, to);
+        order[field] = to;
+        order.statusHistory.push(this.entry(field, from, to, context));
+        return true;
+    }
+
+    /**
+     * Atomically apply status changes to an order still in the state the caller saw,
+     * so a webhook racing a verify call (or the auto-cancel job) changes it once
+     * @param {Object} order - Order as last read
+     * @param {Object} changes - { orderStatus, paymentStatus } to set
+     * @param {Object} context - History context (see entry) plus { set (extra fields), session }
+     * @returns {Object|null} Updated order, or null if it had already moved on
+     */
+    async applyTransitions(order, changes, { set = {}, session = null, ...context } = {}) {
+        const filter = { _id: order._id };
+        const update = { ...set };
+        const entries = [];
+
+        for (const [field, to] of Object.entries(changes)) {
+            const from = order[field];
+            filter[field] = from;
+            if (from === to) continue;
+
+            this.assertTransition(field, from, to);
+            update[field] = to;
+            entries.push(this.entry(field, from, to, context));
+        }
+
+        return Order.findOneAndUpdate(
+            filter,
+            { $set: update, $push: { statusHistory: { $each: entries } } },
+            { new: true, session }
+        );
+    }
+
+    /**
+     * Move a seller's sub-order on and record it, with the parent status change it causes
+     * @param {Object} order - Order document (saved by the caller)
+     * @param {string} sellerId - Store making the change
+     * @param {Object} update - { status, trackingId, courierPartner }
+     * @param {Object} context - History context (see entry)
+     * @returns {Object|null} The updated sub-order, or null if the seller has no items in the order
+     */
+    updateSubOrder(order, sellerId, { status, trackingId, courierPartner } = {}, context = {}) {
+        const subOrder = sellerOrderService.getSubOrder(order, sellerId);
+        if (!subOrder) return null;
+
+        const previousSubStatus = sellerOrderService.effectiveStatus(order, subOrder);
+        const previousOrderStatus = order.orderStatus;
+
+        if (status && status !== previousSubStatus) {
+            this.assertTransition('orderStatus', previousSubStatus, status);
+        }
+
+        sellerOrderService.applySubOrderUpdate(order, sellerId, {
+            status: status && status !== previousSubStatus ? status : undefined,
+            trackingId,
+            courierPartner
+        });
+
+        if (status && status !== previousSubStatus) {
+            order.statusHistory.push(this.entry('subOrderStatus', previousSubStatus, status, {
+                ...context,
+                subOrderId: subOrder.subOrderId
+            }));
+        }
+        if (order.orderStatus !== previousOrderStatus) {
+            order.statusHistory.push(this.entry('orderStatus', previousOrderStatus, order.orderStatus, context));
+        }
+
+        return subOrder;
+    }
+
+    /**
+     * Book a completed refund: the payment is Refunded and the order cancelled if it hasn't been delivered
+     * @param {Object} order - Order document (saved by the caller)
+     */
+    markRefunded(order, context = {}) {
+        this.transition(order, 'paymentStatus', 'Refunded', context);
+        if (this.canTransition('orderStatus', order.orderStatus, 'Canceled')) {
+            this.transition(order, 'orderStatus', 'Canceled', context);
+        }
+    }
+
+    /**
+     * Timeline shown to customers (no account IDs)
+     * @param {Object} order - Order document or lean object
+     */
+    timeline(order) {
+        return (order.statusHistory || []).map(change => ({
+            field: change.field,
+            subOrderId: change.subOrderId || null,
+            from: change.from,
+            to: change.to,
+            by: change.actorType,
+            note: change.note || '',
+            at: change.at
+        }));
+    }
+}
+
+module.exports = new OrderStateService();
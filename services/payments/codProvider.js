@@ -0,0 +1,129 @@
+/**
+ * Cash on Delivery Provider
+ * Nothing is collected at checkout: the order is placed once the pincode is serviceable,
+ * the order is under the COD cap and the customer's phone is confirmed by an OTP sent to it by SMS.
+ * Sellers mark the order Paid when the cash is collected (checkoutService.recordCodCollection).
+ */
+
+const PaymentProvider = require('./paymentProvider');
+const OTP = require('../../models/otpModel');
+const { auditLogger } = require('../../middleware/auditLogger');
+
+class CodProvider extends PaymentProvider {
+    constructor() {
+        super('cod');
+
+        this.fee = parseFloat(process.env.COD_FEE || '40');
+        this.maxOrderValue = parseFloat(process.env.COD_MAX_ORDER_VALUE || '5000');
+        // Comma-separated pincodes or pincode prefixes (e.g. "560,400001"); empty = everywhere
+        this.serviceablePincodes = (process.env.COD_SERVICEABLE_PINCODES || '')
+            .split(',')
+            .map(pincode => pincode.trim())
+            .filter(Boolean);
+    }
+
+    get collectsOnline() {
+        return false;
+    }
+
+    /**
+     * COD fee added to the order total
+     */
+    paymentCharges() {
+        return this.fee;
+    }
+
+    /**
+     * Whether COD can deliver to a pincode
+     */
+    isServiceable(pincode) {
+        const normalized = String(pincode || '').trim();
+        if (!/^\d{6}$/.test(normalized)) return false;
+        if (this.serviceablePincodes.length === 0) return true;
+        return this.serviceablePincodes.some(prefix => normalized.startsWith(prefix));
+    }
+
+    /**
+     * Whether an order can be paid by COD
+     * @param {Object} params - { pincode, amount (order total including the COD fee, optional) }
+     * @returns {Object} { available, reason, codCharges, maxOrderValue }
+     */
+    checkAvailability({ pincode, amount = null }) {
+        let reason = null;
+        if (!this.isServiceable(pincode)) {
+            reason = 'Cash on delivery is not available for this pincode';
+        } else if (amount !== null && amount > this.maxOrderValue) {
+            reason = `Cash on delivery is available for orders up to ₹${this.maxOrderValue}`;
+        }
+
+        return {
+            available: !reason,
+            reason,
+            codCharges: this.fee,
+            maxOrderValue: this.maxOrderValue
+        };
+    }
+
+    /**
+     * Create and store a phone confirmation OTP (expires with the OTP model, 5 minutes)
+     * @returns {string} OTP code to text to that phone (smsService.sendCodOtp)
+     */
+    async createOtp(phone) {
+        const otpCode = Math.floor(100000 + Math.random() * 900000).toString();
+        await OTP.deleteMany({ phone });
+        await OTP.create({ phone, otp: otpCode });
+        return otpCode;
+    }
+
+    /**
+     * Use up the phone OTP before the order is placed
+     * Taken in one atomic step, so one OTP can't confirm two orders.
+     */
+    async prepareCheckout({ checkout = {}, userInfo, userDetails }) {
+        const phone = userDetails?.phone || userInfo?.phone;
+        if (!phone || !checkout.codOtp) {
+            throw this.createError('Please confirm your phone number with the OTP to pay on delivery');
+        }
+
+        const otpRecord = await OTP.findOneAndDelete({ phone, otp: String(checkout.codOtp) });
+        if (!otpRecord) {
+            auditLogger.security('COD_OTP_VERIFICATION_FAILED', { phone });
+            throw this.createError('Invalid or expired OTP!');
+        }
+
+        return {
+            orderFields: { codPhoneVerifiedAt: new Date() },
+            otp: otpRecord.toObject()
+        };
+    }
+
+    /**
+     * The order wasn't placed (stock, prices...): put the OTP back so the customer can try again
+     * It keeps its original creation time, so it still expires on schedule.
+     */
+    async abandonCheckout({ otp }) {
+        await OTP.create(otp);
+    }
+
+    /**
+     * Check the pincode and the COD cap
+     */
+    validateOrder(order) {
+        const availability = this.checkAvailability({
+            pincode: order.shippingAddress?.zipcode,
+            amount: order.finalTotal
+        });
+        if (!availability.available) {
+            throw this.createError(availability.reason, 422);
+        }
+    }
+
+    /**
+     * Nothing to collect online
+     */
+    async createPayment() {
+        return { orderFields: {}, clientResponse: {} };
+    }
+}
+
+module.exports = new CodProvider();
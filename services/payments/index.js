@@ -0,0 +1,46 @@
+/**
+ * Payment Providers
+ * Registry of gateway adapters, keyed by the order's paymentMethod
+ */
+
+const razorpayProvider = require('./razorpayProvider');
+const phonePeProvider = require('./phonePeProvider');
+const codProvider = require('./codProvider');
+
+const providers = new Map();
+
+/**
+ * Make a provider available to checkout, webhooks and refunds
+ * @param {PaymentProvider} provider - Adapter instance (see ./paymentProvider.js)
+ */
+const register = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Provider for a payment method, or null if there isn't one
+ */
+const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * Names of all registered payment methods
+ */
+const listProviders = () => [...providers.keys()];
+
+/**
+ * Names of payment methods paid online after checkout (their unpaid orders expire)
+ */
+const listOnlineProviders = () => [...providers.values()]
+    .filter(provider => provider.collectsOnline)
+    .map(provider => provider.name);
+
+register(razorpayProvider);
+register(phonePeProvider);
+register(codProvider);
+
+module.exports = {
+    register,
+    getProvider,
+    listProviders,
+    listOnlineProviders
+};
@@ -0,0 +1,125 @@
+/**
+ * Payment Provider
+ * Interface every payment gateway adapter implements. The checkout pipeline
+ * (services/checkoutService.js) only talks to gateways through these methods,
+ * so adding a gateway means writing an adapter and registering it in ./index.js.
+ */
+
+class PaymentProvider {
+    /**
+     * @param {string} name - Value stored in order.paymentMethod
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Whether the customer pays online after the order is placed.
+     * Online orders hold their stock until the payment is confirmed; others sell it straight away.
+     */
+    get collectsOnline() {
+        return true;
+    }
+
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    notImplemented(method) {
+        return this.createError(`${this.name} does not support ${method}`, 501);
+    }
+
+    /**
+     * Fee for paying this way, added to the order total (e.g. a COD fee)
+     * @param {Object} totals - Server-side totals from pricingService.calculateOrderTotals
+     * @returns {number} Charges in rupees
+     */
+    paymentCharges(totals) {
+        return 0;
+    }
+
+    /**
+     * One-time checks before an order is placed that mustn't be repeated (e.g. using up a COD OTP)
+     * Runs once, outside the order transaction; abandonCheckout undoes it if the order isn't placed.
+     * @param {Object} context - { checkout (request body), userInfo, userDetails }
+     * @returns {Object} { orderFields (saved on the order), ...whatever abandonCheckout needs }
+     */
+    async prepareCheckout(context) {
+        return { orderFields: {} };
+    }
+
+    /**
+     * Undo prepareCheckout for an order that couldn't be placed
+     * @param {Object} prepared - What prepareCheckout returned
+     */
+    async abandonCheckout(prepared) {}
+
+    /**
+     * Check that a priced order can be paid this way; runs inside the order transaction,
+     * which may be retried, so it must not have side effects
+     * @param {Object} order - { shippingAddress, finalTotal }
+     */
+    validateOrder(order) {}
+
+    /**
+     * Start the payment of an order that was just placed (called once, after it is saved)
+     * @param {Object} order - Order data ({ orderId, finalTotal, userId, ... })
+     * @param {Object} context - { idempotencyKey, baseIdempotencyKey, userInfo, userDetails, checkout (request body) }
+     * @returns {Object} { orderFields, clientResponse }
+     *   orderFields are saved on the order (gateway references); clientResponse is sent to the checkout page.
+     *   If it throws, the order is cancelled and its stock given back. Throw an error with
+     *   `timeout = true` and a `clientResponse` to answer the checkout page with that instead.
+     */
+    async createPayment(order, context) {
+        throw this.notImplemented('createPayment');
+    }
+
+    /**
+     * Ask the gateway whether a pending order has been paid
+     * @param {Object} order - Saved order document
+     * @param {Object} payload - Data the client sent back after checkout
+     * @returns {Object} { status: 'paid' | 'pending' | 'failed', amount (paise, if known), orderFields (saved on the order) }
+     */
+    async verify(order, payload) {
+        throw this.notImplemented('verify');
+    }
+
+    /**
+     * Check and translate a gateway webhook
+     * @param {Object} req - Express request
+     * @returns {Object} {
+     *   event: 'payment.paid' | 'payment.failed' | 'refund.processed' | 'ignored',
+     *   orderLookup (Mongo filter for the order), amount (paise, if known), orderFields, reason,
+     *   refund ({ refundId, amount, status }), raw (extra fields for the audit log)
+     * }
+     */
+    async handleWebhook(req) {
+        throw this.notImplemented('handleWebhook');
+    }
+
+    /**
+     * Refund money for an order and book it on the order
+     * @param {Object} refund - { orderId, type ('full' | 'partial'), amount, reason, adminId, ip,
+     *   actorType ('seller' by default, 'customer' for cancellations),
+     *   items (partial refunds: [{ productId, variantId, name, quantity }] paid back, for the credit note) }
+     * @returns {Object} { refundId, providerRefundId, amount, status }
+     */
+    async refund(refund) {
+        throw this.notImplemented('refund');
+    }
+
+    /**
+     * Current status of a refund at the gateway
+     * @param {string} refundId - Refund ID returned by refund()
+     */
+    async refundStatus(refundId) {
+        throw this.notImplemented('refundStatus');
+    }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,225 @@
+/**
+ * PhonePe Provider
+ * Adapter over phonePeService: hosted checkout, status checks, X-VERIFY webhooks and refunds
+ */
+
+const mongoose = require('mongoose');
+const PaymentProvider = require('./paymentProvider');
+const phonePeService = require('../phonePeService');
+const inventoryService = require('../inventoryService');
+const Order = require('../../models/orderModel');
+const orderStateService = require('../orderStateService');
+const invoiceService = require('../invoiceService');
+const { auditLogger } = require('../../middleware/auditLogger');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// PhonePe sometimes hangs instead of failing; give up after this long
+const CREATE_TIMEOUT_MS = 15000;
+
+class PhonePeProvider extends PaymentProvider {
+    constructor() {
+        super('phonepe');
+    }
+
+    /**
+     * Create the PhonePe checkout and return the page to redirect to
+     */
+    async createPayment(order, { userInfo, userDetails }) {
+        let result;
+        try {
+            result = await Promise.race([
+                phonePeService.createPaymentOrder({ ...order, userInfo, userDetails }),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('PhonePe_TIMEOUT')), CREATE_TIMEOUT_MS)
+                )
+            ]);
+        } catch (error) {
+            console.error("❌ PhonePe create order error:", error);
+
+            if (error.message === 'PhonePe_TIMEOUT') {
+                const timeoutError = this.createError('PhonePe payment timed out. Order has been cancelled.', 504);
+                timeoutError.timeout = true;
+                timeoutError.clientResponse = {
+                    success: false,
+                    phonepeTimeout: true,
+                    orderId: order.orderId,
+                    message: 'PhonePe payment timed out. Order has been cancelled.',
+                    redirectTo: `/store/order-confirmation.html?error=phonepe_timeout&orderId=${order.orderId}`
+                };
+                throw timeoutError;
+            }
+
+            // User-friendly message for the checkout page
+            let userMessage = "Unable to create PhonePe payment. Please try again.";
+            if (error.message.includes('timeout')) {
+                userMessage = "PhonePe service timeout. Please try again with a different payment method.";
+            } else if (error.message.includes('network') || error.message.includes('connect')) {
+                userMessage = "Network connection issue. Please check your internet and try again.";
+            }
+
+            const paymentError = this.createError(userMessage, 500);
+            paymentError.details = { errorType: 'phonepe_error', canRetry: true };
+            throw paymentError;
+        }
+
+        return {
+            orderFields: {
+                transactionId: result.orderId,
+                merchantTransactionId: result.merchantOrderId
+            },
+            clientResponse: {
+                phonePeTransactionId: result.orderId,
+                paymentUrl: result.paymentUrl,
+                amount: Math.round(order.finalTotal * 100),
+                redirectUrl: result.paymentUrl
+            }
+        };
+    }
+
+    /**
+     * Check the payment status of a pending order with PhonePe
+     * @param {Object} payload - { transactionId } (optional - the order already knows its PhonePe IDs)
+     */
+    async verify(order, { transactionId } = {}) {
+        const merchantOrderId = order.merchantTransactionId || transactionId || order.transactionId;
+        if (!merchantOrderId) {
+            throw this.createError('No transaction ID found for this order');
+        }
+
+        const status = await phonePeService.checkPaymentStatus(merchantOrderId);
+
+        let result = 'pending';
+        if (status.success) {
+            result = 'paid';
+        } else if (status.status === 'FAILED') {
+            result = 'failed';
+        }
+
+        return {
+            status: result,
+            amount: status.amount,
+            orderFields: {
+                transactionId: order.transactionId || merchantOrderId,
+                phonePePaymentData: status.fullResponse
+            }
+        };
+    }
+
+    /**
+     * Verify the X-VERIFY header and translate the callback
+     */
+    async handleWebhook(req) {
+        const isValid = phonePeService.verifyWebhookSignature(req.headers['x-verify'], JSON.stringify(req.body));
+        if (!isValid) {
+            auditLogger.security('PHONEPE_WEBHOOK_SIGNATURE_FAILED', {
+                ip: req.ip,
+                headers: req.headers,
+                body: req.body
+            });
+            throw this.createError('Invalid webhook signature.');
+        }
+
+        // The callback body is base64-encoded JSON
+        let webhookData = req.body;
+        if (req.body.response) {
+            webhookData = JSON.parse(Buffer.from(req.body.response, 'base64').toString('utf-8'));
+        }
+
+        const transactionId = webhookData.data?.merchantTransactionId || webhookData.data?.merchantOrderId;
+        const state = webhookData.data?.state;
+        if (!transactionId) {
+            throw this.createError('Missing transaction ID.');
+        }
+
+        const raw = { transactionId, state, code: webhookData.code };
+        const orderLookup = { $or: [{ transactionId }, { merchantTransactionId: transactionId }] };
+        const orderFields = { phonePePaymentData: webhookData };
+
+        if (state === 'COMPLETED' && webhookData.code === 'PAYMENT_SUCCESS') {
+            return { event: 'payment.paid', orderLookup, amount: webhookData.data?.amount, orderFields, raw };
+        }
+        if (state === 'PENDING') {
+            return { event: 'ignored', raw };
+        }
+        return { event: 'payment.failed', orderLookup, orderFields, reason: webhookData.code, raw };
+    }
+
+    /**
+     * Refund through phonePeService.processRefund and book it on the order (and stock, for full refunds)
+     */
+    async refund({ orderId, type, amount, reason, adminId, actorType = 'seller', items = [] }) {
+        const session = await mongoose.startSession();
+
+        try {
+            session.startTransaction();
+
+            const order = await Order.findOne({ orderId }).session(session);
+            if (!order) {
+                throw new Error('Order not found');
+            }
+            if (order.paymentStatus !== 'Paid') {
+                throw new Error(order.paymentStatus === 'Refunded' ? 'Order is already refunded' : 'Cannot refund unpaid order');
+            }
+
+            const refundResponse = await phonePeService.processRefund(
+                order.transactionId || order.merchantTransactionId,
+                Math.round(amount * 100), // Convert to paise
+                phonePeService.generateRefundId(order.orderId),
+                { reason, orderId: order.orderId, adminId }
+            );
+
+            const refund = {
+                refundId: refundResponse.merchantRefundId,
+                phonePeRefundId: refundResponse.phonePeRefundId,
+                refundAmount: amount,
+                refundStatus: refundResponse.status,
+                refundDate: new Date(),
+                refundReason: reason,
+                processedBy: adminId
+            };
+
+            const context = { actor: { type: actorType, id: adminId }, source: 'refund', note: reason };
+
+            if (type === 'full') {
+                orderStateService.markRefunded(order, context);
+                order.refundDetails = refund;
+                await inventoryService.restoreForOrder(order.orderItems, {
+                    orderId: order.orderId,
+                    reason: `Full refund: ${reason}`,
+                    source: 'refund'
+                }, session);
+            } else {
+                order.partialRefunds.push({ ...refund, items });
+                order.totalRefunded = round2((order.totalRefunded || 0) + amount);
+                if (order.totalRefunded >= order.finalTotal) {
+                    orderStateService.markRefunded(order, context);
+                }
+            }
+
+            await order.save({ session });
+            await session.commitTransaction();
+            await invoiceService.issueCreditNote(order, refund.refundId);
+
+            return {
+                refundId: refundResponse.merchantRefundId,
+                providerRefundId: refundResponse.phonePeRefundId,
+                amount,
+                status: refundResponse.status
+            };
+        } catch (error) {
+            if (session.inTransaction()) {
+                await session.abortTransaction();
+            }
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    async refundStatus(merchantRefundId) {
+        return phonePeService.checkRefundStatus(merchantRefundId);
+    }
+}
+
+module.exports = new PhonePeProvider();
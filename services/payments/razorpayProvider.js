@@ -0,0 +1,194 @@
+/**
+ * Razorpay Provider
+ * Checkout orders, signature checks and webhooks through the Razorpay SDK;
+ * refunds are executed by RefundService
+ */
+
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const RefundService = require('../refundService');
+const { auditLogger } = require('../../middleware/auditLogger');
+
+class RazorpayProvider extends PaymentProvider {
+    constructor() {
+        super('razorpay');
+
+        this.client = null;
+        try {
+            if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+                throw new Error('Razorpay credentials not found in environment variables');
+            }
+            this.client = new Razorpay({
+                key_id: process.env.RAZORPAY_KEY_ID,
+                key_secret: process.env.RAZORPAY_KEY_SECRET
+            });
+        } catch (error) {
+            console.error('❌ Failed to initialize Razorpay:', error.message);
+        }
+    }
+
+    getClient() {
+        if (!this.client) {
+            throw this.createError('Razorpay is not configured', 503);
+        }
+        return this.client;
+    }
+
+    /**
+     * Create the Razorpay order the checkout page opens
+     */
+    async createPayment(order, { idempotencyKey, baseIdempotencyKey }) {
+        const razorpayOrder = await this.getClient().orders.create({
+            amount: Math.round(order.finalTotal * 100), // amount in paise
+            currency: "INR",
+            receipt: order.orderId,
+            notes: {
+                orderId: order.orderId,
+                idempotencyKey: idempotencyKey,
+                baseIdempotencyKey: baseIdempotencyKey
+            }
+        });
+
+        return {
+            orderFields: { razorpayOrderId: razorpayOrder.id },
+            clientResponse: {
+                razorpayOrderId: razorpayOrder.id,
+                razorpayKey: process.env.RAZORPAY_KEY_ID,
+                amount: razorpayOrder.amount,
+                currency: razorpayOrder.currency
+            }
+        };
+    }
+
+    /**
+     * Check the checkout signature, then confirm with Razorpay that the order is paid
+     * @param {Object} payload - { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+     */
+    async verify(order, { razorpay_order_id, razorpay_payment_id, razorpay_signature } = {}) {
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            throw this.createError('Missing required payment verification data');
+        }
+
+        const generatedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+            .update(razorpay_order_id + "|" + razorpay_payment_id)
+            .digest('hex');
+
+        if (generatedSignature !== razorpay_signature) {
+            auditLogger.security('PAYMENT_SIGNATURE_VERIFICATION_FAILED', {
+                orderId: order.orderId,
+                razorpayOrderId: razorpay_order_id,
+                razorpayPaymentId: razorpay_payment_id
+            });
+            throw this.createError('Payment verification failed');
+        }
+
+        if (order.razorpayOrderId !== razorpay_order_id) {
+            auditLogger.security('PAYMENT_ORDER_MISMATCH', {
+                orderId: order.orderId,
+                expectedRazorpayOrderId: order.razorpayOrderId,
+                receivedRazorpayOrderId: razorpay_order_id
+            });
+            throw this.createError('Payment verification failed');
+        }
+
+        let razorpayOrder;
+        try {
+            razorpayOrder = await this.getClient().orders.fetch(razorpay_order_id);
+        } catch (error) {
+            console.error('❌ Razorpay order verification failed:', error);
+            throw this.createError('Razorpay order verification failed');
+        }
+
+        return {
+            status: razorpayOrder.status === 'paid' ? 'paid' : 'pending',
+            amount: razorpayOrder.amount,
+            orderFields: { transactionId: razorpay_payment_id }
+        };
+    }
+
+    /**
+     * Verify the webhook signature and translate the event
+     */
+    async handleWebhook(req) {
+        const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+        if (!secret) {
+            auditLogger.error('RAZORPAY_WEBHOOK_SECRET_MISSING', { ip: req.ip });
+            throw this.createError('Webhook secret not configured', 500);
+        }
+
+        const digest = crypto.createHmac('sha256', secret)
+            .update(JSON.stringify(req.body))
+            .digest('hex');
+
+        if (digest !== req.headers['x-razorpay-signature']) {
+            auditLogger.security('RAZORPAY_WEBHOOK_SIGNATURE_FAILED', {
+                ip: req.ip,
+                headers: req.headers,
+                body: req.body
+            });
+            throw this.createError('Signature mismatch');
+        }
+
+        const { event, payload } = req.body;
+        const raw = { event, eventId: req.body.event_id || 'unknown' };
+
+        if (event === 'payment.captured' || event === 'payment.failed') {
+            const payment = payload.payment.entity;
+            const orderId = payment.notes?.orderId;
+            if (!orderId) {
+                console.warn(`No orderId found in ${event} payment notes`);
+                return { event: 'ignored', raw };
+            }
+
+            return {
+                event: event === 'payment.captured' ? 'payment.paid' : 'payment.failed',
+                orderLookup: { orderId },
+                amount: payment.amount,
+                orderFields: event === 'payment.captured' ? { transactionId: payment.id } : {},
+                reason: payment.error_description,
+                raw: { ...raw, paymentId: payment.id, method: payment.method }
+            };
+        }
+
+        if (event === 'refund.processed') {
+            const refund = payload.refund.entity;
+            return {
+                event: 'refund.processed',
+                orderLookup: { transactionId: refund.payment_id },
+                refund: {
+                    refundId: refund.id,
+                    amount: refund.amount / 100,
+                    status: refund.status
+                },
+                raw
+            };
+        }
+
+        console.log(`Unhandled Razorpay webhook event: ${event}`);
+        return { event: 'ignored', raw };
+    }
+
+    /**
+     * Full or partial refund through RefundService (which also updates the order and stock)
+     */
+    async refund({ orderId, type, amount, reason, adminId, ip, actorType = 'seller', items = [] }) {
+        const result = type === 'full'
+            ? await RefundService.processFullRefund(orderId, reason, adminId, ip, actorType)
+            : await RefundService.processPartialRefund(orderId, amount, reason, adminId, ip, actorType, items);
+
+        return {
+            refundId: result.refundId,
+            providerRefundId: result.refundId,
+            amount: result.amount,
+            status: result.status
+        };
+    }
+
+    async refundStatus(refundId) {
+        const { refund } = await RefundService.getRefundStatus(refundId);
+        return refund;
+    }
+}
+
+module.exports = new RazorpayProvider();
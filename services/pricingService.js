@@ -0,0 +1,194 @@
+/**
+ * Pricing Service
+ * Rebuilds order totals on the server from Product prices, coupon rules and seller shipping rules,
+ * and the GST included in each line
+ */
+
+const Product = require('../models/productModel');
+const couponService = require('./couponService');
+const shippingService = require('./shippingService');
+const taxService = require('./taxService');
+
+// Totals may differ by rounding only (₹0.01)
+const PRICE_TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PricingService {
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400, extra = {}) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        Object.assign(error, extra);
+        return error;
+    }
+
+    /**
+     * Build order line items from current Product (or variant) prices
+     * @param {Array} cartItems - [{ productId, variantId, quantity }]
+     * @param {ClientSession} [session] - Optional Mongo session
+     * @returns {Object} { orderItems, products } where products[i] is the Product for orderItems[i]
+     */
+    async buildOrderItems(cartItems, session = null) {
+        const orderItems = [];
+        const products = [];
+
+        for (const item of cartItems) {
+            const query = Product.findById(item.productId);
+            if (session) query.session(session);
+            const product = await query;
+
+            if (!product) {
+                throw this.createError(`Product with ID ${item.productId} not found.`, 404);
+            }
+
+            // Products with variants are sold by variant, at the variant's price
+            let variant = null;
+            if (product.variants.length > 0) {
+                variant = product.findVariant(item.variantId);
+                if (!variant || !variant.isActive) {
+                    throw this.createError(
+                        item.variantId ? `${product.name} is not available in that size.` : `Choose a size for ${product.name}.`,
+                        400
+                    );
+                }
+            }
+
+            const price = variant ? variant.price : product.price;
+            const quantity = parseInt(item.quantity, 10);
+            orderItems.push({
+                productId: product._id,
+                variantId: variant ? variant._id : null,
+                variantLabel: variant ? variant.label : null,
+                sku: variant ? variant.sku : product.sku,
+                sellerId: product.sellerId || null,
+                name: variant ? `${product.name} (${variant.label})` : product.name,
+                price,
+                quantity,
+                subtotal: round2(price * quantity)
+            });
+            products.push(product);
+        }
+
+        return { orderItems, products };
+    }
+
+    /**
+     * Record each line's share of the coupon discount (in place) - shared by value across
+     * the lines the coupon covers, the last one taking the rounding difference
+     * @param {Array} orderItems - Priced order lines
+     * @param {Array} eligibleItems - The lines the discount applies to
+     * @param {number} discountAmount - Order discount
+     */
+    shareDiscount(orderItems, eligibleItems, discountAmount) {
+        orderItems.forEach(item => { item.discount = 0; });
+
+        const eligibleTotal = eligibleItems.reduce((sum, item) => sum + item.subtotal, 0);
+        if (!discountAmount || eligibleTotal <= 0) return;
+
+        let remaining = discountAmount;
+        eligibleItems.forEach((item, index) => {
+            item.discount = index === eligibleItems.length - 1
+                ? round2(remaining)
+                : round2(discountAmount * item.subtotal / eligibleTotal);
+            remaining -= item.discount;
+        });
+    }
+
+    /**
+     * Recalculate every order total on the server
+     * @param {Object} options
+     * @param {Array} options.cartItems - [{ productId, variantId, quantity }]
+     * @param {Array|string} [options.appliedCoupons] - Coupon code(s) the customer applied
+     * @param {string} [options.userId] - Registered customer ID (coupon usage checks)
+     * @param {string} [options.email] - Guest email (coupon usage checks)
+     * @param {Object} [options.shippingAddress] - { state, zipcode } the shipping rules are matched against (state is also the GST place of supply)
+     * @param {ClientSession} [options.session] - Optional Mongo session
+     * @returns {Object} { orderItems, products, totalPrice, discountAmount, shippingCharges, shippingBreakdown, finalTotal, appliedCoupons, taxSummary, suppliers }
+     */
+    async calculateOrderTotals({ cartItems, appliedCoupons, userId, email, shippingAddress, session = null }) {
+        const { orderItems, products } = await this.buildOrderItems(cartItems, session);
+        const totalPrice = round2(orderItems.reduce((sum, item) => sum + item.subtotal, 0));
+
+        // ✅ One coupon per order, evaluated with the same rules as /apply-coupon
+        const codes = [...new Set(
+            [].concat(appliedCoupons || [])
+                .map(code => couponService.normalizeCode(code))
+                .filter(Boolean)
+        )];
+        if (codes.length > 1) {
+            throw this.createError('Only one coupon can be applied per order.', 400, { errorCode: 'INVALID_COUPON' });
+        }
+
+        let discountAmount = 0;
+        let eligibleItems = [];
+        if (codes.length === 1) {
+            try {
+                const evaluation = await couponService.evaluateCoupon(codes[0], { orderItems, userId, email });
+                discountAmount = evaluation.discountAmount;
+                eligibleItems = evaluation.eligibleItems;
+            } catch (error) {
+                if (error.statusCode) error.errorCode = 'INVALID_COUPON';
+                throw error;
+            }
+        }
+        // A seller's coupon only discounts that seller's lines
+        this.shareDiscount(orderItems, eligibleItems, discountAmount);
+
+        const { shippingCharges, breakdown } = await shippingService.quote({
+            orderItems,
+            products,
+            shippingAddress
+        });
+        const finalTotal = round2(totalPrice - discountAmount + shippingCharges);
+
+        // Prices include GST, so this only splits the lines - totals don't change
+        const { taxSummary, suppliers } = await taxService.applyTaxes({
+            orderItems,
+            products,
+            shippingAddress,
+            charges: shippingCharges,
+            session
+        });
+
+        return {
+            orderItems,
+            products,
+            totalPrice,
+            discountAmount,
+            shippingCharges,
+            shippingBreakdown: breakdown,
+            finalTotal,
+            appliedCoupons: codes,
+            taxSummary,
+            suppliers
+        };
+    }
+
+    /**
+     * Compare client-sent totals with the server's calculation
+     * Fields the client didn't send are skipped
+     * @param {Object} computed - Result of calculateOrderTotals (plus paymentCharges)
+     * @param {Object} submitted - Request body
+     * @returns {Array} [{ field, expected, received }] for every disagreeing field
+     */
+    findMismatches(computed, submitted) {
+        const fields = ['totalPrice', 'discountAmount', 'shippingCharges', 'paymentCharges', 'finalTotal'];
+        const mismatches = [];
+
+        for (const field of fields) {
+            if (submitted[field] === undefined || submitted[field] === null) continue;
+
+            const received = parseFloat(submitted[field]);
+            if (Number.isNaN(received) || Math.abs(received - computed[field]) > PRICE_TOLERANCE) {
+                mismatches.push({ field, expected: computed[field], received: submitted[field] });
+            }
+        }
+
+        return mismatches;
+    }
+}
+
+module.exports = new PricingService();
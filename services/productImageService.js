@@ -0,0 +1,215 @@
+/**
+ * Product Image Service
+ * Ordered image gallery of a product, with alt text. The first image is the primary one and is
+ * mirrored into product.image, which listings, carts and emails use. Images taken off a product
+ * are deleted from Cloudinary as well, so replaced and removed uploads don't pile up.
+ */
+
+const Product = require('../models/productModel');
+const cloudinary = require('../utils/cloudinary');
+
+class ProductImageService {
+    constructor() {
+        this.maxImages = parseInt(process.env.PRODUCT_MAX_IMAGES || '10', 10);
+    }
+
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Load one of the seller's products, with its gallery ready to edit
+     */
+    async getProduct(productId, sellerId) {
+        const product = await Product.findOne({ _id: productId, sellerId });
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+        return this.withLegacyImage(product);
+    }
+
+    /**
+     * Products listed before galleries only have `image` - start their gallery with it
+     */
+    withLegacyImage(product) {
+        if (product.images.length === 0 && product.image) {
+            product.images.push({
+                url: product.image,
+                publicId: cloudinary.publicIdFromUrl(product.image),
+                alt: product.name
+            });
+        }
+        return product;
+    }
+
+    getImage(product, imageId) {
+        const image = product.images.id(imageId);
+        if (!image) {
+            throw this.createError('Image not found', 404);
+        }
+        return image;
+    }
+
+    /**
+     * Gallery entry for a file uploaded by multer-storage-cloudinary (path = URL, filename = public ID)
+     */
+    fromUpload(file, alt = '') {
+        return { url: file.path, publicId: file.filename || null, alt };
+    }
+
+    // ===== GALLERY =====
+
+    /**
+     * Add uploaded images to the end of a product's gallery
+     * Uploads that can't be added are deleted again.
+     * @param {string} productId - Product ID
+     * @param {string} sellerId - Seller (store) ID
+     * @param {Array} files - Files from multer-storage-cloudinary
+     * @param {Array} [alts] - Alt text for each file, in order
+     * @returns {Array} The product's gallery
+     */
+    async addImages(productId, sellerId, files, alts = []) {
+        try {
+            if (!files || files.length === 0) {
+                throw this.createError('Choose at least one image to upload');
+            }
+
+            const product = await this.getProduct(productId, sellerId);
+            if (product.images.length + files.length > this.maxImages) {
+                throw this.createError(`A product can have at most ${this.maxImages} images`);
+            }
+
+            files.forEach((file, index) => {
+                product.images.push(this.fromUpload(file, alts[index] || product.name));
+            });
+            await product.save();
+            return product.images;
+        } catch (error) {
+            await this.discardUploads(files);
+            throw error;
+        }
+    }
+
+    /**
+     * Put a product's images in a new order
+     * @param {Array} imageIds - Every image ID of the gallery, primary first
+     * @returns {Array} The product's gallery
+     */
+    async reorder(productId, sellerId, imageIds) {
+        const product = await this.getProduct(productId, sellerId);
+        const ids = imageIds.map(String);
+        const current = product.images.map(image => image._id.toString());
+
+        if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+            throw this.createError('List every image of the product exactly once');
+        }
+
+        const images = ids.map(id => product.images.id(id).toObject());
+        product.images = images;
+        await product.save();
+        return product.images;
+    }
+
+    /**
+     * Make an image the product's primary image (first in the gallery)
+     * @returns {Array} The product's gallery
+     */
+    async setPrimary(productId, sellerId, imageId) {
+        const product = await this.getProduct(productId, sellerId);
+        const image = this.getImage(product, imageId).toObject();
+
+        product.images = [image, ...product.images.filter(i => !i._id.equals(image._id)).map(i => i.toObject())];
+        await product.save();
+        return product.images;
+    }
+
+    /**
+     * Change an image's alt text
+     * @returns {Object} The updated image
+     */
+    async updateAlt(productId, sellerId, imageId, alt) {
+        const product = await this.getProduct(productId, sellerId);
+        const image = this.getImage(product, imageId);
+        image.alt = alt;
+        await product.save();
+        return image;
+    }
+
+    /**
+     * Take an image off a product and delete it from Cloudinary
+     * The last image can't be removed - every product shows one.
+     * @returns {Array} The product's gallery
+     */
+    async removeImage(productId, sellerId, imageId) {
+        const product = await this.getProduct(productId, sellerId);
+        const image = this.getImage(product, imageId);
+        if (product.images.length === 1) {
+            throw this.createError('A product needs at least one image - upload another before removing this one', 409);
+        }
+
+        const removed = image.toObject();
+        product.images.pull(image._id);
+        await product.save();
+
+        await this.destroy([removed]);
+        return product.images;
+    }
+
+    /**
+     * Swap a product's primary image for a new upload (product edit form); the old one is deleted
+     * @param {Object} product - Product document
+     * @param {Object} file - File from multer-storage-cloudinary
+     * @returns {Object} Updated product
+     */
+    async replacePrimary(product, file) {
+        this.withLegacyImage(product);
+        const replaced = product.images.length > 0 ? product.images[0].toObject() : null;
+
+        const image = this.fromUpload(file, replaced ? replaced.alt : product.name);
+        product.images = [image, ...product.images.slice(1).map(i => i.toObject())];
+        await product.save();
+
+        if (replaced) await this.destroy([replaced]);
+        return product;
+    }
+
+    // ===== CLOUDINARY =====
+
+    /**
+     * Delete gallery images from Cloudinary
+     * Failures are logged, not thrown - the images are already off the product.
+     * @param {Array} images - [{ url, publicId }]
+     */
+    async destroy(images) {
+        for (const image of images) {
+            try {
+                await cloudinary.destroyImage(image.publicId || image.url);
+            } catch (error) {
+                console.error(`❌ Failed to delete image ${image.publicId || image.url} from Cloudinary:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Delete every image of a product that was removed
+     */
+    async destroyAll(product) {
+        this.withLegacyImage(product);
+        await this.destroy(product.images);
+    }
+
+    /**
+     * Delete files that were uploaded for a request that failed
+     */
+    async discardUploads(files) {
+        const uploads = [].concat(files || []).filter(Boolean);
+        await this.destroy(uploads.map(file => this.fromUpload(file)));
+    }
+}
+
+module.exports = new ProductImageService();
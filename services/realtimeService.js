@@ -0,0 +1,141 @@
+/**
+ * Realtime Service
+ * Socket.IO event stream for the seller dashboard. Sellers connect with the same
+ * JWT used by authSeller and receive live order, payment, refund, stock and review events.
+ */
+
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const Seller = require('../seller-backend/models/sellerModel');
+const Order = require('../models/orderModel');
+const formatOrder = require('../utils/formatOrder');
+
+// Event name -> notification type it belongs to (for the seller's type switches)
+const EVENT_CATEGORIES = {
+    'order:created': 'orders',
+    'order:status': 'orders',
+    'order:payment': 'payments',
+    'order:refund': 'payments',
+    'inventory:low-stock': 'lowStock',
+    'review:created': 'reviews',
+    'review:updated': 'reviews'
+};
+
+class RealtimeService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * Attach Socket.IO to the HTTP server
+     * @param {http.Server} server - Server the Express app is listening on
+     * @param {Object} corsOptions - Same CORS options as the REST API
+     */
+    initialize(server, corsOptions) {
+        this.io = new Server(server, {
+            cors: corsOptions,
+            path: '/socket.io'
+        });
+
+        this.io.use((socket, next) => this.authenticate(socket, next));
+
+        this.io.on('connection', (socket) => {
+            // Staff accounts follow their owner's store
+            const seller = socket.data.seller;
+            socket.join(this.sellerRoom((seller.ownerId || seller._id).toString()));
+        });
+
+        console.log('✅ Realtime service attached');
+        return this.io;
+    }
+
+    /**
+     * Socket.IO middleware - same token check as authSeller
+     * Token comes from the handshake auth ({ token }) or an "Authorization: Bearer" header
+     */
+    async authenticate(socket, next) {
+        const authHeader = socket.handshake.headers.authorization;
+        const token = socket.handshake.auth?.token ||
+            (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+        if (!token) {
+            return next(new Error('Seller token missing'));
+        }
+
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const seller = await Seller.findById(decoded.id).select('-password');
+
+            if (!seller) {
+                return next(new Error('Invalid seller token'));
+            }
+            if (!seller.isVerified) {
+                return next(new Error('Verify your email before using the dashboard'));
+            }
+
+            socket.data.seller = seller;
+            next();
+        } catch (error) {
+            console.error('❌ Socket Auth Error:', error.message);
+            next(new Error('Invalid or expired seller token'));
+        }
+    }
+
+    sellerRoom(sellerId) {
+        return `seller:${sellerId}`;
+    }
+
+    /**
+     * Whether a seller wants this event in real time (realtime channel and type switches)
+     */
+    async wantsEvent(sellerId, event) {
+        const notificationService = require('./notificationService');
+        const preferences = await notificationService.getPreferences(sellerId);
+        const category = EVENT_CATEGORIES[event];
+
+        if (!preferences.realtime) return false;
+        return !category || preferences.types[category] !== false;
+    }
+
+    /**
+     * Emit an event to one seller's connected dashboards
+     * @param {string} sellerId - Seller ID
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    async emitToSeller(sellerId, event, payload) {
+        if (!this.io) return;
+
+        try {
+            if (await this.wantsEvent(sellerId, event)) {
+                this.io.to(this.sellerRoom(sellerId)).emit(event, payload);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to emit ${event}:`, error.message);
+        }
+    }
+
+    /**
+     * Send an order event to each seller in the order, with their view of the dashboard order payload
+     * Never throws, so callers don't need to wait for it
+     * @param {string} event - order:created | order:status | order:payment | order:refund
+     * @param {string} orderId - Order _id
+     */
+    async emitOrderEvent(event, orderId) {
+        if (!this.io) return;
+
+        try {
+            const order = await Order.findById(orderId).populate('userId', 'name email phone');
+            if (!order) return;
+
+            const sellerIds = [...new Set(order.subOrders.map(sub => sub.sellerId).filter(Boolean).map(String))];
+            await Promise.all(sellerIds.map(sellerId =>
+                this.emitToSeller(sellerId, event, formatOrder(order, sellerId))
+            ));
+        } catch (error) {
+            console.error(`❌ Failed to emit ${event}:`, error.message);
+        }
+    }
+}
+
+module.exports = new RealtimeService();
@@ -5,7 +5,9 @@
 
 const Razorpay = require('razorpay');
 const Order = require('../models/orderModel');
-const Product = require('../models/productModel');
+const inventoryService = require('./inventoryService');
+const orderStateService = require('./orderStateService');
+const invoiceService = require('./invoiceService');
 const { auditLogger } = require('../middleware/auditLogger');
 const mongoose = require('mongoose');
 
@@ -31,9 +33,10 @@ class RefundService {
      * @param {string} reason - Reason for refund
      * @param {string} adminId - ID of admin processing refund
      * @param {string} ipAddress - IP address of the request
+     * @param {string} actorType - Who asked for it on the order timeline ('seller' or 'customer')
      * @returns {Object} Refund result
      */
-    static async processFullRefund(orderId, reason, adminId, ipAddress) {
+    static async processFullRefund(orderId, reason, adminId, ipAddress, actorType = 'seller') {
         const session = await mongoose.startSession();
         
         try {
@@ -72,8 +75,11 @@ class RefundService {
             const refundResponse = await razorpay.payments.refund(order.transactionId, refundData);
 
             // Update order status
-            order.paymentStatus = 'Refunded';
-            order.orderStatus = 'Canceled';
+            orderStateService.markRefunded(order, {
+                actor: { type: actorType, id: adminId },
+                source: 'refund',
+                note: reason
+            });
             order.refundDetails = {
                 refundId: refundResponse.id,
                 refundAmount: refundResponse.amount / 100,
@@ -85,9 +91,10 @@ class RefundService {
             await order.save({ session });
 
             // Restore product stock
-            await this.restoreProductStock(order.orderItems, session);
+            await this.restoreProductStock(order.orderItems, session, order.orderId);
 
             await session.commitTransaction();
+            await invoiceService.issueCreditNote(order, refundResponse.id);
 
             // Log successful refund
             auditLogger.payment('REFUND_SUCCESSFUL', {
@@ -134,9 +141,11 @@ class RefundService {
      * @param {string} reason - Reason for refund
      * @param {string} adminId - ID of admin processing refund
      * @param {string} ipAddress - IP address of the request
+     * @param {string} actorType - Who asked for it on the order timeline ('seller' or 'customer')
+     * @param {Array} items - Order lines paid back ([{ productId, variantId, name, quantity }]), listed on the credit note
      * @returns {Object} Refund result
      */
-    static async processPartialRefund(orderId, refundAmount, reason, adminId, ipAddress) {
+    static async processPartialRefund(orderId, refundAmount, reason, adminId, ipAddress, actorType = 'seller', items = []) {
         const session = await mongoose.startSession();
         
         try {
@@ -191,7 +200,8 @@ class RefundService {
                 refundStatus: refundResponse.status,
                 refundDate: new Date(),
                 refundReason: reason,
-                processedBy: adminId
+                processedBy: adminId,
+                items
             });
 
             // Update total refunded amount
@@ -200,13 +210,17 @@ class RefundService {
 
             // If fully refunded, update status
             if (totalRefunded >= order.finalTotal) {
-                order.paymentStatus = 'Refunded';
-                order.orderStatus = 'Canceled';
+                orderStateService.markRefunded(order, {
+                    actor: { type: actorType, id: adminId },
+                    source: 'refund',
+                    note: reason
+                });
             }
 
             await order.save({ session });
 
             await session.commitTransaction();
+            await invoiceService.issueCreditNote(order, refundResponse.id);
 
             // Log successful partial refund
             auditLogger.payment('PARTIAL_REFUND_SUCCESSFUL', {
@@ -310,16 +324,14 @@ class RefundService {
      * Restore product stock after refund
      * @param {Array} orderItems - Order items to restore stock for
      * @param {Object} session - MongoDB session
+     * @param {string} orderId - Order the stock is returned from
      */
-    static async restoreProductStock(orderItems, session) {
-        for (const item of orderItems) {
-            const product = await Product.findById(item.productId).session(session);
-            if (product) {
-                product.stock += item.quantity;
-                await product.save({ session });
-                console.log(`✅ Stock restored for ${item.name}: +${item.quantity} units`);
-            }
-        }
+    static async restoreProductStock(orderItems, session, orderId = null) {
+        await inventoryService.restoreForOrder(orderItems, {
+            orderId,
+            reason: 'Full refund',
+            source: 'refund'
+        }, session);
     }
 
     /**
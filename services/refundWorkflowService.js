@@ -0,0 +1,323 @@
+/**
+ * Refund Workflow Service
+ * Refunds go request -> approve -> execute. Someone other than the requester approves;
+ * large refunds need a second approver.
+ * Execution goes through the order's payment provider (services/payments);
+ * every state change is kept on the request and written to the audit trail.
+ */
+
+const Order = require('../models/orderModel');
+const RefundRequest = require('../models/refundRequestModel');
+const ReturnRequest = require('../models/returnRequestModel');
+const payments = require('./payments');
+const realtimeService = require('./realtimeService');
+const sellerOrderService = require('./sellerOrderService');
+const sequenceService = require('./sequenceService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Requests that still hold part of the order's refundable amount
+const OPEN_STATUSES = ['requested', 'approved', 'executing'];
+
+class RefundWorkflowService {
+    constructor() {
+        // Refunds above this amount (₹) need two different approvers
+        this.secondApprovalAmount = parseFloat(process.env.REFUND_SECOND_APPROVAL_AMOUNT || '5000');
+    }
+
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Append a state change to the request's history and the audit trail
+     */
+    recordTransition(request, action, { by = null, note = '', ip = null, ...details } = {}) {
+        request.history.push({ status: request.status, by, note });
+
+        auditLogger.payment(action, {
+            ip,
+            requestId: request.requestId,
+            orderId: request.orderId,
+            status: request.status,
+            amount: request.amount,
+            type: request.type,
+            provider: request.provider,
+            performedBy: by ? by.toString() : null,
+            note,
+            ...details
+        });
+    }
+
+    /**
+     * Raise a refund request for one of the seller's orders
+     * @param {Object} params - { orderId, type ('full' | 'partial'), amount (partial only), reason, provider (optional check) }
+     * @param {Object} actor - { seller (store), staff (signed-in account), ip }
+     * @returns {Object} Created RefundRequest
+     */
+    async createRequest({ orderId, type, amount, reason, provider = null }, { seller, staff, ip }) {
+        const order = await Order.findOne({ orderId, ...sellerOrderService.sellerFilter(seller._id) });
+        if (!order) {
+            throw this.createError('Order not found', 404);
+        }
+
+        const gateway = payments.getProvider(order.paymentMethod);
+        if (!gateway || !gateway.collectsOnline) {
+            throw this.createError(`Orders paid by ${order.paymentMethod} can't be refunded online`);
+        }
+        if (provider && order.paymentMethod !== provider) {
+            throw this.createError(provider === 'phonepe' ? 'This is not a PhonePe order' : 'This is not a Razorpay order');
+        }
+        if (!order.transactionId && !order.merchantTransactionId) {
+            throw this.createError('Order has no valid payment transaction');
+        }
+        if (order.paymentStatus === 'Refunded') {
+            throw this.createError('Order is already refunded');
+        }
+        if (order.paymentStatus !== 'Paid') {
+            throw this.createError('Cannot refund unpaid order');
+        }
+
+        // On orders shared with other sellers a seller only refunds their own share
+        const sharedOrder = order.subOrders.length > 1;
+        if (type === 'full' && sharedOrder) {
+            throw this.createError('This order has items from other sellers. Request a partial refund of your share instead.');
+        }
+
+        const alreadyRefunded = order.totalRefunded || 0;
+        if (type === 'full' && alreadyRefunded > 0) {
+            throw this.createError(`Order is already partly refunded (₹${alreadyRefunded}). Request a partial refund for the rest.`);
+        }
+
+        const refundAmount = type === 'full' ? order.finalTotal : round2(parseFloat(amount));
+        if (!(refundAmount > 0)) {
+            throw this.createError('Invalid refund amount');
+        }
+
+        // Money already refunded or tied up in open requests can't be requested again
+        const remaining = await this.refundableAmount(order);
+        if (refundAmount > remaining) {
+            throw this.createError(`Cannot refund ₹${refundAmount}. Refunded or awaiting approval: ₹${round2(order.finalTotal - remaining)}. Maximum remaining: ₹${Math.max(remaining, 0)}`);
+        }
+        if (sharedOrder) {
+            const shareRemaining = await this.sellerRefundableAmount(order, seller._id);
+            if (refundAmount > shareRemaining) {
+                throw this.createError(`Cannot refund ₹${refundAmount}. Your share of this order has ₹${Math.max(shareRemaining, 0)} left to refund.`);
+            }
+        }
+
+        // Requests numbered before the counter existed were 1..count
+        const number = await sequenceService.nextWithin('refundRequest', orderId, {
+            floor: await RefundRequest.countDocuments({ orderId })
+        });
+        const request = new RefundRequest({
+            requestId: `RFR-${orderId}-${number}`,
+            orderId,
+            sellerId: seller._id,
+            provider: order.paymentMethod,
+            type,
+            amount: refundAmount,
+            reason,
+            requiredApprovals: refundAmount > this.secondApprovalAmount ? 2 : 1,
+            requestedBy: staff._id
+        });
+
+        this.recordTransition(request, 'REFUND_REQUESTED', { by: staff._id, note: reason, ip });
+        await request.save();
+
+        return request;
+    }
+
+    /**
+     * What is left to refund on an order: its total less refunds made and money held by open requests
+     * @param {Object} order - Order (finalTotal, totalRefunded, orderId)
+     */
+    async refundableAmount(order) {
+        const openRequests = await RefundRequest.find({ orderId: order.orderId, status: { $in: OPEN_STATUSES } }).select('amount');
+        const pending = openRequests.reduce((sum, request) => sum + request.amount, 0);
+        return round2(order.finalTotal - (order.totalRefunded || 0) - pending);
+    }
+
+    /**
+     * What is left for one seller to refund on an order shared with other sellers: their
+     * sub-order's items total less their refund requests (open or executed) and refunded or owed returns
+     * @param {Object} order - Order (orderId, subOrders)
+     * @param {string} sellerId - Store ID
+     */
+    async sellerRefundableAmount(order, sellerId) {
+        const subOrder = sellerOrderService.getSubOrder(order, sellerId);
+        if (!subOrder) return 0;
+
+        const [requests, returns] = await Promise.all([
+            RefundRequest.find({ orderId: order.orderId, sellerId, status: { $in: [...OPEN_STATUSES, 'executed'] } }).select('amount'),
+            ReturnRequest.find({ orderId: order.orderId, sellerId, status: { $in: ['refund_pending', 'refunded'] } }).select('refundAmount')
+        ]);
+        const used = requests.reduce((sum, request) => sum + request.amount, 0) +
+            returns.reduce((sum, returnRequest) => sum + returnRequest.refundAmount, 0);
+
+        return round2(subOrder.itemsTotal - used);
+    }
+
+    /**
+     * Load a request belonging to the seller's store
+     */
+    async getRequest(requestId, sellerId) {
+        const request = await RefundRequest.findOne({ requestId, sellerId });
+        if (!request) {
+            throw this.createError('Refund request not found', 404);
+        }
+        return request;
+    }
+
+    /**
+     * Refund requests for the seller's store, newest first
+     * @param {string} sellerId - Store ID
+     * @param {Object} options - { status, orderId, page, limit }
+     * @returns {Object} { requests, pagination }
+     */
+    async listRequests(sellerId, { status, orderId, page = 1, limit = 20 } = {}) {
+        const filter = { sellerId };
+        if (status) filter.status = status;
+        if (orderId) filter.orderId = orderId;
+
+        const [requests, total] = await Promise.all([
+            RefundRequest.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('requestedBy approvals.by rejectedBy executedBy', 'name email role')
+                .lean(),
+            RefundRequest.countDocuments(filter)
+        ]);
+
+        return {
+            requests,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Approve a request. The requester can't approve it and each account counts once,
+     * so every refund is checked by someone else and large ones by two other people.
+     * @returns {Object} Updated RefundRequest
+     */
+    async approve(requestId, { seller, staff, ip }, note = '') {
+        const request = await this.getRequest(requestId, seller._id);
+
+        if (request.status !== 'requested') {
+            throw this.createError(`Refund request is already ${request.status}`, 409);
+        }
+        if (request.requestedBy.equals(staff._id)) {
+            throw this.createError('You requested this refund, so someone else has to approve it.', 409);
+        }
+        if (request.approvals.some(approval => approval.by.equals(staff._id))) {
+            throw this.createError('You have already approved this refund. It needs another approver.', 409);
+        }
+
+        request.approvals.push({ by: staff._id, role: staff.role || 'owner', note });
+        if (request.approvals.length >= request.requiredApprovals) {
+            request.status = 'approved';
+        }
+
+        this.recordTransition(request, 'REFUND_APPROVED', {
+            by: staff._id,
+            note,
+            ip,
+            approvals: request.approvals.length,
+            requiredApprovals: request.requiredApprovals
+        });
+        await request.save();
+
+        return request;
+    }
+
+    /**
+     * Reject a request that hasn't been executed yet
+     * @returns {Object} Updated RefundRequest
+     */
+    async reject(requestId, { seller, staff, ip }, note = '') {
+        const request = await this.getRequest(requestId, seller._id);
+
+        if (!['requested', 'approved'].includes(request.status)) {
+            throw this.createError(`Refund request is already ${request.status}`, 409);
+        }
+
+        request.status = 'rejected';
+        request.rejectedBy = staff._id;
+        this.recordTransition(request, 'REFUND_REJECTED', { by: staff._id, note, ip });
+        await request.save();
+
+        return request;
+    }
+
+    /**
+     * Send an approved request to the payment provider
+     * The request is claimed first so two clicks can't refund twice
+     * @returns {Object} Updated RefundRequest
+     */
+    async execute(requestId, { seller, staff, ip }) {
+        const request = await RefundRequest.findOneAndUpdate(
+            { requestId, sellerId: seller._id, status: 'approved' },
+            { $set: { status: 'executing', executedBy: staff._id } },
+            { new: true }
+        );
+
+        if (!request) {
+            const existing = await this.getRequest(requestId, seller._id);
+            throw this.createError(existing.status === 'requested'
+                ? 'Refund request is still awaiting approval'
+                : `Refund request is already ${existing.status}`, 409);
+        }
+
+        this.recordTransition(request, 'REFUND_EXECUTION_STARTED', { by: staff._id, ip });
+        await request.save();
+
+        const adminId = staff._id.toString();
+        const reason = `${request.reason} (${request.requestId})`;
+
+        try {
+            const result = await payments.getProvider(request.provider).refund({
+                orderId: request.orderId,
+                type: request.type,
+                amount: request.amount,
+                reason,
+                adminId,
+                ip
+            });
+
+            request.status = 'executed';
+            request.executedAt = new Date();
+            request.refundId = result.refundId;
+            request.providerRefundId = result.providerRefundId;
+            request.providerStatus = result.status;
+            this.recordTransition(request, 'REFUND_EXECUTED', { by: staff._id, ip, refundId: result.refundId });
+            await request.save();
+
+            const order = await Order.findOne({ orderId: request.orderId }).select('_id');
+            if (order) realtimeService.emitOrderEvent('order:refund', order._id);
+
+            return request;
+        } catch (error) {
+            const providerError = error.error || error;
+            request.status = 'failed';
+            request.failureReason = providerError.description || error.message || 'Refund failed';
+            this.recordTransition(request, 'REFUND_EXECUTION_FAILED', { by: staff._id, ip, error: request.failureReason });
+            await request.save();
+
+            throw this.createError(request.failureReason, 502);
+        }
+    }
+}
+
+module.exports = new RefundWorkflowService();
@@ -0,0 +1,197 @@
+/**
+ * Stock Reservation Service
+ * Holds stock for orders awaiting gateway payment. Holds expire after a fixed time
+ * and are either committed (payment succeeded) or released (failure, timeout, superseded).
+ */
+
+const StockReservation = require('../models/stockReservationModel');
+const inventoryService = require('./inventoryService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+class ReservationService {
+    constructor() {
+        this.ttlMinutes = parseInt(process.env.RESERVATION_TTL_MINUTES || '30', 10);
+    }
+
+    /**
+     * Place holds for every item of an order (all or nothing)
+     * Each hold moves units from available stock to reservedStock, guarded so the last units can't be held twice
+     * @param {string} orderId - User-friendly order ID
+     * @param {Array} orderItems - [{ productId, variantId, name, quantity }]
+     * @param {Object} [options] - { paymentMethod, ttlMinutes }
+     * @param {ClientSession} [session] - Mongo session; without one, placed holds are released on failure
+     * @returns {Date} Expiry time of the holds
+     */
+    async reserve(orderId, orderItems, { paymentMethod = null, ttlMinutes = this.ttlMinutes } = {}, session = null) {
+        const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+        let placed = 0;
+
+        try {
+            for (const item of orderItems) {
+                await inventoryService.applyMovement({
+                    productId: item.productId,
+                    variantId: item.variantId || null,
+                    quantity: -item.quantity,
+                    reservedQuantity: item.quantity,
+                    type: 'reservation',
+                    orderId,
+                    reason: `Held until ${expiresAt.toISOString()}`,
+                    source: paymentMethod || 'checkout'
+                }, session);
+
+                await StockReservation.create([{
+                    orderId,
+                    productId: item.productId,
+                    variantId: item.variantId || null,
+                    name: item.name,
+                    quantity: item.quantity,
+                    paymentMethod,
+                    expiresAt
+                }], { session });
+                placed++;
+            }
+        } catch (error) {
+            if (error.statusCode === 409) {
+                const failedItem = orderItems[placed];
+                error.message = `Insufficient stock for ${failedItem.name || failedItem.productId}.`;
+            }
+            if (!session && placed > 0) {
+                await this.release(orderId, 'Rollback of failed reservation');
+            }
+            throw error;
+        }
+
+        auditLogger.info('STOCK_RESERVED', {
+            orderId,
+            paymentMethod,
+            itemCount: orderItems.length,
+            expiresAt: expiresAt.toISOString()
+        });
+
+        return expiresAt;
+    }
+
+    /**
+     * Check whether an order ever had holds placed
+     * @param {string} orderId - User-friendly order ID
+     * @returns {boolean}
+     */
+    async hasReservations(orderId) {
+        return !!(await StockReservation.exists({ orderId }));
+    }
+
+    /**
+     * Turn an order's active holds into sales once payment succeeds
+     * If the holds already expired and were released, the stock is taken again from what's available
+     * @param {string} orderId - User-friendly order ID
+     * @param {Object} [options] - { source }
+     * @param {ClientSession} [session] - Optional Mongo session
+     * @returns {string} committed | reacquired | none
+     */
+    async commit(orderId, { source = 'payment' } = {}, session = null) {
+        const holds = await StockReservation.find({ orderId }).session(session);
+        if (holds.length === 0) {
+            return 'none';
+        }
+
+        let committed = 0;
+        for (const hold of holds.filter(h => h.status === 'active')) {
+            // Claim the hold first so a concurrent release can't also act on it
+            const claimed = await StockReservation.findOneAndUpdate(
+                { _id: hold._id, status: 'active' },
+                { status: 'committed', committedAt: new Date() },
+                { new: true, session }
+            );
+            if (!claimed) continue;
+
+            await inventoryService.applyMovement({
+                productId: hold.productId,
+                variantId: hold.variantId,
+                reservedQuantity: -hold.quantity,
+                type: 'deduction',
+                orderId,
+                reason: 'Reserved stock sold',
+                source
+            }, session);
+            committed++;
+        }
+
+        if (committed > 0 || holds.every(h => h.status === 'committed')) {
+            return 'committed';
+        }
+
+        // ⚠️ Payment arrived after the holds were released - take the stock again if it's still there
+        const released = holds.filter(h => h.status === 'released');
+        await inventoryService.deductForOrder(
+            released.map(h => ({ productId: h.productId, variantId: h.variantId, name: h.name, quantity: h.quantity })),
+            { orderId, reason: 'Payment received after reservation expired', source },
+            session
+        );
+        await StockReservation.updateMany(
+            { _id: { $in: released.map(h => h._id) } },
+            { status: 'committed', committedAt: new Date() },
+            { session }
+        );
+
+        auditLogger.warn('STOCK_REACQUIRED_AFTER_EXPIRY', { orderId, itemCount: released.length });
+        return 'reacquired';
+    }
+
+    /**
+     * Release an order's active holds back to available stock
+     * @param {string} orderId - User-friendly order ID
+     * @param {string} reason - Why the holds are released (payment failed, expired, superseded...)
+     * @param {Object} [options] - { source }
+     * @param {ClientSession} [session] - Optional Mongo session
+     * @returns {number} Number of holds released
+     */
+    async release(orderId, reason, { source = 'reservation' } = {}, session = null) {
+        const holds = await StockReservation.find({ orderId, status: 'active' }).session(session);
+        let released = 0;
+
+        for (const hold of holds) {
+            const claimed = await StockReservation.findOneAndUpdate(
+                { _id: hold._id, status: 'active' },
+                { status: 'released', releasedAt: new Date(), releaseReason: reason },
+                { new: true, session }
+            );
+            if (!claimed) continue;
+
+            try {
+                await inventoryService.applyMovement({
+                    productId: hold.productId,
+                    variantId: hold.variantId,
+                    quantity: hold.quantity,
+                    reservedQuantity: -hold.quantity,
+                    type: 'release',
+                    orderId,
+                    reason,
+                    source
+                }, session);
+            } catch (error) {
+                if (error.statusCode !== 404) throw error;
+                console.warn(`⚠️ Skipping release for missing product ${hold.productId}`);
+            }
+            released++;
+        }
+
+        if (released > 0) {
+            auditLogger.info('STOCK_RESERVATION_RELEASED', { orderId, reason, holdCount: released });
+        }
+
+        return released;
+    }
+
+    /**
+     * Orders that still have active holds past their expiry time
+     * @returns {Array<string>} User-friendly order IDs
+     */
+    async findExpiredOrderIds() {
+        return StockReservation.distinct('orderId', {
+            status: 'active',
+            expiresAt: { $lt: new Date() }
+        });
+    }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,552 @@
+/**
+ * Return Service
+ * Customer cancellations before shipping, and returns after delivery.
+ * Returns go requested -> approved/refunded (or rejected) through the seller whose items
+ * come back; approval refunds through the order's payment provider and restocks the items.
+ */
+
+const Order = require('../models/orderModel');
+const ReturnRequest = require('../models/returnRequestModel');
+const payments = require('./payments');
+const checkoutService = require('./checkoutService');
+const inventoryService = require('./inventoryService');
+const orderStateService = require('./orderStateService');
+const realtimeService = require('./realtimeService');
+const refundWorkflowService = require('./refundWorkflowService');
+const sellerOrderService = require('./sellerOrderService');
+const sequenceService = require('./sequenceService');
+const notificationService = require('./notificationService');
+const invoiceService = require('./invoiceService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Orders (and sub-orders) in these states haven't left the seller yet
+const CANCELLABLE_STATUSES = ['Pending', 'Processing'];
+
+class ReturnService {
+    constructor() {
+        // Days after delivery a return can be requested
+        this.returnWindowDays = parseInt(process.env.RETURN_WINDOW_DAYS || '7', 10);
+    }
+
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Load a customer's order: registered users by account, guests by the email and phone they ordered with
+     * @param {string} orderId - User-friendly order ID (ORD-...)
+     * @param {Object} customer - { userId } or { email, phone }
+     */
+    async findCustomerOrder(orderId, { userId = null, email, phone } = {}) {
+        let filter;
+        if (userId) {
+            filter = { orderId, userId };
+        } else if (email && phone) {
+            filter = {
+                orderId,
+                $or: [
+                    { guestEmail: email, guestPhone: phone },
+                    { userEmail: email, userPhone: phone }
+                ]
+            };
+        } else {
+            throw this.createError('Sign in, or give the email and phone the order was placed with', 401);
+        }
+
+        const order = await Order.findOne(filter);
+        if (!order) {
+            throw this.createError('Order not found', 404);
+        }
+        return order;
+    }
+
+    /**
+     * Timeline actor for the customer who owns an order
+     */
+    customerActor(order) {
+        return { type: 'customer', id: order.userId || null };
+    }
+
+    // ===== CANCELLATION =====
+
+    /**
+     * Cancel an order that hasn't shipped. Unpaid orders give their stock back;
+     * paid ones are refunded in full through their provider, which restocks and cancels the order.
+     * @param {string} orderId - User-friendly order ID
+     * @param {Object} customer - See findCustomerOrder
+     * @param {Object} options - { reason, ip }
+     * @returns {Object} { order, refund } (refund is null for unpaid orders)
+     */
+    async cancelOrder(orderId, customer, { reason, ip = null }) {
+        const order = await this.findCustomerOrder(orderId, customer);
+
+        if (order.orderStatus === 'Canceled') {
+            throw this.createError('Order is already cancelled', 409);
+        }
+        const statuses = [order.orderStatus, ...order.subOrders.map(sub => sellerOrderService.effectiveStatus(order, sub))];
+        if (statuses.some(status => !CANCELLABLE_STATUSES.includes(status))) {
+            throw this.createError('Order has already shipped and can no longer be cancelled. You can request a return once it is delivered.', 409);
+        }
+
+        const actor = this.customerActor(order);
+        const note = `Cancelled by customer: ${reason}`;
+        let cancelled = order;
+        let refund = null;
+
+        if (order.paymentStatus === 'Pending') {
+            cancelled = await checkoutService.cancelUnpaidOrder(order, { reason: note, source: 'customer-cancel', actor });
+            if (!cancelled) {
+                throw this.createError('Order was updated meanwhile. Please refresh and try again.', 409);
+            }
+        } else if (order.paymentStatus === 'Paid') {
+            const provider = payments.getProvider(order.paymentMethod);
+            if (!provider || !provider.collectsOnline) {
+                throw this.createError('This order can\'t be cancelled online. Please contact support.', 409);
+            }
+            // Refunds already made or requested by the seller need support to settle the rest
+            if (await refundWorkflowService.refundableAmount(order) !== order.finalTotal) {
+                throw this.createError('A refund is already in progress for this order. Please contact support.', 409);
+            }
+
+            try {
+                refund = await provider.refund({
+                    orderId: order.orderId,
+                    type: 'full',
+                    amount: order.finalTotal,
+                    reason: note,
+                    adminId: order.userId ? order.userId.toString() : 'customer',
+                    ip,
+                    actorType: 'customer'
+                });
+            } catch (error) {
+                const providerError = error.error || error;
+                auditLogger.payment('CUSTOMER_CANCEL_REFUND_FAILED', {
+                    ip,
+                    orderId: order.orderId,
+                    paymentMethod: order.paymentMethod,
+                    error: providerError.description || error.message
+                });
+                throw this.createError('We couldn\'t refund this order right now. Please try again or contact support.', 502);
+            }
+
+            cancelled = await Order.findById(order._id);
+        } else {
+            throw this.createError(`Orders with payment ${order.paymentStatus.toLowerCase()} can't be cancelled`, 409);
+        }
+
+        auditLogger.info('ORDER_CANCELLED_BY_CUSTOMER', {
+            ip,
+            orderId: order.orderId,
+            paymentMethod: order.paymentMethod,
+            paymentStatus: order.paymentStatus,
+            refundId: refund ? refund.refundId : null,
+            reason
+        });
+        realtimeService.emitOrderEvent('order:status', order._id);
+
+        return { order: cancelled, refund };
+    }
+
+    // ===== RETURNS =====
+
+    /**
+     * When a sub-order was delivered, from the status timeline (falls back to the last order update)
+     */
+    deliveredAt(order, subOrder) {
+        const delivery = [...(order.statusHistory || [])].reverse().find(change =>
+            change.to === 'Delivered' &&
+            (change.field === 'orderStatus' || (change.field === 'subOrderStatus' && change.subOrderId === subOrder.subOrderId))
+        );
+        return delivery ? delivery.at : order.updatedAt;
+    }
+
+    /**
+     * Last day a sub-order can be returned
+     */
+    returnDeadline(order, subOrder) {
+        const deadline = new Date(this.deliveredAt(order, subOrder));
+        deadline.setDate(deadline.getDate() + this.returnWindowDays);
+        return deadline;
+    }
+
+    /**
+     * Quantities of each order line already in a return that wasn't rejected
+     * @returns {Map} Order.lineKey -> quantity
+     */
+    async returnedQuantities(orderId) {
+        const returns = await ReturnRequest.find({ orderId, status: { $ne: 'rejected' } }).select('items');
+        const quantities = new Map();
+        for (const request of returns) {
+            for (const item of request.items) {
+                const key = Order.lineKey(item);
+                quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+            }
+        }
+        return quantities;
+    }
+
+    /**
+     * Request a return of delivered items. One request is raised per seller whose items come back.
+     * @param {string} orderId - User-friendly order ID
+     * @param {Object} customer - See findCustomerOrder
+     * @param {Object} params - { reason, items ([{ productId, variantId, quantity }], all returnable items if empty), photos (URLs), ip }
+     * @returns {Array} Created ReturnRequests
+     */
+    async requestReturn(orderId, customer, { reason, items = [], photos = [], ip = null }) {
+        const order = await this.findCustomerOrder(orderId, customer);
+        const now = new Date();
+
+        // Sub-orders that are delivered and still inside the return window
+        const returnable = order.subOrders.filter(sub =>
+            sellerOrderService.effectiveStatus(order, sub) === 'Delivered' && this.returnDeadline(order, sub) >= now
+        );
+        if (returnable.length === 0) {
+            throw this.createError(`Returns can be requested within ${this.returnWindowDays} days of delivery`, 409);
+        }
+
+        const returned = await this.returnedQuantities(order.orderId);
+        const wanted = items.length > 0
+            ? items.map(item => ({ key: Order.lineKey(item), quantity: parseInt(item.quantity, 10) }))
+            : null;
+
+        // Items carry their share of the order discount; shipping and payment fees aren't refunded.
+        // Orders placed before lines recorded their share spread it across every item by value.
+        const paidShare = order.totalPrice > 0 ? 1 - (order.discountAmount || 0) / order.totalPrice : 1;
+
+        const groups = [];
+        for (const subOrder of returnable) {
+            const lines = [];
+            let refundAmount = 0;
+            for (const orderItem of subOrder.orderItems) {
+                const key = Order.lineKey(orderItem);
+                const available = orderItem.quantity - (returned.get(key) || 0);
+                const request = wanted ? wanted.find(item => item.key === key) : { quantity: available };
+                if (!request || available <= 0) continue;
+
+                if (request.quantity > available) {
+                    throw this.createError(`Only ${available} of ${orderItem.name} can be returned`);
+                }
+                const subtotal = round2(orderItem.price * request.quantity);
+                lines.push({
+                    productId: orderItem.productId,
+                    variantId: orderItem.variantId || null,
+                    name: orderItem.name,
+                    price: orderItem.price,
+                    quantity: request.quantity,
+                    subtotal
+                });
+                refundAmount += orderItem.discount === undefined || orderItem.discount === null
+                    ? subtotal * paidShare
+                    : subtotal - orderItem.discount * request.quantity / orderItem.quantity;
+            }
+            if (lines.length > 0) groups.push({ subOrder, lines, refundAmount });
+        }
+
+        const matched = groups.flatMap(group => group.lines.map(line => Order.lineKey(line)));
+        const unmatched = wanted ? wanted.filter(item => !matched.includes(item.key)) : [];
+        if (unmatched.length > 0 || groups.length === 0) {
+            throw this.createError(wanted
+                ? 'Some items are not in a delivered part of this order, are outside the return window or were already returned'
+                : 'Every item in this order has already been returned', 409);
+        }
+
+        // Returns numbered before the counter existed were 1..count
+        const numberFloor = await ReturnRequest.countDocuments({ orderId: order.orderId });
+        const actor = this.customerActor(order);
+
+        const created = [];
+        for (const { subOrder, lines, refundAmount } of groups) {
+            const number = await sequenceService.nextWithin('return', order.orderId, { floor: numberFloor });
+            const returnRequest = await ReturnRequest.create({
+                returnId: `RET-${order.orderId}-${number}`,
+                orderId: order.orderId,
+                subOrderId: subOrder.subOrderId,
+                sellerId: subOrder.sellerId,
+                userId: order.userId || null,
+                items: lines,
+                reason,
+                photos,
+                refundAmount: round2(refundAmount),
+                history: [{ status: 'requested', actorType: actor.type, by: actor.id, note: reason }]
+            });
+            created.push(returnRequest);
+
+            auditLogger.info('RETURN_REQUESTED', {
+                ip,
+                returnId: returnRequest.returnId,
+                orderId: order.orderId,
+                subOrderId: subOrder.subOrderId,
+                refundAmount: returnRequest.refundAmount,
+                reason
+            });
+        }
+
+        await this.notifySellers(order, created);
+        return created;
+    }
+
+    /**
+     * Tell each seller about the return waiting in their queue
+     */
+    async notifySellers(order, returnRequests) {
+        const sellers = await sellerOrderService.getOrderSellers(order);
+
+        for (const returnRequest of returnRequests) {
+            const seller = sellers.find(s => returnRequest.sellerId && s._id.equals(returnRequest.sellerId));
+            if (!seller) continue;
+
+            try {
+                await notificationService.sendMultiChannelNotification(
+                    seller._id.toString(),
+                    notificationService.createReturnNotification({
+                        returnId: returnRequest.returnId,
+                        orderId: order.orderId,
+                        reason: returnRequest.reason,
+                        amount: returnRequest.refundAmount.toFixed(2),
+                        products: returnRequest.items.map(item => item.name)
+                    }),
+                    seller.email
+                );
+            } catch (error) {
+                console.error(`❌ Failed to notify seller about return ${returnRequest.returnId}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * A customer's returns for one order
+     */
+    async listCustomerReturns(orderId, customer) {
+        const order = await this.findCustomerOrder(orderId, customer);
+        return ReturnRequest.find({ orderId: order.orderId })
+            .select('-history.by -reviewedBy')
+            .sort({ createdAt: -1 })
+            .lean();
+    }
+
+    // ===== SELLER QUEUE =====
+
+    /**
+     * Load a return belonging to the seller's store
+     */
+    async getReturn(returnId, sellerId) {
+        const returnRequest = await ReturnRequest.findOne({ returnId, sellerId });
+        if (!returnRequest) {
+            throw this.createError('Return request not found', 404);
+        }
+        return returnRequest;
+    }
+
+    /**
+     * Returns for the seller's store, newest first
+     * @param {string} sellerId - Store ID
+     * @param {Object} options - { status, orderId, page, limit }
+     * @returns {Object} { returns, pagination }
+     */
+    async listReturns(sellerId, { status, orderId, page = 1, limit = 20 } = {}) {
+        const filter = { sellerId };
+        if (status) filter.status = status;
+        if (orderId) filter.orderId = orderId;
+
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('reviewedBy', 'name email role')
+                .lean(),
+            ReturnRequest.countDocuments(filter)
+        ]);
+
+        return {
+            returns,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Append a state change to the return's history and the audit trail
+     */
+    recordTransition(returnRequest, action, { by = null, note = '', ip = null, ...details } = {}) {
+        returnRequest.history.push({ status: returnRequest.status, actorType: 'seller', by, note });
+
+        auditLogger.payment(action, {
+            ip,
+            returnId: returnRequest.returnId,
+            orderId: returnRequest.orderId,
+            status: returnRequest.status,
+            refundAmount: returnRequest.refundAmount,
+            performedBy: by ? by.toString() : null,
+            note,
+            ...details
+        });
+    }
+
+    /**
+     * Accept a return: refund the items through the order's payment provider, then restock them.
+     * Paid orders the gateway can't refund (e.g. COD) are restocked and wait in refund_pending
+     * until the seller records how the money was paid back (settleRefund).
+     * A return whose refund failed can be approved again to retry.
+     * @returns {Object} Updated ReturnRequest
+     */
+    async approve(returnId, { seller, staff, ip }, note = '') {
+        // Claim the return first so two clicks can't refund twice
+        const returnRequest = await ReturnRequest.findOneAndUpdate(
+            { returnId, sellerId: seller._id, status: { $in: ['requested', 'refund_failed'] } },
+            { $set: { status: 'approved', reviewedBy: staff._id, reviewedAt: new Date(), failureReason: null } },
+            { new: true }
+        );
+        if (!returnRequest) {
+            const existing = await this.getReturn(returnId, seller._id);
+            throw this.createError(`Return request is already ${existing.status}`, 409);
+        }
+
+        this.recordTransition(returnRequest, 'RETURN_APPROVED', { by: staff._id, note, ip });
+        await returnRequest.save();
+
+        const order = await Order.findOne({ orderId: returnRequest.orderId });
+        if (!order) {
+            throw this.createError('Order not found', 404);
+        }
+
+        const provider = payments.getProvider(order.paymentMethod);
+        const owed = order.paymentStatus === 'Paid'
+            ? Math.min(returnRequest.refundAmount, await refundWorkflowService.refundableAmount(order))
+            : 0;
+        const amount = provider && provider.collectsOnline ? owed : 0;
+
+        if (owed > 0 && amount === 0) {
+            returnRequest.status = 'refund_pending';
+            this.recordTransition(returnRequest, 'RETURN_REFUND_PENDING', { by: staff._id, ip, amount: owed });
+        }
+
+        if (amount > 0) {
+            try {
+                const result = await provider.refund({
+                    orderId: order.orderId,
+                    type: 'partial',
+                    amount,
+                    reason: `Return ${returnRequest.returnId}: ${returnRequest.reason}`,
+                    adminId: staff._id.toString(),
+                    ip,
+                    items: returnRequest.items.map(({ productId, variantId, name, quantity }) => ({ productId, variantId, name, quantity }))
+                });
+
+                returnRequest.status = 'refunded';
+                returnRequest.refundMethod = 'gateway';
+                returnRequest.refundId = result.refundId;
+                returnRequest.providerRefundId = result.providerRefundId;
+                this.recordTransition(returnRequest, 'RETURN_REFUNDED', { by: staff._id, ip, amount, refundId: result.refundId });
+            } catch (error) {
+                const providerError = error.error || error;
+                returnRequest.status = 'refund_failed';
+                returnRequest.failureReason = providerError.description || error.message || 'Refund failed';
+                this.recordTransition(returnRequest, 'RETURN_REFUND_FAILED', { by: staff._id, ip, error: returnRequest.failureReason });
+                await returnRequest.save();
+
+                throw this.createError(returnRequest.failureReason, 502);
+            }
+        }
+
+        if (!returnRequest.restockedAt) {
+            await inventoryService.restoreForOrder(returnRequest.items, {
+                orderId: returnRequest.orderId,
+                reason: `Return ${returnRequest.returnId}`,
+                source: 'return'
+            });
+            returnRequest.restockedAt = new Date();
+        }
+        await returnRequest.save();
+
+        realtimeService.emitOrderEvent('order:refund', order._id);
+        return returnRequest;
+    }
+
+    /**
+     * Record a refund the seller paid back outside the gateway (cash, bank transfer or UPI) for a
+     * return in refund_pending: it is booked on the order like a gateway refund and gets a credit note
+     * @param {Object} settlement - { method ('cash' | 'bank_transfer' | 'upi'), reference, note }
+     * @returns {Object} Updated ReturnRequest
+     */
+    async settleRefund(returnId, { seller, staff, ip }, { method, reference = null, note = '' }) {
+        // Claim the return first so two clicks can't book the refund twice
+        const returnRequest = await ReturnRequest.findOneAndUpdate(
+            { returnId, sellerId: seller._id, status: 'refund_pending' },
+            { $set: { status: 'refunded', refundMethod: method } },
+            { new: true }
+        );
+        if (!returnRequest) {
+            const existing = await this.getReturn(returnId, seller._id);
+            throw this.createError(`Return request is ${existing.status}, not awaiting a refund`, 409);
+        }
+
+        const order = await Order.findOne({ orderId: returnRequest.orderId });
+        if (!order) {
+            throw this.createError('Order not found', 404);
+        }
+
+        const amount = Math.min(returnRequest.refundAmount, await refundWorkflowService.refundableAmount(order));
+        const refundId = reference ? `${method.toUpperCase()}-${reference}` : `${method.toUpperCase()}-${returnRequest.returnId}`;
+
+        order.partialRefunds.push({
+            refundId,
+            refundAmount: amount,
+            refundStatus: 'processed',
+            refundDate: new Date(),
+            refundReason: `Return ${returnRequest.returnId}: ${returnRequest.reason}`,
+            processedBy: staff._id.toString(),
+            items: returnRequest.items.map(({ productId, variantId, name, quantity }) => ({ productId, variantId, name, quantity }))
+        });
+        order.totalRefunded = round2(order.partialRefunds.reduce((sum, refund) => sum + refund.refundAmount, 0));
+        if (order.totalRefunded >= order.finalTotal) {
+            orderStateService.markRefunded(order, {
+                actor: { type: 'seller', id: staff._id },
+                source: 'return',
+                note: `Return ${returnRequest.returnId}`
+            });
+        }
+        await order.save();
+
+        returnRequest.refundId = refundId;
+        this.recordTransition(returnRequest, 'RETURN_REFUND_SETTLED', { by: staff._id, note, ip, amount, method, refundId });
+        await returnRequest.save();
+
+        await invoiceService.issueCreditNote(order, refundId);
+        realtimeService.emitOrderEvent('order:refund', order._id);
+        return returnRequest;
+    }
+
+    /**
+     * Turn a return down
+     * @returns {Object} Updated ReturnRequest
+     */
+    async reject(returnId, { seller, staff, ip }, note = '') {
+        const returnRequest = await this.getReturn(returnId, seller._id);
+
+        if (!['requested', 'refund_failed'].includes(returnRequest.status)) {
+            throw this.createError(`Return request is already ${returnRequest.status}`, 409);
+        }
+
+        returnRequest.status = 'rejected';
+        returnRequest.reviewedBy = staff._id;
+        returnRequest.reviewedAt = new Date();
+        this.recordTransition(returnRequest, 'RETURN_REJECTED', { by: staff._id, note, ip });
+        await returnRequest.save();
+
+        return returnRequest;
+    }
+}
+
+module.exports = new ReturnService();
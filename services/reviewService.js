@@ -0,0 +1,321 @@
+/**
+ * Review Service
+ * Product reviews from signed-in customers - one per customer per product, editable by its author.
+ * New and edited reviews wait in the seller's moderation queue (pending -> approved or rejected);
+ * only approved reviews are shown and counted in the product's rating. Reviews from customers
+ * with a Paid, Delivered order containing the product carry a verified-purchase badge.
+ */
+
+const Product = require('../models/productModel');
+const Order = require('../models/orderModel');
+const realtimeService = require('./realtimeService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+class ReviewService {
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * What shoppers see of a review - no account IDs or moderation details
+     */
+    toPublic(review) {
+        return {
+            _id: review._id,
+            rating: review.rating,
+            title: review.title,
+            content: review.content,
+            authorName: review.authorName,
+            verifiedPurchase: !!review.verifiedPurchase,
+            reply: review.reply ? { text: review.reply.text, repliedAt: review.reply.repliedAt } : null,
+            createdAt: review.createdAt,
+            updatedAt: review.updatedAt
+        };
+    }
+
+    /**
+     * Approved reviews of a product, newest first
+     */
+    approvedReviews(product) {
+        return (product.reviews || [])
+            .filter(review => review.status === 'approved')
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(review => this.toPublic(review));
+    }
+
+    /**
+     * Whether a customer has a Paid order containing the product that was delivered to them
+     * Multi-seller orders count once the product's own sub-order is Delivered.
+     */
+    async hasVerifiedPurchase(userId, productId) {
+        const order = await Order.exists({
+            userId,
+            paymentStatus: 'Paid',
+            'orderItems.productId': productId,
+            $or: [
+                { orderStatus: 'Delivered' },
+                { subOrders: { $elemMatch: { orderStatus: 'Delivered', 'orderItems.productId': productId } } }
+            ]
+        });
+        return !!order;
+    }
+
+    // ===== CUSTOMERS =====
+
+    /**
+     * A product's approved reviews with its rating
+     * @returns {Object} { reviews, avgRating, reviewCount }
+     */
+    async listApproved(productId) {
+        const product = await Product.findById(productId).select('reviews avgRating reviewCount').lean();
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+
+        return {
+            reviews: this.approvedReviews(product),
+            avgRating: product.avgRating || 0,
+            reviewCount: product.reviewCount || 0
+        };
+    }
+
+    /**
+     * The customer's own review of a product, whatever its status
+     */
+    async getOwnReview(productId, userId) {
+        const product = await Product.findById(productId).select('reviews');
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+
+        const review = product.reviews.find(r => r.userId && r.userId.equals(userId));
+        if (!review) {
+            throw this.createError("You haven't reviewed this product yet", 404);
+        }
+        return review;
+    }
+
+    /**
+     * Post a review - it goes live once the seller approves it
+     * @param {string} productId - Product ID
+     * @param {Object} user - Signed-in customer (req.user)
+     * @param {Object} input - { rating, title, content }
+     * @returns {Object} The new review (pending)
+     */
+    async submit(productId, user, { rating, title, content }) {
+        if (!(await Product.exists({ _id: productId }))) {
+            throw this.createError('Product not found', 404);
+        }
+
+        const review = {
+            userId: user._id,
+            rating,
+            title,
+            content,
+            authorName: user.name || 'Anonymous',
+            verifiedPurchase: await this.hasVerifiedPurchase(user._id, productId),
+            status: 'pending',
+            createdAt: new Date()
+        };
+
+        // The filter keeps it to one review per customer, even for double submits
+        const product = await Product.findOneAndUpdate(
+            { _id: productId, 'reviews.userId': { $ne: user._id } },
+            { $push: { reviews: review } },
+            { new: true }
+        ).select('name sellerId reviews');
+        if (!product) {
+            throw this.createError('You have already reviewed this product - edit your review instead', 409);
+        }
+
+        const saved = product.reviews[product.reviews.length - 1];
+        this.notifySeller(product, saved, 'review:created');
+        return saved;
+    }
+
+    /**
+     * Edit the customer's own review - it goes back to the moderation queue
+     * (an approved review stops counting until it is approved again)
+     * @returns {Object} The updated review (pending)
+     */
+    async edit(productId, user, { rating, title, content }) {
+        const product = await Product.findById(productId);
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+
+        const review = product.reviews.find(r => r.userId && r.userId.equals(user._id));
+        if (!review) {
+            throw this.createError("You haven't reviewed this product yet", 404);
+        }
+
+        if (rating !== undefined) review.rating = rating;
+        if (title !== undefined) review.title = title;
+        if (content !== undefined) review.content = content;
+        review.verifiedPurchase = await this.hasVerifiedPurchase(user._id, productId);
+        review.status = 'pending';
+        review.rejectionReason = null;
+        review.moderatedBy = null;
+        review.moderatedAt = null;
+        review.updatedAt = new Date();
+
+        product.recalculateRating();
+        await product.save();
+
+        this.notifySeller(product, review, 'review:updated');
+        return review;
+    }
+
+    /**
+     * Live update for the seller's moderation queue
+     */
+    notifySeller(product, review, event) {
+        if (!product.sellerId) return;
+
+        realtimeService.emitToSeller(product.sellerId.toString(), event, {
+            productId: product._id,
+            productName: product.name,
+            review
+        });
+    }
+
+    // ===== SELLER MODERATION =====
+
+    /**
+     * Reviews of the seller's products with one status - pending ones oldest first, others newest first
+     * @param {string} sellerId - Store ID
+     * @param {Object} options - { status, productId, page, limit }
+     * @returns {Object} { reviews, pagination }
+     */
+    async listForSeller(sellerId, { status = 'pending', productId = null, page = 1, limit = 20 } = {}) {
+        const match = { sellerId, 'reviews.status': status };
+        if (productId) match._id = productId;
+
+        const [result] = await Product.aggregate([
+            { $match: match },
+            { $unwind: '$reviews' },
+            { $match: { 'reviews.status': status } },
+            { $sort: { 'reviews.createdAt': status === 'pending' ? 1 : -1, 'reviews._id': 1 } },
+            {
+                $facet: {
+                    reviews: [
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        {
+                            $project: {
+                                _id: 0,
+                                product: { _id: '$_id', name: '$name', image: '$image', avgRating: '$avgRating' },
+                                review: '$reviews'
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result.total[0]?.count || 0;
+        return {
+            reviews: result.reviews,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Load one of the seller's products and a review of it
+     */
+    async getSellerReview(productId, reviewId, sellerId) {
+        const product = await Product.findOne({ _id: productId, sellerId });
+        if (!product) {
+            throw this.createError('Product not found', 404);
+        }
+
+        const review = product.reviews.id(reviewId);
+        if (!review) {
+            throw this.createError('Review not found', 404);
+        }
+        return { product, review };
+    }
+
+    /**
+     * Record a moderation decision in the audit trail
+     */
+    recordDecision(action, product, review, { staff, ip = null, ...details } = {}) {
+        auditLogger.info(action, {
+            ip,
+            productId: product._id.toString(),
+            reviewId: review._id.toString(),
+            status: review.status,
+            performedBy: staff ? staff._id.toString() : null,
+            ...details
+        });
+    }
+
+    /**
+     * Publish a review and count it in the product's rating
+     * @returns {Object} { review, avgRating, reviewCount }
+     */
+    async approve(productId, reviewId, { seller, staff, ip }) {
+        const { product, review } = await this.getSellerReview(productId, reviewId, seller._id);
+        if (review.status === 'approved') {
+            throw this.createError('Review is already approved', 409);
+        }
+
+        review.status = 'approved';
+        review.rejectionReason = null;
+        review.moderatedBy = staff._id;
+        review.moderatedAt = new Date();
+        product.recalculateRating();
+        await product.save();
+
+        this.recordDecision('REVIEW_APPROVED', product, review, { staff, ip });
+        return { review, avgRating: product.avgRating, reviewCount: product.reviewCount };
+    }
+
+    /**
+     * Keep a review off the product page (also takes down an approved one)
+     * @returns {Object} { review, avgRating, reviewCount }
+     */
+    async reject(productId, reviewId, { seller, staff, ip }, reason = '') {
+        const { product, review } = await this.getSellerReview(productId, reviewId, seller._id);
+        if (review.status === 'rejected') {
+            throw this.createError('Review is already rejected', 409);
+        }
+
+        review.status = 'rejected';
+        review.rejectionReason = reason || null;
+        review.moderatedBy = staff._id;
+        review.moderatedAt = new Date();
+        product.recalculateRating();
+        await product.save();
+
+        this.recordDecision('REVIEW_REJECTED', product, review, { staff, ip, reason });
+        return { review, avgRating: product.avgRating, reviewCount: product.reviewCount };
+    }
+
+    /**
+     * Answer a review publicly (replaces any earlier reply); shown once the review is approved
+     * @returns {Object} The updated review
+     */
+    async reply(productId, reviewId, { seller, staff, ip }, text) {
+        const { product, review } = await this.getSellerReview(productId, reviewId, seller._id);
+
+        review.reply = { text, repliedBy: staff._id, repliedAt: new Date() };
+        await product.save();
+
+        this.recordDecision('REVIEW_REPLIED', product, review, { staff, ip });
+        return review;
+    }
+}
+
+module.exports = new ReviewService();
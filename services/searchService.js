@@ -0,0 +1,299 @@
+/**
+ * Search Service
+ * Product search over name, description, category, variant labels and SKU, using index fields the
+ * product model keeps up to date (searchTerms, searchPrefixes, searchGrams - see utils/searchText.js).
+ * Query words are expanded with Hindi/English synonyms ("aam" also finds mango), the last word
+ * also matches as a prefix, and misspelt words match by trigram similarity.
+ * Candidates come from MongoDB's multikey indexes; ranking and highlighting happen here.
+ */
+
+const Product = require('../models/productModel');
+const Category = require('../seller-backend/models/categoryModel');
+const {
+    tokenize,
+    trigrams,
+    similarity,
+    expand,
+    synonymsStartingWith,
+    buildSearchFields
+} = require('../utils/searchText');
+
+// Points for the best match of one query word in each field
+const WEIGHTS = {
+    sku: 12,
+    name: 10,
+    namePrefix: 6,
+    nameFuzzy: 5,
+    category: 5,
+    categoryFuzzy: 3,
+    variant: 3,
+    description: 2
+};
+
+// Trigram similarity a misspelt word needs to count as a match
+const FUZZY_THRESHOLD = 0.4;
+// Products scored per search - the best index matches first
+const CANDIDATE_LIMIT = 300;
+
+const escapeHtml = (text) => String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+class SearchService {
+    /**
+     * Words of a query, each with the words it may match (itself and its synonyms)
+     * @returns {Array} [{ word, alternatives, isLast }]
+     */
+    parseQuery(query) {
+        const words = [...new Set(tokenize(query))].slice(0, 8);
+        return words.map((word, index) => ({
+            word,
+            alternatives: expand(word),
+            isLast: index === words.length - 1
+        }));
+    }
+
+    /**
+     * Products whose index fields share anything with the query, most shared first
+     */
+    async findCandidates(terms, { prefix = null, limit = CANDIDATE_LIMIT } = {}) {
+        const words = [...new Set(terms.flatMap(term => term.alternatives))];
+        const grams = [...new Set(terms.flatMap(term => trigrams(term.word)))];
+
+        const or = [{ searchTerms: { $in: words } }, { searchGrams: { $in: grams } }];
+        if (prefix) {
+            or.push({ searchPrefixes: { $in: [prefix, ...synonymsStartingWith(prefix)] } });
+        }
+
+        return Product.aggregate([
+            { $match: { $or: or } },
+            {
+                $addFields: {
+                    indexHits: {
+                        $add: [
+                            { $multiply: [10, { $size: { $setIntersection: [{ $ifNull: ['$searchTerms', []] }, words] } }] },
+                            { $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }
+                        ]
+                    }
+                }
+            },
+            { $sort: { indexHits: -1, soldCount: -1 } },
+            { $limit: limit },
+            { $lookup: { from: 'categories', localField: 'categoryId', foreignField: '_id', as: 'category' } },
+            {
+                $project: {
+                    reviews: 0,
+                    searchTerms: 0,
+                    searchPrefixes: 0,
+                    searchGrams: 0,
+                    reservedStock: 0,
+                    lowStockThreshold: 0,
+                    lowStockAlertedAt: 0,
+                    'variants.reservedStock': 0,
+                    'variants.lowStockAlertedAt': 0
+                }
+            }
+        ]);
+    }
+
+    /**
+     * Best match of one query word against one product
+     * @returns {Object} { score, words } - words: product words to highlight
+     */
+    scoreTerm(term, fields) {
+        let best = { score: 0, words: [] };
+        const consider = (score, words) => {
+            if (score > best.score) best = { score, words };
+        };
+
+        for (const alternative of term.alternatives) {
+            if (fields.skus.includes(alternative)) consider(WEIGHTS.sku, []);
+            if (fields.name.includes(alternative)) consider(WEIGHTS.name, [alternative]);
+            if (fields.category.includes(alternative)) consider(WEIGHTS.category, [alternative]);
+            if (fields.variants.includes(alternative)) consider(WEIGHTS.variant, []);
+            if (fields.description.includes(alternative)) consider(WEIGHTS.description, [alternative]);
+
+            // The word being typed may be the start of a name word
+            if (term.isLast && alternative.length >= 2) {
+                const started = fields.name.filter(word => word.startsWith(alternative));
+                if (started.length > 0) consider(WEIGHTS.namePrefix, started);
+            }
+        }
+
+        // Typos - only worth trying on words long enough to have a few trigrams
+        if (best.score < WEIGHTS.nameFuzzy && term.word.length >= 4) {
+            fields.name.forEach(word => {
+                const sim = similarity(term.word, word);
+                if (sim >= FUZZY_THRESHOLD) consider(WEIGHTS.nameFuzzy * sim, [word]);
+            });
+            fields.category.forEach(word => {
+                const sim = similarity(term.word, word);
+                if (sim >= FUZZY_THRESHOLD) consider(WEIGHTS.categoryFuzzy * sim, [word]);
+            });
+        }
+
+        return best;
+    }
+
+    /**
+     * Score a product against the parsed query
+     * @returns {Object} { score, matched (query words found), words (to highlight) }
+     */
+    scoreProduct(product, terms) {
+        const categoryName = product.category?.[0]?.name || '';
+        const fields = {
+            name: tokenize(product.name),
+            category: tokenize(categoryName),
+            description: tokenize(product.description),
+            variants: (product.variants || []).flatMap(v => tokenize(v.label)),
+            // Query words are split on "-" and "/", so SKUs are compared word by word too
+            skus: [product.sku, ...(product.variants || []).map(v => v.sku)].filter(Boolean).flatMap(sku => tokenize(sku))
+        };
+
+        let score = 0;
+        let matched = 0;
+        const words = new Set();
+        terms.forEach(term => {
+            const best = this.scoreTerm(term, fields);
+            if (best.score > 0) {
+                score += best.score;
+                matched++;
+                best.words.forEach(word => words.add(word));
+            }
+        });
+
+        return { score, matched, words: [...words], categoryName };
+    }
+
+    /**
+     * Wrap matched words of a text in <mark> (the rest is HTML-escaped)
+     * @param {string} text - Original text
+     * @param {Array} words - Normalised words to mark
+     * @param {number} [maxLength] - Cut long texts to a snippet around the first match
+     */
+    highlight(text, words, maxLength = null) {
+        let source = String(text || '');
+        if (maxLength && source.length > maxLength) {
+            const firstMatch = (source.match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+                .find(word => words.includes(tokenize(word)[0]));
+            const at = firstMatch ? source.indexOf(firstMatch) : 0;
+            const start = Math.max(0, at - Math.floor(maxLength / 3));
+            source = `${start > 0 ? '…' : ''}${source.slice(start, start + maxLength)}${start + maxLength < source.length ? '…' : ''}`;
+        }
+
+        return source.split(/([\p{L}\p{M}\p{N}]+)/u)
+            .map((part, index) => {
+                const isWord = index % 2 === 1;
+                return isWord && words.includes(tokenize(part)[0]) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+            })
+            .join('');
+    }
+
+    /**
+     * Ranked product search
+     * Products matching more query words come first, then higher scores, then better sellers.
+     * @param {string} query - What the customer typed
+     * @param {Object} [options] - { limit }
+     * @returns {Array} Products (categoryId populated) with score and highlights ({ name, category, description })
+     */
+    async search(query, { limit = 20 } = {}) {
+        const terms = this.parseQuery(query);
+        if (terms.length === 0) return [];
+
+        const last = terms[terms.length - 1];
+        const candidates = await this.findCandidates(terms, { prefix: last.word.length >= 2 ? last.word : null });
+
+        return candidates
+            .map(product => ({ product, ...this.scoreProduct(product, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.matched - a.matched || b.score - a.score || (b.product.soldCount || 0) - (a.product.soldCount || 0))
+            .slice(0, limit)
+            .map(({ product, score, words, categoryName }) => {
+                // categoryId comes back populated, as the old regex search returned it
+                const { category, indexHits, ...fields } = product;
+                return {
+                    ...fields,
+                    categoryId: category[0] || fields.categoryId,
+                    score: Math.round(score * 100) / 100,
+                    highlights: {
+                        name: this.highlight(product.name, words),
+                        category: this.highlight(categoryName, words),
+                        description: this.highlight(product.description, words, 160)
+                    }
+                };
+            });
+    }
+
+    /**
+     * Autocomplete suggestions while the customer types: matching categories, then products
+     * @param {string} query - Text typed so far
+     * @param {Object} [options] - { limit }
+     * @returns {Array} [{ type ('category' | 'product'), _id, name, highlight, image, price }]
+     */
+    async suggest(query, { limit = 8 } = {}) {
+        const terms = this.parseQuery(query);
+        if (terms.length === 0) return [];
+
+        const last = terms[terms.length - 1];
+        const products = await this.search(query, { limit });
+
+        // Categories with a word starting like the last query word (or one of its synonyms)
+        const starts = [...new Set([last.word, ...last.alternatives, ...synonymsStartingWith(last.word)])];
+        const startsLikeQuery = (word) => starts.some(start => word.startsWith(start));
+        const categories = await Category.find().select('name slug image').lean();
+        const categorySuggestions = categories
+            .map(category => ({ category, words: tokenize(category.name).filter(startsLikeQuery) }))
+            .filter(({ words }) => words.length > 0)
+            .slice(0, 3)
+            .map(({ category, words }) => ({
+                type: 'category',
+                _id: category._id,
+                name: category.name,
+                slug: category.slug,
+                highlight: this.highlight(category.name, words),
+                image: category.image || null
+            }));
+
+        const productSuggestions = products.map(product => ({
+            type: 'product',
+            _id: product._id,
+            name: product.name,
+            highlight: product.highlights.name,
+            image: product.image,
+            price: product.price
+        }));
+
+        return [...categorySuggestions, ...productSuggestions].slice(0, limit);
+    }
+
+    // ===== INDEXING =====
+
+    /**
+     * Rebuild one product's search fields (after updates that skip the save hook)
+     */
+    async reindexProduct(productId) {
+        const product = await Product.findById(productId).populate('categoryId', 'name');
+        if (!product) return null;
+
+        await Product.updateOne({ _id: product._id }, {
+            $set: buildSearchFields(product, product.categoryId?.name || '')
+        });
+        return product;
+    }
+
+    /**
+     * Rebuild the search fields of every product in a category (after it is renamed)
+     * @returns {number} Products reindexed
+     */
+    async reindexCategory(categoryId) {
+        const products = await Product.find({ categoryId }).select('_id');
+        for (const product of products) {
+            await this.reindexProduct(product._id);
+        }
+        return products.length;
+    }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,161 @@
+/**
+ * Seller Order Service
+ * Splits orders into per-seller sub-orders and answers "which part of this order belongs to
+ * which seller" for the dashboard, notifications and realtime events
+ */
+
+const Seller = require('../seller-backend/models/sellerModel');
+const notificationService = require('./notificationService');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Fulfilment order used to work out the parent status from its sub-orders
+const STATUS_RANK = { Pending: 0, Processing: 1, Shipped: 2, Delivered: 3 };
+
+class SellerOrderService {
+    /**
+     * Group order items by the seller who owns each product
+     * @param {string} orderId - User-friendly order ID (ORD-...)
+     * @param {Array} orderItems - Items carrying sellerId (see pricingService.buildOrderItems)
+     * @returns {Array} Sub-orders [{ subOrderId, sellerId, orderItems, itemsTotal }]
+     */
+    buildSubOrders(orderId, orderItems) {
+        const groups = new Map();
+
+        for (const item of orderItems) {
+            const key = item.sellerId ? item.sellerId.toString() : 'unassigned';
+            if (!groups.has(key)) {
+                groups.set(key, { sellerId: item.sellerId || null, orderItems: [] });
+            }
+            groups.get(key).orderItems.push(item);
+        }
+
+        return [...groups.values()].map((group, index) => ({
+            subOrderId: `${orderId}-${index + 1}`,
+            sellerId: group.sellerId,
+            orderItems: group.orderItems,
+            itemsTotal: round2(group.orderItems.reduce((sum, item) => sum + item.subtotal, 0))
+        }));
+    }
+
+    /**
+     * Mongo filter for orders containing a seller's items
+     */
+    sellerFilter(sellerId) {
+        return { 'subOrders.sellerId': sellerId };
+    }
+
+    /**
+     * Aggregation stages that turn orders into one row per sub-order of this seller
+     * Fields of the seller's share are under `subOrders` (itemsTotal, orderItems, orderStatus)
+     * @param {ObjectId} sellerId - Seller ID (must be an ObjectId - aggregate doesn't cast)
+     * @param {Object} [match] - Extra order-level conditions
+     */
+    subOrderPipeline(sellerId, match = {}) {
+        return [
+            { $match: { ...match, 'subOrders.sellerId': sellerId } },
+            { $unwind: '$subOrders' },
+            { $match: { 'subOrders.sellerId': sellerId } }
+        ];
+    }
+
+    /**
+     * The seller's sub-order within an order (null if they have no items in it)
+     */
+    getSubOrder(order, sellerId) {
+        return (order.subOrders || []).find(sub => sub.sellerId && sub.sellerId.toString() === sellerId.toString()) || null;
+    }
+
+    /**
+     * Status a seller sees for their sub-order
+     * A sub-order follows the order until its seller moves it on; a cancelled order cancels every part
+     */
+    effectiveStatus(order, subOrder) {
+        if (order.orderStatus === 'Canceled' || !subOrder || !subOrder.orderStatus) {
+            return order.orderStatus;
+        }
+        return subOrder.orderStatus;
+    }
+
+    /**
+     * Parent order status from its sub-orders: the least advanced part that isn't cancelled
+     */
+    deriveOrderStatus(order) {
+        const statuses = (order.subOrders || []).map(sub => this.effectiveStatus(order, sub));
+        const active = statuses.filter(status => status !== 'Canceled');
+
+        if (statuses.length === 0) return order.orderStatus;
+        if (active.length === 0) return 'Canceled';
+
+        return active.reduce((lowest, status) =>
+            STATUS_RANK[status] < STATUS_RANK[lowest] ? status : lowest
+        );
+    }
+
+    /**
+     * Move a seller's sub-order on (status, tracking) and recompute the parent status
+     * @param {Object} order - Order document (saved by the caller)
+     * @param {string} sellerId - Seller making the change
+     * @param {Object} update - { status, trackingId, courierPartner }
+     * @returns {Object|null} The updated sub-order, or null if the seller has no items in the order
+     */
+    applySubOrderUpdate(order, sellerId, { status, trackingId, courierPartner } = {}) {
+        const subOrder = this.getSubOrder(order, sellerId);
+        if (!subOrder) return null;
+
+        if (status) subOrder.orderStatus = status;
+        if (trackingId) subOrder.trackingId = trackingId;
+        if (courierPartner) subOrder.courierPartner = courierPartner;
+
+        // Single-seller orders keep the order-level tracking fields in step
+        if (order.subOrders.length === 1) {
+            if (trackingId) order.trackingId = trackingId;
+            if (courierPartner) order.courierPartner = courierPartner;
+        }
+
+        order.orderStatus = this.deriveOrderStatus(order);
+        return subOrder;
+    }
+
+    /**
+     * Sellers who own items in an order
+     * @returns {Array} Seller documents (_id, email)
+     */
+    async getOrderSellers(order) {
+        const sellerIds = (order.subOrders || []).map(sub => sub.sellerId).filter(Boolean);
+        if (sellerIds.length === 0) return [];
+        return Seller.find({ _id: { $in: sellerIds } }).select('email _id');
+    }
+
+    /**
+     * Send the new-order notification to every seller in the order, each with their own items and amount
+     * @param {Object} order - Order document with subOrders
+     * @returns {number} Number of sellers notified
+     */
+    async notifySellers(order) {
+        const sellers = await this.getOrderSellers(order);
+        const customerName = (order.isRegisteredUser ? order.userName : order.guestName) || 'Guest Customer';
+
+        for (const seller of sellers) {
+            const subOrder = this.getSubOrder(order, seller._id);
+
+            await notificationService.sendMultiChannelNotification(
+                seller._id.toString(),
+                notificationService.createOrderNotification({
+                    orderId: order.orderId,
+                    amount: subOrder.itemsTotal.toFixed(2),
+                    customerName,
+                    products: subOrder.orderItems.map(item => item.name)
+                }),
+                seller.email
+            );
+        }
+
+        if (sellers.length === 0) {
+            console.warn(`⚠️ No seller owns the items in order ${order.orderId}; nobody was notified`);
+        }
+        return sellers.length;
+    }
+}
+
+module.exports = new SellerOrderService();
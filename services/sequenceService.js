@@ -0,0 +1,188 @@
+/**
+ * Sequence Service
+ * Named running numbers (orders, invoices, credit notes) kept in the counters collection and
+ * formatted from a template. Sequences can start again from 1 every financial year (April - March, IST).
+ *
+ * Format tokens: {FY} 2026-27, {FY2} 2627, {YYYY}, {YY}, {MM}, {DD}, {SEQ}, {SEQ:6} (zero-padded)
+ * Override a sequence with <NAME>_NUMBER_FORMAT and <NAME>_NUMBER_RESET ("financialYear" or "never"),
+ * e.g. INVOICE_NUMBER_FORMAT=RNR/{FY2}/{SEQ:5}. GST invoice and credit note numbers may have
+ * at most 16 characters.
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('../models/counterModel');
+
+const RESETS = ['financialYear', 'never'];
+
+// India Standard Time, for dates in numbers and the financial year
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const sequenceConfig = (envName, format, reset, allowed) => ({
+    format: process.env[`${envName}_NUMBER_FORMAT`] || format,
+    reset: process.env[`${envName}_NUMBER_RESET`] || reset,
+    allowed
+});
+
+// Order IDs go in URLs; GST documents allow letters, digits, "-" and "/" up to 16 characters
+const URL_SAFE = /^[A-Za-z0-9-]+$/;
+const GST_DOCUMENT = /^[A-Za-z0-9/-]{1,16}$/;
+
+const SEQUENCES = {
+    order: sequenceConfig('ORDER', 'ORD-{YYYY}{MM}{DD}-{SEQ}', 'financialYear', URL_SAFE),
+    invoice: sequenceConfig('INVOICE', 'INV{FY2}-{SEQ:6}', 'financialYear', GST_DOCUMENT),
+    creditNote: sequenceConfig('CREDIT_NOTE', 'CN{FY2}-{SEQ:6}', 'financialYear', GST_DOCUMENT)
+};
+
+class SequenceService {
+    constructor() {
+        Object.entries(SEQUENCES).forEach(([name, sequence]) => this.checkSequence(name, sequence));
+    }
+
+    /**
+     * Refuse formats that would repeat numbers once the sequence resets
+     */
+    checkSequence(name, { format, reset, allowed }) {
+        if (!RESETS.includes(reset)) {
+            throw new Error(`Sequence "${name}": reset must be one of ${RESETS.join(', ')}`);
+        }
+        if (!/\{SEQ(:\d+)?\}/.test(format)) {
+            throw new Error(`Sequence "${name}": format "${format}" has no {SEQ}`);
+        }
+        if (reset === 'financialYear' && !/\{(FY|FY2|YYYY|YY)\}/.test(format)) {
+            throw new Error(`Sequence "${name}": format "${format}" resets every financial year, so it needs {FY}, {FY2}, {YYYY} or {YY}`);
+        }
+        // Sample with a six-digit number
+        if (!allowed.test(this.format(format, 999999))) {
+            throw new Error(`Sequence "${name}": format "${format}" gives numbers like ${this.format(format, 999999)}, which aren't allowed`);
+        }
+    }
+
+    getSequence(name) {
+        const sequence = SEQUENCES[name];
+        if (!sequence) {
+            throw new Error(`Unknown sequence: ${name}`);
+        }
+        return sequence;
+    }
+
+    /**
+     * Calendar parts of a date in IST, and its financial year
+     */
+    dateParts(date = new Date()) {
+        const ist = new Date(date.getTime() + IST_OFFSET_MS);
+        const year = ist.getUTCFullYear();
+        const month = ist.getUTCMonth() + 1;
+        const fyStart = month >= 4 ? year : year - 1;
+        const fyEnd = String((fyStart + 1) % 100).padStart(2, '0');
+
+        return {
+            YYYY: String(year),
+            YY: String(year % 100).padStart(2, '0'),
+            MM: String(month).padStart(2, '0'),
+            DD: String(ist.getUTCDate()).padStart(2, '0'),
+            FY: `${fyStart}-${fyEnd}`,
+            FY2: `${String(fyStart % 100).padStart(2, '0')}${fyEnd}`
+        };
+    }
+
+    /**
+     * Counter document a number is taken from: one per financial year, or one for good
+     */
+    counterId(name, date = new Date()) {
+        const { reset } = this.getSequence(name);
+        return reset === 'financialYear' ? `${name}:${this.dateParts(date).FY}` : name;
+    }
+
+    format(template, seq, date = new Date()) {
+        const parts = this.dateParts(date);
+        return template
+            .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(seq).padStart(parseInt(width || '0', 10), '0'))
+            .replace(/\{(FY2|FY|YYYY|YY|MM|DD)\}/g, (match, token) => parts[token]);
+    }
+
+    /**
+     * Take the next number of a sequence
+     * Atomic, so concurrent callers never share a number. Inside a transaction the number
+     * is given back if the transaction aborts.
+     * @param {string} name - order, invoice or creditNote
+     * @param {Object} [options] - { session, date (decides the financial year and date tokens) }
+     * @returns {string} The formatted number
+     */
+    async next(name, { session = null, date = new Date() } = {}) {
+        const { format } = this.getSequence(name);
+        const counter = await Counter.findOneAndUpdate(
+            { _id: this.counterId(name, date) },
+            { $inc: { seq: 1 }, $setOnInsert: { name } },
+            { new: true, upsert: true, session }
+        );
+        return this.format(format, counter.seq, date);
+    }
+
+    /**
+     * Take the next number and write it onto a document in one transaction
+     * If the filter matches nothing (e.g. the document already has a number) the number isn't
+     * used, so the sequence has no gaps.
+     * @param {string} name - Sequence name
+     * @param {Model} Model - Mongoose model of the document
+     * @param {Object} filter - Matches the document only while it still needs a number
+     * @param {string} field - Path the number is written to (may use the positional $)
+     * @param {Object} [options] - { date, extra (more fields to $set) }
+     * @returns {string|null} The number written, or null if none was needed
+     */
+    async assign(name, Model, filter, field, { date = new Date(), extra = {} } = {}) {
+        const session = await mongoose.startSession();
+        let assigned = null;
+
+        try {
+            // withTransaction retries write conflicts with concurrent callers
+            await session.withTransaction(async () => {
+                assigned = null;
+                const number = await this.next(name, { session, date });
+                const result = await Model.updateOne(filter, { $set: { [field]: number, ...extra } }, { session });
+                if (result.modifiedCount === 0) {
+                    await session.abortTransaction();
+                    return;
+                }
+                assigned = number;
+            });
+        } finally {
+            session.endSession();
+        }
+
+        return assigned;
+    }
+
+    /**
+     * Next running number within one parent document (e.g. the 3 in RFR-<orderId>-3)
+     * Atomic like next(), so concurrent callers never share a number.
+     * @param {string} name - What is numbered - refundRequest, return, shipment
+     * @param {string} scopeId - Parent it is numbered within (order or sub-order ID)
+     * @param {Object} [options] - { floor: numbers already used before the counter existed }
+     * @returns {number} The next number
+     */
+    async nextWithin(name, scopeId, { floor = 0 } = {}) {
+        const _id = `${name}:${scopeId}`;
+        if (floor > 0) {
+            await Counter.updateOne({ _id }, { $max: { seq: floor }, $setOnInsert: { name } }, { upsert: true });
+        }
+        const counter = await Counter.findOneAndUpdate(
+            { _id },
+            { $inc: { seq: 1 }, $setOnInsert: { name } },
+            { new: true, upsert: true }
+        );
+        return counter.seq;
+    }
+
+    /**
+     * Move a counter up to at least a value (e.g. numbers issued before sequences were used)
+     */
+    async seed(name, seq, { date = new Date() } = {}) {
+        return Counter.findOneAndUpdate(
+            { _id: this.counterId(name, date) },
+            { $max: { seq }, $setOnInsert: { name } },
+            { new: true, upsert: true }
+        );
+    }
+}
+
+module.exports = new SequenceService();
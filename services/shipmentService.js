@@ -0,0 +1,467 @@
+/**
+ * Shipment Service
+ * Sellers ship a sub-order as one or more shipments (each an AWB with its packages) through
+ * courier partners they configure. Tracking events come from the courier's webhook (services/couriers)
+ * or the dashboard; a sub-order is marked Delivered once all of its items are delivered.
+ */
+
+const crypto = require('crypto');
+const Order = require('../models/orderModel');
+const Shipment = require('../models/shipmentModel');
+const CourierPartner = require('../models/courierPartnerModel');
+const couriers = require('./couriers');
+const orderStateService = require('./orderStateService');
+const sellerOrderService = require('./sellerOrderService');
+const sequenceService = require('./sequenceService');
+const realtimeService = require('./realtimeService');
+const { auditLogger } = require('../middleware/auditLogger');
+
+// Sub-order statuses a shipment can be created in
+const SHIPPABLE_STATUSES = ['Processing', 'Shipped'];
+
+// Shipments that no longer carry their items
+const CLOSED_STATUSES = ['cancelled', 'returned'];
+
+class ShipmentService {
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // ===== COURIER PARTNERS =====
+
+    /**
+     * The seller's courier partners
+     */
+    async listPartners(sellerId, { includeInactive = false } = {}) {
+        const filter = { sellerId };
+        if (!includeInactive) filter.isActive = true;
+        return CourierPartner.find(filter).sort({ name: 1 }).lean();
+    }
+
+    /**
+     * Load one of the seller's courier partners
+     */
+    async getPartner(partnerId, sellerId) {
+        const partner = await CourierPartner.findOne({ _id: partnerId, sellerId });
+        if (!partner) {
+            throw this.createError('Courier partner not found', 404);
+        }
+        return partner;
+    }
+
+    /**
+     * Check the adapter exists
+     */
+    assertAdapter(name) {
+        if (!couriers.getAdapter(name)) {
+            throw this.createError(`Unknown courier adapter: ${name}`);
+        }
+    }
+
+    /**
+     * Add a courier partner. The webhook secret is only returned here.
+     * @param {string} sellerId - Store ID
+     * @param {Object} data - { name, code, trackingUrlTemplate, adapter }
+     * @returns {Object} { partner, webhookSecret, webhookPath }
+     */
+    async createPartner(sellerId, { name, code, trackingUrlTemplate = '', adapter = 'manual' }) {
+        this.assertAdapter(adapter);
+
+        const exists = await CourierPartner.exists({ sellerId, code: code.toLowerCase() });
+        if (exists) {
+            throw this.createError(`You already have a courier partner with code ${code}`, 409);
+        }
+
+        const webhookSecret = crypto.randomBytes(24).toString('hex');
+        const partner = await CourierPartner.create({ sellerId, name, code, trackingUrlTemplate, adapter, webhookSecret });
+
+        return {
+            partner: this.publicPartner(partner),
+            webhookSecret,
+            webhookPath: `/api/shipments/webhooks/${partner._id}`
+        };
+    }
+
+    /**
+     * Change a courier partner's name, tracking URL, adapter or active flag
+     */
+    async updatePartner(partnerId, sellerId, updates) {
+        const partner = await this.getPartner(partnerId, sellerId);
+
+        if (updates.adapter !== undefined) this.assertAdapter(updates.adapter);
+        ['name', 'trackingUrlTemplate', 'adapter', 'isActive'].forEach(field => {
+            if (updates[field] !== undefined) partner[field] = updates[field];
+        });
+
+        await partner.save();
+        return this.publicPartner(partner);
+    }
+
+    /**
+     * Issue a new webhook secret (the old one stops working)
+     * @returns {Object} { webhookSecret }
+     */
+    async rotateWebhookSecret(partnerId, sellerId) {
+        const partner = await this.getPartner(partnerId, sellerId);
+        partner.webhookSecret = crypto.randomBytes(24).toString('hex');
+        await partner.save();
+        return { webhookSecret: partner.webhookSecret };
+    }
+
+    /**
+     * Courier partner without its secret
+     */
+    publicPartner(partner) {
+        const { webhookSecret, ...rest } = partner.toObject ? partner.toObject() : partner;
+        return rest;
+    }
+
+    /**
+     * Customer tracking link for an AWB ("{awb}" in the partner's template)
+     */
+    trackingUrl(partner, awb) {
+        if (!partner.trackingUrlTemplate) return null;
+        return partner.trackingUrlTemplate.replace(/\{awb\}/g, encodeURIComponent(awb));
+    }
+
+    // ===== SHIPMENTS =====
+
+    /**
+     * Quantities of each order line already packed in the sub-order's open shipments
+     * @returns {Map} Order.lineKey -> quantity
+     */
+    async shippedQuantities(subOrderId) {
+        const shipments = await Shipment.find({ subOrderId, status: { $nin: CLOSED_STATUSES } }).select('packages');
+        const quantities = new Map();
+        for (const shipment of shipments) {
+            for (const pkg of shipment.packages) {
+                for (const item of pkg.items) {
+                    const key = Order.lineKey(item);
+                    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+                }
+            }
+        }
+        return quantities;
+    }
+
+    /**
+     * Check the packages only hold the sub-order's unshipped items
+     * With no packages, everything not yet shipped goes in one package.
+     * @returns {Array} Packages ready to save
+     */
+    buildPackages(subOrder, packages, shipped) {
+        const remaining = new Map(subOrder.orderItems.map(item => [
+            Order.lineKey(item),
+            {
+                productId: item.productId,
+                variantId: item.variantId || null,
+                name: item.name,
+                quantity: item.quantity - (shipped.get(Order.lineKey(item)) || 0)
+            }
+        ]));
+
+        if (!packages || packages.length === 0) {
+            const items = [...remaining.values()]
+                .filter(item => item.quantity > 0)
+                .map(({ productId, variantId, name, quantity }) => ({ productId, variantId, name, quantity }));
+            if (items.length === 0) {
+                throw this.createError('Every item in this order has already been shipped', 409);
+            }
+            return [{ packageNo: 1, items }];
+        }
+
+        return packages.map((pkg, index) => {
+            const items = (pkg.items || []).map(item => {
+                const line = remaining.get(Order.lineKey(item));
+                const quantity = parseInt(item.quantity, 10);
+                if (!line) {
+                    throw this.createError(`Product ${Order.lineKey(item)} is not part of your order`);
+                }
+                if (quantity > line.quantity) {
+                    throw this.createError(`Only ${Math.max(line.quantity, 0)} of ${line.name} are left to ship`);
+                }
+                line.quantity -= quantity;
+                return { productId: line.productId, variantId: line.variantId, name: line.name, quantity };
+            });
+            if (items.length === 0) {
+                throw this.createError(`Package ${index + 1} has no items`);
+            }
+
+            return {
+                packageNo: index + 1,
+                items,
+                weightKg: pkg.weightKg ?? null,
+                dimensionsCm: pkg.dimensionsCm || {}
+            };
+        });
+    }
+
+    /**
+     * Hand (part of) a seller's sub-order to a courier. The sub-order moves to Shipped
+     * and keeps the latest AWB and courier in its trackingId / courierPartner fields.
+     * @param {string} orderId - User-friendly order ID
+     * @param {Object} seller - Store the sub-order belongs to
+     * @param {Object} data - { courierPartnerId, awb, packages ([{ items: [{ productId, variantId, quantity }], weightKg, dimensionsCm }]) }
+     * @param {Object} context - { staff, ip, note }
+     * @returns {Object} Created Shipment
+     */
+    async createShipment(orderId, seller, { courierPartnerId, awb, packages = [] }, { staff, ip = null, note = '' }) {
+        const order = await Order.findOne({ orderId, ...sellerOrderService.sellerFilter(seller._id) });
+        if (!order) {
+            throw this.createError('Order not found', 404);
+        }
+
+        const subOrder = sellerOrderService.getSubOrder(order, seller._id);
+        const subStatus = sellerOrderService.effectiveStatus(order, subOrder);
+        if (!SHIPPABLE_STATUSES.includes(subStatus)) {
+            throw this.createError(subStatus === 'Pending'
+                ? 'Move the order to Processing before shipping it'
+                : `Cannot ship an order that is ${subStatus}`, 409);
+        }
+
+        const partner = await this.getPartner(courierPartnerId, seller._id);
+        if (!partner.isActive) {
+            throw this.createError('This courier partner is inactive');
+        }
+        if (await Shipment.exists({ courierPartnerId: partner._id, awb })) {
+            throw this.createError(`AWB ${awb} is already used for another shipment`, 409);
+        }
+
+        const shipped = await this.shippedQuantities(subOrder.subOrderId);
+        // Shipments numbered before the counter existed were 1..count
+        const number = await sequenceService.nextWithin('shipment', subOrder.subOrderId, {
+            floor: await Shipment.countDocuments({ subOrderId: subOrder.subOrderId })
+        });
+        const now = new Date();
+
+        const shipment = await Shipment.create({
+            shipmentId: `SHP-${subOrder.subOrderId}-${number}`,
+            orderId: order.orderId,
+            subOrderId: subOrder.subOrderId,
+            sellerId: seller._id,
+            courierPartnerId: partner._id,
+            courierName: partner.name,
+            awb,
+            trackingUrl: this.trackingUrl(partner, awb),
+            packages: this.buildPackages(subOrder, packages, shipped),
+            events: [{ status: 'created', description: `Shipment created with ${partner.name}`, at: now, source: 'seller' }],
+            createdBy: staff._id
+        });
+
+        orderStateService.updateSubOrder(order, seller._id, {
+            status: subStatus === 'Processing' ? 'Shipped' : undefined,
+            trackingId: awb,
+            courierPartner: partner.name
+        }, {
+            actor: { type: 'seller', id: staff._id },
+            source: 'shipment',
+            note: note || `${partner.name} AWB ${awb}`
+        });
+        await order.save();
+
+        auditLogger.info('SHIPMENT_CREATED', {
+            ip,
+            shipmentId: shipment.shipmentId,
+            orderId: order.orderId,
+            courier: partner.code,
+            awb,
+            packages: shipment.packages.length,
+            performedBy: staff._id.toString()
+        });
+        realtimeService.emitOrderEvent('order:status', order._id);
+
+        return shipment;
+    }
+
+    /**
+     * Load a shipment belonging to the seller's store
+     */
+    async getShipment(shipmentId, sellerId) {
+        const shipment = await Shipment.findOne({ shipmentId, sellerId });
+        if (!shipment) {
+            throw this.createError('Shipment not found', 404);
+        }
+        return shipment;
+    }
+
+    /**
+     * Shipments for an order; pass sellerId to see only that store's
+     */
+    async listForOrder(orderId, sellerId = null) {
+        const filter = { orderId };
+        if (sellerId) filter.sellerId = sellerId;
+        return Shipment.find(filter).sort({ createdAt: 1 }).lean();
+    }
+
+    /**
+     * Add tracking events to a shipment (duplicates are skipped) and move its status on
+     * @param {Object} shipment - Shipment document
+     * @param {Array} events - [{ status, code, description, location, at }]
+     * @param {string} source - seller, or courier:<adapter>
+     * @returns {number} Events added
+     */
+    async addEvents(shipment, events, source) {
+        const seen = new Set(shipment.events.map(event => `${event.status}|${new Date(event.at).getTime()}`));
+        let added = 0;
+
+        for (const event of events) {
+            const at = event.at ? new Date(event.at) : new Date();
+            const key = `${event.status}|${at.getTime()}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            shipment.events.push({
+                status: event.status,
+                code: event.code || null,
+                description: event.description || '',
+                location: event.location || '',
+                at,
+                source
+            });
+            added++;
+        }
+        if (added === 0) return 0;
+
+        // Couriers don't always send events in order; the latest scan decides the status
+        shipment.events.sort((a, b) => new Date(a.at) - new Date(b.at));
+        const latest = shipment.events[shipment.events.length - 1];
+        shipment.status = latest.status;
+        shipment.deliveredAt = latest.status === 'delivered' ? latest.at : null;
+        await shipment.save();
+
+        await this.syncSubOrder(shipment, source);
+        return added;
+    }
+
+    /**
+     * Mark the sub-order Delivered once every one of its items is in a delivered shipment
+     */
+    async syncSubOrder(shipment, source) {
+        if (shipment.status !== 'delivered') return;
+
+        const order = await Order.findOne({ orderId: shipment.orderId });
+        if (!order) return;
+
+        const subOrder = sellerOrderService.getSubOrder(order, shipment.sellerId);
+        if (!subOrder || sellerOrderService.effectiveStatus(order, subOrder) !== 'Shipped') return;
+
+        const shipments = await Shipment.find({ subOrderId: subOrder.subOrderId, status: { $nin: CLOSED_STATUSES } });
+        if (shipments.some(s => s.status !== 'delivered')) return;
+
+        const delivered = new Map();
+        for (const s of shipments) {
+            for (const pkg of s.packages) {
+                for (const item of pkg.items) {
+                    const key = Order.lineKey(item);
+                    delivered.set(key, (delivered.get(key) || 0) + item.quantity);
+                }
+            }
+        }
+        if (subOrder.orderItems.some(item => (delivered.get(Order.lineKey(item)) || 0) < item.quantity)) return;
+
+        orderStateService.updateSubOrder(order, shipment.sellerId, { status: 'Delivered' }, {
+            actor: { type: source === 'seller' ? 'seller' : 'system' },
+            source: source === 'seller' ? 'shipment' : source,
+            note: `Delivered (${shipment.courierName} AWB ${shipment.awb})`
+        });
+        await order.save();
+
+        realtimeService.emitOrderEvent('order:status', order._id);
+    }
+
+    /**
+     * Tracking event added from the dashboard (couriers without webhooks)
+     * @param {Object} event - { status, description, location, at }
+     */
+    async addManualEvent(shipmentId, seller, event, { staff, ip = null }) {
+        const shipment = await this.getShipment(shipmentId, seller._id);
+        const added = await this.addEvents(shipment, [event], 'seller');
+
+        auditLogger.info('SHIPMENT_EVENT_ADDED', {
+            ip,
+            shipmentId,
+            status: event.status,
+            added,
+            performedBy: staff._id.toString()
+        });
+        return shipment;
+    }
+
+    /**
+     * Tracking webhook for a courier partner: the partner's adapter checks and translates it
+     * @param {string} partnerId - CourierPartner the webhook URL belongs to
+     * @param {Object} req - Express request
+     * @returns {Object} { received, added, unknownAwbs }
+     */
+    async handleWebhook(partnerId, req) {
+        const partner = await CourierPartner.findOne({ _id: partnerId, isActive: true }).select('+webhookSecret');
+        if (!partner) {
+            throw this.createError('Courier partner not found', 404);
+        }
+
+        const adapter = couriers.getAdapter(partner.adapter);
+        if (!adapter || !adapter.supportsWebhooks) {
+            throw this.createError(`${partner.name} does not send tracking webhooks`);
+        }
+
+        const events = await adapter.parseWebhook(req, partner);
+        const byAwb = new Map();
+        for (const event of events) {
+            if (!byAwb.has(event.awb)) byAwb.set(event.awb, []);
+            byAwb.get(event.awb).push(event);
+        }
+
+        let added = 0;
+        const unknownAwbs = [];
+        for (const [awb, awbEvents] of byAwb) {
+            const shipment = await Shipment.findOne({ courierPartnerId: partner._id, awb });
+            if (!shipment) {
+                unknownAwbs.push(awb);
+                continue;
+            }
+            added += await this.addEvents(shipment, awbEvents, `courier:${adapter.name}`);
+        }
+
+        if (unknownAwbs.length > 0) {
+            auditLogger.warn('COURIER_WEBHOOK_UNKNOWN_AWB', { partnerId: partner._id.toString(), unknownAwbs });
+        }
+        return { received: events.length, added, unknownAwbs };
+    }
+
+    /**
+     * Shipments and their tracking events as shown to customers, for several orders at once
+     * @param {Array} orderIds - User-friendly order IDs
+     * @returns {Map} orderId -> shipments (oldest first)
+     */
+    async customerTracking(orderIds) {
+        const shipments = await Shipment.find({ orderId: { $in: orderIds } }).sort({ createdAt: 1 }).lean();
+        const tracking = new Map(orderIds.map(orderId => [orderId, []]));
+
+        for (const shipment of shipments) {
+            tracking.get(shipment.orderId).push({
+                shipmentId: shipment.shipmentId,
+                subOrderId: shipment.subOrderId,
+                courierPartner: shipment.courierName,
+                trackingId: shipment.awb,
+                trackingUrl: shipment.trackingUrl,
+                status: shipment.status,
+                packages: shipment.packages.length,
+                deliveredAt: shipment.deliveredAt,
+                events: shipment.events.map(event => ({
+                    status: event.status,
+                    description: event.description,
+                    location: event.location,
+                    at: event.at
+                }))
+            });
+        }
+        return tracking;
+    }
+}
+
+module.exports = new ShipmentService();
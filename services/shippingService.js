@@ -0,0 +1,234 @@
+/**
+ * Shipping Service
+ * Server-side shipping charges from each seller's shipping rules: a zone (pincode prefixes or states),
+ * a flat, weight-slab or item-count-slab charge and an optional free-shipping threshold.
+ * Items of sellers without rules share the standard charge (SHIPPING_CHARGE below FREE_SHIPPING_THRESHOLD).
+ */
+
+const ShippingRule = require('../models/shippingRuleModel');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Fields a seller may set on a rule
+const RULE_FIELDS = ['name', 'zone', 'basis', 'flatCharge', 'slabs', 'freeShippingThreshold', 'priority', 'isActive'];
+
+class ShippingService {
+    constructor() {
+        this.standardCharge = parseFloat(process.env.SHIPPING_CHARGE || '50');
+        this.standardFreeShippingThreshold = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || '500');
+        // Weight used for products that don't have one
+        this.defaultItemWeightKg = parseFloat(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT_KG || '0.5');
+    }
+
+    /**
+     * Build an error carrying the HTTP status the routes should respond with
+     */
+    createError(message, statusCode = 400, extra = {}) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        Object.assign(error, extra);
+        return error;
+    }
+
+    // ===== RULES =====
+
+    /**
+     * The seller's shipping rules, most specific first
+     */
+    async listRules(sellerId) {
+        return ShippingRule.find({ sellerId }).sort({ isActive: -1, priority: -1, createdAt: 1 }).lean();
+    }
+
+    /**
+     * Load one of the seller's rules
+     */
+    async getRule(ruleId, sellerId) {
+        const rule = await ShippingRule.findOne({ _id: ruleId, sellerId });
+        if (!rule) {
+            throw this.createError('Shipping rule not found', 404);
+        }
+        return rule;
+    }
+
+    pickRuleFields(body) {
+        const data = {};
+        RULE_FIELDS.forEach(field => {
+            if (body[field] !== undefined) data[field] = body[field];
+        });
+        return data;
+    }
+
+    async createRule(sellerId, body) {
+        return ShippingRule.create({ ...this.pickRuleFields(body), sellerId });
+    }
+
+    async updateRule(ruleId, sellerId, body) {
+        const rule = await this.getRule(ruleId, sellerId);
+        rule.set(this.pickRuleFields(body));
+        await rule.save();
+        return rule;
+    }
+
+    async deleteRule(ruleId, sellerId) {
+        const rule = await this.getRule(ruleId, sellerId);
+        await rule.deleteOne();
+        return rule;
+    }
+
+    // ===== MATCHING =====
+
+    /**
+     * How closely a rule's zone matches an address (-1 = not at all)
+     * Longer pincode prefixes beat shorter ones, any pincode match beats a state, a state beats everywhere.
+     */
+    zoneScore(rule, { state, zipcode } = {}) {
+        const { states = [], pincodePrefixes = [] } = rule.zone || {};
+        if (states.length === 0 && pincodePrefixes.length === 0) return 0;
+
+        const pincode = String(zipcode || '').trim();
+        const prefix = pincodePrefixes
+            .filter(p => pincode && pincode.startsWith(p))
+            .sort((a, b) => b.length - a.length)[0];
+        if (prefix) return 100 + prefix.length;
+
+        if (state && states.includes(String(state).trim().toLowerCase())) return 10;
+        return -1;
+    }
+
+    /**
+     * Best rule for an address among one seller's active rules (null if none covers it)
+     */
+    matchRule(rules, address) {
+        return rules
+            .map(rule => ({ rule, score: this.zoneScore(rule, address) }))
+            .filter(({ score }) => score >= 0)
+            .sort((a, b) => b.score - a.score || (b.rule.priority || 0) - (a.rule.priority || 0))
+            .map(({ rule }) => rule)[0] || null;
+    }
+
+    /**
+     * Charge a rule gives for a group of items
+     * @param {Object} rule - ShippingRule
+     * @param {Object} parcel - { weightKg, itemCount, itemsValue (after discount) }
+     */
+    chargeForRule(rule, { weightKg, itemCount, itemsValue }) {
+        if (rule.freeShippingThreshold !== null && rule.freeShippingThreshold !== undefined &&
+            itemsValue >= rule.freeShippingThreshold) {
+            return 0;
+        }
+        if (rule.basis === 'flat') return rule.flatCharge;
+
+        const measure = rule.basis === 'weight' ? weightKg : itemCount;
+        // Past the last slab, the last slab's charge applies
+        const slab = rule.slabs.find(s => s.upTo === null || s.upTo === undefined || measure <= s.upTo) ||
+            rule.slabs[rule.slabs.length - 1];
+        return slab.charge;
+    }
+
+    /**
+     * Standard charge for items of sellers without rules
+     */
+    standardShippingCharge(itemsValue) {
+        if (itemsValue <= 0) return 0;
+        return itemsValue >= this.standardFreeShippingThreshold ? 0 : this.standardCharge;
+    }
+
+    // ===== QUOTES =====
+
+    /**
+     * Shipping charges for priced order items
+     * Each seller's items are charged by that seller's best matching rule; items whose seller
+     * has rules but none covering the address can't be delivered (422).
+     * @param {Object} params
+     * @param {Array} params.orderItems - Items from pricingService.buildOrderItems
+     * @param {Array} params.products - Product for each item (weightKg, or its variant's)
+     * @param {Object} params.shippingAddress - { state, zipcode }
+     * @returns {Object} { shippingCharges, breakdown: [{ sellerId, ruleId, ruleName, weightKg, itemCount, itemsValue, charge }] }
+     */
+    async quote({ orderItems, products, shippingAddress = {} }) {
+
+        // Group items by seller
+        const groups = new Map();
+        orderItems.forEach((item, index) => {
+            const key = item.sellerId ? item.sellerId.toString() : 'default';
+            if (!groups.has(key)) {
+                groups.set(key, { sellerId: item.sellerId || null, names: [], weightKg: 0, itemCount: 0, itemsValue: 0 });
+            }
+            const group = groups.get(key);
+            const product = products[index];
+            const variant = product?.findVariant ? product.findVariant(item.variantId) : null;
+            const weight = variant?.weightKg || product?.weightKg || this.defaultItemWeightKg;
+            group.names.push(item.name);
+            group.weightKg += weight * item.quantity;
+            group.itemCount += item.quantity;
+            group.itemsValue += item.subtotal - (item.discount || 0);
+        });
+
+        const sellerIds = [...groups.values()].map(group => group.sellerId).filter(Boolean);
+        const rules = sellerIds.length > 0
+            ? await ShippingRule.find({ sellerId: { $in: sellerIds }, isActive: true }).lean()
+            : [];
+
+        // Sellers without rules are charged the standard rate once, together
+        const pooled = { sellerId: null, names: [], weightKg: 0, itemCount: 0, itemsValue: 0 };
+        const breakdown = [];
+        const undeliverable = [];
+
+        for (const group of groups.values()) {
+            const sellerRules = group.sellerId
+                ? rules.filter(rule => rule.sellerId.toString() === group.sellerId.toString())
+                : [];
+
+            if (sellerRules.length === 0) {
+                pooled.names.push(...group.names);
+                pooled.weightKg += group.weightKg;
+                pooled.itemCount += group.itemCount;
+                pooled.itemsValue += group.itemsValue;
+                continue;
+            }
+
+            const rule = this.matchRule(sellerRules, shippingAddress);
+            if (!rule) {
+                undeliverable.push(...group.names);
+                continue;
+            }
+
+            breakdown.push({
+                sellerId: group.sellerId,
+                ruleId: rule._id,
+                ruleName: rule.name,
+                weightKg: round2(group.weightKg),
+                itemCount: group.itemCount,
+                itemsValue: round2(group.itemsValue),
+                charge: this.chargeForRule(rule, { ...group, itemsValue: round2(group.itemsValue) })
+            });
+        }
+
+        if (undeliverable.length > 0) {
+            throw this.createError(
+                `We can't ship ${undeliverable.join(', ')} to ${shippingAddress.zipcode || shippingAddress.state || 'this address'}.`,
+                422,
+                { errorCode: 'NOT_DELIVERABLE', items: undeliverable }
+            );
+        }
+
+        if (pooled.itemCount > 0) {
+            breakdown.push({
+                sellerId: null,
+                ruleId: null,
+                ruleName: 'Standard shipping',
+                weightKg: round2(pooled.weightKg),
+                itemCount: pooled.itemCount,
+                itemsValue: round2(pooled.itemsValue),
+                charge: this.standardShippingCharge(round2(pooled.itemsValue))
+            });
+        }
+
+        return {
+            shippingCharges: round2(breakdown.reduce((sum, line) => sum + line.charge, 0)),
+            breakdown
+        };
+    }
+}
+
+module.exports = new ShippingService();
@@ -0,0 +1,56 @@
+const twilio = require('twilio');
+
+class SmsService {
+  constructor() {
+    this.client = null;
+    this.from = process.env.TWILIO_PHONE_NUMBER || null;
+    // Customers give 10-digit Indian mobile numbers; Twilio wants them in E.164
+    this.countryCode = process.env.SMS_COUNTRY_CODE || '+91';
+    this.initializeClient();
+  }
+
+  // Initialize the Twilio client
+  initializeClient() {
+    try {
+      if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !this.from) {
+        console.error('❌ Twilio credentials missing in environment variables');
+        return;
+      }
+
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    } catch (error) {
+      console.error('❌ SMS service initialization failed:', error.message);
+    }
+  }
+
+  // 10-digit number -> +91XXXXXXXXXX (numbers already starting with + are kept)
+  toE164(phone) {
+    const digits = String(phone || '').trim();
+    return digits.startsWith('+') ? digits : `${this.countryCode}${digits}`;
+  }
+
+  // Send a text message
+  async send(phone, body) {
+    if (!this.client) {
+      console.error('❌ SMS client not initialized');
+      return false;
+    }
+
+    try {
+      await this.client.messages.create({ from: this.from, to: this.toE164(phone), body });
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send SMS:', error.message);
+      return false;
+    }
+  }
+
+  // Send the OTP that confirms a cash on delivery order's phone number - to that number,
+  // so placing the order proves the customer has the phone
+  async sendCodOtp(phone, otp) {
+    const store = process.env.STORE_NAME || 'Ripe’n Red';
+    return this.send(phone, `${otp} is your ${store} OTP to confirm your Cash on Delivery order. It is valid for 5 minutes.`);
+  }
+}
+
+module.exports = new SmsService();
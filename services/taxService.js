@@ -0,0 +1,133 @@
+/**
+ * Tax Service
+ * GST on order lines, worked out when the order is placed. Product prices include GST at the
+ * product's gstRate; each line's value after its share of the order discount is split into taxable value and tax.
+ * A seller shipping within their own state charges CGST + SGST (half the rate each), otherwise IGST.
+ * Items without a seller are supplied by the store itself (STORE_GSTIN, STORE_STATE).
+ * Shipping and payment fees are charged without GST; the summary lists them as non-taxable value,
+ * so taxable value + tax + non-taxable value is what the customer pays.
+ */
+
+const Seller = require('../seller-backend/models/sellerModel');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Compare state names written differently ("Himachal  pradesh" vs "Himachal Pradesh")
+const normalizeState = (state) => String(state || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+class TaxService {
+    constructor() {
+        this.storeSupplier = {
+            name: process.env.STORE_NAME || 'Ripe\'n Red',
+            address: process.env.STORE_ADDRESS || 'Village Jabraloo, Tehsil Rohru, Distt. Shimla, HP 171207',
+            state: process.env.STORE_STATE || 'Himachal Pradesh',
+            gstin: process.env.STORE_GSTIN || null
+        };
+    }
+
+    /**
+     * Who supplies each seller's items, as printed on the tax invoice
+     * @param {Array} sellerIds - Seller IDs on the order (null = the store)
+     * @param {ClientSession} [session] - Optional Mongo session
+     * @returns {Map} sellerId (or 'store') -> { name, address, state, gstin }
+     */
+    async loadSuppliers(sellerIds, session = null) {
+        const ids = [...new Set(sellerIds.filter(Boolean).map(id => id.toString()))];
+        const query = Seller.find({ _id: { $in: ids } }).select('vendorName address gstin').lean();
+        if (session) query.session(session);
+        const sellers = ids.length > 0 ? await query : [];
+
+        const suppliers = new Map([['store', this.storeSupplier]]);
+        sellers.forEach(seller => {
+            const { street, city, state, zipcode } = seller.address || {};
+            suppliers.set(seller._id.toString(), {
+                name: seller.vendorName,
+                address: [street, city, state, zipcode].filter(Boolean).join(', '),
+                state: state || null,
+                gstin: seller.gstin || null
+            });
+        });
+        return suppliers;
+    }
+
+    /**
+     * Supplier of a seller's items (the store for items without a seller)
+     */
+    supplierFor(suppliers, sellerId) {
+        return (sellerId && suppliers.get(sellerId.toString())) || this.storeSupplier;
+    }
+
+    /**
+     * Whether a supply is within one state (CGST + SGST) rather than between states (IGST)
+     */
+    isIntraState(supplierState, placeOfSupply) {
+        return !!supplierState && normalizeState(supplierState) === normalizeState(placeOfSupply);
+    }
+
+    /**
+     * Split a tax-inclusive amount into taxable value and GST
+     * @returns {Object} { taxableValue, cgst, sgst, igst }
+     */
+    splitInclusive(amount, gstRate, intraState) {
+        const taxableValue = round2(amount * 100 / (100 + gstRate));
+        const tax = round2(amount - taxableValue);
+
+        if (!intraState) {
+            return { taxableValue, cgst: 0, sgst: 0, igst: tax };
+        }
+        const cgst = round2(tax / 2);
+        return { taxableValue, cgst, sgst: round2(tax - cgst), igst: 0 };
+    }
+
+    /**
+     * Add GST fields to priced order items (in place)
+     * @param {Object} params
+     * @param {Array} params.orderItems - Items from pricingService.buildOrderItems
+     * @param {Array} params.products - Product for each item (hsnCode, gstRate)
+     * @param {Object} params.shippingAddress - { state } - the place of supply
+     * @param {number} [params.charges] - Shipping and fees charged on top of the items (no GST)
+     * @param {ClientSession} [params.session] - Optional Mongo session
+     * @returns {Object} { taxSummary, suppliers }
+     */
+    async applyTaxes({ orderItems, products, shippingAddress = {}, charges = 0, session = null }) {
+        const suppliers = await this.loadSuppliers(orderItems.map(item => item.sellerId), session);
+
+        orderItems.forEach((item, index) => {
+            const product = products[index] || {};
+            const gstRate = product.gstRate || 0;
+            const supplier = this.supplierFor(suppliers, item.sellerId);
+
+            Object.assign(item, {
+                hsnCode: product.hsnCode || null,
+                gstRate,
+                ...this.splitInclusive(
+                    round2(item.subtotal - (item.discount || 0)),
+                    gstRate,
+                    this.isIntraState(supplier.state, shippingAddress.state)
+                )
+            });
+        });
+
+        return { taxSummary: this.summarize(orderItems, { charges }), suppliers };
+    }
+
+    /**
+     * Totals of the GST fields of some order items, plus any non-taxable charges
+     * Items placed before GST was recorded count as untaxed at their subtotal.
+     */
+    summarize(orderItems, { charges = 0 } = {}) {
+        const summary = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, nonTaxableValue: charges };
+        orderItems.forEach(item => {
+            summary.taxableValue += item.taxableValue ?? item.subtotal;
+            summary.cgst += item.cgst || 0;
+            summary.sgst += item.sgst || 0;
+            summary.igst += item.igst || 0;
+        });
+
+        Object.keys(summary).forEach(key => { summary[key] = round2(summary[key]); });
+        summary.totalTax = round2(summary.cgst + summary.sgst + summary.igst);
+        return summary;
+    }
+}
+
+module.exports = new TaxService();
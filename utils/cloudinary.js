@@ -7,4 +7,22 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// ✅ Public ID of an image from its delivery URL, e.g.
+// https://res.cloudinary.com/<cloud>/image/upload/c_limit,w_800/v1712/fruits-ecommerce/products/abc.jpg -> fruits-ecommerce/products/abc
+const publicIdFromUrl = (url) => {
+  if (!url || !/^https?:\/\/res\.cloudinary\.com\//.test(url)) return null;
+  const match = url.match(/\/upload\/(?:.*?\/)?v\d+\/(.+?)(?:\.[a-z0-9]+)?$/i);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// ✅ Delete an uploaded image by public ID (or delivery URL); resolves to false if there was nothing to delete
+const destroyImage = async (publicIdOrUrl) => {
+  const publicId = /^https?:\/\//.test(publicIdOrUrl || '') ? publicIdFromUrl(publicIdOrUrl) : publicIdOrUrl;
+  if (!publicId) return false;
+  const result = await cloudinary.uploader.destroy(publicId, { invalidate: true });
+  return result.result === 'ok';
+};
+
 module.exports = cloudinary;
+module.exports.publicIdFromUrl = publicIdFromUrl;
+module.exports.destroyImage = destroyImage;
@@ -0,0 +1,42 @@
+// ✅ Order shape returned by the seller dashboard order endpoints (and pushed over Socket.IO)
+// Expects `userId` to be populated with name, email and phone for registered users.
+// With a sellerId, only that seller's sub-order items, status and tracking are shown.
+const formatOrder = (order, sellerId = null) => {
+  const isRegistered = order.isRegisteredUser;
+  const subOrder = sellerId
+    ? (order.subOrders || []).find(sub => sub.sellerId && sub.sellerId.toString() === sellerId.toString())
+    : null;
+  const followsOrder = !subOrder || !subOrder.orderStatus || order.orderStatus === "Canceled";
+
+  return {
+    _id: order._id,
+    orderId: order.orderId,
+    subOrderId: subOrder ? subOrder.subOrderId : null,
+    trackingId: (subOrder && subOrder.trackingId) || order.trackingId || "N/A",
+    courierPartner: (subOrder && subOrder.courierPartner) || order.courierPartner || "N/A",
+    isRegisteredUser: isRegistered,
+    userName: isRegistered ? order.userId?.name : order.guestName,
+    userEmail: isRegistered ? order.userId?.email : order.guestEmail,
+    userPhone: isRegistered ? order.userId?.phone : order.guestPhone,
+    orderItems: subOrder ? subOrder.orderItems : order.orderItems,
+    itemsTotal: subOrder ? subOrder.itemsTotal : order.totalPrice,
+    shippingAddress: order.shippingAddress,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    transactionId: order.transactionId,
+    orderStatus: followsOrder ? order.orderStatus : subOrder.orderStatus,
+    totalPrice: order.totalPrice,
+    discountAmount: order.discountAmount,
+    finalTotal: order.finalTotal,
+    shippingCharges: order.shippingCharges,
+    paymentCharges: order.paymentCharges || 0,
+    codCollectedAt: subOrder ? subOrder.codCollectedAt : null,
+    appliedCoupons: order.appliedCoupons,
+    statusHistory: order.statusHistory || [],
+    orderDate: order.orderDate,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+};
+
+module.exports = formatOrder;
@@ -0,0 +1,132 @@
+// ✅ Text helpers shared by the product search index (models/productModel.js) and services/searchService.js
+// Words are lowercased, stripped of Latin accents and singularised, so "Mangoes" and "mango" index alike.
+// Devanagari words are kept whole (their vowel signs are part of the word).
+
+// ✅ Hindi/English names for the same thing - a search for any one also finds the others
+const SYNONYM_GROUPS = [
+  ["mango", "aam", "आम"],
+  ["apple", "seb", "saib", "सेब"],
+  ["banana", "kela", "केला"],
+  ["orange", "santra", "santara", "narangi", "संतरा"],
+  ["grape", "angoor", "angur", "अंगूर"],
+  ["pomegranate", "anar", "anaar", "अनार"],
+  ["guava", "amrood", "amrud", "अमरूद"],
+  ["watermelon", "tarbooz", "tarbuj", "तरबूज"],
+  ["muskmelon", "kharbuja", "kharbooja", "खरबूजा"],
+  ["papaya", "papita", "पपीता"],
+  ["pineapple", "ananas", "अनानास"],
+  ["lemon", "nimbu", "neembu", "नींबू"],
+  ["coconut", "nariyal", "नारियल"],
+  ["litchi", "lychee", "lichi", "लीची"],
+  ["pear", "nashpati", "नाशपाती"],
+  ["peach", "aadu", "aaru", "आड़ू"],
+  ["plum", "alubukhara", "aloobukhara", "आलूबुखारा"],
+  ["apricot", "khubani", "खुबानी"],
+  ["cherry", "chery", "चेरी"],
+  ["strawberry", "स्ट्रॉबेरी"],
+  ["kiwi", "कीवी"],
+  ["jamun", "jambul", "जामुन"],
+  ["custard", "sitaphal", "sharifa", "सीताफल"],
+  ["walnut", "akhrot", "अखरोट"],
+  ["almond", "badam", "बादाम"],
+  ["date", "khajur", "khajoor", "खजूर"],
+  ["fig", "anjeer", "anjir", "अंजीर"],
+  ["raisin", "kishmish", "किशमिश"],
+  ["cashew", "kaju", "काजू"],
+  ["fruit", "phal", "fal", "फल"],
+  ["dry", "sukha", "सूखा"]
+];
+
+// Latin combining accents only - Devanagari vowel signs must stay
+const LATIN_ACCENTS = /[\u0300-\u036f]/g;
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+
+// ✅ English plurals -> singular (mangoes -> mango, berries -> berry, apples -> apple)
+const stem = (word) => {
+  if (!/^[a-z]+$/.test(word) || word.length <= 3) return word;
+  if (word.endsWith("ies") && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith("oes")) return word.slice(0, -2);
+  if (word.endsWith("s") && !word.endsWith("ss") && !word.endsWith("us")) return word.slice(0, -1);
+  return word;
+};
+
+const normalize = (text) => String(text || "").normalize("NFKD").replace(LATIN_ACCENTS, "").toLowerCase();
+
+// ✅ Words of a text, normalised and singularised
+const tokenize = (text) => (normalize(text).match(WORD) || []).map(stem);
+
+// ✅ Word starts for autocomplete ("mango" -> ma, man, mang, mango)
+const prefixes = (word, min = 2, max = 12) => {
+  const chars = [...word];
+  const result = [];
+  for (let length = min; length <= Math.min(chars.length, max); length++) {
+    result.push(chars.slice(0, length).join(""));
+  }
+  return result;
+};
+
+// ✅ Trigrams of a padded word ("mango" -> $ma, man, ang, ngo, go$) for typo-tolerant matching
+const trigrams = (word) => {
+  const chars = [..."$", ...word, "$"];
+  if (chars.length < 3) return [];
+  const grams = [];
+  for (let i = 0; i <= chars.length - 3; i++) {
+    grams.push(chars.slice(i, i + 3).join(""));
+  }
+  return grams;
+};
+
+// ✅ Share of trigrams two words have in common (0 - 1)
+const similarity = (a, b) => {
+  const gramsA = new Set(trigrams(a));
+  const gramsB = new Set(trigrams(b));
+  if (gramsA.size === 0 || gramsB.size === 0) return 0;
+  const shared = [...gramsA].filter(gram => gramsB.has(gram)).length;
+  return shared / (gramsA.size + gramsB.size - shared);
+};
+
+// ✅ Words to look for when a customer types one word - itself plus its synonyms
+const synonymIndex = new Map();
+SYNONYM_GROUPS.forEach(group => {
+  const words = group.map(word => stem(normalize(word)));
+  words.forEach(word => synonymIndex.set(word, words));
+});
+
+const expand = (word) => synonymIndex.get(word) || [word];
+
+// ✅ Synonym words starting with a prefix ("aa" -> aam, aadu, aaru), for autocomplete
+const synonymsStartingWith = (prefix) => [...synonymIndex.keys()].filter(word => word.startsWith(prefix));
+
+// ✅ Search index fields of a product (stored with select: false on the product)
+// @param {Object} product - { name, description, sku, variants }
+// @param {string} categoryName - Name of the product's category
+const buildSearchFields = (product, categoryName = "") => {
+  const titleWords = [...tokenize(product.name), ...tokenize(categoryName)];
+  const skus = [product.sku, ...(product.variants || []).map(v => v.sku)].filter(Boolean).map(normalize);
+  const terms = [
+    ...titleWords,
+    ...tokenize(product.description),
+    ...(product.variants || []).flatMap(v => tokenize(v.label)),
+    ...skus,
+    ...skus.flatMap(sku => tokenize(sku))
+  ];
+
+  return {
+    searchTerms: [...new Set(terms)],
+    searchPrefixes: [...new Set(titleWords.flatMap(word => prefixes(word)))],
+    searchGrams: [...new Set(titleWords.flatMap(trigrams))]
+  };
+};
+
+module.exports = {
+  SYNONYM_GROUPS,
+  normalize,
+  tokenize,
+  stem,
+  prefixes,
+  trigrams,
+  similarity,
+  expand,
+  synonymsStartingWith,
+  buildSearchFields
+};